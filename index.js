@@ -4,6 +4,40 @@
 
 const express = require("express");
 const cors = require("cors");
+const {
+  safeLower,
+  normalizeUrl,
+  domainOf,
+  clamp,
+  stripSpaces,
+  normalizeQuery,
+  similarityScore,
+} = require("./lib/text");
+const { analyzeClaim, classifyStance } = require("./lib/stance");
+const { extractClaims } = require("./lib/claims");
+const { fetchArticle, summarizeExtractive, assertFetchableUrl } = require("./lib/article");
+const { createSearchClient } = require("./lib/search");
+const { createSearchCache } = require("./lib/cache");
+const { createSimilarIndex } = require("./lib/similarIndex");
+const { createKeyRegistry, originAllowed, safeEqual } = require("./lib/tenants");
+const { createQuotaLimiters } = require("./lib/rateLimit");
+const { createUsageMeter } = require("./lib/usage");
+const { t } = require("./lib/i18n");
+const { detectLanguage } = require("./lib/langDetect");
+const { createOcrEngine, decodeImageData } = require("./lib/ocr");
+const { createForensicsRunner } = require("./lib/forensics/runner");
+const { mapWithConcurrency, createQueryBudget } = require("./lib/batch");
+const { createJobQueue, publicJob } = require("./lib/jobs");
+const { openEventStream } = require("./lib/sse");
+const { apiError, toErrorEnvelope, asyncRoute, notFoundMiddleware, errorMiddleware } = require("./lib/errors");
+const { buildOpenApi, bodyValidator } = require("./lib/openapi");
+const { createReliabilityRegistry } = require("./lib/reliability");
+const { createScoringProfiles } = require("./lib/scoring");
+const { createRelationChecker } = require("./lib/relations");
+const { checkNumbers } = require("./lib/numbers");
+const { analyzeTemporal, predates, recencyWeight, summarizeRecency } = require("./lib/temporal");
+const { createQueryPlanner } = require("./lib/queries");
+const { version: PKG_VERSION } = require("./package.json");
 
 const app = express();
 app.set("trust proxy", 1);
@@ -16,7 +50,7 @@ const corsOptions = {
   origin: true, // reflects request origin
   credentials: true,
   methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "x-ia11-key"],
   maxAge: 86400,
 };
 
@@ -24,14 +58,40 @@ app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
 
 
-const IA11_KEY = process.env.IA11_API_KEY;
-const SERPER_KEY = process.env.SERPER_API_KEY;
+// Tenants / API keys (lib/tenants). IA11_API_KEY stays valid as the "legacy" tenant.
+// A corrupt keys file refuses to start rather than running without auth.
+let KEYS;
+try {
+  KEYS = createKeyRegistry();
+} catch (e) {
+  console.log("❌ KEYS:", e.message);
+  process.exit(1);
+}
+const IA11_ADMIN_KEY = process.env.IA11_ADMIN_KEY;
+// Plan applied while no key is configured at all (open access, historical behaviour)
+const OPEN_ACCESS_PLAN = safeLower(process.env.OPEN_ACCESS_PLAN || "pro") === "standard" ? "standard" : "pro";
 const HTTP_TIMEOUT_MS = Number.parseInt(process.env.HTTP_TIMEOUT_MS || "8000", 10);
 const MAX_SERPER_QUERIES_ENV = Number.parseInt(process.env.MAX_SERPER_QUERIES || "4", 10);
+const MAX_CLAIMS = Number.parseInt(process.env.MAX_CLAIMS || "3", 10);
+// Paid queries per analysis, shared by all its claims (cache hits are free).
+// PRO: MAX_SERPER_QUERIES; secondary claims plan up to MAX_SERPER_QUERIES_EXTRA_CLAIM of it.
+const MAX_STANDARD_QUERIES = Number.parseInt(process.env.MAX_STANDARD_QUERIES || "1", 10);
+const MAX_SERPER_QUERIES_EXTRA_CLAIM = Number.parseInt(process.env.MAX_SERPER_QUERIES_EXTRA_CLAIM || "2", 10);
 const SIMILARITY_STRICT_MODE = String(process.env.SIMILARITY_STRICT_MODE || "false").toLowerCase() === "true";
 
+// Language detection: used when no hint is given (if confident enough), and
+// overrides the client hint only when it is sure AND the hint scores ~0
+const LANG_DETECT_MIN_CONFIDENCE = Number(process.env.LANG_DETECT_MIN_CONFIDENCE || "0.5");
+const LANG_DETECT_OVERRIDE_CONFIDENCE = Number(process.env.LANG_DETECT_OVERRIDE_CONFIDENCE || "0.85");
+
+// Request limits (also published in /openapi.json)
+const BATCH_MAX_ITEMS = Number.parseInt(process.env.BATCH_MAX_ITEMS || "200", 10);
+const BATCH_CONCURRENCY = Number.parseInt(process.env.BATCH_CONCURRENCY || "4", 10);
+const BATCH_MAX_SEARCH_QUERIES = Number.parseInt(process.env.BATCH_MAX_SEARCH_QUERIES || "50", 10);
+const OCR_MAX_IMAGE_BYTES = Number.parseInt(process.env.OCR_MAX_IMAGE_BYTES || String(8 * 1024 * 1024), 10);
+
 // =====================
-// RATE LIMIT (RAM) — simple & efficace
+// QUOTAS — token buckets per API key (IP fallback), per minute + per day (lib/rateLimit)
 // =====================
 const RATE_LIMIT_STANDARD = Number.parseInt(process.env.RATE_LIMIT_PER_MIN || "10", 10);
 
@@ -43,230 +103,184 @@ const RATE_LIMIT_PRO = Number.parseInt(
   10
 );
 
-const RATE_STORE = new Map(); // key -> { windowStart, count }
-const RATE_WINDOW_MS = 60 * 1000;
-
-function getClientIp(req) {
-  const xf = req.headers["x-forwarded-for"];
-  if (typeof xf === "string" && xf.length > 0) return xf.split(",")[0].trim();
-  return req.ip || req.connection?.remoteAddress || "unknown";
-}
-
-function rateLimitCheck(req, tier, limitPerMin) {
-  if (!Number.isFinite(limitPerMin) || limitPerMin <= 0) return { ok: true };
-
-  const ip = getClientIp(req);
-  const key = `${tier}:${ip}`;
-  const now = Date.now();
+const RATE_LIMIT_DAY_STANDARD = Number.parseInt(process.env.RATE_LIMIT_PER_DAY || "500", 10);
+const RATE_LIMIT_DAY_PRO = Number.parseInt(process.env.RATE_LIMIT_PER_DAY_PRO || "5000", 10);
 
-  const cur = RATE_STORE.get(key);
-  if (!cur || now - cur.windowStart >= RATE_WINDOW_MS) {
-    RATE_STORE.set(key, { windowStart: now, count: 1 });
-    return { ok: true };
-  }
-
-  cur.count += 1;
-
-  if (cur.count > limitPerMin) {
-    const msLeft = RATE_WINDOW_MS - (now - cur.windowStart);
-    const retryAfterSec = Math.max(1, Math.ceil(msLeft / 1000));
-    return { ok: false, retryAfterSec };
-  }
+// Applied after auth (needs req.tenant); RATE_LIMIT_STORE=redis shares buckets across instances
+const QUOTA_LIMITERS = createQuotaLimiters({
+  quotas: {
+    standard: { minute: RATE_LIMIT_STANDARD, day: RATE_LIMIT_DAY_STANDARD },
+    pro: { minute: RATE_LIMIT_PRO, day: RATE_LIMIT_DAY_PRO },
+  },
+});
 
-  return { ok: true };
-}
+// Every analysis call is metered (tenant, mode, paid search queries, cache hits, latency, status)
+// into state/usage.jsonl (USAGE_FILE) — read back by GET /usage
+const USAGE = createUsageMeter();
 
 // HEALTH
 app.get("/", (req, res) => {
-  res.json({ status: "ok", engine: "IA11 Ultra Pro" });
+  res.json({ status: "ok", engine: "IA11 Ultra Pro", cache: SEARCH_CACHE.stats() });
 });
 
-// ================= SERPER SEARCH =================
-async function serperSearch(query, lang, num = 5) {
-  console.log("🔎 SERPER QUERY:", query);
+// ================= WEB SEARCH (providers: lib/search) =================
+const SEARCH = createSearchClient({ timeoutMs: HTTP_TIMEOUT_MS });
 
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+async function webSearch(query, lang, num = 5) {
+  return SEARCH.search(query, lang, num);
+}
 
-  try {
-    const r = await _fetch("https://google.serper.dev/search", {
-      method: "POST",
-      headers: {
-        "X-API-KEY": SERPER_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ q: query, gl: "us", hl: lang || "en", num }),
-      signal: controller.signal,
-    });
+// ================= SOURCE RELIABILITY (data/reliability.json — lib/reliability) =================
+const RELIABILITY = createReliabilityRegistry();
 
-    const j = await r.json();
-    console.log("📥 SERPER RESULTS:", (j.organic || []).length);
+// ================= SCORING PROFILES (data/scoring-profiles.json — lib/scoring) =================
+const SCORING = createScoringProfiles();
 
-    return { ok: true, items: (j.organic || []).slice(0, Math.max(1, num)) };
-  } catch (e) {
-    const msg =
-      e?.name === "AbortError" ? `timeout after ${HTTP_TIMEOUT_MS}ms` : (e?.message || "unknown error");
-    console.log("❌ SERPER ERROR:", msg);
-    return { ok: false, error: msg };
-  } finally {
-    clearTimeout(timer);
-  }
-}
+// ================= RELATIONS (data/relations.json — lib/relations) =================
+const RELATIONS = createRelationChecker();
 
-// ================= IA11 PRO CORE (Brutal Standard + WOW PRO) =================
+// ================= PRO QUERY PLANNER (data/query-plan.json — lib/queries) =================
+const QUERY_PLANNER = createQueryPlanner();
 
-// Helpers
-function safeLower(v) {
-  return (v || "").toString().toLowerCase();
-}
+// ================= IA11 PRO CORE (Brutal Standard + WOW PRO) =================
 
-function normalizeUrl(u) {
-  try {
-    const url = new URL(u);
-    url.hash = "";
-    return url.toString();
-  } catch {
-    return u || "";
-  }
+function shouldTreatAsSameQuery(q1, q2) {
+  // Strict mode = higher threshold
+  const threshold = SIMILARITY_STRICT_MODE ? 0.86 : 0.78;
+  return similarityScore(q1, q2) >= threshold;
 }
 
-function domainOf(u) {
-  try {
-    const url = new URL(u);
-    return (url.hostname || "").replace(/^www\./, "");
-  } catch {
-    return "";
-  }
-}
+// ================= CACHE (memory | file | redis — lib/cache) =================
+const SEARCH_CACHE = createSearchCache();
 
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
+function cacheKeyForSerper(query, lang) {
+  return `${normalizeQuery(query)}::${(lang || "en").toLowerCase()}`;
 }
 
-function stripSpaces(s) {
-  return (s || "").toString().replace(/\s+/g, " ").trim();
+async function getCachedSerper(query, lang) {
+  return SEARCH_CACHE.get(cacheKeyForSerper(query, lang));
 }
 
-function normalizeQuery(q) {
-  return stripSpaces(safeLower(q))
-    .replace(/[’'"]/g, "")
-    .replace(/[^a-z0-9\s\u00C0-\u017F]/gi, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+async function setCachedSerper(query, lang, value) {
+  const key = cacheKeyForSerper(query, lang);
+  await SEARCH_CACHE.set(key, value);
+  indexCacheKey(key);
 }
 
-function tokenize(s) {
-  const t = normalizeQuery(s).split(" ").filter(Boolean);
-  return t.length ? t : [];
+// Near-duplicate lookup index (MinHash/LSH, one per language) mirroring the cache keys.
+// Evicted keys are dropped lazily when a candidate no longer resolves; the index is
+// rebuilt periodically so keys written by other instances (shared backend) show up.
+const SIMILAR_INDEX_RESYNC_MS = Number.parseInt(process.env.SIMILAR_INDEX_RESYNC_MS || String(10 * 60 * 1000), 10);
+const SIMILAR_INDEX = new Map(); // lang -> index
+let similarIndexSyncedAt = 0;
+
+function indexCacheKey(key) {
+  const [norm, lang] = key.split("::");
+  if (!SIMILAR_INDEX.has(lang)) SIMILAR_INDEX.set(lang, createSimilarIndex());
+  SIMILAR_INDEX.get(lang).add(key, norm);
 }
 
-function jaccard(aTokens, bTokens) {
-  const A = new Set(aTokens);
-  const B = new Set(bTokens);
-  if (A.size === 0 && B.size === 0) return 1;
-  let inter = 0;
-  for (const x of A) if (B.has(x)) inter++;
-  const union = A.size + B.size - inter;
-  return union === 0 ? 0 : inter / union;
+async function syncSimilarIndex() {
+  if (similarIndexSyncedAt && Date.now() - similarIndexSyncedAt < SIMILAR_INDEX_RESYNC_MS) return;
+  similarIndexSyncedAt = Date.now();
+  for (const idx of SIMILAR_INDEX.values()) idx.clear();
+  for (const key of await SEARCH_CACHE.keys()) indexCacheKey(key);
 }
 
-function levenshtein(a, b) {
-  a = a || "";
-  b = b || "";
-  const m = a.length;
-  const n = b.length;
-  if (m === 0) return n;
-  if (n === 0) return m;
-  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      dp[i][j] = Math.min(
-        dp[i - 1][j] + 1,
-        dp[i][j - 1] + 1,
-        dp[i - 1][j - 1] + cost
-      );
-    }
-  }
-  return dp[m][n];
+function logCache(kind, query) {
+  const st = SEARCH_CACHE.stats();
+  console.log(
+    `🗄️ CACHE ${kind} [${st.backend}]:`,
+    query,
+    `(hits=${st.hits} similar=${st.similarHits} misses=${st.misses} entries=${st.entries ?? "?"})`
+  );
 }
 
-function similarityScore(q1, q2) {
-  const n1 = normalizeQuery(q1);
-  const n2 = normalizeQuery(q2);
-
-  if (!n1 || !n2) return 0;
-
-  if (n1 === n2) return 1;
-
-  const t1 = tokenize(n1);
-  const t2 = tokenize(n2);
+// Exact, then similar-query lookup (to avoid paying Serper on typos/small variations)
+async function getCachedSerperSimilar(query, lang) {
+  const langKey = (lang || "en").toLowerCase();
+  const norm = normalizeQuery(query);
 
-  const jac = jaccard(t1, t2);
+  const exact = await getCachedSerper(query, lang);
+  if (exact) {
+    SEARCH_CACHE.recordHit(false);
+    logCache("HIT", query);
+    return exact;
+  }
 
-  const maxLen = Math.max(n1.length, n2.length);
-  const lev = levenshtein(n1, n2);
-  const levSim = maxLen === 0 ? 0 : 1 - lev / maxLen;
+  await syncSimilarIndex();
+  const index = SIMILAR_INDEX.get(langKey);
 
-  // Weighted blend
-  const sim = 0.65 * jac + 0.35 * levSim;
+  // Candidates from the index, then the exact similarity check
+  for (const k of index ? index.query(norm) : []) {
+    const [cachedNorm] = k.split("::");
 
-  return clamp(sim, 0, 1);
-}
+    if (shouldTreatAsSameQuery(cachedNorm, norm)) {
+      const value = await SEARCH_CACHE.get(k);
+      if (!value) {
+        index.remove(k); // expired / evicted
+        continue;
+      }
+      SEARCH_CACHE.recordHit(true);
+      logCache("HIT~", query);
+      return value;
+    }
+  }
 
-function shouldTreatAsSameQuery(q1, q2) {
-  // Strict mode = higher threshold
-  const threshold = SIMILARITY_STRICT_MODE ? 0.86 : 0.78;
-  return similarityScore(q1, q2) >= threshold;
+  SEARCH_CACHE.recordMiss();
+  logCache("MISS", query);
+  return null;
 }
 
-// ================= CACHE (RAM) =================
-const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 jours
-const SERPER_CACHE = new Map(); // key -> { ts, value }
-
-function cacheKeyForSerper(query, lang) {
-  return `${normalizeQuery(query)}::${(lang || "en").toLowerCase()}`;
-}
+// One lookup: cache (exact/similar), then the provider. Paid calls come out of the
+// analysis budget (queryBudget, shared by its claims) and, in a batch, the batch budget.
+// -> { ok, items, fromCache, paid (0|1), budgetExhausted (batch), budgetSpent (analysis), error }
+async function searchThroughCache(query, lang, { budget = null, queryBudget = null } = {}) {
+  const cached = await getCachedSerperSimilar(query, lang);
+  if (cached) return { ok: true, items: cached, fromCache: true, paid: 0, budgetExhausted: false, error: null };
 
-function getCachedSerper(query, lang) {
-  const key = cacheKeyForSerper(query, lang);
-  const hit = SERPER_CACHE.get(key);
-  if (!hit) return null;
-  if (Date.now() - hit.ts > CACHE_TTL_MS) {
-    SERPER_CACHE.delete(key);
-    return null;
+  if (queryBudget && !queryBudget.take()) {
+    return { ok: false, items: [], fromCache: false, paid: 0, budgetExhausted: false, budgetSpent: true, error: "Query budget spent" };
+  }
+  if (budget && !budget.take()) {
+    queryBudget?.refund();
+    return { ok: false, items: [], fromCache: false, paid: 0, budgetExhausted: true, error: "Query budget exhausted" };
   }
-  return hit.value;
-}
 
-function setCachedSerper(query, lang, value) {
-  const key = cacheKeyForSerper(query, lang);
-  SERPER_CACHE.set(key, { ts: Date.now(), value });
+  const sr = await webSearch(query, lang, 5);
+  if (sr.ok) await setCachedSerper(query, lang, sr.items);
+  return { ok: sr.ok, items: sr.ok ? sr.items : [], fromCache: false, paid: 1, budgetExhausted: false, error: sr.error || null };
 }
 
-// Similar-query cache lookup (to avoid paying Serper on typos/small variations)
-function getCachedSerperSimilar(query, lang) {
-  const langKey = (lang || "en").toLowerCase();
-  const norm = normalizeQuery(query);
+// Batch scope: items asking the same query (same lang) share one lookup, even while
+// it is still in flight, and all paid calls come out of one budget.
+function createBatchSearchSession(budget) {
+  const inflight = new Map(); // cache key -> Promise<lookup>
 
-  // quick pass
-  for (const [k, entry] of SERPER_CACHE.entries()) {
-    if (Date.now() - entry.ts > CACHE_TTL_MS) {
-      SERPER_CACHE.delete(k);
-      continue;
-    }
-    const [cachedNorm, cachedLang] = k.split("::");
-    if (cachedLang !== langKey) continue;
+  return {
+    search(query, lang, queryBudget) {
+      const key = cacheKeyForSerper(query, lang);
+      const pending = inflight.get(key);
+      if (pending) return pending.then((r) => ({ ...r, fromCache: r.ok, paid: 0 }));
+
+      const p = searchThroughCache(query, lang, { budget, queryBudget });
+      inflight.set(key, p);
+      p.catch(() => inflight.delete(key)); // let a later item retry
+      return p;
+    },
+  };
+}
 
-    if (cachedNorm === norm) return entry.value;
+// signal: the caller went away (SSE client disconnected): no more paid lookups
+function lookupFor(session, queryBudget, signal = null) {
+  return (query, lang) => {
+    if (signal?.aborted) throw clientClosed();
+    return session ? session.search(query, lang, queryBudget) : searchThroughCache(query, lang, { queryBudget });
+  };
+}
 
-    if (shouldTreatAsSameQuery(cachedNorm, norm)) {
-      return entry.value;
-    }
-  }
-  return null;
+function clientClosed() {
+  return apiError("CLIENT_CLOSED", "client closed the connection");
 }
 
 // =====================
@@ -313,47 +327,37 @@ function computeWritingScore(text) {
   return clamp(Math.round(score), 0, 100);
 }
 
-function labelFromScore(language, score) {
-  const l = (language || "en").toLowerCase();
-  const fr = l.startsWith("fr");
+// Score band (language-neutral id of the label)
+function bandFromScore(score) {
+  if (score >= 80) return "veryCredible";
+  if (score >= 65) return "credible";
+  if (score >= 50) return "mixed";
+  if (score >= 35) return "dubious";
+  return "veryDubious";
+}
 
-  if (score >= 80) return fr ? "Très crédible" : "Very credible";
-  if (score >= 65) return fr ? "Crédible" : "Credible";
-  if (score >= 50) return fr ? "Moyen" : "Mixed";
-  if (score >= 35) return fr ? "Douteux" : "Dubious";
-  return fr ? "Très douteux" : "Very dubious";
+function labelFromScore(language, score) {
+  return t(language, `label.${bandFromScore(score)}`);
 }
 
-  function computeStandard(text, language) {
+  function computeStandard(text, language, weights) {
   const l = (language || "en").toLowerCase();
   const fr = l.startsWith("fr");
 
-  const clean = stripSpaces(text || "");
-  const claimToCheck = extractMainClaim(clean);
+  const claimToCheck = extractMainClaim(text || "");
 
   // -----------------------
   // Option B (Standard)
-  // 60% Text (semi-intelligent) + 40% Web (1 Serper)
+  // Text (semi-intelligent) + Web (1 Serper), weighted by the scoring profile (60/40 by default)
   // Text score = average of 6 mini-scores (0..100)
   // -----------------------
-  const subs = computeStandardTextSubscores(clean, fr);
+  const { trace, ...subs } = computeStandardTextSubscores(text || "", fr);
   const textScore = Math.round(
     (subs.clarity + subs.nuance + subs.specificity + subs.tone + subs.coherence + subs.plausibility) / 6
   );
 
-  const summary = fr
-    ? "Analyse Standard : score texte (60%) + mini vérification web (40%, 1 requête) sur un point testable."
-    : "Standard analysis: text score (60%) + minimal web check (40%, 1 query) on one testable point.";
-
-  const bullets = {
-    whatWeDid: fr
-      ? "Score texte semi-intelligent (clarté, nuance, cohérence, plausibilité)."
-      : "Semi-intelligent text scoring (clarity, nuance, coherence, plausibility).",
-    whatWeDid2: fr
-      ? "Mini vérification web (1 requête) pour détecter contradiction / corroboration / neutre."
-      : "Minimal web check (1 query) to detect contradiction / corroboration / neutral.",
-    proTease: fr ? "PRO : preuves + sources + recoupement multi-sources." : "PRO: evidence + sources + multi-source cross-checking.",
-  };
+  const summary = standardSummary(language, weights);
+  const bullets = standardBullets(language);
 
   return {
     summary,
@@ -363,57 +367,147 @@ function labelFromScore(language, score) {
       claimToCheck,
       claimStrength: subs.claimStrength, // 0..1
       subscores: subs,
+      trace,
     },
   };
 }
 
+// "text score (60%) + minimal web check (40%…)": the weights of the profile that scored it
+function standardSummary(language, weights) {
+  const pct = (w) => Math.round(Number(w) * 100);
+  return t(language, "standard.summary", { textWeight: pct(weights.textWeight), webWeight: pct(weights.webWeight) });
+}
+
+function standardBullets(language) {
+  return {
+    whatWeDid: t(language, "standard.whatWeDid"),
+    whatWeDid2: t(language, "standard.whatWeDid2"),
+    proTease: t(language, "standard.proTease"),
+  };
+}
+
+const HEDGES_RE = /(peut|pourrait|semble|souvent|parfois|probablement|selon|d'apr[eè]s|il est possible|might|may|seems|often|sometimes|likely|according to)/i;
+const ABSOLUTES_RE = /(100%|toujours|jamais|certain|preuve absolue|impossible|sans aucun doute|obviously|definitely|never|always|no doubt)/i;
+
+// Claim strength (0..1) used for caps if web contradicts
+// tracer (optional): records the rules that fired (see ruleTracer)
+function computeClaimStrength(claim, text, tracer = null) {
+  const c = safeLower(claim || "");
+  const t = safeLower(text || claim || "");
+  const tr = tracer || ruleTracer(t, c);
+
+  let claimStrength = 0.55;
+  claimStrength += tr.claim("claimStrength.copula", "claimStrength", 0.15, /\b(est|is|are|was|were)\b/i);
+  claimStrength += tr.text("claimStrength.absolute", "claimStrength", 0.2, ABSOLUTES_RE);
+  claimStrength += tr.text("claimStrength.hedge", "claimStrength", -0.2, HEDGES_RE);
+  return Math.max(0, Math.min(1, claimStrength));
+}
+
+// Where the main claim sits in the text (claims are whitespace-normalized) -> { start, end } | null
+function locateInText(text, part) {
+  if (!part) return null;
+  const exact = text.indexOf(part);
+  if (exact >= 0) return { start: exact, end: exact + part.length };
+  const re = new RegExp(part.split(/\s+/).map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+"), "i");
+  const m = re.exec(text);
+  return m ? { start: m.index, end: m.index + m[0].length } : null;
+}
+
+// Explainability: every rule that fires -> { rule, subscore, delta, span: { start, end, text } | null }
+// Offsets are in the analysed text (URL mode: title + "\n" + article text); only the first
+// match of a rule is reported, since a rule applies its delta once.
+// text()/claim() test a regex on the whole text / on the main claim, when() a plain condition;
+// each returns the delta it applied (0 when the rule did not fire).
+function ruleTracer(text, claim) {
+  const trace = [];
+  const claimAt = locateInText(text, claim);
+  const claimSrc = claimAt ? text.slice(claimAt.start, claimAt.end) : claim;
+  const claimSpan = claimAt ? { ...claimAt, text: claimSrc } : null;
+
+  const record = (rule, subscore, delta, span) => {
+    trace.push({ rule, subscore, delta, span });
+    return delta;
+  };
+  const match = (rule, subscore, delta, re, src, base) => {
+    const m = re.exec(src);
+    if (!m) return 0;
+    const span = base === null ? null : { start: base + m.index, end: base + m.index + m[0].length, text: m[0] };
+    return record(rule, subscore, delta, span);
+  };
+
+  return {
+    trace,
+    text: (rule, subscore, delta, re) => match(rule, subscore, delta, re, text, 0),
+    claim: (rule, subscore, delta, re) => match(rule, subscore, delta, re, claimSrc, claimAt ? claimAt.start : null),
+    when: (rule, subscore, delta, cond, span = claimSpan) => (cond ? record(rule, subscore, delta, span) : 0),
+  };
+}
+
+// Option B: text / web blend (baseline 60/40), then asymmetric caps — contradiction must hit hard
+// weights: profile.standard (lib/scoring)
+function scoreStandardClaim(textScore, realityScore, reality, claimStrength, weights) {
+  const { textWeight, webWeight, contradictionCap, strongClaimCaps } = weights;
+
+  let score = Math.max(0, Math.min(100, Math.round(textWeight * (textScore || 0) + webWeight * realityScore)));
+
+  if (reality?.classification === "contradiction" || reality?.contradiction) {
+    // Base cap if contradiction
+    let cap = contradictionCap;
+    // Strong, assertive claim + contradiction => stronger cap
+    for (const c of strongClaimCaps) {
+      if (claimStrength >= c.minClaimStrength) cap = Math.min(cap, c.cap);
+    }
+    score = Math.min(score, cap);
+  }
+
+  return score;
+}
+
+// -> { clarity, nuance, specificity, tone, coherence, plausibility, claimStrength, trace }
 function computeStandardTextSubscores(text, fr) {
-  const t = safeLower(text || "");
-  const claim = safeLower(extractMainClaim(text || ""));
+  const src = text || "";
+  const claim = extractMainClaim(src);
+  const tr = ruleTracer(src, claim);
+  const claimLen = safeLower(claim).length;
 
   // 1) Clarity: short, direct, and claim-like
   let clarity = 55;
-  if (/\b(est|sont|is|are|was|were)\b/i.test(claim)) clarity += 10;
-  if (claim.length > 200) clarity -= 10;
-  if (claim.length < 18) clarity -= 8;
-  if (/\b(chose|stuff|truc|qqch|quelque chose)\b/i.test(claim)) clarity -= 8;
+  clarity += tr.claim("clarity.copula", "clarity", 10, /\b(est|sont|is|are|was|were)\b/i);
+  clarity += tr.when("clarity.longClaim", "clarity", -10, claimLen > 200);
+  clarity += tr.when("clarity.shortClaim", "clarity", -8, claimLen < 18);
+  clarity += tr.claim("clarity.vague", "clarity", -8, /\b(chose|stuff|truc|qqch|quelque chose)\b/i);
 
   // 2) Nuance: hedges good, absolutes bad
-  const hedges = /(peut|pourrait|semble|souvent|parfois|probablement|selon|d'apr[eè]s|il est possible|might|may|seems|often|sometimes|likely|according to)/i;
-  const absolutes = /(100%|toujours|jamais|certain|preuve absolue|impossible|sans aucun doute|obviously|definitely|never|always|no doubt)/i;
-
   let nuance = 55;
-  if (hedges.test(t)) nuance += 10;
-  if (absolutes.test(t)) nuance -= 18;
+  nuance += tr.text("nuance.hedge", "nuance", 10, HEDGES_RE);
+  nuance += tr.text("nuance.absolute", "nuance", -18, ABSOLUTES_RE);
 
   // 3) Specificity: dates, numbers, proper nouns
   let specificity = 50;
-  if (/\b\d{2,}\b/.test(text)) specificity += 10;
-  if (/\b(19|20)\d{2}\b/.test(text)) specificity += 6;
-  if (/[A-ZÀ-ÖØ-Ý][a-zà-öø-ÿ]{3,}/.test(text)) specificity += 6;
+  specificity += tr.text("specificity.number", "specificity", 10, /\b\d{2,}\b/);
+  specificity += tr.text("specificity.year", "specificity", 6, /\b(19|20)\d{2}\b/);
+  specificity += tr.text("specificity.properNoun", "specificity", 6, /[A-ZÀ-ÖØ-Ý][a-zà-öø-ÿ]{3,}/);
 
   // 4) Tone: emotional / sensational lowers credibility a bit
   let tone = 60;
-  if (/(!{2,}|!!!|\b(scandale|choquant|honteux|incroyable|ridicule|arnaque|complot|shock|outrage|insane|scam|conspiracy)\b)/i.test(t)) {
-    tone -= 15;
-  }
+  tone += tr.text(
+    "tone.sensational",
+    "tone",
+    -15,
+    /(!{2,}|!!!|\b(scandale|choquant|honteux|incroyable|ridicule|arnaque|complot|shock|outrage|insane|scam|conspiracy)\b)/i
+  );
 
   // 5) Coherence: direct contradictions inside the text
   let coherence = 60;
-  if (/\b(n'est pas|ne sont pas|is not|are not)\b/i.test(t) && /\b(est|sont|is|are)\b/i.test(t)) coherence -= 12;
-  if (/\b(mais|cependant|pourtant|however|but)\b/i.test(t) && claim.length < 40) coherence -= 5; // short claim with "but" often messy
+  if (/\b(est|sont|is|are)\b/i.test(src)) coherence += tr.text("coherence.negation", "coherence", -12, /\b(n'est pas|ne sont pas|is not|are not)\b/i);
+  if (claimLen < 40) coherence += tr.text("coherence.butShortClaim", "coherence", -5, /\b(mais|cependant|pourtant|however|but)\b/i); // short claim with "but" often messy
 
   // 6) Plausibility: light red flags (without pretending to be "truth")
   let plausibility = 60;
-  if (/\b(pays nordique|nordic country|scandinave|scandinavian)\b/i.test(claim)) plausibility -= 8; // will be confirmed by web
-  if (/\b(la terre est plate|flat earth)\b/i.test(claim)) plausibility -= 20;
+  plausibility += tr.claim("plausibility.nordic", "plausibility", -8, /\b(pays nordique|nordic country|scandinave|scandinavian)\b/i); // will be confirmed by web
+  plausibility += tr.claim("plausibility.flatEarth", "plausibility", -20, /\b(la terre est plate|flat earth)\b/i);
 
-  // Claim strength (0..1) used for caps if web contradicts
-  let claimStrength = 0.55;
-  if (/\b(est|is|are|was|were)\b/i.test(claim)) claimStrength += 0.15;
-  if (absolutes.test(t)) claimStrength += 0.20;
-  if (hedges.test(t)) claimStrength -= 0.20;
-  claimStrength = Math.max(0, Math.min(1, claimStrength));
+  const claimStrength = computeClaimStrength(claim, src, tr);
 
   // Clamp subscores 0..100
   const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
@@ -426,14 +520,23 @@ function computeStandardTextSubscores(text, fr) {
     coherence: clamp(coherence),
     plausibility: clamp(plausibility),
     claimStrength,
+    trace: tr.trace,
   };
 }
 
+// Most check-worthy sentence (see lib/claims.js), not just the first one
 function extractMainClaim(text) {
   const t = stripSpaces(text);
   if (!t) return "";
-  const first = t.split(/[\.\n]/)[0];
-  return stripSpaces(first).slice(0, 180);
+  const top = extractClaims(text, { max: 1 })[0];
+  return top ? top.text : t.slice(0, 180);
+}
+
+// Claims sent through the checks (best first). Never empty for non-empty text.
+function claimsForAnalysis(text) {
+  const list = extractClaims(text || "", { max: clamp(MAX_CLAIMS, 1, 10) });
+  if (list.length) return list;
+  return [{ id: "c1", text: extractMainClaim(text), position: 0, checkWorthiness: 0 }];
 }
 
 function looksLikeVerifiableClaim(claim) {
@@ -444,10 +547,9 @@ function looksLikeVerifiableClaim(claim) {
   return true;
 }
 
-async function runStandardRealityCheck(text, language, claimHint) {
+async function runStandardRealityCheck(text, language, claimHint, opts = {}) {
   // Standard = cheap: 0 or 1 Serper query max.
   const l = (language || "en").toLowerCase();
-  const fr = l.startsWith("fr");
 
   const claim = stripSpaces(claimHint || extractMainClaim(text));
   const isVerifiable = looksLikeVerifiableClaim(claim);
@@ -457,58 +559,66 @@ async function runStandardRealityCheck(text, language, claimHint) {
       return { used: false, realityScore: 52, verdict: null, checkedClaim: null, contradiction: false, classification: "neutral" };
     }
 
-    if (!SERPER_KEY) {
+    if (!SEARCH.isAvailable()) {
       return {
         used: false,
         realityScore: isVerifiable ? 45 : 52,
-        verdict: fr ? "Vérification web indisponible (clé manquante)." : "Web check unavailable (missing key).",
+        verdict: t(l, "reality.unavailable"),
         checkedClaim: claim,
         contradiction: false,
         classification: "neutral",
       };
     }
 
-    // CACHED? exact or similar
-    const cached = getCachedSerperSimilar(claim, l);
-    if (cached) {
-      const rr = estimateRealityFromSearch(cached, fr, claim);
+    // CACHED? exact or similar (then provider)
+    const sr = await lookupFor(opts.session, opts.queryBudget, opts.signal)(claim, l);
+    if (sr.fromCache) {
+      const rr = estimateRealityFromSearch(sr.items, claim, l, opts.tenantId);
       return {
         used: true,
         fromCache: true,
         realityScore: rr.realityScore,
-        verdict: fr ? "Mini vérif via cache." : "Mini check via cache.",
+        verdict: t(l, "reality.cache"),
         checkedClaim: claim,
         contradiction: rr.contradiction,
         classification: rr.classification,
+        relation: relationRationale(l, rr.rationale),
+        numbers: numbersRationale(l, rr.numbers),
+        temporal: rr.temporal,
       };
     }
 
-    const sr = await serperSearch(claim, l, 5);
     if (!sr.ok) {
       return {
         used: false,
+        fromCache: false,
+        searchCalls: sr.paid,
+        budgetExhausted: sr.budgetExhausted,
         realityScore: isVerifiable ? 45 : 52,
-        verdict: sr.error || null,
+        verdict: sr.budgetExhausted ? t(l, "reality.budget") : sr.budgetSpent ? t(l, "reality.budgetSpent") : sr.error || null,
         checkedClaim: claim,
         contradiction: false,
         classification: "neutral",
       };
     }
 
-    setCachedSerper(claim, l, sr.items);
-
-    const rr = estimateRealityFromSearch(sr.items, fr, claim);
+    const rr = estimateRealityFromSearch(sr.items, claim, l, opts.tenantId);
 
     return {
       used: true,
       fromCache: false,
+      searchCalls: sr.paid,
       realityScore: rr.realityScore,
-      verdict: fr ? "Mini vérification web effectuée (1 requête)." : "Minimal web check completed (1 query).",
+      verdict: t(l, "reality.done"),
       checkedClaim: claim,
       contradiction: rr.contradiction,
       classification: rr.classification,
+      relation: relationRationale(l, rr.rationale),
+      numbers: numbersRationale(l, rr.numbers),
+      temporal: rr.temporal,
     };
   } catch (e) {
+    if (e?.code === "CLIENT_CLOSED") throw e;
     return {
       used: false,
       realityScore: isVerifiable ? 45 : 52,
@@ -520,220 +630,154 @@ async function runStandardRealityCheck(text, language, claimHint) {
   }
 }
 
-function estimateRealityFromSearch(items, fr, claim) {
+function estimateRealityFromSearch(items, claim, language, tenantId) {
   const list = Array.isArray(items) ? items : [];
-  if (!list.length) return { realityScore: 52, contradiction: false, classification: "neutral" };
-
-  const claimText = safeLower(stripSpaces(claim || ""));
-  const blob = safeLower(
-    list
-      .map((it) => `${it.title || ""} ${it.snippet || it.description || ""} ${it.link || it.url || ""}`)
-      .join(" ")
-  );
-
-  // Quick explicit "not true / false" signals
-  const explicitNo = /\b(not true|false|incorrect|myth|hoax|faux|incorrect|fausse|mythe)\b/i.test(blob);
-
-  // Detect "X is a TYPE" / "X est une TYPE"
-  const mType =
-    claimText.match(/(.+?)\s+est\s+une?\s+(plan[eè]te|pays|ville|continent|oc[eé]an)/i) ||
-    claimText.match(/(.+?)\s+is\s+an?\s+(planet|country|city|continent|ocean)/i);
-
-  if (mType) {
-    const rawSubject = stripSpaces(mType[1] || "");
-    const rawType = safeLower(mType[2] || "");
-
-    const subjectToken =
-      safeLower(rawSubject)
-        .split(/\s+/)
-        .filter((w) => w && !["le", "la", "les", "un", "une", "des", "du", "de", "the", "a", "an"].includes(w))
-        .sort((a, b) => b.length - a.length)[0] || safeLower(rawSubject);
-
-    const mentionsSubject = subjectToken && blob.includes(subjectToken);
-
-    const claimPlanet = ["planet", "planète", "planete"].includes(rawType);
-    const claimCountry = ["country", "pays"].includes(rawType);
-    const claimCity = ["city", "ville"].includes(rawType);
-
-    const evSaysCountry = mentionsSubject && /\b(country|pays|nation|state)\b/i.test(blob);
-    const evSaysPlanet = mentionsSubject && /\b(planet|plan[eè]te|planete)\b/i.test(blob);
-    const evSaysCity = mentionsSubject && /\b(city|ville)\b/i.test(blob);
-
-    if ((claimPlanet && evSaysCountry) || (claimCity && evSaysCountry) || (claimCountry && evSaysPlanet)) {
-      return { realityScore: 15, contradiction: true, classification: "contradiction" };
-    }
-
-    if ((claimCountry && evSaysCountry) || (claimPlanet && evSaysPlanet) || (claimCity && evSaysCity)) {
-      return { realityScore: 68, contradiction: false, classification: "corroboration" };
-    }
+  if (!list.length) return { realityScore: 52, contradiction: false, classification: "neutral", rationale: null, numbers: null, temporal: null };
+
+  // Results written before the event the claim describes cannot speak to it
+  const when = analyzeTemporal(claim);
+  const temporal = { ...when, ...summarizeRecency(list.map((it) => ({ publishedAt: it.date })), when) };
+  const current = list.filter((it) => !predates(it.date, when));
+  if (!current.length) return { realityScore: 52, contradiction: false, classification: "neutral", rationale: null, numbers: null, temporal };
+
+  // Subject / predicate / object vs the snippets (data/relations.json), figures vs figures (lib/numbers)
+  const rel = RELATIONS.check(claim, current, { language });
+  const numbers = checkNumbers(claim, current);
+  // Figures decide for a claim that has some ("500 m tall" restates "tall", not the height),
+  // unless they say nothing and the relation is denied
+  const check = numbers && (numbers.classification !== "neutral" || rel.classification !== "contradiction") ? numbers : rel;
+
+  if (check.classification === "contradiction") {
+    return { realityScore: check.contradict >= 2 ? 12 : 15, contradiction: true, classification: "contradiction", rationale: rel, numbers, temporal };
   }
-
-  // Detect "X is nordic/scandinavian" / "X est nordique"
-  const mNordic =
-    claimText.match(/(.+?)\s+est\s+un\s+pays\s+nordique/i) ||
-    claimText.match(/(.+?)\s+is\s+a\s+nordic\s+country/i) ||
-    claimText.match(/(.+?)\s+est\s+nordique/i) ||
-    claimText.match(/(.+?)\s+is\s+nordic/i) ||
-    claimText.match(/(.+?)\s+est\s+scandinave/i) ||
-    claimText.match(/(.+?)\s+is\s+scandinavian/i);
-
-  if (mNordic) {
-    const rawSubject = stripSpaces(mNordic[1] || "");
-    const subjectToken =
-      safeLower(rawSubject)
-        .split(/\s+/)
-        .filter((w) => w && !["le", "la", "les", "un", "une", "des", "du", "de", "the", "a", "an"].includes(w))
-        .sort((a, b) => b.length - a.length)[0] || safeLower(rawSubject);
-
-    const mentionsSubject = subjectToken && blob.includes(subjectToken);
-
-    const evNordic = mentionsSubject && /\b(nordic|scandinav|scandinave)\b/i.test(blob);
-    const evNA = mentionsSubject && /\b(north america|am[eé]rique du nord|latin america|am[eé]rique latine|central america|am[eé]rique centrale)\b/i.test(blob);
-    const evEurope = mentionsSubject && /\b(europe|europ[eé]en|europ[eé]enne|scandinavia|scandinavie)\b/i.test(blob);
-    const evNotNordic = mentionsSubject && /\b(not a nordic|not nordic|pas nordique|non nordique)\b/i.test(blob);
-
-    if (evNotNordic || (evNA && !evNordic && !evEurope) || explicitNo) {
-      return { realityScore: 12, contradiction: true, classification: "contradiction" };
-    }
-
-    if (evNordic || evEurope) {
-      return { realityScore: 66, contradiction: false, classification: "corroboration" };
-    }
-
-    return { realityScore: 52, contradiction: false, classification: "neutral" };
+  if (check.classification === "corroboration") {
+    return { realityScore: check.support >= 2 ? 68 : 66, contradiction: false, classification: "corroboration", rationale: rel, numbers, temporal };
   }
 
-  // No clear stance → light heuristic via trusted domains (neutral-ish, not too high)
-  const trusted = [
-    "wikipedia.org",
-    "britannica.com",
-    "who.int",
-    "cdc.gov",
-    "nih.gov",
-    "un.org",
-    "oecd.org",
-    "worldbank.org",
-    "statcan.gc.ca",
-    "gouv.qc.ca",
-    "gc.ca",
-  ];
-
+  // No clear stance → light heuristic via high-reliability domains (neutral-ish, not too high)
   let trustHits = 0;
-  for (const it of list) {
+  for (const it of current) {
     const d = domainOf(it.link || it.url || "");
-    if (trusted.includes(d)) trustHits++;
+    if (RELIABILITY.classify(d, tenantId).tier === "high") trustHits++;
   }
 
-  if (trustHits >= 2) return { realityScore: 58, contradiction: false, classification: "neutral" };
-  if (trustHits === 1) return { realityScore: 55, contradiction: false, classification: "neutral" };
-  return { realityScore: 52, contradiction: false, classification: "neutral" };
+  const realityScore = trustHits >= 2 ? 58 : trustHits === 1 ? 55 : 52;
+  return { realityScore, contradiction: false, classification: "neutral", rationale: rel, numbers, temporal };
 }
 
-// =====================
-// PRO CORE (Evidence + buckets + sources)
-// =====================
-
-function reliabilityFromDomain(domain) {
-  const d = (domain || "").toLowerCase();
-  if (!d) return "unknown";
-
-  const high = [
-    "who.int",
-    "cdc.gov",
-    "nih.gov",
-    "un.org",
-    "oecd.org",
-    "worldbank.org",
-    "statcan.gc.ca",
-    "gc.ca",
-    "gouv.qc.ca",
-    "nature.com",
-    "science.org",
-    "nejm.org",
-    "thelancet.com",
-    "reuters.com",
-    "apnews.com",
-    "bbc.co.uk",
-    "bbc.com",
-    "nytimes.com",
-    "washingtonpost.com",
-    "theguardian.com",
-    "economist.com",
-    "britannica.com",
-    "wikipedia.org"
-  ];
-
-  const medium = [
-    "medium.com",
-    "forbes.com",
-    "bloomberg.com",
-    "cnbc.com",
-    "theconversation.com",
-    "wired.com",
-    "theverge.com"
-  ];
-
-  if (high.includes(d)) return "high";
-  if (medium.includes(d)) return "medium";
-  return "low";
+// Relation check -> public rationale (text rebuilt by /translate-analysis)
+function relationRationale(language, rel) {
+  if (!rel) return null;
+  const r = rel.relation;
+  const text = r
+    ? t(language, `relation.${rel.classification}`, {
+        relation: `${r.subject} ${r.negated ? "↛" : "→"} ${r.object}`,
+        support: rel.support,
+        contradict: rel.contradict,
+      })
+    : t(language, "relation.unparsed");
+  return { ...rel, text };
 }
 
-function stanceHeuristic(text, claim) {
-  // Very lightweight stance: unknown/neutral by default
-  // (You can upgrade later with NLP)
-  return "neutral";
+// Figures check -> public summary with the conflicting figures quoted (items: PRO adds the source urls)
+function numbersRationale(language, numbers, items) {
+  if (!numbers) return null;
+  const { verdicts: _v, ...rest } = numbers;
+  const quoted = rest.evidence.find((e) => (rest.classification === "contradiction" ? e.stance === "contradicts" : e.stance === "corroborates"));
+  const evidence = items
+    ? rest.evidence.map((e) => ({ ...e, url: items[e.rank - 1]?.url, domain: items[e.rank - 1]?.domain }))
+    : rest.evidence;
+  const text = t(language, `numbers.${rest.classification}`, { claimed: rest.claimed.join(", "), found: quoted?.found });
+  return { ...rest, evidence, text };
 }
 
-async function runProEvidence(text, language) {
-  const l = (language || "en").toLowerCase();
-  const fr = l.startsWith("fr");
+// =====================
+// PRO CORE (Evidence + buckets + sources)
+// =====================
 
-  const claim = stripSpaces(extractMainClaim(text)) || stripSpaces(text).slice(0, 200);
+async function runProEvidence(text, language, opts = {}) {
+  const l = (language || "en").toLowerCase();
 
-  // Queries (max controlled)
-  const q1 = claim;
-  const q2 = `fact check ${claim}`;
-  const q3 = `${claim} source`;
-  const q4 = `${claim} statistics`;
+  const claim = stripSpaces(opts.claim || extractMainClaim(text)) || stripSpaces(text).slice(0, 200);
+  const maxQueries = opts.maxQueries ?? MAX_SERPER_QUERIES_ENV;
 
-  const queries = [q1, q2, q3, q4].filter(Boolean).slice(0, clamp(MAX_SERPER_QUERIES_ENV, 1, 4));
+  // Queries (max controlled): claim + templates in the claim's language, near-duplicates dropped
+  const plan = QUERY_PLANNER.plan(claim, { language: l, max: clamp(maxQueries, 1, 4) });
+  const queries = plan.queries.map((q) => q.query);
 
   let allItems = [];
   let usedQueries = 0;
   let fromCache = false;
-
-  for (const q of queries) {
-    // Try cache exact/similar
-    const cached = getCachedSerperSimilar(q, l);
-    if (cached) {
+  let cacheHits = 0;
+  let cacheMisses = 0;
+  let searchCalls = 0; // paid provider queries (cache misses that reached the provider)
+  let budgetExhausted = false;
+  const lookup = lookupFor(opts.session, opts.queryBudget, opts.signal);
+  const stage = opts.onStage || (() => {});
+
+  for (const [i, q] of queries.entries()) {
+    // Cache exact/similar, then provider
+    const sr = await lookup(q, l);
+    // Partial sources as they arrive (raw provider items, before stance/dedup)
+    stage("search", {
+      claim,
+      query: q,
+      queryKind: plan.queries[i].kind,
+      queryIndex: i + 1,
+      queriesPlanned: queries.length,
+      fromCache: sr.fromCache,
+      ok: sr.ok,
+      budgetExhausted: sr.budgetExhausted,
+      sources: sr.items.slice(0, 5).map((it) => {
+        const url = normalizeUrl(it.link || it.url || "");
+        return { title: it.title || "", url, domain: domainOf(url) };
+      }),
+    });
+    if (sr.fromCache) {
       fromCache = true;
-      allItems = allItems.concat(cached);
+      cacheHits++;
+      allItems = allItems.concat(sr.items);
       usedQueries++;
       continue;
     }
+    cacheMisses++;
 
-    const sr = await serperSearch(q, l, 5);
+    if (sr.budgetExhausted) {
+      budgetExhausted = true;
+      continue;
+    }
+    if (sr.budgetSpent) continue;
     usedQueries++;
+    searchCalls += sr.paid;
 
     if (sr.ok) {
-      setCachedSerper(q, l, sr.items);
       allItems = allItems.concat(sr.items);
     } else {
       // ignore failures, keep going
     }
   }
 
-  // Normalize serper item format into {title,url,domain,snippet}
+  // Normalize provider items into {title,url,domain,snippet,publishedAt} + stance vs claim
+  const claimInfo = analyzeClaim(claim);
+  const temporal = analyzeTemporal(claim);
   const normalized = (allItems || []).map((it) => {
     const url = normalizeUrl(it.link || it.url || "");
     const domain = domainOf(url);
+    const st = classifyStance(claim, it, claimInfo);
+    const rel = RELIABILITY.classify(domain, opts.tenantId);
     return {
       title: it.title || "",
       url,
       domain,
       snippet: it.snippet || it.description || "",
-      reliability: reliabilityFromDomain(domain),
-      stance: stanceHeuristic(text, claim),
+      publishedAt: it.date || null,
+      recencyWeight: recencyWeight(it.date, temporal),
+      reliability: rel.tier,
+      reliabilityCategory: rel.category,
+      reliabilityWeight: rel.weight,
+      stance: st.stance,
+      stanceConfidence: st.confidence,
+      stanceSignals: st.signals,
     };
   });
 
@@ -747,7 +791,19 @@ async function runProEvidence(text, language) {
     items.push(it);
   }
 
-  // Buckets (simple)
+  // Figures in the claim vs figures in each snippet: a match or a conflict outranks the vocabulary
+  const numbers = checkNumbers(claim, items);
+  if (numbers) {
+    items.forEach((it, i) => {
+      const v = numbers.verdicts[i];
+      if (!v) return;
+      it.stance = v.stance;
+      it.stanceConfidence = Math.max(it.stanceConfidence, 0.75);
+      it.stanceSignals = [...it.stanceSignals, v.verdict === "match" ? "numeric_match" : "numeric_conflict"];
+    });
+  }
+
+  // Buckets by stance (most confident first)
   const buckets = {
     corroborates: [],
     contradicts: [],
@@ -755,16 +811,33 @@ async function runProEvidence(text, language) {
   };
 
   for (const it of items.slice(0, 12)) {
-    // placeholder: keep neutral
-    buckets.neutral.push({
+    buckets[it.stance].push({
       title: it.title,
       url: it.url,
       domain: it.domain,
       snippet: it.snippet,
+      publishedAt: it.publishedAt,
+      stanceConfidence: it.stanceConfidence,
     });
   }
 
-  const evidence = buildEvidenceScore(items, fr);
+  for (const k of Object.keys(buckets)) {
+    buckets[k].sort((a, b) => b.stanceConfidence - a.stanceConfidence);
+  }
+  stage("normalize", {
+    claim,
+    sources: items.length,
+    duplicatesDropped: normalized.length - items.length,
+    stanceCounts: Object.fromEntries(Object.entries(buckets).map(([k, v]) => [k, v.length])),
+  });
+
+  const evidence = buildEvidenceScore(items, l, temporal);
+  stage("evidence", {
+    claim,
+    evidenceScore: evidence.evidenceScore,
+    confidence: evidence.confidence,
+    strongRefute: !!evidence.strongRefute,
+  });
 
   return {
     claim,
@@ -772,18 +845,40 @@ async function runProEvidence(text, language) {
     buckets,
     queriesUsed: usedQueries,
     fromCache,
+    cacheHits,
+    cacheMisses,
+    searchCalls,
+    budgetExhausted,
     evidence,
+    numbers: numbersRationale(l, numbers, items),
+    temporal: { ...temporal, ...evidence.recency },
+    queryPlan: plan,
   };
 }
 
-function buildEvidenceScore(items, fr) {
+// Notes only depend on the stance counts and the recency summary (pro.temporal),
+// so /translate-analysis can rebuild them
+function evidenceNotes(stance, language, recency) {
+  if (!stance) return [t(language, "evidence.fewSources")];
+  const notes = [];
+  if (stance.contradicts) notes.push(t(language, "evidence.contradicts", { n: stance.contradicts }));
+  if (stance.corroborates) notes.push(t(language, "evidence.corroborates", { n: stance.corroborates }));
+  if (!stance.contradicts && !stance.corroborates) notes.push(t(language, "evidence.noPosition"));
+  if (recency?.predatesEvent) notes.push(t(language, "evidence.predatesEvent"));
+  else if (recency?.staleSources) notes.push(t(language, "evidence.staleSources", { n: recency.staleSources }));
+  return notes;
+}
+
+// temporal: analyzeTemporal(claim) — stance weights follow item.recencyWeight
+function buildEvidenceScore(items, language, temporal) {
   const list = Array.isArray(items) ? items : [];
   if (!list.length) {
     return {
       evidenceScore: 45,
       confidence: 10,
       strongRefute: false,
-      notes: [fr ? "Peu de sources trouvées." : "Few sources found."],
+      recency: null,
+      notes: evidenceNotes(null, language),
     };
   }
 
@@ -793,164 +888,403 @@ function buildEvidenceScore(items, fr) {
   let med = 0;
   let low = 0;
 
+  // Stance weights: reliability (registry weight, else tier) x stance confidence
+  const relWeight = { high: 1, medium: 0.6, low: 0.3 };
+  const stance = { corroborates: 0, contradicts: 0, neutral: 0 };
+  let corroW = 0;
+  let contraW = 0;
+  let highContra = 0;
+
   for (const it of list.slice(0, 10)) {
     if (it.reliability === "high") high++;
     else if (it.reliability === "medium") med++;
     else low++;
+
+    const s = it.stance === "corroborates" || it.stance === "contradicts" ? it.stance : "neutral";
+    stance[s]++;
+
+    const rw = Number.isFinite(it.reliabilityWeight) ? it.reliabilityWeight : relWeight[it.reliability] || 0.3;
+    const w = rw * (Number(it.stanceConfidence) || 0.5) * (Number.isFinite(it.recencyWeight) ? it.recencyWeight : 1);
+    if (s === "corroborates") corroW += w;
+    if (s === "contradicts") {
+      contraW += w;
+      if (it.reliability === "high") highContra++;
+    }
   }
 
   score += high * 10 + med * 4 - low * 2;
   confidence += high * 12 + med * 5 - low * 2;
 
+  // Sources taking a position move the score; contradiction hits harder than corroboration
+  score += Math.min(20, corroW * 8) - Math.min(45, contraW * 15);
+  confidence += Math.min(25, (corroW + contraW) * 8);
+
+  // Strong refutation: several contradicting sources, at least one reliable, clearly outweighing support
+  const strongRefute =
+    stance.contradicts >= 2 && highContra >= 1 && contraW >= 1.2 && contraW > 2 * corroW;
+
+  if (strongRefute) score = Math.min(score, 20);
+
+  // Sources older than the event: whatever they say, we do not know much
+  const recency = summarizeRecency(list.slice(0, 10), temporal);
+  if (recency.predatesEvent) confidence = Math.min(confidence, 40);
+
   score = clamp(Math.round(score), 5, 95);
   confidence = clamp(Math.round(confidence), 5, 95);
 
   return {
     evidenceScore: score,
     confidence,
-    strongRefute: false,
-    notes: [],
+    strongRefute,
+    stance,
+    recency,
+    notes: evidenceNotes(stance, language, recency),
   };
 }
 
-function computeProFinalScore(text, language, writingScore, evidenceScore, strongRefute, verifiable) {
+// weights: profile.pro (lib/scoring)
+function computeProFinalScore(text, language, writingScore, evidenceScore, strongRefute, verifiable, weights) {
   // Weighted blend
-  let score = Math.round(0.35 * writingScore + 0.65 * evidenceScore);
+  let score = Math.round(weights.writingWeight * writingScore + weights.evidenceWeight * evidenceScore);
 
   // If strong refutation, crush score (but not absolute)
-  if (strongRefute) score = Math.min(score, 18);
+  if (strongRefute) score = Math.min(score, weights.strongRefuteCap);
 
   // If claim not verifiable, mild penalty
-  if (!verifiable) score -= 8;
+  if (!verifiable) score -= weights.unverifiablePenalty;
 
   return clamp(score, 0, 100);
 }
 
-function buildProExplanation(language, claim, evidence, buckets) {
-  const l = (language || "en").toLowerCase();
-  const fr = l.startsWith("fr");
+function classificationFromEvidence(evidence) {
+  const st = evidence?.stance || {};
+  if (evidence?.strongRefute || (st.contradicts || 0) > (st.corroborates || 0)) return "contradiction";
+  if ((st.corroborates || 0) > (st.contradicts || 0)) return "corroboration";
+  return "neutral";
+}
+
+// Aggregate per-claim scores: weighted by check-worthiness, and a contradicted claim
+// drags the whole content down (one false claim is enough to mislead). weights: profile.rollup
+function rollupClaimScores(claims, weights) {
+  const list = Array.isArray(claims) ? claims : [];
+  if (!list.length) return 50;
+
+  let sum = 0;
+  let wsum = 0;
+  for (const c of list) {
+    const w = Math.max(weights.minClaimWeight, Number(c.checkWorthiness) || 0);
+    sum += w * c.score;
+    wsum += w;
+  }
+  let score = Math.round(sum / wsum);
+
+  const contradicted = list.filter((c) => c.classification === "contradiction");
+  if (contradicted.length) {
+    const worst = Math.min(...contradicted.map((c) => c.score));
+    score = Math.min(score, worst + weights.contradictionMargin);
+  }
+
+  return clamp(score, 0, 100);
+}
 
+function buildProExplanation(language, claim, evidence, buckets) {
   const evScore = evidence?.evidenceScore ?? 0;
   const conf = evidence?.confidence ?? 0;
 
-  const intro = fr
-    ? `Explication PRO (guide de crédibilité, pas un verdict).`
-    : `PRO explanation (credibility guidance, not an absolute verdict).`;
+  const intro = t(language, "pro.explanation.intro");
+  const claimLine = t(language, "pro.explanation.claim", {
+    claim: claim || t(language, "pro.explanation.claimUnspecified"),
+  });
+  const scoreLine = t(language, "pro.explanation.score", { score: evScore, confidence: conf });
 
-  const claimLine = fr
-    ? `Claim analysé : ${claim || "(non spécifié)"}`
-    : `Analyzed claim: ${claim || "(not specified)"}`;
+  // Prefer full stance counts (evidence.stance); fall back to the (truncated) buckets
+  const counts = evidence?.stance || {
+    corroborates: (buckets?.corroborates || []).length,
+    contradicts: (buckets?.contradicts || []).length,
+    neutral: (buckets?.neutral || []).length,
+  };
 
-  const scoreLine = fr
-    ? `Score preuves : ${evScore}/100 — Confiance : ${conf}/100.`
-    : `Evidence score: ${evScore}/100 — Confidence: ${conf}/100.`;
+  const bucketLine = t(language, "pro.explanation.buckets", counts);
+  const cautions = t(language, "pro.explanation.limits");
 
-  const bucketLine = fr
-    ? `Sources triées : corroboration / contradiction / neutre (selon signaux simples).`
-    : `Sources grouped: corroboration / contradiction / neutral (simple signals).`;
+  return [intro, claimLine, scoreLine, bucketLine, cautions].join("\n");
+}
 
-  const cautions = fr
-    ? `Limites : les résultats dépendent des sources accessibles et du contexte.`
-    : `Limits: results depend on accessible sources and context.`;
+// =====================
+// ARTICLE CONTEXT (URL mode)
+// =====================
 
-  return [intro, claimLine, scoreLine, bucketLine, cautions].join("\n");
+// Extractive summary: always for fetched articles, for pasted text only when it is article-sized
+function buildArticleSummary(text, article) {
+  if (article) return summarizeExtractive(article.text);
+  const t = stripSpaces(text);
+  if (t.length < 400) return "";
+  return summarizeExtractive(text);
+}
+
+function publicArticle(article) {
+  if (!article) return null;
+  const { text, ...meta } = article;
+  return { ...meta, textLength: (text || "").length };
+}
+
+// Publisher metadata adjusts the "context" breakdown (who published it, who signed it, when)
+function articleContext(article, base, language, tenantId) {
+  if (!article) return base;
+
+  const rel = RELIABILITY.classify(article.publisher, tenantId).tier;
+  let points = base.points;
+  if (rel === "high") points += 12;
+  else if (rel === "medium") points += 5;
+  else points -= 5;
+  points += article.byline ? 5 : -3;
+  points += article.publishedAt ? 5 : -3;
+
+  const date = article.publishedAt ? article.publishedAt.slice(0, 10) : null;
+
+  const reason = t(language, "article.context", {
+    site: article.siteName || article.publisher,
+    reliability: t(language, `reliability.${["high", "medium", "low"].includes(rel) ? rel : "unknown"}`),
+    author: article.byline ? t(language, "article.by", { byline: article.byline }) : t(language, "article.noAuthor"),
+    date: date ? t(language, "article.published", { date }) : t(language, "article.noDate"),
+  });
+
+  return { points: clamp(Math.round(points), 0, 100), reason };
 }
 
 // =====================
 // MAIN API (Lovable-compatible)
 // =====================
 
-// Optional auth: if IA11_API_KEY is set, require x-ia11-key header
-function authCheck(req, res) {
-  if (!IA11_KEY) return true;
-  if (req.headers["x-ia11-key"] !== IA11_KEY) {
-    res.status(401).json({ error: "Invalid key" });
-    return false;
+function presentedKey(req) {
+  const h = req.headers["x-ia11-key"];
+  if (typeof h === "string" && h) return h;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1].trim() : "";
+}
+
+// Auth: once any key exists (registry or IA11_API_KEY), require x-ia11-key (or Bearer).
+// Sets req.tenant = { tenantId, plan, keyId }; throws UNAUTHORIZED / ORIGIN_NOT_ALLOWED.
+function authenticate(req) {
+  if (!KEYS.authRequired()) {
+    req.tenant = { tenantId: "anonymous", plan: OPEN_ACCESS_PLAN, keyId: null };
+    return;
   }
-  return true;
+
+  const tenant = KEYS.verify(presentedKey(req));
+  if (!tenant) throw apiError("UNAUTHORIZED", "Invalid key");
+  if (!originAllowed(tenant, req.headers.origin)) throw apiError("ORIGIN_NOT_ALLOWED", "Origin not allowed for this key");
+
+  req.tenant = tenant;
 }
 
-async function analyzeCore(req, { content, analysisType, language }) {
-  const text = content;
-  const mode = safeLower(analysisType) === "pro" ? "pro" : "standard";
+// Admin routes: disabled unless IA11_ADMIN_KEY is set; header x-ia11-admin-key
+function authenticateAdmin(req) {
+  const presented = req.headers["x-ia11-admin-key"];
+  if (!IA11_ADMIN_KEY || typeof presented !== "string" || !safeEqual(presented, IA11_ADMIN_KEY)) {
+    throw apiError("ADMIN_UNAUTHORIZED", "Invalid admin key");
+  }
+}
 
-  // RATE LIMIT (Standard vs Pro)
-  const limit = mode === "pro" ? RATE_LIMIT_PRO : RATE_LIMIT_STANDARD;
-  const rl = rateLimitCheck(req, mode, limit);
-  if (!rl.ok) {
-    const err = new Error("RATE_LIMIT");
-    err.httpStatus = 429;
-    err.retryAfterSec = rl.retryAfterSec;
-    err.limitPerMin = limit;
-    err.analysisType = mode;
-    throw err;
+function requireAuth(req, res, next) {
+  try {
+    authenticate(req);
+    next();
+  } catch (e) {
+    next(e);
   }
+}
 
-  // -----------------------
-  // STANDARD
-  // -----------------------
-  if (mode === "standard") {
-        const standardOut = computeStandard(text, language);
+function requireAdmin(req, res, next) {
+  try {
+    authenticateAdmin(req);
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+// -> { language (used everywhere downstream), detection (reported in the result) }
+function resolveLanguage(text, hint) {
+  const det = detectLanguage(text);
+  const h = safeLower(stripSpaces(hint || ""));
+  const hintBase = h.split(/[-_]/)[0];
+
+  let language = h || "en";
+  let source = h ? "hint" : "default";
+
+  if (det.lang) {
+    if (!h && det.confidence >= LANG_DETECT_MIN_CONFIDENCE) {
+      language = det.lang;
+      source = "detected";
+    } else if (
+      h &&
+      hintBase !== det.lang &&
+      det.confidence >= LANG_DETECT_OVERRIDE_CONFIDENCE &&
+      (det.scores[hintBase] ?? 0) < 0.05
+    ) {
+      language = det.lang;
+      source = "override";
+    }
+  }
 
-    // 1 mini check Serper sur 1 claim prioritaire (sans afficher de sources à l'utilisateur)
-    const claimToCheck = stripSpaces(standardOut?.standard?.claimToCheck || "");
-    const isVerifiable = looksLikeVerifiableClaim(claimToCheck);
+  return {
+    language,
+    detection: {
+      detected: det.lang,
+      confidence: det.confidence,
+      hint: h || null,
+      used: language,
+      source, // hint | detected | override | default
+    },
+  };
+}
 
-    const reality = await runStandardRealityCheck(text, language, claimToCheck);
-    const defaultReality = isVerifiable ? 45 : 52;
-    const realityScore = typeof reality?.realityScore === "number" ? reality.realityScore : defaultReality;
+// session: batch-scoped search session (shared lookups + query budget), null for single calls
+// onStage(name, data): progress callback (SSE /analyze/stream), called as each stage finishes
+// signal: AbortSignal of a caller that went away: stops before the next claim or paid lookup
+// scoringProfile: optional "name@version" / "name" (else the tenant's profile, else the default)
+// A call stopped by its signal throws CLIENT_CLOSED carrying the usage spent so far (e.usage).
+async function analyzeCore(req, opts) {
+  const mode = safeLower(opts.analysisType) === "pro" ? "pro" : "standard";
+  // One paid-query budget for all the claims of the call
+  const queryBudget = createQueryBudget(mode === "pro" ? MAX_SERPER_QUERIES_ENV : MAX_STANDARD_QUERIES);
+  try {
+    return await runAnalysis(req, { ...opts, queryBudget });
+  } catch (e) {
+    if (e?.code === "CLIENT_CLOSED") e.usage = { mode, searchQueries: queryBudget.snapshot().used };
+    throw e;
+  }
+}
 
-    // Option B: fixed weights (60% text / 40% web)
-    const textW = 0.6;
-    const webW = 0.4;
+async function runAnalysis(req, { content, url, analysisType, language, scoringProfile, session = null, onStage = null, signal = null, queryBudget }) {
+  const stage = onStage || (() => {});
+  let text = content;
+  const mode = safeLower(analysisType) === "pro" ? "pro" : "standard";
+  // Source reliability honours the tenant's registry overrides
+  const tenantId = req?.tenant?.tenantId || null;
+  const profile = SCORING.resolve(scoringProfile, tenantId);
 
-    let finalScore = Math.max(
-      0,
-      Math.min(100, Math.round(textW * (standardOut.textScore || 0) + webW * realityScore))
-    );
+  // Entitlement: PRO (multi-query, paid searches) only for keys on the pro plan
+  if (mode === "pro" && req?.tenant?.plan !== "pro") {
+    throw apiError("PLAN_NOT_ALLOWED", "PRO analysis is not enabled for this key", { analysisType: mode });
+  }
 
-    // Caps (asymmetric): contradiction must hit hard
-    const claimStrength = typeof standardOut?.standard?.claimStrength === "number" ? standardOut.standard.claimStrength : 0.55;
+  // URL mode: fetch the page and analyze its readable text (headline first)
+  let article = null;
+  if (!stripSpaces(text) && url) {
+    article = await fetchArticle(url, { timeoutMs: HTTP_TIMEOUT_MS });
+    text = [article.title, article.text].filter(Boolean).join("\n");
+    if (!language && article.lang) language = article.lang;
+    stage("article", { article: publicArticle(article) });
+  }
+  const articleSummary = buildArticleSummary(text, article);
 
-    if (reality?.classification === "contradiction" || reality?.contradiction) {
-      // Base cap if contradiction
-      let cap = 40;
-      // Strong, assertive claim + contradiction => stronger cap
-      if (claimStrength >= 0.7) cap = 30;
-      if (claimStrength >= 0.85) cap = 25;
-      finalScore = Math.min(finalScore, cap);
-    }
+  // Picks the language for the regex rules, the search hl and the response strings
+  const lang = resolveLanguage(text, language);
+  language = lang.language;
+  stage("language", { language, languageDetection: lang.detection });
 
+  // -----------------------
+  // STANDARD
+  // -----------------------
+  if (mode === "standard") {
+    const standardOut = computeStandard(text, language, profile.standard);
+    stage("writing", { textScore: standardOut.textScore, subscores: standardOut?.standard?.subscores || null });
+
+    // 1 mini check Serper par claim prioritaire (sans afficher de sources à l'utilisateur),
+    // paid queries capped for the whole call: later claims fall back on the cache
+    const claimList = claimsForAnalysis(text);
+    const claims = [];
+    stage("claims", { claims: claimList.map((c) => ({ id: c.id, claim: stripSpaces(c.text), checkWorthiness: c.checkWorthiness })) });
+
+    for (const c of claimList) {
+      if (signal?.aborted) throw clientClosed();
+      const primary = claims.length === 0;
+      const claimText = stripSpaces(c.text);
+      const isVerifiable = looksLikeVerifiableClaim(claimText);
+
+      const reality = await runStandardRealityCheck(text, language, claimText, { session, queryBudget, signal, tenantId });
+      const defaultReality = isVerifiable ? 45 : 52;
+      const realityScore = typeof reality?.realityScore === "number" ? reality.realityScore : defaultReality;
+
+      // Main claim keeps the whole-text strength; secondary claims are judged on their own wording
+      const claimStrength = primary
+        ? (typeof standardOut?.standard?.claimStrength === "number" ? standardOut.standard.claimStrength : 0.55)
+        : computeClaimStrength(claimText, claimText);
+
+      const score = scoreStandardClaim(standardOut.textScore, realityScore, reality, claimStrength, profile.standard);
+      stage("reality", {
+        id: c.id,
+        claim: claimText,
+        realityScore,
+        classification: reality?.classification || "neutral",
+        fromCache: !!reality?.fromCache,
+        score,
+      });
+
+      claims.push({
+        id: c.id,
+        claim: claimText,
+        checkWorthiness: c.checkWorthiness,
+        score,
+        label: labelFromScore(language, score),
+        classification: reality?.classification || (reality?.contradiction ? "contradiction" : "neutral"),
+        realityScore,
+        relation: reality?.relation || null,
+        numbers: reality?.numbers || null,
+        temporal: reality?.temporal || null,
+        reality,
+      });
+    }
 
-    const l = (language || "en").toLowerCase();
-    const fr = l.startsWith("fr");
+    const reality = claims[0].reality;
+    const realityScore = claims[0].realityScore;
+    const finalScore = rollupClaimScores(claims, profile.rollup);
 
-    const summary = `${standardOut.summary} ${
-      standardOut?.bullets?.proTease ||
-      (fr ? "PRO : preuves + sources + explication complète." : "PRO: evidence + sources + full explanation.")
-    }`;
+    const summary = `${standardOut.summary} ${standardOut?.bullets?.proTease || t(language, "standard.proTeaseShort")}`;
 
     // Breakdown minimal, compatible UI (points 0..100)
     const breakdown = {
-      sources: { points: 0, reason: fr ? "Standard : pas de liens affichés (tease PRO)." : "Standard: no links displayed (PRO tease)." },
+      sources: { points: 0, reason: t(language, "breakdown.standard.sources") },
       factual: { points: Math.round(realityScore), reason: reality?.verdict || "" },
-      tone: { points: Math.round(standardOut?.standard?.subscores?.tone ?? standardOut?.textScore ?? 50), reason: fr ? "Qualité d'écriture et prudence." : "Writing quality and prudence." },
-
-      context: { points: 55, reason: fr ? "Contexte limité sans lecture d'article complet." : "Limited context without full-article reading." },
-      transparency: { points: 60, reason: fr ? "Guide de crédibilité, pas un verdict absolu." : "Credibility guidance, not an absolute verdict." },
+      tone: { points: Math.round(standardOut?.standard?.subscores?.tone ?? standardOut?.textScore ?? 50), reason: t(language, "breakdown.standard.tone") },
+
+      context: articleContext(
+        article,
+        { points: 55, reason: t(language, "breakdown.standard.context") },
+        language,
+        tenantId
+      ),
+      transparency: { points: 60, reason: t(language, "breakdown.standard.transparency") },
     };
 
+    const realities = claims.map((c) => c.reality || {});
+
     return {
       analysisType: "standard",
+      usage: {
+        mode: "standard",
+        scoringVersion: profile.id,
+        searchQueries: realities.reduce((n, r) => n + (r.searchCalls || 0), 0),
+        cacheHits: realities.filter((r) => r.fromCache === true).length,
+        cacheMisses: realities.filter((r) => r.fromCache === false).length,
+        budgetExhausted: realities.some((r) => r.budgetExhausted),
+      },
       result: {
         analysisType: "standard",
+        scoringVersion: profile.id,
         score: finalScore,
         label: labelFromScore(language, finalScore),
         summary,
-        articleSummary: "",
+        language,
+        languageDetection: lang.detection,
+        articleSummary,
+        article: publicArticle(article),
         confidence: 0.35,
         breakdown,
         sources: [],
+        claims: claims.map(({ reality: _r, ...c }) => c),
         standard: {
           textScore: standardOut.textScore,
           realityScore,
@@ -958,10 +1292,15 @@ async function analyzeCore(req, { content, analysisType, language }) {
            details: {
             claimChecked: reality?.checkedClaim || standardOut?.standard?.claimToCheck || null,
             webClassification: reality?.classification || (reality?.contradiction ? "contradiction" : "neutral"),
+            relation: reality?.relation || null,
+            numbers: reality?.numbers || null,
+            temporal: reality?.temporal || null,
             claimStrength: standardOut?.standard?.claimStrength ?? 0.55,
             subscores: standardOut?.standard?.subscores || null,
+            trace: standardOut?.standard?.trace || [],
             realityVerdict: reality?.verdict || null,
             realityUsed: !!reality?.used,
+            fromCache: !!reality?.fromCache,
           },
 
         },
@@ -972,29 +1311,82 @@ async function analyzeCore(req, { content, analysisType, language }) {
   // -----------------------
   // PRO
   // -----------------------
-  if (!SERPER_KEY) {
-    const err = new Error("Missing SERPER_API_KEY");
-    err.httpStatus = 500;
-    throw err;
+  if (!SEARCH.isAvailable()) {
+    throw apiError("SEARCH_UNAVAILABLE", "No search provider configured (SEARCH_PROVIDERS)");
   }
 
   const writingScore = computeWritingScore(text);
-  const proSearch = await runProEvidence(text, language);
+  stage("writing", { writingScore });
+
+  const toSource = (it) => ({
+    title: it.title,
+    url: it.url,
+    domain: it.domain,
+    reliability: it.reliability,
+    reliabilityCategory: it.reliabilityCategory,
+    stance: it.stance,
+    stanceConfidence: it.stanceConfidence,
+    snippet: it.snippet,
+    publishedAt: it.publishedAt,
+  });
+
+  // Each claim gets its own evidence run, all on one paid-query budget (MAX_SERPER_QUERIES):
+  // the main claim plans what is left after one query per secondary claim
+  const claimList = claimsForAnalysis(text);
+  const reserved = clamp(claimList.length - 1, 0, MAX_SERPER_QUERIES_ENV - 1);
+  const claims = [];
+  const runs = [];
+  stage("claims", { claims: claimList.map((c) => ({ id: c.id, claim: stripSpaces(c.text), checkWorthiness: c.checkWorthiness })) });
+
+  for (const c of claimList) {
+    if (signal?.aborted) throw clientClosed();
+    const primary = runs.length === 0;
+    const run = await runProEvidence(text, language, {
+      claim: c.text,
+      maxQueries: primary ? MAX_SERPER_QUERIES_ENV - reserved : MAX_SERPER_QUERIES_EXTRA_CLAIM,
+      session,
+      queryBudget,
+      signal,
+      tenantId,
+      onStage: (name, data) => stage(name, { id: c.id, ...data }),
+    });
+    const claimVerifiable = looksLikeVerifiableClaim(run?.claim || text);
+    const score = computeProFinalScore(
+      text,
+      language,
+      writingScore,
+      run?.evidence?.evidenceScore ?? 45,
+      run?.evidence?.strongRefute ?? false,
+      claimVerifiable,
+      profile.pro
+    );
+
+    runs.push(run);
+    claims.push({
+      id: c.id,
+      claim: run.claim,
+      checkWorthiness: c.checkWorthiness,
+      score,
+      label: labelFromScore(language, score),
+      classification: classificationFromEvidence(run.evidence),
+      evidenceScore: run?.evidence?.evidenceScore ?? 45,
+      strongRefute: !!run?.evidence?.strongRefute,
+      numbers: run.numbers || null,
+      temporal: run.temporal || null,
+      queryPlan: run.queryPlan || null,
+      sources: (run.items || []).slice(0, 5).map(toSource),
+    });
+  }
 
+  const proSearch = runs[0];
   const verifiable = looksLikeVerifiableClaim(proSearch?.claim || text);
 
   const evidenceScore = proSearch?.evidence?.evidenceScore ?? 45;
   const confidencePct = proSearch?.evidence?.confidence ?? 10; // 0..100-ish
-  const strongRefute = proSearch?.evidence?.strongRefute ?? false;
+  // Any strongly refuted claim is reported (the rollup already caps the score)
+  const strongRefute = claims.some((c) => c.strongRefute);
 
-  const finalScore = computeProFinalScore(
-    text,
-    language,
-    writingScore,
-    evidenceScore,
-    strongRefute,
-    verifiable
-  );
+  const finalScore = rollupClaimScores(claims, profile.rollup);
 
   const explanation = buildProExplanation(
     language,
@@ -1003,42 +1395,44 @@ async function analyzeCore(req, { content, analysisType, language }) {
     proSearch.buckets
   );
 
-  const l = (language || "en").toLowerCase();
-  const fr = l.startsWith("fr");
+  const summary = t(language, strongRefute ? "pro.summaryRefute" : "pro.summary");
+  stage("explanation", { score: finalScore, label: labelFromScore(language, finalScore), summary, explanation });
 
-  const summary = fr
-    ? (strongRefute
-        ? "Sources fiables consultées : contradiction forte. Crédibilité très faible."
-        : "Analyse PRO basée sur preuves : sources consultées et justification détaillée.")
-    : (strongRefute
-        ? "Reliable sources consulted: strong contradiction. Very low credibility."
-        : "PRO evidence-based analysis: sources consulted and detailed justification.");
-
-  const sources = (proSearch.items || []).slice(0, 8).map((it) => ({
-    title: it.title,
-    url: it.url,
-    domain: it.domain,
-    reliability: it.reliability,
-    stance: it.stance,
-    snippet: it.snippet,
-  }));
+  const sources = (proSearch.items || []).slice(0, 8).map(toSource);
 
   const breakdown = {
-    sources: { points: Math.max(10, Math.min(100, Math.round(evidenceScore))), reason: fr ? "Qualité/fiabilité des sources et cohérence." : "Source quality/reliability and coherence." },
-    factual: { points: Math.max(10, Math.min(100, Math.round(evidenceScore))), reason: fr ? "Alignement avec des sources vérifiables." : "Alignment with verifiable sources." },
-    tone: { points: Math.max(10, Math.min(100, Math.round(writingScore))), reason: fr ? "Prudence, formulations, signes d'exagération." : "Prudence, phrasing, exaggeration signals." },
-    context: { points: verifiable ? 70 : 45, reason: verifiable ? (fr ? "Affirmation vérifiable." : "Verifiable claim.") : (fr ? "Affirmation floue/difficile à vérifier." : "Vague/hard-to-verify claim.") },
-    transparency: { points: 75, reason: fr ? "Méthode et limites expliquées, pas de vérité absolue." : "Method and limits stated; no absolute truth claims." },
+    sources: { points: Math.max(10, Math.min(100, Math.round(evidenceScore))), reason: t(language, "breakdown.pro.sources") },
+    factual: { points: Math.max(10, Math.min(100, Math.round(evidenceScore))), reason: t(language, "breakdown.pro.factual") },
+    tone: { points: Math.max(10, Math.min(100, Math.round(writingScore))), reason: t(language, "breakdown.pro.tone") },
+    context: articleContext(
+      article,
+      { points: verifiable ? 70 : 45, reason: t(language, verifiable ? "breakdown.pro.contextVerifiable" : "breakdown.pro.contextVague") },
+      language,
+      tenantId
+    ),
+    transparency: { points: 75, reason: t(language, "breakdown.pro.transparency") },
   };
 
   return {
     analysisType: "pro",
+    usage: {
+      mode: "pro",
+      scoringVersion: profile.id,
+      searchQueries: runs.reduce((n, r) => n + (r.searchCalls || 0), 0),
+      cacheHits: runs.reduce((n, r) => n + (r.cacheHits || 0), 0),
+      cacheMisses: runs.reduce((n, r) => n + (r.cacheMisses || 0), 0),
+      budgetExhausted: runs.some((r) => r.budgetExhausted),
+    },
     result: {
       analysisType: "pro",
+      scoringVersion: profile.id,
       score: finalScore,
       label: labelFromScore(language, finalScore),
       summary,
-      articleSummary: "",
+      language,
+      languageDetection: lang.detection,
+      articleSummary,
+      article: publicArticle(article),
       confidence: Math.max(0.05, Math.min(0.95, (Number(confidencePct) || 10) / 100)),
       breakdown,
       corroboration: {
@@ -1057,23 +1451,55 @@ async function analyzeCore(req, { content, analysisType, language }) {
           contradicts: (proSearch.buckets.contradicts || []).slice(0, 3),
           neutral: (proSearch.buckets.neutral || []).slice(0, 3),
         },
-        queriesUsed: proSearch.queriesUsed,
-        fromCache: proSearch.fromCache,
+        queriesUsed: runs.reduce((n, r) => n + (r.queriesUsed || 0), 0),
+        fromCache: runs.some((r) => r.fromCache),
+        cacheHits: runs.reduce((n, r) => n + (r.cacheHits || 0), 0),
+        cacheMisses: runs.reduce((n, r) => n + (r.cacheMisses || 0), 0),
+        stanceCounts: proSearch.evidence.stance || null,
         notes: proSearch.evidence.notes || [],
+        numbers: proSearch.numbers || null,
+        temporal: proSearch.temporal || null,
+        queryPlan: proSearch.queryPlan || null,
       },
       sources,
+      claims,
     },
   };
 }
 
-app.post("/analyze", async (req, res) => {
-  try {
-    if (!authCheck(req, res)) return;
+// =====================
+// API CONTRACT — /openapi.json; every request body is validated against it
+// (lib/openapi + lib/schema), errors go through errorMiddleware (lib/errors).
+// =====================
 
-    const { content, analysisType, language } = req.body || {};
-    if (!content) return res.status(400).json({ error: "content required" });
+const OPENAPI = buildOpenApi({
+  version: PKG_VERSION,
+  batchMaxItems: BATCH_MAX_ITEMS,
+  maxImageBytes: OCR_MAX_IMAGE_BYTES,
+  scoringProfiles: SCORING.list(),
+});
+const validateBody = bodyValidator(OPENAPI);
 
-    const out = await analyzeCore(req, { content, analysisType, language });
+app.get("/openapi.json", (req, res) => {
+  res.json(OPENAPI);
+});
+
+// Scoring profiles the caller can pass as scoringProfile (+ the one applied by default)
+app.get("/scoring-profiles", requireAuth, (req, res) => {
+  res.json({ status: "ok", ...SCORING.describe(req.tenant.tenantId) });
+});
+
+app.post(
+  "/analyze",
+  requireAuth,
+  USAGE.meter("/analyze"),
+  validateBody("post", "/analyze"),
+  QUOTA_LIMITERS,
+  asyncRoute(async (req, res) => {
+    const { content, url, analysisType, language, scoringProfile } = req.body;
+
+    const out = await analyzeCore(req, { content, url, analysisType, language, scoringProfile });
+    res.locals.usage = out.usage;
 
     return res.json({
       status: "ok",
@@ -1081,30 +1507,21 @@ app.post("/analyze", async (req, res) => {
       analysisType: out.analysisType,
       result: out.result,
     });
-  } catch (e) {
-    const status = e.httpStatus || 500;
-    if (status === 429) {
-      res.set("Retry-After", String(e.retryAfterSec || 10));
-      return res.status(429).json({
-        error: "Rate limit exceeded",
-        analysisType: e.analysisType || "standard",
-        limitPerMin: e.limitPerMin || 0,
-        retryAfterSec: e.retryAfterSec || 10,
-      });
-    }
-    return res.status(status).json({ error: e.message || "IA11_ERROR" });
-  }
-});
+  })
+);
 
 // Legacy endpoint (older clients): { text, mode, language }
-app.post("/v1/analyze", async (req, res) => {
-  try {
-    if (!authCheck(req, res)) return;
-
-    const { text, mode, language } = req.body || {};
-    if (!text) return res.status(400).json({ error: "text required" });
-
-    const out = await analyzeCore(req, { content: text, analysisType: mode, language });
+app.post(
+  "/v1/analyze",
+  requireAuth,
+  USAGE.meter("/v1/analyze"),
+  validateBody("post", "/v1/analyze"),
+  QUOTA_LIMITERS,
+  asyncRoute(async (req, res) => {
+    const { text, mode, language, scoringProfile } = req.body;
+
+    const out = await analyzeCore(req, { content: text, analysisType: mode, language, scoringProfile });
+    res.locals.usage = out.usage;
 
     return res.json({
       status: "ok",
@@ -1112,34 +1529,219 @@ app.post("/v1/analyze", async (req, res) => {
       analysisType: out.analysisType,
       result: out.result,
     });
-  } catch (e) {
-    const status = e.httpStatus || 500;
-    if (status === 429) {
-      res.set("Retry-After", String(e.retryAfterSec || 10));
-      return res.status(429).json({
-        error: "Rate limit exceeded",
-        analysisType: e.analysisType || "standard",
-        limitPerMin: e.limitPerMin || 0,
-        retryAfterSec: e.retryAfterSec || 10,
+  })
+);
+
+// SSE variant of /analyze (same body): events as each analyzeCore stage finishes.
+// stages: article, language, writing, claims, then reality (standard) or search /
+// normalize / evidence per claim + explanation (pro). Last event: "result" with the
+// exact /analyze JSON body, or "error" (error envelope + httpStatus).
+app.post(
+  "/analyze/stream",
+  requireAuth,
+  USAGE.meter("/analyze/stream"),
+  validateBody("post", "/analyze/stream"),
+  QUOTA_LIMITERS,
+  asyncRoute(async (req, res) => {
+    const { content, url, analysisType, language, scoringProfile } = req.body;
+
+    const stream = openEventStream(res);
+    const t0 = Date.now();
+    stream.send("start", { analysisType: safeLower(analysisType) === "pro" ? "pro" : "standard" });
+
+    // Client gone before the result: stop spending search queries on it (metered once stopped)
+    const abort = new AbortController();
+    let settle;
+    res.locals.settled = new Promise((resolve) => (settle = resolve));
+    res.on("close", () => {
+      if (!res.writableEnded) abort.abort();
+    });
+
+    try {
+      const out = await analyzeCore(req, {
+        content,
+        url,
+        analysisType,
+        language,
+        scoringProfile,
+        signal: abort.signal,
+        onStage: (name, data) => stream.send("stage", { stage: name, elapsedMs: Date.now() - t0, ...data }),
+      });
+      res.locals.usage = out.usage;
+
+      stream.send("result", {
+        status: "ok",
+        engine: "IA11 Ultra Pro",
+        analysisType: out.analysisType,
+        result: out.result,
       });
+    } catch (e) {
+      const { httpStatus, body } = toErrorEnvelope(e);
+      // The 200 is already sent: meter the status the error would have had
+      res.locals.usage = { ...res.locals.usage, ...e.usage, status: httpStatus, errorCode: body.code };
+      stream.send("error", { ...body, httpStatus });
     }
-    return res.status(status).json({ error: e.message || "IA11_ERROR" });
-  }
+    settle();
+    stream.end();
+  })
+);
+
+// =====================
+// BATCH — POST /analyze/batch (moderation queues)
+// Input: { items: [{ id?, content | url, analysisType?, language? } | "text"], analysisType?, language?, maxSearchQueries? }
+// Items run BATCH_CONCURRENCY at a time on one search session (same query = one lookup) with
+// one paid-query budget for the whole batch. Each item counts against the quotas.
+// Output: results[] in input order, { status: "ok", result } or { status: "error", error } per item.
+// =====================
+
+app.post(
+  "/analyze/batch",
+  requireAuth,
+  USAGE.meter("/analyze/batch"),
+  validateBody("post", "/analyze/batch"),
+  (req, res, next) => next(req.body.items.length > BATCH_MAX_ITEMS ? apiError("BATCH_TOO_LARGE", `too many items (max ${BATCH_MAX_ITEMS})`) : undefined),
+  QUOTA_LIMITERS,
+  // Quotas count analyses: one per item
+  QUOTA_LIMITERS.charge((req) => req.body.items.length),
+  asyncRoute(async (req, res) => {
+    const { items, analysisType, language, maxSearchQueries, scoringProfile } = req.body;
+
+    // The caller may lower the budget, never raise it above the server cap
+    const requested = Number.parseInt(maxSearchQueries, 10);
+    const budget = createQueryBudget(
+      Number.isFinite(requested) ? clamp(requested, 0, BATCH_MAX_SEARCH_QUERIES) : BATCH_MAX_SEARCH_QUERIES
+    );
+    const session = createBatchSearchSession(budget);
+    const t0 = Date.now();
+
+    const settled = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (raw) => {
+      const item = typeof raw === "string" ? { content: raw } : raw && typeof raw === "object" ? raw : {};
+      const content = typeof item.content === "string" ? item.content : "";
+      const url = typeof item.url === "string" ? item.url : "";
+      if (!stripSpaces(content) && !url) throw apiError("CONTENT_REQUIRED", "content or url required");
+      return analyzeCore(req, {
+        content,
+        url,
+        analysisType: item.analysisType ?? analysisType,
+        language: item.language ?? language,
+        scoringProfile,
+        session,
+      });
+    });
+
+    const results = settled.map((s, index) => {
+      const id = items[index]?.id ?? null;
+      if (s.ok) return { index, id, status: "ok", analysisType: s.value.analysisType, result: s.value.result };
+      const { httpStatus, body } = toErrorEnvelope(s.error);
+      return { index, id, ...body, httpStatus };
+    });
+
+    const usages = settled.filter((s) => s.ok).map((s) => s.value.usage);
+    res.locals.usage = {
+      mode: "batch",
+      scoringVersion: usages[0]?.scoringVersion || null,
+      searchQueries: usages.reduce((n, u) => n + u.searchQueries, 0),
+      cacheHits: usages.reduce((n, u) => n + u.cacheHits, 0),
+      cacheMisses: usages.reduce((n, u) => n + u.cacheMisses, 0),
+    };
+
+    const failed = results.filter((r) => r.status === "error").length;
+    const spent = budget.snapshot();
+    console.log(
+      `📦 BATCH ${items.length} items: ok=${items.length - failed} failed=${failed} queries=${spent.used}/${spent.max}${spent.exhausted ? " (budget exhausted)" : ""} ${Date.now() - t0}ms`
+    );
+
+    return res.json({
+      status: "ok",
+      engine: "IA11 Ultra Pro",
+      count: items.length,
+      succeeded: items.length - failed,
+      failed,
+      budget: spent,
+      results,
+    });
+  })
+);
+
+// =====================
+// JOBS — POST /jobs returns a job id at once (202), GET /jobs/:id gives status + result.
+// Optional callbackUrl: the finished job is POSTed there, signed with WEBHOOK_SECRET
+// (X-IA11-Signature, see lib/webhooks.js), retried with backoff. Store: state/jobs/.
+// Metering happens when the job finishes (endpoint "/jobs").
+// =====================
+
+const JOBS = createJobQueue({
+  run: (job) => analyzeCore({ tenant: job.tenant }, job.request),
+  onFinished: (job, { usage, latencyMs }) => {
+    USAGE.record({
+      tenantId: job.tenant.tenantId,
+      keyId: job.tenant.keyId,
+      endpoint: "/jobs",
+      mode: usage?.mode || (job.request.analysisType === "pro" ? "pro" : "standard"),
+      scoringVersion: usage?.scoringVersion || job.request.scoringProfile || null,
+      searchQueries: usage?.searchQueries || 0,
+      cacheHits: usage?.cacheHits || 0,
+      cacheMisses: usage?.cacheMisses || 0,
+      latencyMs,
+      status: job.error ? job.error.httpStatus : 200,
+    });
+  },
 });
 
-// Translate an already computed analysis WITHOUT new web search.
-// Input: { analysisData, targetLanguage }
-app.post("/translate-analysis", async (req, res) => {
-  try {
-    if (!authCheck(req, res)) return;
+app.post(
+  "/jobs",
+  requireAuth,
+  validateBody("post", "/jobs"),
+  QUOTA_LIMITERS,
+  asyncRoute(async (req, res) => {
+    const { content, url, analysisType, language, scoringProfile, callbackUrl } = req.body;
+
+    const mode = safeLower(analysisType) === "pro" ? "pro" : "standard";
+    // Same entitlement as /analyze, but refused now rather than in the job
+    if (mode === "pro" && req.tenant.plan !== "pro") {
+      throw apiError("PLAN_NOT_ALLOWED", "PRO analysis is not enabled for this key", { analysisType: mode });
+    }
 
-    const { analysisData, targetLanguage } = req.body || {};
-    if (!analysisData || typeof analysisData !== "object") {
-      return res.status(400).json({ error: "analysisData required" });
+    if (callbackUrl) {
+      if (!JOBS.callbacksEnabled()) throw apiError("CALLBACKS_DISABLED", "callbackUrl requires WEBHOOK_SECRET on the server");
+      await assertFetchableUrl(callbackUrl, { allowPrivate: JOBS.allowPrivateCallbacks() });
     }
 
+    const job = JOBS.submit({
+      tenant: req.tenant,
+      request: {
+        content: typeof content === "string" ? content : "",
+        url: typeof url === "string" ? url : "",
+        analysisType: mode,
+        language: language || undefined,
+        // Pinned now: a later change of the default profile does not affect queued jobs
+        scoringProfile: SCORING.resolve(scoringProfile, req.tenant.tenantId).id,
+      },
+      callbackUrl: callbackUrl || null,
+    });
+
+    res.setHeader("Location", `/jobs/${job.id}`);
+    return res.status(202).json({ status: "ok", jobId: job.id, jobStatus: job.status, statusUrl: `/jobs/${job.id}` });
+  })
+);
+
+// Only the tenant that created a job can read it (others get 404, not 403)
+app.get("/jobs/:id", requireAuth, (req, res) => {
+  const job = JOBS.get(req.params.id);
+  if (!job || job.tenant.tenantId !== req.tenant.tenantId) throw apiError("NOT_FOUND", "job not found");
+  return res.json({ status: "ok", job: publicJob(job) });
+});
+
+// Translate an already computed analysis WITHOUT new web search.
+// Input: { analysisData, targetLanguage }
+app.post(
+  "/translate-analysis",
+  requireAuth,
+  validateBody("post", "/translate-analysis"),
+  asyncRoute(async (req, res) => {
+    const { analysisData, targetLanguage } = req.body;
+
     const lang = (targetLanguage || "en").toLowerCase();
-    const fr = lang.startsWith("fr");
 
     // Normalize shape: accept either {result:{...}} or already the result object
     const root = analysisData.result ? analysisData : { analysisType: analysisData.analysisType, result: analysisData };
@@ -1153,29 +1755,38 @@ app.post("/translate-analysis", async (req, res) => {
     translated.analysisType = analysisType;
     translated.result.analysisType = analysisType;
 
-    // Recompute label + summary in target language
+    // Recompute labels in target language (overall + per claim)
     const score = Number(result.score ?? 0);
     translated.result.label = labelFromScore(lang, score);
+    if (Array.isArray(translated.result.claims)) {
+      for (const c of translated.result.claims) {
+        if (typeof c?.score === "number") c.label = labelFromScore(lang, c.score);
+      }
+    }
+
+    const breakdown = (translated.result.breakdown = translated.result.breakdown || {});
+    const reason = (key, fallbackPoints, text) => {
+      breakdown[key] = { points: Number(breakdown[key]?.points ?? fallbackPoints), reason: text };
+    };
+    // Publisher/byline/date are kept in result.article: rebuild that context line too
+    const contextReason = (fallbackKey) =>
+      result.article ? articleContext(result.article, { points: 0 }, lang, req.tenant.tenantId).reason : t(lang, fallbackKey);
 
     if (analysisType === "pro") {
       const strongRefute = !!result?.pro?.strongRefute;
-      translated.result.summary = fr
-        ? (strongRefute
-            ? "Sources fiables consultées : contradiction forte. Crédibilité très faible."
-            : "Analyse PRO basée sur preuves : sources consultées et justification détaillée.")
-        : (strongRefute
-            ? "Reliable sources consulted: strong contradiction. Very low credibility."
-            : "PRO evidence-based analysis: sources consulted and detailed justification.");
+      translated.result.summary = t(lang, strongRefute ? "pro.summaryRefute" : "pro.summary");
 
       // Rebuild explanation if we have the pieces
       const claim = result?.pro?.claim || "";
       const evidenceScore = result?.pro?.evidenceScore ?? 45;
       const confidence = Math.round((Number(result.confidence || 0.1) * 100));
+      const stanceCounts = result?.pro?.stanceCounts || undefined;
       const evidence = {
         evidenceScore,
         confidence,
-        strongRefute: !!result?.pro?.strongRefute,
-        notes: Array.isArray(result?.pro?.notes) ? result.pro.notes : [],
+        strongRefute,
+        stance: stanceCounts,
+        notes: stanceCounts ? evidenceNotes(stanceCounts, lang, result?.pro?.temporal) : Array.isArray(result?.pro?.notes) ? result.pro.notes : [],
       };
       const buckets = result?.pro?.buckets || {
         corroborates: result?.corroboration?.corroborates || [],
@@ -1183,52 +1794,45 @@ app.post("/translate-analysis", async (req, res) => {
         neutral: result?.corroboration?.neutral || [],
       };
 
+      translated.result.pro = translated.result.pro || {};
       translated.result.pro.explanation = buildProExplanation(lang, claim, evidence, buckets);
+      translated.result.pro.notes = evidence.notes;
+      if (result?.pro?.numbers) translated.result.pro.numbers = numbersRationale(lang, result.pro.numbers);
+      for (const c of translated.result.claims || []) {
+        if (c?.numbers) c.numbers = numbersRationale(lang, c.numbers);
+      }
 
       // Breakdown reasons language
-      translated.result.breakdown = translated.result.breakdown || {};
-      translated.result.breakdown.sources = {
-        points: Number(translated.result.breakdown.sources?.points ?? Math.round(evidenceScore)),
-        reason: fr ? "Qualité/fiabilité des sources et cohérence." : "Source quality/reliability and coherence.",
-      };
-      translated.result.breakdown.factual = {
-        points: Number(translated.result.breakdown.factual?.points ?? Math.round(evidenceScore)),
-        reason: fr ? "Alignement avec des sources vérifiables." : "Alignment with verifiable sources.",
-      };
-      translated.result.breakdown.tone = {
-        points: Number(translated.result.breakdown.tone?.points ?? 60),
-        reason: fr ? "Prudence, formulations, signes d'exagération." : "Prudence, phrasing, exaggeration signals.",
-      };
-      translated.result.breakdown.context = {
-        points: Number(translated.result.breakdown.context?.points ?? 55),
-        reason: fr ? "Contexte et vérifiabilité." : "Context and verifiability.",
-      };
-      translated.result.breakdown.transparency = {
-        points: Number(translated.result.breakdown.transparency?.points ?? 70),
-        reason: fr ? "Méthode et limites expliquées." : "Method and limits stated.",
-      };
+      reason("sources", Math.round(evidenceScore), t(lang, "breakdown.pro.sources"));
+      reason("factual", Math.round(evidenceScore), t(lang, "breakdown.pro.factual"));
+      reason("tone", 60, t(lang, "breakdown.pro.tone"));
+      reason("context", 55, contextReason("breakdown.pro.context"));
+      reason("transparency", 70, t(lang, "breakdown.pro.transparency"));
     } else {
-      // Standard: keep the computed summary, just swap the PRO tease sentence if present
-      const base = String(result.summary || "");
-      const teaseFR = "PRO : preuves + sources + explication complète.";
-      const teaseEN = "PRO: evidence + sources + full explanation.";
-
-      if (fr) {
-        translated.result.summary = base.replace(teaseEN, teaseFR);
-      } else {
-        translated.result.summary = base.replace(teaseFR, teaseEN);
+      // Standard: summary + bullets are fixed sentences, rebuild them entirely
+      const bullets = standardBullets(lang);
+      // Weights of the profile that scored it (the tenant's current one if it is no longer served)
+      let profile;
+      try {
+        profile = SCORING.resolve(result.scoringVersion, req.tenant.tenantId);
+      } catch {
+        profile = SCORING.resolve(null, req.tenant.tenantId);
+      }
+      translated.result.summary = `${standardSummary(lang, profile.standard)} ${bullets.proTease}`;
+      if (translated.result.standard) translated.result.standard.bullets = bullets;
+      const details = translated.result.standard?.details;
+      if (details?.relation) details.relation = relationRationale(lang, details.relation);
+      if (details?.numbers) details.numbers = numbersRationale(lang, details.numbers);
+      for (const c of translated.result.claims || []) {
+        if (c?.relation) c.relation = relationRationale(lang, c.relation);
+        if (c?.numbers) c.numbers = numbersRationale(lang, c.numbers);
       }
 
-      // Breakdown reasons language
-      translated.result.breakdown = translated.result.breakdown || {};
-      translated.result.breakdown.sources = {
-        points: Number(translated.result.breakdown.sources?.points ?? 0),
-        reason: fr ? "Standard : pas de liens affichés (tease PRO)." : "Standard: no links displayed (PRO tease).",
-      };
-      translated.result.breakdown.transparency = {
-        points: Number(translated.result.breakdown.transparency?.points ?? 60),
-        reason: fr ? "Guide de crédibilité, pas un verdict absolu." : "Credibility guidance, not an absolute verdict.",
-      };
+      // Breakdown reasons language (factual = web verdict, left as computed)
+      reason("sources", 0, t(lang, "breakdown.standard.sources"));
+      reason("tone", 60, t(lang, "breakdown.standard.tone"));
+      reason("context", 55, contextReason("breakdown.standard.context"));
+      reason("transparency", 60, t(lang, "breakdown.standard.transparency"));
     }
 
     return res.json({
@@ -1237,74 +1841,234 @@ app.post("/translate-analysis", async (req, res) => {
       analysisType: translated.analysisType,
       result: translated.result,
     });
-  } catch (e) {
-    return res.status(500).json({ error: e.message || "IA11_TRANSLATE_ERROR" });
-  }
-});
+  })
+);
 
-// Screenshot / Image analysis (lightweight, no heavy OCR libs).
-// Input: { imageData, language, analysisType, contextText }
-// Output: { ocr:{cleaned_text}, image_signals:{...}, analysis:{...} }
-app.post("/analyze-image", async (req, res) => {
-  try {
-    if (!authCheck(req, res)) return;
+// Screenshot / Image analysis: offline OCR (lib/ocr.js) + forensics (lib/forensics), then the usual text analysis.
+// Input: { imageData (base64 or data URL), language, analysisType, contextText }
+// Output: { ocr:{raw_text, cleaned_text, confidence}, image_signals:{...}, analysis:{...} }
+const OCR = createOcrEngine();
+const OCR_MIN_TEXT_CHARS = 12; // below that, OCR found nothing worth analyzing
+const FORENSICS_ENABLED = String(process.env.FORENSICS_ENABLED || "true").toLowerCase() !== "false";
+const FORENSICS_MAX_MP = Number(process.env.FORENSICS_MAX_MP || 12); // bigger images: metadata only
+const FORENSICS_MAX_MEMORY_MB = Number(process.env.FORENSICS_MAX_MEMORY_MB || 256); // JPEG decoder cap
+const FORENSICS = createForensicsRunner();
+
+app.post(
+  "/analyze-image",
+  requireAuth,
+  USAGE.meter("/analyze-image"),
+  validateBody("post", "/analyze-image"),
+  QUOTA_LIMITERS,
+  asyncRoute(async (req, res) => {
+    const { imageData, language, analysisType, contextText, scoringProfile } = req.body;
+    const context = (contextText || "").trim();
+
+    const ocr = { raw_text: "", cleaned_text: "", confidence: null, engine: null, error: null };
+    const warnings = []; // i18n keys, rendered with the response language
+    let forensics = null;
+
+    if (imageData) {
+      const image = decodeImageData(imageData, { maxBytes: OCR_MAX_IMAGE_BYTES });
+      if (FORENSICS_ENABLED) {
+        const t0 = Date.now();
+        try {
+          forensics = await FORENSICS.analyze(image.buffer, image.mime, {
+            maxMegapixels: FORENSICS_MAX_MP,
+            maxMemoryMB: FORENSICS_MAX_MEMORY_MB,
+          });
+          console.log(
+            `🔬 FORENSICS ${forensics.format} ${forensics.width}x${forensics.height} -> p=${forensics.manipulation.probability}, screenshot=${forensics.screenshot.likelihood}, ${Date.now() - t0}ms`
+          );
+        } catch (e) {
+          // Corrupt file or too slow: OCR and contextText can still give a result
+          console.log(`⚠️ FORENSICS ${image.mime} ${image.buffer.length}B failed:`, e.message);
+          warnings.push(e.code === "FORENSICS_TIMEOUT" ? "image.forensicsTimeout" : "image.forensicsFailed");
+        }
+      }
+      if (OCR.enabled()) {
+        const t0 = Date.now();
+        try {
+          const r = await OCR.recognize(image.buffer);
+          Object.assign(ocr, {
+            raw_text: r.rawText,
+            cleaned_text: r.cleanedText,
+            confidence: r.confidence,
+            engine: `tesseract (${r.langs.join("+")})`,
+          });
+          console.log(`🖼️ OCR ${image.mime} ${image.buffer.length}B -> ${r.cleanedText.length} chars, conf=${r.confidence}, ${Date.now() - t0}ms`);
+          if (r.cleanedText.length < OCR_MIN_TEXT_CHARS) warnings.push("image.noText");
+          else if (r.confidence < 0.5) warnings.push("image.lowOcrConfidence");
+        } catch (e) {
+          // Timeout or worker crash: contextText can still give a result
+          console.log(`⚠️ OCR ${image.mime} ${image.buffer.length}B failed after ${Date.now() - t0}ms:`, e.message);
+          ocr.error = e.code === "OCR_TIMEOUT" ? "OCR_TIMEOUT" : "OCR_FAILED";
+          warnings.push(e.code === "OCR_TIMEOUT" ? "image.ocrTimeout" : "image.ocrFailed");
+        }
+      } else {
+        warnings.push("image.ocrDisabled");
+      }
+    }
 
-    const { imageData, language, analysisType, contextText } = req.body || {};
+    // OCR text first; contextText (caption typed by the user) when OCR has nothing
+    const analyzedText = ocr.cleaned_text.length >= OCR_MIN_TEXT_CHARS ? "ocr" : context ? "contextText" : null;
+    const content = analyzedText === "ocr" ? ocr.cleaned_text : context;
 
-    const cleaned = (contextText || "").toString().trim();
+    let analysis = null;
+    if (content) {
+      const out = await analyzeCore(req, { content, analysisType, language, scoringProfile });
+      res.locals.usage = out.usage;
+      analysis = { analysisType: out.analysisType, result: out.result };
+    }
 
-    // Minimal signals (placeholders) — you can upgrade later with real CV/OCR.
+    // No image (or forensics off): same shape, "unknown" values
     const image_signals = {
       screenshot_likelihood: "unknown",
       compression_artifacts: "unknown",
-      font_consistency: "unknown",
+      font_consistency: "unknown", // needs glyph-level CV, not done offline yet
       metadata_flags: [],
       manipulation_probability: "unknown",
     };
-
-    const warning =
-      cleaned.length === 0
-        ? "OCR not enabled on IA11 yet. Provide contextText to run text-based analysis."
-        : null;
-
-    let analysis = null;
-
-    // If we have text context, we can produce a real analysis immediately.
-    if (cleaned.length > 0) {
-      const out = await analyzeCore(req, { content: cleaned, analysisType, language });
-      analysis = { analysisType: out.analysisType, result: out.result };
+    const lang = analysis?.result?.language || language || "en";
+    if (forensics) {
+      Object.assign(image_signals, {
+        screenshot_likelihood: forensics.screenshot.likelihood,
+        compression_artifacts: forensics.compressionArtifacts,
+        metadata_flags: forensics.metadataFlags,
+        manipulation_probability: forensics.manipulation.probability,
+        manipulation_level: forensics.manipulation.level,
+        manipulation_rationale: forensics.manipulation.rationale.map((r) => ({
+          id: r.id,
+          effect: r.effect,
+          text: t(lang, `forensics.${r.id}`, r.vars || {}),
+        })),
+        forensics: {
+          format: forensics.format,
+          width: forensics.width,
+          height: forensics.height,
+          jpeg: forensics.jpeg,
+          ela: forensics.ela,
+          screenshot_reasons: forensics.screenshot.reasons,
+          exif: forensics.exif,
+          xmp: forensics.xmp,
+          png_text: forensics.pngText,
+        },
+      });
     }
 
     return res.json({
       status: "ok",
       engine: "IA11 Ultra Pro",
-      ocr: {
-        cleaned_text: cleaned,
-        raw_text: cleaned,
-      },
+      ocr,
       image_signals,
       analysis,
-      warning,
+      analyzedText,
+      warning: warnings.length ? warnings.map((k) => t(lang, k)).join(" ") : null,
       visual_text_mismatch: null,
       visual_description: null,
     });
+  })
+);
+
+// =====================
+// ADMIN — API keys (create / list / rotate / revoke)
+// =====================
+
+app.post("/admin/keys", requireAdmin, validateBody("post", "/admin/keys"), (req, res) => {
+  const { tenantId, plan, allowedOrigins, label } = req.body;
+  const out = KEYS.create({ tenantId, plan, allowedOrigins, label });
+  return res.status(201).json({ status: "ok", ...out });
+});
+
+app.get("/admin/keys", requireAdmin, (req, res) => {
+  return res.json({ status: "ok", keys: KEYS.list(req.query.tenantId) });
+});
+
+app.post("/admin/keys/:keyId/rotate", requireAdmin, (req, res) => {
+  const out = KEYS.rotate(req.params.keyId);
+  if (!out) throw apiError("NOT_FOUND", "key not found");
+  return res.json({ status: "ok", ...out });
+});
+
+app.post("/admin/keys/:keyId/revoke", requireAdmin, (req, res) => {
+  const record = KEYS.revoke(req.params.keyId);
+  if (!record) throw apiError("NOT_FOUND", "key not found");
+  return res.json({ status: "ok", record });
+});
+
+// =====================
+// ADMIN — source reliability registry (view, test a domain, reload from disk)
+// GET ?domain=en.wikipedia.org[&tenantId=] adds the resolved entry as `lookup`.
+// =====================
+
+app.get("/admin/reliability", requireAdmin, (req, res) => {
+  const { domain, tenantId } = req.query;
+  const out = { status: "ok", registry: RELIABILITY.describe() };
+  if (domain) out.lookup = { domain: String(domain), tenantId: tenantId || null, ...RELIABILITY.classify(String(domain), tenantId || null) };
+  return res.json(out);
+});
+
+app.post("/admin/reliability/reload", requireAdmin, (req, res) => {
+  let registry;
+  try {
+    registry = RELIABILITY.reload();
   } catch (e) {
-    const status = e.httpStatus || 500;
-    if (status === 429) {
-      res.set("Retry-After", String(e.retryAfterSec || 10));
-      return res.status(429).json({
-        error: "Rate limit exceeded",
-        analysisType: e.analysisType || "standard",
-        limitPerMin: e.limitPerMin || 0,
-        retryAfterSec: e.retryAfterSec || 10,
-      });
-    }
-    return res.status(status).json({ error: e.message || "IA11_IMAGE_ERROR" });
+    throw apiError("REGISTRY_INVALID", `${e.message}; previous registry kept`, e.problems?.length ? e.problems : undefined);
+  }
+  return res.json({ status: "ok", registry });
+});
+
+// =====================
+// USAGE — per-tenant totals by day and by mode
+// Admin key: every tenant (or ?tenantId=); API key: the caller's own tenant only.
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// =====================
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+app.get("/usage", (req, res) => {
+  let tenantId = null;
+  if (req.headers["x-ia11-admin-key"]) {
+    authenticateAdmin(req);
+    tenantId = req.query.tenantId ? String(req.query.tenantId) : null;
+  } else {
+    authenticate(req);
+    tenantId = req.tenant.tenantId;
+  }
+
+  const { from, to } = req.query;
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    throw apiError("VALIDATION_FAILED", "from/to must be YYYY-MM-DD");
   }
+
+  return res.json({
+    status: "ok",
+    from: from || null,
+    to: to || null,
+    tenants: USAGE.summarize({ tenantId, from, to }),
+  });
 });
 
+// Unknown routes + the single error envelope (must stay last)
+app.use(notFoundMiddleware);
+app.use(errorMiddleware);
+
 // START SERVER
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log("IA11 Ultra Pro running on port", PORT);
-});
+// Required by scripts (scripts/eval.js): engine only, no server
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log("IA11 Ultra Pro running on port", PORT);
+  });
+
+  // Render sends SIGTERM on deploy/restart: flush the persistent cache first
+  process.on("SIGTERM", async () => {
+    console.log("🗄️ CACHE stats at shutdown:", JSON.stringify(SEARCH_CACHE.stats()));
+    await SEARCH_CACHE.close();
+    await OCR.close();
+    await USAGE.flush();
+    process.exit(0);
+  });
+}
+
+module.exports = { app, analyzeCore, bandFromScore, labelFromScore, SCORING };
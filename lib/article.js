@@ -0,0 +1,463 @@
+// =====================
+// ARTICLE (URL mode) — fetch a page, extract readable text + metadata, extractive summary
+// No DOM lib: regex extraction is enough for news/blog pages.
+// =====================
+
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const zlib = require("zlib");
+const { safeLower, stripSpaces, normalizeUrl, domainOf } = require("./text");
+const { segmentSentences } = require("./claims");
+
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", laquo: "«", raquo: "»", rsquo: "’", lsquo: "‘",
+  rdquo: "”", ldquo: "“", hellip: "…", mdash: "—", ndash: "–", eacute: "é", egrave: "è", ecirc: "ê", agrave: "à",
+  acirc: "â", ccedil: "ç", ocirc: "ô", ucirc: "û", ugrave: "ù", icirc: "î", iuml: "ï", euml: "ë", Eacute: "É",
+};
+
+const SUMMARY_STOPWORDS = new Set([
+  "the", "a", "an", "and", "or", "of", "to", "in", "on", "for", "is", "are", "was", "were", "it", "that", "this",
+  "with", "as", "by", "at", "be", "has", "have", "from", "le", "la", "les", "un", "une", "des", "du", "de", "et",
+  "ou", "en", "est", "sont", "que", "qui", "pour", "dans", "sur", "par", "au", "aux", "il", "elle", "ce", "pas",
+]);
+
+function decodeEntities(s) {
+  return (s || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : m;
+    }
+    return Object.prototype.hasOwnProperty.call(ENTITIES, code) ? ENTITIES[code] : m;
+  });
+}
+
+function htmlToText(html) {
+  return stripSpaces(
+    decodeEntities(
+      (html || "")
+        .replace(/<br\s*\/?>/gi, " ")
+        .replace(/<[^>]+>/g, " ")
+    )
+  );
+}
+
+// =====================
+// FETCH
+// =====================
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast, reserved, unspecified
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [
+  ["::", 96], ["100::", 64], ["64:ff9b:1::", 48], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8],
+]) BLOCKED.addSubnet(prefix, bits, "ipv6");
+
+// "::ffff:7f00:1" -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]
+function ipv6Words(ip) {
+  let s = ip.replace(/%.*$/, "");
+  const dotted = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(s);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split(".").map(Number);
+    s = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = s.split("::");
+  const h = head ? head.split(":") : [];
+  const t = tail ? tail.split(":") : [];
+  const fill = s.includes("::") ? 8 - h.length - t.length : 0;
+  return [...h, ...Array(Math.max(0, fill)).fill("0"), ...t].map((x) => parseInt(x, 16));
+}
+
+// IPv4 carried in an IPv6 address: mapped (::ffff:a.b.c.d), SIIT (::ffff:0:a.b.c.d),
+// NAT64 (64:ff9b::a.b.c.d), 6to4 (2002:aabb:ccdd::)
+function embeddedIPv4(words) {
+  const v4 = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+  const zeros = (from, to) => words.slice(from, to).every((w) => w === 0);
+  if (zeros(0, 5) && words[5] === 0xffff) return v4(words[6], words[7]);
+  if (zeros(0, 4) && words[4] === 0xffff && words[5] === 0) return v4(words[6], words[7]);
+  if (words[0] === 0x64 && words[1] === 0xff9b && zeros(2, 6)) return v4(words[6], words[7]);
+  if (words[0] === 0x2002) return v4(words[1], words[2]);
+  return null;
+}
+
+// Anything that is not a public unicast address (unparseable = refused)
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return BLOCKED.check(ip, "ipv4");
+  if (!net.isIPv6(ip)) return true;
+  const v4 = embeddedIPv4(ipv6Words(ip));
+  if (v4) return isPrivateAddress(v4);
+  try {
+    return BLOCKED.check(ip.replace(/%.*$/, ""), "ipv6");
+  } catch {
+    return true;
+  }
+}
+
+function urlError(code, message, httpStatus) {
+  const err = new Error(message);
+  err.code = code;
+  err.httpStatus = httpStatus;
+  return err;
+}
+
+const privateHostsAllowed = (allowPrivate) =>
+  allowPrivate ?? String(process.env.ARTICLE_ALLOW_PRIVATE_HOSTS || "false").toLowerCase() === "true";
+
+// ARTICLE_ALLOWED_HOSTS="intranet.example,127.0.0.1": fetched even on a private address
+// (a redirect elsewhere is checked again)
+function allowedArticleHost(u) {
+  let host;
+  try {
+    host = safeLower(new URL(u).hostname).replace(/^\[|\]$/g, "");
+  } catch {
+    return false; // checkUrl reports it
+  }
+  return String(process.env.ARTICLE_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => safeLower(h).trim())
+    .includes(host);
+}
+
+// http(s) url; an IP literal host must be public (hostnames are checked on connect)
+function checkUrl(u, privateOk) {
+  let url;
+  try {
+    url = new URL(u);
+  } catch {
+    throw urlError("URL_INVALID", "invalid url", 400);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw urlError("URL_INVALID", "only http(s) urls are supported", 400);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (!privateOk && net.isIP(host) && isPrivateAddress(host)) {
+    throw urlError("URL_FORBIDDEN", "url resolves to a private address", 400);
+  }
+  return url;
+}
+
+// dns.lookup for the http agents: the private-range check runs on the addresses the
+// socket will connect to, so a host re-resolving to 127.0.0.1 after a check (DNS
+// rebinding) is still refused
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address))) {
+      return callback(urlError("URL_FORBIDDEN", "url resolves to a private address", 400));
+    }
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Early validation (job callback urls at submission): same rules as a request, with the
+// host resolved now for a clear error. Requests do not rely on it: guardedLookup re-checks.
+// Blocks internal hosts (SSRF) unless ARTICLE_ALLOW_PRIVATE_HOSTS=true (local fixtures).
+async function assertFetchableUrl(u, { allowPrivate } = {}) {
+  const privateOk = privateHostsAllowed(allowPrivate);
+  const url = checkUrl(u, privateOk);
+  if (privateOk) return url;
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return url;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw urlError("URL_FETCH_FAILED", `cannot resolve ${host}`, 422);
+  }
+  if (addresses.some((a) => isPrivateAddress(a.address))) {
+    throw urlError("URL_FORBIDDEN", "url resolves to a private address", 400);
+  }
+  return url;
+}
+
+const DECODERS = { gzip: zlib.createGunzip, "x-gzip": zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+
+// One request, no redirect following, connections to public addresses only (unless allowPrivate).
+// -> { status, headers, body (utf8, at most maxBytes after decompression) }; the body is
+// only read when readBody(status, headers) says so. Also used for webhook deliveries.
+function guardedRequest(u, { method = "GET", headers = {}, body = null, timeoutMs = 8000, maxBytes = MAX_HTML_BYTES, allowPrivate, readBody = () => true } = {}) {
+  const privateOk = privateHostsAllowed(allowPrivate);
+  const url = checkUrl(u, privateOk);
+  const lib = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      req.destroy();
+      if (err) reject(err);
+      else resolve(value);
+    };
+    const timer = setTimeout(() => finish(urlError("URL_FETCH_FAILED", `timeout after ${timeoutMs}ms`, 422)), timeoutMs);
+
+    const req = lib.request(
+      url,
+      { method, headers: { "Accept-Encoding": "gzip, deflate, br", ...headers }, lookup: privateOk ? undefined : guardedLookup },
+      (res) => {
+        const out = { status: res.statusCode, headers: res.headers, body: "" };
+        if (!readBody(out.status, out.headers)) return finish(null, out);
+
+        const decoder = DECODERS[safeLower(res.headers["content-encoding"]).trim()];
+        const stream = decoder ? res.pipe(decoder()) : res;
+        const chunks = [];
+        let total = 0;
+        const complete = () => finish(null, { ...out, body: Buffer.concat(chunks).toString("utf8") });
+        stream.on("data", (chunk) => {
+          if (done) return;
+          const room = maxBytes - total;
+          total += chunk.length;
+          chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+          if (total >= maxBytes) complete(); // cap reached: keep what we have
+        });
+        stream.on("end", complete);
+        stream.on("error", (e) => finish(urlError("URL_FETCH_FAILED", e.message || "fetch failed", 422)));
+      }
+    );
+    req.on("error", (e) => finish(e?.code && e.httpStatus ? e : urlError("URL_FETCH_FAILED", e?.message || "fetch failed", 422)));
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+async function fetchHtml(u, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  const isPage = (type) => !type || type.includes("html") || type.includes("xml") || type.includes("text/plain");
+
+  let current = u;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const r = await guardedRequest(current, {
+      timeoutMs: Math.max(1, deadline - Date.now()),
+      allowPrivate: allowedArticleHost(current) || undefined,
+      headers: {
+        "User-Agent": "IA11-LeenScore/1.0 (+article-reader)",
+        Accept: "text/html,application/xhtml+xml",
+      },
+      // Redirects, errors and non-pages: headers are enough
+      readBody: (status, headers) => status >= 200 && status < 300 && isPage(safeLower(headers["content-type"])),
+    });
+
+    if (r.status >= 300 && r.status < 400 && r.headers.location) {
+      current = new URL(r.headers.location, current).toString();
+      continue;
+    }
+    if (r.status < 200 || r.status >= 300) throw urlError("URL_FETCH_FAILED", `HTTP ${r.status}`, 422);
+
+    const type = safeLower(r.headers["content-type"]);
+    if (!isPage(type)) throw urlError("URL_UNSUPPORTED", `unsupported content-type: ${type}`, 422);
+
+    return { finalUrl: current, html: r.body, contentType: type };
+  }
+  throw urlError("URL_FETCH_FAILED", "too many redirects", 422);
+}
+
+// =====================
+// EXTRACTION
+// =====================
+
+function metaContent(html, names) {
+  for (const name of names) {
+    const re = new RegExp(
+      `<meta[^>]+(?:name|property|itemprop)=["']${name}["'][^>]*>`,
+      "i"
+    );
+    const tag = (html.match(re) || [])[0];
+    if (!tag) continue;
+    const m = tag.match(/content=["']([^"']*)["']/i);
+    if (m && stripSpaces(m[1])) return stripSpaces(decodeEntities(m[1]));
+  }
+  return "";
+}
+
+function jsonLdObjects(html) {
+  const out = [];
+  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    try {
+      const j = JSON.parse(m[1].trim());
+      const list = Array.isArray(j) ? j : j["@graph"] ? j["@graph"] : [j];
+      for (const o of list) if (o && typeof o === "object") out.push(o);
+    } catch {
+      // broken JSON-LD is common, ignore
+    }
+  }
+  return out;
+}
+
+function ldAuthor(a) {
+  if (!a) return "";
+  if (typeof a === "string") return a;
+  if (Array.isArray(a)) return a.map(ldAuthor).filter(Boolean).join(", ");
+  return a.name || "";
+}
+
+function toIsoDate(s) {
+  const d = new Date(s || "");
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function extractMetadata(html, pageUrl) {
+  const ld = jsonLdObjects(html).find((o) => /article|posting|report/i.test(String(o["@type"] || ""))) || {};
+
+  const title =
+    metaContent(html, ["og:title", "twitter:title"]) ||
+    stripSpaces(ld.headline || "") ||
+    htmlToText((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || "") ||
+    htmlToText((html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i) || [])[1] || "");
+
+  const byline =
+    metaContent(html, ["author", "article:author", "parsely-author", "sailthru.author"]) ||
+    stripSpaces(ldAuthor(ld.author)) ||
+    htmlToText((html.match(/<[^>]+(?:class|rel)=["'][^"']*\b(?:byline|author)\b[^"']*["'][^>]*>([\s\S]*?)<\/[a-z]+>/i) || [])[1] || "")
+      .replace(/^(by|par)\s+/i, "")
+      .slice(0, 120);
+
+  const published =
+    metaContent(html, ["article:published_time", "datePublished", "pubdate", "date", "dc.date", "og:published_time"]) ||
+    ld.datePublished ||
+    ((html.match(/<time[^>]+datetime=["']([^"']+)["']/i) || [])[1] || "");
+
+  const canonicalRaw =
+    ((html.match(/<link[^>]+rel=["']canonical["'][^>]*>/i) || [])[0] || "").match(/href=["']([^"']+)["']/i)?.[1] ||
+    metaContent(html, ["og:url"]) ||
+    pageUrl;
+
+  let canonicalUrl = pageUrl;
+  try {
+    canonicalUrl = normalizeUrl(new URL(decodeEntities(canonicalRaw), pageUrl).toString());
+  } catch {
+    // keep page url
+  }
+
+  const siteName =
+    metaContent(html, ["og:site_name", "application-name"]) ||
+    stripSpaces(ld.publisher?.name || "");
+
+  const lang = safeLower((html.match(/<html[^>]+lang=["']([^"']+)["']/i) || [])[1] || "").slice(0, 5);
+
+  return {
+    title,
+    byline: byline || null,
+    publishedAt: toIsoDate(published),
+    canonicalUrl,
+    siteName: siteName || null,
+    // Reliability is judged on the host actually serving the page (canonical can point anywhere)
+    publisher: domainOf(pageUrl),
+    lang: lang || null,
+  };
+}
+
+function extractBodyText(html) {
+  let h = (html || "")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|svg|iframe|form|nav|header|footer|aside|figure|button)\b[\s\S]*?<\/\1>/gi, " ");
+
+  // Prefer <article> (largest one), then <main>, then the whole body
+  const articles = h.match(/<article\b[\s\S]*?<\/article>/gi) || [];
+  if (articles.length) {
+    h = articles.sort((a, b) => b.length - a.length)[0];
+  } else {
+    const main = h.match(/<main\b[\s\S]*?<\/main>/i);
+    if (main) h = main[0];
+  }
+
+  const paragraphs = [];
+  const re = /<(p|h2|h3|li|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = re.exec(h))) {
+    const t = htmlToText(m[2]);
+    // Drop boilerplate fragments (share buttons, "Read more", cookie notes)
+    if (t.length >= 40 || (m[1] !== "li" && t.length >= 20 && /[.!?…]$/.test(t))) paragraphs.push(t);
+  }
+
+  if (paragraphs.length) return paragraphs.join("\n");
+  return htmlToText(h);
+}
+
+// =====================
+// SUMMARY (extractive: word-frequency + position)
+// =====================
+
+function summarizeExtractive(text, { maxSentences = 3, maxChars = 600 } = {}) {
+  const sentences = segmentSentences(text).filter((s) => s.length >= 30);
+  if (!sentences.length) return "";
+  if (sentences.length <= maxSentences) return sentences.join(" ").slice(0, maxChars);
+
+  const words = (s) =>
+    safeLower(s)
+      .replace(/[^a-z0-9\s\u00C0-\u017F]/gi, " ")
+      .split(/\s+/)
+      .filter((w) => w.length > 2 && !SUMMARY_STOPWORDS.has(w));
+
+  const freq = new Map();
+  for (const s of sentences) for (const w of words(s)) freq.set(w, (freq.get(w) || 0) + 1);
+  const maxFreq = Math.max(1, ...freq.values());
+
+  const scored = sentences.map((s, i) => {
+    const ws = words(s);
+    const base = ws.length ? ws.reduce((n, w) => n + freq.get(w) / maxFreq, 0) / ws.length : 0;
+    const position = i === 0 ? 0.3 : i < 3 ? 0.15 : 0; // lead sentences carry the story
+    return { s, i, score: base + position };
+  });
+
+  const picked = scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.i - b.i)
+    .map((x) => x.s);
+
+  let out = "";
+  for (const s of picked) {
+    if ((out + " " + s).trim().length > maxChars) break;
+    out = (out + " " + s).trim();
+  }
+  return out || picked[0].slice(0, maxChars);
+}
+
+// =====================
+// PUBLIC
+// =====================
+
+async function fetchArticle(url, { timeoutMs = 8000 } = {}) {
+  const { finalUrl, html, contentType } = await fetchHtml(url, timeoutMs);
+
+  const isHtml = !contentType || contentType.includes("html") || /<html|<body|<p\b/i.test(html);
+  const meta = isHtml ? extractMetadata(html, finalUrl) : { canonicalUrl: normalizeUrl(finalUrl), publisher: domainOf(finalUrl) };
+  const text = isHtml ? extractBodyText(html) : stripSpaces(html);
+
+  if (!stripSpaces(text)) throw urlError("URL_NO_CONTENT", "no readable article text found", 422);
+
+  return {
+    url: normalizeUrl(url),
+    finalUrl: normalizeUrl(finalUrl),
+    title: meta.title || "",
+    byline: meta.byline || null,
+    publishedAt: meta.publishedAt || null,
+    canonicalUrl: meta.canonicalUrl || normalizeUrl(finalUrl),
+    siteName: meta.siteName || null,
+    publisher: meta.publisher || domainOf(finalUrl),
+    lang: meta.lang || null,
+    text,
+  };
+}
+
+module.exports = {
+  fetchArticle,
+  assertFetchableUrl,
+  guardedRequest,
+  isPrivateAddress,
+  extractMetadata,
+  extractBodyText,
+  summarizeExtractive,
+};
@@ -0,0 +1,48 @@
+// =====================
+// BATCH HELPERS — bounded-concurrency map (results in input order, one
+// failure never rejects the whole batch) + shared paid-query budgets.
+// =====================
+
+// fn(item, index) -> value; returns [{ ok: true, value } | { ok: false, error }] in input order
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        out[i] = { ok: true, value: await fn(items[i], i) };
+      } catch (error) {
+        out[i] = { ok: false, error };
+      }
+    }
+  }
+
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
+
+// Paid provider queries (a whole batch, or one analysis and its claims); take() reserves
+// one before the call so concurrent items cannot overshoot, refund() gives it back unused.
+function createQueryBudget(max) {
+  let used = 0;
+  let refused = 0;
+  return {
+    take() {
+      if (used >= max) {
+        refused++;
+        return false;
+      }
+      used++;
+      return true;
+    },
+    refund() {
+      used = Math.max(0, used - 1);
+    },
+    snapshot: () => ({ max, used, refused, exhausted: refused > 0 }),
+  };
+}
+
+module.exports = { mapWithConcurrency, createQueryBudget };
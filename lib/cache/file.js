@@ -0,0 +1,71 @@
+// =====================
+// FILE CACHE — memory LRU persisted as a JSON snapshot (survives restarts)
+// Writes are debounced and atomic (tmp file + rename).
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memory");
+
+const SAVE_DEBOUNCE_MS = 2000;
+
+function createFileStore({ filePath, maxEntries, ttlMs }) {
+  const mem = createMemoryStore({ maxEntries, ttlMs });
+  let timer = null;
+  let dirty = false;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    mem.restore(raw.entries);
+    console.log(`🗄️ CACHE (file): loaded ${mem.info().entries} entries from ${filePath}`);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.log("⚠️ CACHE (file): could not load snapshot:", e.message);
+  }
+
+  function saveNow() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+    dirty = false;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, savedAt: Date.now(), entries: mem.snapshot() }));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.log("⚠️ CACHE (file): save failed:", e.message);
+    }
+  }
+
+  function scheduleSave() {
+    dirty = true;
+    if (timer) return;
+    timer = setTimeout(saveNow, SAVE_DEBOUNCE_MS);
+    timer.unref();
+  }
+
+  return {
+    ...mem,
+    name: "file",
+
+    async set(key, value) {
+      await mem.set(key, value);
+      scheduleSave();
+    },
+
+    async delete(key) {
+      await mem.delete(key);
+      scheduleSave();
+    },
+
+    info() {
+      return { ...mem.info(), filePath };
+    },
+
+    async close() {
+      saveNow();
+    },
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,70 @@
+// =====================
+// SEARCH CACHE — pluggable backend (memory | file | redis) + hit/miss counters
+// =====================
+
+const path = require("path");
+const { createMemoryStore } = require("./memory");
+const { createFileStore } = require("./file");
+const { createRedisStore } = require("./redis");
+const { stateDir } = require("../jsonStore");
+
+function createSearchCache({ env = process.env } = {}) {
+  const backend = String(env.SEARCH_CACHE_BACKEND || "memory").toLowerCase();
+  const ttlMs = Number.parseInt(env.SEARCH_CACHE_TTL_MS || String(7 * 24 * 60 * 60 * 1000), 10); // 7 jours
+  const maxEntries = Number.parseInt(env.SEARCH_CACHE_MAX_ENTRIES || "5000", 10);
+
+  let store;
+  if (backend === "file") {
+    const filePath = env.SEARCH_CACHE_FILE || path.join(stateDir(env), "search-cache.json");
+    store = createFileStore({ filePath, maxEntries, ttlMs });
+  } else if (backend === "redis") {
+    store = createRedisStore({ redisUrl: env.REDIS_URL, maxEntries, ttlMs });
+  } else {
+    store = createMemoryStore({ maxEntries, ttlMs });
+  }
+
+  const counters = { hits: 0, similarHits: 0, misses: 0, writes: 0, errors: 0 };
+
+  // A broken cache must never break an analysis: errors count as misses
+  async function safe(fn, fallback) {
+    try {
+      return await fn();
+    } catch (e) {
+      counters.errors++;
+      console.log(`⚠️ CACHE (${store.name}) error:`, e?.message || e);
+      return fallback;
+    }
+  }
+
+  return {
+    backend: store.name,
+    ttlMs,
+    get: (key) => safe(() => store.get(key), null),
+    set: (key, value) => safe(async () => {
+      await store.set(key, value);
+      counters.writes++;
+    }),
+    delete: (key) => safe(() => store.delete(key)),
+    keys: () => safe(() => store.keys(), []),
+    size: () => safe(() => store.size(), 0),
+    recordHit(similar) {
+      if (similar) counters.similarHits++;
+      else counters.hits++;
+    },
+    recordMiss() {
+      counters.misses++;
+    },
+    stats() {
+      const lookups = counters.hits + counters.similarHits + counters.misses;
+      return {
+        backend: store.name,
+        ...counters,
+        hitRate: lookups ? Number(((counters.hits + counters.similarHits) / lookups).toFixed(3)) : 0,
+        ...store.info(),
+      };
+    },
+    close: () => safe(() => store.close()),
+  };
+}
+
+module.exports = { createSearchCache };
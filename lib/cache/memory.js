@@ -0,0 +1,85 @@
+// =====================
+// MEMORY CACHE — LRU (Map order = recency, oldest first) + TTL
+// =====================
+
+function createMemoryStore({ maxEntries = 5000, ttlMs }) {
+  const map = new Map(); // key -> { ts, value }
+  let evictions = 0;
+
+  const isExpired = (entry, now) => now - entry.ts > ttlMs;
+
+  function evictOverflow() {
+    while (map.size > maxEntries) {
+      map.delete(map.keys().next().value);
+      evictions++;
+    }
+  }
+
+  function pruneExpired() {
+    const now = Date.now();
+    for (const [k, entry] of map) {
+      if (isExpired(entry, now)) {
+        map.delete(k);
+        evictions++;
+      }
+    }
+  }
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      if (isExpired(entry, Date.now())) {
+        map.delete(key);
+        evictions++;
+        return null;
+      }
+      // bump recency (TTL still counts from the original write)
+      map.delete(key);
+      map.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value) {
+      map.delete(key);
+      map.set(key, { ts: Date.now(), value });
+      evictOverflow();
+    },
+
+    async delete(key) {
+      map.delete(key);
+    },
+
+    async keys() {
+      pruneExpired();
+      return [...map.keys()];
+    },
+
+    async size() {
+      return map.size;
+    },
+
+    info() {
+      return { entries: map.size, maxEntries, evictions };
+    },
+
+    // Used by the file backend to persist / restore (oldest first)
+    snapshot() {
+      return [...map.entries()];
+    },
+
+    restore(entries) {
+      const now = Date.now();
+      for (const [k, entry] of entries || []) {
+        if (entry && typeof entry.ts === "number" && !isExpired(entry, now)) map.set(k, entry);
+      }
+      evictOverflow();
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,72 @@
+// =====================
+// REDIS CACHE — values with PX TTL + a sorted set for LRU order / max entries
+// =====================
+
+const { createRedisClient } = require("../redis");
+
+function createRedisStore({ redisUrl, prefix = "ia11:search:", maxEntries, ttlMs }) {
+  const client = createRedisClient(redisUrl);
+  const lruKey = `${prefix}__lru`;
+  let evictions = 0;
+
+  async function evictOverflow() {
+    const size = await client.command("ZCARD", lruKey);
+    const extra = size - maxEntries;
+    if (extra <= 0) return;
+    const oldest = await client.command("ZRANGE", lruKey, 0, extra - 1);
+    if (!oldest.length) return;
+    await client.command("DEL", ...oldest.map((k) => prefix + k));
+    await client.command("ZREM", lruKey, ...oldest);
+    evictions += oldest.length;
+  }
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const raw = await client.command("GET", prefix + key);
+      if (raw === null) {
+        await client.command("ZREM", lruKey, key);
+        return null;
+      }
+      await client.command("ZADD", lruKey, Date.now(), key);
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, value) {
+      await client.command("SET", prefix + key, JSON.stringify(value), "PX", Math.max(1, Math.round(ttlMs)));
+      await client.command("ZADD", lruKey, Date.now(), key);
+      await evictOverflow();
+    },
+
+    async delete(key) {
+      await client.command("DEL", prefix + key);
+      await client.command("ZREM", lruKey, key);
+    },
+
+    // Members whose value already expired are dropped lazily on get()
+    async keys() {
+      // anything not touched within the TTL is expired for sure
+      await client.command("ZREMRANGEBYSCORE", lruKey, "-inf", Date.now() - ttlMs);
+      return client.command("ZRANGE", lruKey, 0, -1);
+    },
+
+    async size() {
+      return client.command("ZCARD", lruKey);
+    },
+
+    info() {
+      return { maxEntries, evictions, redis: true };
+    },
+
+    async close() {
+      client.close();
+    },
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,139 @@
+// =====================
+// CLAIMS — split content into sentences and rank the check-worthy ones
+// =====================
+
+const { stripSpaces, normalizeQuery, tokenize, jaccard, similarityScore } = require("./text");
+
+const MAX_CLAIM_LEN = 180;
+// Long pages: sentences after that are not considered (bounds the near-duplicate pass)
+const MAX_SENTENCES = 400;
+const DUPLICATE_SIMILARITY = 0.85;
+const MAX_LEVENSHTEIN_PAIRS = 300; // then token overlap alone decides
+
+// "Dr. Smith", "M. Macron", "etc. and", "vs. them" must not end a sentence
+const ABBREV_END = /(?:^|\s)(?:mr|mrs|ms|dr|prof|st|ste|vs|etc|inc|ltd|jr|sr|fig|approx|env|cf|pp|mme|mmes|mm|gen|gov|sen|rep)\.$/i;
+const INITIAL_END = /(?:^|[\s.])\p{Lu}\.$/u; // "J. Doe", "U.S."
+// Also words ("the answer is no.", "500 m."): abbreviations only before a number ("No. 5", "p. 12")
+const NUMBERED_ABBREV_END = /(?:^|\s)(?:no|p|vol|art)\.$/i;
+
+const OPINION = /(je pense|je crois|opinion|i think|i believe|i feel|feel like|j'aime|j’aime|à mon avis|a mon avis|imo|imho|selon moi|in my view)/i;
+const FACTUAL_VERB = wordsRe([
+  "is", "are", "was", "were", "has", "have", "had", "will", "causes?", "caused", "kills?", "killed", "costs?",
+  "measures?", "reache[sd]", "reach", "represents?", "contains?",
+  "est", "sont", "[ée]tait", "[ée]taient", "ont", "avait", "sera", "seront", "mesure", "compte", "co[uû]te",
+  "provoque", "cause", "tue", "repr[ée]sente", "contient", "atteint",
+]);
+const ATTRIBUTION = wordsRe([
+  "according to", "reported", "announced", "said", "states?",
+  "selon", "d['’]apr[eè]s", "a annonc[ée]", "a d[ée]clar[ée]", "affirme",
+]);
+
+// Word-boundary match that also works for accented words (\b is ASCII-only)
+function wordsRe(words) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join("|")})(?![\\p{L}\\p{N}])`, "iu");
+}
+
+function splitPieces(line) {
+  const pieces = line.match(/[^.!?…]+(?:[.!?…]+|$)/g) || [];
+  const out = [];
+  for (const piece of pieces) {
+    const prev = out[out.length - 1];
+    // Join when the "boundary" is not followed by a space (3.5, U.S., site.com)
+    // or when the previous piece ends with an abbreviation / initial.
+    const numbered = NUMBERED_ABBREV_END.test(prev || "") && /^\s+\d/.test(piece);
+    if (prev && (!/^\s/.test(piece) || ABBREV_END.test(prev) || INITIAL_END.test(prev) || numbered)) {
+      out[out.length - 1] = prev + piece;
+    } else {
+      out.push(piece);
+    }
+  }
+  return out;
+}
+
+function segmentSentences(text) {
+  const lines = (text || "").toString().split(/\n+/);
+  const sentences = [];
+  for (const line of lines) {
+    for (const piece of splitPieces(line)) {
+      const s = stripSpaces(piece)
+        .replace(/^(?:[-*•–>]+|\d{1,2}[.)])\s+/, "")
+        .trim();
+      if (s) sentences.push(s);
+    }
+  }
+  return sentences;
+}
+
+// 0..1 — how much a sentence looks like a checkable factual statement
+function checkWorthiness(sentence) {
+  const s = stripSpaces(sentence);
+  if (!s) return 0;
+
+  let score = 0.3;
+  if (/\d/.test(s)) score += 0.2;
+  if (/\b(1[5-9]|20)\d{2}\b/.test(s)) score += 0.1;
+  if (FACTUAL_VERB.test(s)) score += 0.15;
+  if (/\s\p{Lu}[\p{Ll}\p{Lu}]{2,}/u.test(s)) score += 0.1; // named entity after the first word
+  if (ATTRIBUTION.test(s)) score += 0.05;
+
+  if (/\?\s*$/.test(s)) score -= 0.3;
+  if (OPINION.test(s)) score -= 0.3;
+  if (s.length < 25) score -= 0.2;
+  if (s.length > 300) score -= 0.1;
+  if (s.split(" ").length < 4) score -= 0.15;
+
+  return Math.max(0, Math.min(1, Number(score.toFixed(2))));
+}
+
+function clipClaim(s) {
+  if (s.length <= MAX_CLAIM_LEN) return s;
+  const cut = s.slice(0, MAX_CLAIM_LEN);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > MAX_CLAIM_LEN * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[,;:]$/, "");
+}
+
+// similarityScore = 0.65 * jaccard + 0.35 * (Levenshtein similarity <= 1): the
+// Levenshtein part only runs when the token overlap alone can reach the threshold,
+// and at most budget.pairs times per text (same words reordered over and over)
+function nearDuplicate(a, b, budget) {
+  const jac = jaccard(a.tokens, b.tokens);
+  if (0.65 * jac + 0.35 < DUPLICATE_SIMILARITY) return false;
+  if (budget.pairs-- <= 0) return jac >= DUPLICATE_SIMILARITY;
+  return similarityScore(a.text, b.text) >= DUPLICATE_SIMILARITY;
+}
+
+// Returns the top `max` claims, best first: [{ id, text, position, checkWorthiness }]
+function extractClaims(text, { max = 3, minWorthiness = 0.25 } = {}) {
+  const sentences = segmentSentences(text).slice(0, MAX_SENTENCES);
+
+  const candidates = [];
+  const seen = new Set(); // normalized texts: exact repeats without any scoring
+  const budget = { pairs: MAX_LEVENSHTEIN_PAIRS };
+  sentences.forEach((sentence, position) => {
+    const claimText = clipClaim(sentence.replace(/[.!…]+$/, ""));
+    if (!claimText) return;
+    // Skip near-duplicates (repeated headline, copy/paste)
+    const key = normalizeQuery(claimText);
+    if (key && seen.has(key)) return;
+    seen.add(key);
+    const cand = { text: claimText, tokens: tokenize(key) };
+    if (candidates.some((c) => nearDuplicate(c, cand, budget))) return;
+    candidates.push({ ...cand, position, checkWorthiness: checkWorthiness(sentence) });
+  });
+
+  const ranked = candidates
+    .slice()
+    .sort((a, b) => b.checkWorthiness - a.checkWorthiness || a.position - b.position);
+
+  // Keep check-worthy claims; if nothing qualifies, still return the best sentence
+  let kept = ranked.filter((c) => c.checkWorthiness >= minWorthiness);
+  if (!kept.length) kept = ranked.slice(0, 1);
+
+  return kept.slice(0, Math.max(1, max)).map(({ tokens, ...c }, i) => ({ id: `c${i + 1}`, ...c }));
+}
+
+module.exports = {
+  segmentSentences,
+  checkWorthiness,
+  extractClaims,
+};
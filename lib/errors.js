@@ -0,0 +1,99 @@
+// =====================
+// ERRORS — one envelope for every failure, produced by errorMiddleware:
+//   { status: "error", code, error: "<readable message>", details? }
+// `code` is stable (clients switch on it). `error` stays a string so older
+// clients that only display it keep working.
+// =====================
+
+// code -> HTTP status (also the ErrorCode enum of /openapi.json)
+const ERROR_CODES = {
+  INVALID_JSON: 400,
+  VALIDATION_FAILED: 400,
+  CONTENT_REQUIRED: 400,
+  UNAUTHORIZED: 401,
+  ADMIN_UNAUTHORIZED: 401,
+  ORIGIN_NOT_ALLOWED: 403,
+  PLAN_NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  BATCH_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  CLIENT_CLOSED: 499, // the caller went away (SSE): metered, never sent
+  CALLBACKS_DISABLED: 400,
+  URL_INVALID: 400,
+  URL_FORBIDDEN: 400,
+  URL_FETCH_FAILED: 422,
+  URL_UNSUPPORTED: 422,
+  IMAGE_INVALID: 400,
+  IMAGE_TOO_LARGE: 413,
+  IMAGE_UNSUPPORTED: 415,
+  REGISTRY_INVALID: 422,
+  INTERNAL_ERROR: 500,
+  SEARCH_UNAVAILABLE: 503,
+  JOB_QUEUE_FULL: 503,
+  OCR_DISABLED: 503,
+  OCR_TIMEOUT: 504,
+};
+
+// Errors thrown with an httpStatus but no (known) code
+const CODE_BY_STATUS = {
+  400: "VALIDATION_FAILED",
+  401: "UNAUTHORIZED",
+  403: "PLAN_NOT_ALLOWED",
+  404: "NOT_FOUND",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMITED",
+  503: "SEARCH_UNAVAILABLE",
+};
+
+function apiError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.httpStatus = ERROR_CODES[code] || 500;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+// Any thrown value -> { httpStatus, body }
+function toErrorEnvelope(err) {
+  let code = err?.code;
+  let httpStatus = err?.httpStatus;
+  let message = err?.message;
+
+  // express.json() failures
+  if (err?.type === "entity.parse.failed") {
+    code = "INVALID_JSON";
+    message = "request body is not valid JSON";
+  } else if (err?.type === "entity.too.large") {
+    code = "PAYLOAD_TOO_LARGE";
+    message = "request body too large";
+  }
+
+  if (!ERROR_CODES[code]) code = CODE_BY_STATUS[httpStatus] || "INTERNAL_ERROR";
+  httpStatus = httpStatus || ERROR_CODES[code];
+  // Unexpected failures: do not leak internals
+  if (code === "INTERNAL_ERROR") message = "Internal error";
+
+  const body = { status: "error", code, error: message || code };
+  if (err?.details !== undefined) body.details = err.details;
+  return { httpStatus, body };
+}
+
+// Express 4 does not forward rejected promises: async handlers go through this
+function asyncRoute(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+function notFoundMiddleware(req, res, next) {
+  next(apiError("NOT_FOUND", `No route for ${req.method} ${req.path}`));
+}
+
+// Last middleware of the app
+function errorMiddleware(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const { httpStatus, body } = toErrorEnvelope(err);
+  if (httpStatus >= 500) console.log(`❌ ${req.method} ${req.path} -> ${body.code}:`, err?.stack || err?.message || err);
+  return res.status(httpStatus).json(body);
+}
+
+module.exports = { ERROR_CODES, apiError, toErrorEnvelope, asyncRoute, notFoundMiddleware, errorMiddleware };
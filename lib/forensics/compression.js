@@ -0,0 +1,163 @@
+// =====================
+// RECOMPRESSION TESTS — error-level analysis (ELA) and JPEG "ghosts"
+// Both recompress pixels with jpeg-js, on an 8-aligned centre crop so the cost
+// stays bounded on big images (and the original JPEG block grid is kept).
+// =====================
+
+const jpeg = require("jpeg-js");
+
+const BLOCK = 16;
+
+// Centre crop, offsets/sizes multiple of 8, at most maxPixels
+function crop8(pix, maxPixels) {
+  const { width, height } = pix;
+  let w = width;
+  let h = height;
+  if (w * h > maxPixels) {
+    const f = Math.sqrt(maxPixels / (w * h));
+    w = Math.max(8, Math.floor((w * f) / 8) * 8);
+    h = Math.max(8, Math.floor((h * f) / 8) * 8);
+  }
+  w = Math.min(width, w);
+  h = Math.min(height, h);
+  if (w === width && h === height) return pix;
+
+  const x0 = Math.floor((width - w) / 16) * 8;
+  const y0 = Math.floor((height - h) / 16) * 8;
+  const data = Buffer.alloc(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    const src = ((y0 + y) * width + x0) * 4;
+    data.set(pix.data.subarray(src, src + w * 4), y * w * 4);
+  }
+  return { data, width: w, height: h };
+}
+
+function recompress(pix, quality) {
+  const enc = jpeg.encode({ data: pix.data, width: pix.width, height: pix.height }, quality);
+  return jpeg.decode(enc.data, { useTArray: true, formatAsRGBA: true });
+}
+
+function lumaAt(d, i) {
+  return 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+}
+
+function median(list) {
+  if (!list.length) return 0;
+  const s = [...list].sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+}
+
+// ELA: regions pasted/retouched after the last save recompress differently from
+// their surroundings. Blocks are compared with blocks of similar texture only.
+function errorLevelAnalysis(pix, { quality = 90, maxPixels = 1500000 } = {}) {
+  const src = crop8(pix, maxPixels);
+  const re = recompress(src, quality);
+  const { width, height } = src;
+  const bw = Math.floor(width / BLOCK);
+  const bh = Math.floor(height / BLOCK);
+  if (bw < 2 || bh < 2) return null;
+
+  const blocks = [];
+  let total = 0;
+  for (let by = 0; by < bh; by++) {
+    for (let bx = 0; bx < bw; bx++) {
+      let err = 0;
+      let sum = 0;
+      let sum2 = 0;
+      for (let y = by * BLOCK; y < (by + 1) * BLOCK; y++) {
+        for (let x = bx * BLOCK; x < (bx + 1) * BLOCK; x++) {
+          const i = (y * width + x) * 4;
+          const a = lumaAt(src.data, i);
+          err += Math.abs(a - lumaAt(re.data, i));
+          sum += a;
+          sum2 += a * a;
+        }
+      }
+      const n = BLOCK * BLOCK;
+      const mean = sum / n;
+      blocks.push({ bx, by, err: err / n, std: Math.sqrt(Math.max(0, sum2 / n - mean * mean)) });
+      total += err / n;
+    }
+  }
+
+  // Texture buckets (quartiles of block std): flat areas and edges have different normal error
+  const stds = blocks.map((b) => b.std).sort((a, b) => a - b);
+  const q = [stds[Math.floor(stds.length / 4)], stds[Math.floor(stds.length / 2)], stds[Math.floor((3 * stds.length) / 4)]];
+  const bucketOf = (s) => (s <= q[0] ? 0 : s <= q[1] ? 1 : s <= q[2] ? 2 : 3);
+  const medians = [0, 1, 2, 3].map((k) => median(blocks.filter((b) => bucketOf(b.std) === k).map((b) => b.err)));
+
+  const outlier = new Set();
+  for (const b of blocks) {
+    if (b.err > 3 * medians[bucketOf(b.std)] + 1.5) outlier.add(b.by * bw + b.bx);
+  }
+
+  // Edits are patches: isolated outliers are usually just noisy texture
+  let clustered = 0;
+  for (const id of outlier) {
+    const bx = id % bw;
+    const by = Math.floor(id / bw);
+    const near = [
+      [bx - 1, by],
+      [bx + 1, by],
+      [bx, by - 1],
+      [bx, by + 1],
+    ].some(([x, y]) => x >= 0 && y >= 0 && x < bw && y < bh && outlier.has(y * bw + x));
+    if (near) clustered++;
+  }
+
+  const outlierRatio = outlier.size / blocks.length;
+  const clusteredRatio = outlier.size ? clustered / outlier.size : 0;
+  // A few % of clustered outliers is suspicious; outliers everywhere is just noise
+  let suspicion = Math.min(1, outlierRatio / 0.04) * clusteredRatio;
+  if (outlierRatio > 0.35) suspicion *= 0.3;
+
+  return {
+    quality,
+    analyzedPixels: width * height,
+    meanError: Number((total / blocks.length).toFixed(2)),
+    outlierRatio: Number(outlierRatio.toFixed(4)),
+    clusteredRatio: Number(clusteredRatio.toFixed(2)),
+    suspicion: Number(suspicion.toFixed(2)),
+  };
+}
+
+// JPEG ghosts (Farid 2009): an image saved at Q1 then re-saved at Q0 > Q1 shows a
+// local minimum of recompression error at Q1, below the current quality.
+function jpegGhost(pix, currentQuality, { maxPixels = 147456 } = {}) {
+  if (!currentQuality || currentQuality < 55) return null;
+  const src = crop8(pix, maxPixels);
+
+  const curve = [];
+  for (let q = Math.max(30, currentQuality - 45); q <= currentQuality - 5; q += 5) {
+    const re = recompress(src, q);
+    let d = 0;
+    for (let i = 0; i < src.data.length; i += 4) {
+      const e = lumaAt(src.data, i) - lumaAt(re.data, i);
+      d += e * e;
+    }
+    curve.push({ quality: q, mse: d / (src.width * src.height) });
+  }
+
+  // Error normally falls as quality rises; a point below its higher-quality
+  // neighbour is the "ghost" of an earlier save at that quality.
+  let primaryQuality = null;
+  let depth = 0;
+  for (let i = 1; i < curve.length - 1; i++) {
+    const c = curve[i].mse;
+    if (c > curve[i - 1].mse) continue;
+    const dip = 1 - c / curve[i + 1].mse;
+    if (dip > 0.05 && dip > depth) {
+      depth = dip;
+      primaryQuality = curve[i].quality;
+    }
+  }
+
+  return {
+    suspected: primaryQuality !== null,
+    primaryQuality,
+    dipDepth: Number(depth.toFixed(3)),
+    curve: curve.map((p) => ({ quality: p.quality, mse: Number(p.mse.toFixed(2)) })),
+  };
+}
+
+module.exports = { errorLevelAnalysis, jpegGhost, crop8, recompress };
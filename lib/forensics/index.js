@@ -0,0 +1,219 @@
+// =====================
+// IMAGE FORENSICS — offline signals for /analyze-image
+// metadata (EXIF/XMP/PNG text), JPEG tables + ghosts, ELA, screenshot heuristics,
+// combined into a manipulation probability (log-odds) with a rationale.
+// Rationale entries are { id, effect, vars }: the route renders them via i18n.
+// CPU-heavy and synchronous: the route runs it in a thread (./runner).
+// =====================
+
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const { parsePng, parseWebp, metadataFromJpegSegments } = require("./metadata");
+const { parseJpeg, quantSummary } = require("./jpeg");
+const { errorLevelAnalysis, jpegGhost } = require("./compression");
+const { screenshotLikelihood } = require("./screenshot");
+
+const EDITING_SOFTWARE_RE =
+  /(photoshop|gimp|lightroom|affinity|pixelmator|snapseed|picsart|canva|facetune|paint\.net|photopea|fotor|meitu|illustrator|luminar|capture one|polarr|vsco|krita|inkscape|faceapp|remini|photoroom|airbrush|lensa)/i;
+
+const PRIOR_LOGIT = -2; // ~12% before looking at anything
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// EXIF "2024:05:01 10:22:03" / XMP ISO -> ms
+function parseDate(s) {
+  if (!s) return null;
+  const m = /^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(s));
+  if (!m) return null;
+  return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+}
+
+// Header size known (width/height): too big images are not decoded at all
+function decodePixels(format, buffer, { maxMegapixels, maxMemoryMB, width, height }) {
+  if (width && height && width * height > maxMegapixels * 1e6) return null;
+  try {
+    if (format === "jpeg") {
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: maxMegapixels, maxMemoryUsageInMB: maxMemoryMB });
+    }
+    if (format === "png") {
+      const png = PNG.sync.read(buffer);
+      if (png.width * png.height > maxMegapixels * 1e6) return null;
+      return { data: png.data, width: png.width, height: png.height };
+    }
+  } catch {
+    // corrupt / unsupported variant: metadata-only analysis
+  }
+  return null;
+}
+
+function analyzeImage(buffer, mime, { maxMegapixels = 12, maxMemoryMB = 256, elaMaxPixels = 1500000 } = {}) {
+  const format = String(mime || "").replace(/^image\//, "");
+  const out = {
+    format,
+    width: null,
+    height: null,
+    exif: null,
+    xmp: null,
+    pngText: null,
+    jpeg: null,
+    ela: null,
+    screenshot: null,
+    metadataFlags: [],
+    compressionArtifacts: "unknown",
+    manipulation: null,
+  };
+
+  // --- container + metadata
+  let jpegInfo = null;
+  let jpegMeta = null;
+  if (format === "jpeg") {
+    jpegInfo = parseJpeg(buffer);
+    jpegMeta = metadataFromJpegSegments(jpegInfo.segments);
+    out.width = jpegInfo.width;
+    out.height = jpegInfo.height;
+    out.exif = jpegMeta.exif;
+    out.xmp = jpegMeta.xmp;
+  } else if (format === "png") {
+    const p = parsePng(buffer);
+    out.width = p.width;
+    out.height = p.height;
+    out.exif = p.exif;
+    out.xmp = p.xmp;
+    out.pngText = Object.keys(p.text).length ? p.text : null;
+  } else if (format === "webp") {
+    const w = parseWebp(buffer);
+    out.width = w.width;
+    out.height = w.height;
+    out.exif = w.exif;
+    out.xmp = w.xmp;
+  }
+
+  const pixels = decodePixels(format, buffer, { maxMegapixels, maxMemoryMB, width: out.width, height: out.height });
+  if (pixels && !out.width) {
+    out.width = pixels.width;
+    out.height = pixels.height;
+  }
+
+  // --- compression
+  if (jpegInfo) {
+    const q = quantSummary(jpegInfo.quantTables);
+    out.jpeg = {
+      quality: q?.quality ?? null,
+      standardTables: q?.standardTables ?? null,
+      chromaQuality: q?.chromaQuality ?? null,
+      progressive: jpegInfo.progressive,
+      subsampling: jpegInfo.subsampling,
+      doubleCompression: pixels && q ? jpegGhost(pixels, q.quality) : null,
+    };
+  }
+  if (pixels) out.ela = errorLevelAnalysis(pixels, { maxPixels: elaMaxPixels });
+
+  if (format === "png" || format === "gif" || format === "bmp" || format === "tiff") out.compressionArtifacts = "none";
+  else if (out.jpeg?.quality) {
+    const levels = ["low", "medium", "high"];
+    let lvl = out.jpeg.quality >= 90 ? 0 : out.jpeg.quality >= 75 ? 1 : 2;
+    if (out.jpeg.doubleCompression?.suspected) lvl = Math.min(2, lvl + 1);
+    out.compressionArtifacts = levels[lvl];
+  }
+
+  // --- screenshot
+  out.screenshot = screenshotLikelihood({
+    format,
+    width: out.width,
+    height: out.height,
+    exif: out.exif,
+    xmp: out.xmp,
+    pngText: out.pngText,
+    pixels,
+  });
+
+  // --- flags + manipulation log-odds
+  const flags = [];
+  const rationale = [];
+  let logit = PRIOR_LOGIT;
+  const add = (id, effect, vars) => {
+    logit += effect;
+    rationale.push({ id, effect, vars: vars || null });
+  };
+
+  const exif = out.exif;
+  const xmp = out.xmp;
+  const camera = [exif?.make, exif?.model].filter(Boolean).join(" ");
+
+  if (exif) flags.push("exif");
+  if (xmp) flags.push("xmp");
+  if (exif?.gps) flags.push("gps");
+  if (camera) flags.push(`camera:${camera}`);
+  if (exif?.software) flags.push(`software:${exif.software}`);
+  if (xmp?.creatorTool && xmp.creatorTool !== exif?.software) flags.push(`software:${xmp.creatorTool}`);
+  if (jpegMeta?.photoshopIrb) flags.push("photoshop_irb");
+  if (exif?.thumbnail) flags.push("exif_thumbnail");
+  if (out.screenshot.reasons.includes("screenshot_metadata")) flags.push("screenshot_metadata");
+
+  const editor = [exif?.software, xmp?.creatorTool, ...(xmp?.historyAgents || []), out.pngText?.Software]
+    .filter(Boolean)
+    .find((s) => EDITING_SOFTWARE_RE.test(s));
+  if (editor || jpegMeta?.photoshopIrb) {
+    flags.push("editing_software");
+    add("editingSoftware", 1.6, { software: editor || "Adobe Photoshop" });
+  }
+
+  const editActions = (xmp?.historyActions || []).filter((a) => /saved|converted|derived|edited|produced/i.test(a));
+  if (editActions.length) {
+    flags.push("edit_history");
+    add("editHistory", 0.7, { actions: editActions.join(", ") });
+  }
+
+  const taken = parseDate(exif?.dateTimeOriginal) ?? parseDate(xmp?.createDate);
+  const modified = parseDate(exif?.dateTime) ?? parseDate(xmp?.modifyDate);
+  if (taken && modified && modified - taken > 60 * 1000) {
+    flags.push("modified_after_capture");
+    add("modifiedAfterCapture", 0.8);
+  }
+
+  const ghost = out.jpeg?.doubleCompression;
+  if (ghost?.suspected) {
+    flags.push("double_compression");
+    add("doubleCompression", 1.0, { quality: ghost.primaryQuality });
+  }
+
+  // Cameras ship their own tables; non-IJG tables without a camera point at an editor
+  if (out.jpeg && out.jpeg.standardTables === false && !camera && !editor) {
+    add("nonStandardTables", 0.3, { quality: out.jpeg.quality });
+  }
+
+  if (out.ela) {
+    if (out.ela.suspicion >= 0.3) {
+      flags.push("ela_inconsistent");
+      add("elaInconsistent", Number((1.2 * out.ela.suspicion).toFixed(2)), { percent: (out.ela.outlierRatio * 100).toFixed(1) });
+    } else if (out.ela.suspicion < 0.1) {
+      add("elaConsistent", -0.3);
+    }
+  }
+
+  if (format === "jpeg" && !exif && !xmp) {
+    flags.push("metadata_stripped");
+    add("metadataStripped", 0.2);
+  }
+
+  if (camera && exif?.dateTimeOriginal && !editor && !ghost?.suspected && !flags.includes("modified_after_capture")) {
+    add("cameraOriginal", -0.9, { camera });
+  }
+
+  // Informational: what pixel forensics cannot see
+  if (out.screenshot.likelihood >= 0.6) add("screenshotLimits", 0);
+  if (!pixels) add("noPixelAnalysis", 0, { format });
+
+  const probability = Number(sigmoid(logit).toFixed(2));
+  out.metadataFlags = flags;
+  out.manipulation = {
+    probability,
+    level: probability < 0.3 ? "low" : probability < 0.6 ? "medium" : "high",
+    rationale,
+  };
+  return out;
+}
+
+module.exports = { analyzeImage, EDITING_SOFTWARE_RE };
@@ -0,0 +1,125 @@
+// =====================
+// JPEG STRUCTURE — markers up to SOS, quantization tables, frame info
+// Quality is estimated against the IJG (libjpeg) tables: cameras and editors
+// that use their own tables show up as "non-standard".
+// =====================
+
+// Annex K tables, natural (row-major) order
+const STD_LUMA = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100,
+  103, 99,
+];
+const STD_CHROMA = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99),
+];
+
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56,
+  57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+function ijgTable(std, quality) {
+  const q = Math.max(1, Math.min(100, quality));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return std.map((v) => Math.max(1, Math.min(255, Math.floor((v * scale + 50) / 100))));
+}
+
+// -> { quality (1..100), standard (exact IJG match), meanAbsDiff }
+function estimateQuality(table, std = STD_LUMA) {
+  let best = { quality: 0, meanAbsDiff: Infinity };
+  for (let q = 1; q <= 100; q++) {
+    const ref = ijgTable(std, q);
+    let d = 0;
+    for (let i = 0; i < 64; i++) d += Math.abs(ref[i] - table[i]);
+    d /= 64;
+    if (d < best.meanAbsDiff) best = { quality: q, meanAbsDiff: d };
+  }
+  return { quality: best.quality, standard: best.meanAbsDiff === 0, meanAbsDiff: Number(best.meanAbsDiff.toFixed(2)) };
+}
+
+// Walk markers until the scan: APPn/COM payloads, DQT tables, SOF frame
+function parseJpeg(buf) {
+  const out = {
+    segments: [],
+    quantTables: {}, // id -> 64 values, natural order
+    width: null,
+    height: null,
+    progressive: false,
+    subsampling: null,
+    components: 0,
+  };
+  if (!(buf[0] === 0xff && buf[1] === 0xd8)) return out;
+
+  let o = 2;
+  let n = 0;
+  while (o + 4 <= buf.length && n++ < 500) {
+    if (buf[o] !== 0xff) break;
+    const marker = buf[o + 1];
+    if (marker === 0xff) {
+      o++; // fill byte
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      o += 2;
+      continue;
+    }
+    if (marker === 0xd9) break;
+
+    const len = buf.readUInt16BE(o + 2);
+    if (len < 2) break; // corrupt length: would loop or read backwards
+    const data = buf.slice(o + 4, Math.min(buf.length, o + 2 + len));
+    o += 2 + len;
+
+    if ((marker >= 0xe0 && marker <= 0xef) || marker === 0xfe) {
+      out.segments.push({ marker, data });
+    } else if (marker === 0xdb) {
+      let p = 0;
+      while (p < data.length) {
+        const precision = data[p] >> 4;
+        const id = data[p] & 0x0f;
+        p++;
+        if (p + 64 * (precision ? 2 : 1) > data.length) break; // truncated table
+        const table = new Array(64);
+        for (let i = 0; i < 64; i++) {
+          table[ZIGZAG[i]] = precision ? data.readUInt16BE(p + i * 2) : data[p + i];
+        }
+        p += precision ? 128 : 64;
+        out.quantTables[id] = table;
+      }
+    } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      if (data.length < 6) continue; // truncated frame header
+      out.progressive = marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce;
+      out.height = data.readUInt16BE(1);
+      out.width = data.readUInt16BE(3);
+      out.components = data[5];
+      if (out.components >= 3 && data.length >= 12) {
+        const y = data[7];
+        const cb = data[10];
+        const h = (y >> 4) / (cb >> 4 || 1);
+        const v = (y & 15) / (cb & 15 || 1);
+        out.subsampling = h === 2 && v === 2 ? "4:2:0" : h === 2 && v === 1 ? "4:2:2" : h === 1 && v === 1 ? "4:4:4" : `${h}x${v}`;
+      }
+    } else if (marker === 0xda) {
+      break; // entropy-coded data follows
+    }
+  }
+  return out;
+}
+
+// Luma + chroma quality summary for the response
+function quantSummary(quantTables) {
+  const luma = quantTables[0];
+  if (!luma) return null;
+  const l = estimateQuality(luma, STD_LUMA);
+  const c = quantTables[1] ? estimateQuality(quantTables[1], STD_CHROMA) : null;
+  return {
+    quality: l.quality,
+    standardTables: l.standard && (!c || c.standard),
+    lumaMeanAbsDiff: l.meanAbsDiff,
+    chromaQuality: c ? c.quality : null,
+  };
+}
+
+module.exports = { parseJpeg, estimateQuality, quantSummary, ijgTable, STD_LUMA, STD_CHROMA };
@@ -0,0 +1,212 @@
+// =====================
+// METADATA — EXIF (TIFF IFDs), XMP packets and PNG/WebP text chunks
+// Container walkers are bounded: corrupt offsets just end the walk.
+// =====================
+
+const zlib = require("zlib");
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0112: "orientation",
+  0x0131: "software",
+  0x0132: "dateTime",
+  0x013b: "artist",
+  0x8769: "exifIfd",
+  0x8825: "gpsIfd",
+};
+
+const EXIF_TAGS = {
+  0x9003: "dateTimeOriginal",
+  0x9004: "dateTimeDigitized",
+  0x9286: "userComment",
+  0xa002: "pixelWidth",
+  0xa003: "pixelHeight",
+  0xa434: "lensModel",
+  0x927c: "makerNote",
+};
+
+// TIFF block (starts with "II*\0" / "MM\0*") -> { make, model, software, dateTime, ... }
+function parseTiff(buf) {
+  if (!buf || buf.length < 8) return null;
+  const le = buf[0] === 0x49 && buf[1] === 0x49;
+  if (!le && !(buf[0] === 0x4d && buf[1] === 0x4d)) return null;
+
+  const u16 = (o) => (o + 2 <= buf.length ? (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o)) : 0);
+  const u32 = (o) => (o + 4 <= buf.length ? (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o)) : 0);
+
+  function readValue(type, count, valueOffset) {
+    const size = (TYPE_SIZE[type] || 1) * count;
+    const at = size <= 4 ? valueOffset : u32(valueOffset);
+    if (at + size > buf.length) return null;
+    if (type === 2) return buf.slice(at, at + count).toString("latin1").replace(/\0+$/, "").trim();
+    if (type === 3) return u16(at);
+    if (type === 4 || type === 9) return u32(at);
+    if (type === 7) return buf.slice(at, at + Math.min(count, 256));
+    return null;
+  }
+
+  function readIfd(offset, names, out) {
+    if (!offset || offset + 2 > buf.length) return 0;
+    const n = Math.min(u16(offset), 512);
+    for (let i = 0; i < n; i++) {
+      const e = offset + 2 + i * 12;
+      if (e + 12 > buf.length) break;
+      const tag = u16(e);
+      const name = names[tag];
+      if (!name) continue;
+      const v = readValue(u16(e + 2), u32(e + 4), e + 8);
+      if (v !== null && v !== "") out[name] = v;
+    }
+    return u32(offset + 2 + n * 12); // next IFD (IFD1 = thumbnail)
+  }
+
+  const out = {};
+  const ifd1 = readIfd(u32(4), IFD0_TAGS, out);
+  if (typeof out.exifIfd === "number") readIfd(out.exifIfd, EXIF_TAGS, out);
+
+  const result = {
+    make: out.make || null,
+    model: out.model || null,
+    software: out.software || null,
+    dateTime: out.dateTime || null,
+    dateTimeOriginal: out.dateTimeOriginal || null,
+    dateTimeDigitized: out.dateTimeDigitized || null,
+    orientation: out.orientation || null,
+    lensModel: out.lensModel || null,
+    pixelWidth: out.pixelWidth || null,
+    pixelHeight: out.pixelHeight || null,
+    gps: typeof out.gpsIfd === "number",
+    makerNote: !!out.makerNote,
+    thumbnail: !!ifd1,
+    userComment: null,
+  };
+  if (Buffer.isBuffer(out.userComment)) {
+    // 8-byte charset header ("ASCII\0\0\0", "UNICODE\0"...)
+    result.userComment = out.userComment.slice(8).toString("latin1").replace(/\0/g, "").trim() || null;
+  }
+  return result;
+}
+
+function xmpField(xml, name) {
+  const attr = new RegExp(`${name}="([^"]*)"`).exec(xml);
+  if (attr) return attr[1].trim();
+  const el = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+  if (!el) return null;
+  // rdf:Alt / rdf:Seq wrappers
+  const li = /<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/.exec(el[1]);
+  return (li ? li[1] : el[1]).replace(/<[^>]+>/g, "").trim() || null;
+}
+
+// XMP packet (XML string) -> the fields that matter for forensics
+function parseXmp(xml) {
+  if (!xml) return null;
+  const s = String(xml).slice(0, 512 * 1024);
+  const agents = [...s.matchAll(/stEvt:softwareAgent="([^"]+)"|<stEvt:softwareAgent>([^<]+)</g)].map((m) => (m[1] || m[2]).trim());
+  const actions = [...s.matchAll(/stEvt:action="([^"]+)"|<stEvt:action>([^<]+)</g)].map((m) => (m[1] || m[2]).trim());
+  return {
+    creatorTool: xmpField(s, "xmp:CreatorTool"),
+    createDate: xmpField(s, "xmp:CreateDate"),
+    modifyDate: xmpField(s, "xmp:ModifyDate"),
+    userComment: xmpField(s, "exif:UserComment"),
+    photoshop: /xmlns:photoshop=/.test(s),
+    historyAgents: [...new Set(agents)].slice(0, 10),
+    historyActions: [...new Set(actions)].slice(0, 10),
+  };
+}
+
+const XMP_JPEG_NS = "http://ns.adobe.com/xap/1.0/\0";
+
+// JPEG APPn segments (collected by jpeg.js) -> { exif, xmp, jfif, adobe, photoshopIrb, comments }
+function metadataFromJpegSegments(segments) {
+  const out = { exif: null, xmp: null, jfif: false, adobe: false, photoshopIrb: false, comments: [] };
+  for (const seg of segments) {
+    const d = seg.data;
+    if (seg.marker === 0xe1 && d.slice(0, 6).toString("latin1") === "Exif\0\0") out.exif = parseTiff(d.slice(6));
+    else if (seg.marker === 0xe1 && d.slice(0, XMP_JPEG_NS.length).toString("latin1") === XMP_JPEG_NS) {
+      out.xmp = parseXmp(d.slice(XMP_JPEG_NS.length).toString("utf8"));
+    } else if (seg.marker === 0xe0 && d.slice(0, 5).toString("latin1") === "JFIF\0") out.jfif = true;
+    else if (seg.marker === 0xed && d.slice(0, 13).toString("latin1") === "Photoshop 3.0") out.photoshopIrb = true;
+    else if (seg.marker === 0xee && d.slice(0, 5).toString("latin1") === "Adobe") out.adobe = true;
+    else if (seg.marker === 0xfe) out.comments.push(d.toString("latin1").slice(0, 200).trim());
+  }
+  return out;
+}
+
+// PNG chunks -> { width, height, text: {keyword: value}, exif, xmp, dpi }
+function parsePng(buf) {
+  const out = { width: null, height: null, text: {}, exif: null, xmp: null, dpi: null };
+  let o = 8;
+  let chunks = 0;
+  while (o + 12 <= buf.length && chunks++ < 2000) {
+    const len = buf.readUInt32BE(o);
+    const type = buf.slice(o + 4, o + 8).toString("latin1");
+    const data = buf.slice(o + 8, Math.min(buf.length, o + 8 + len));
+    o += 12 + len;
+
+    if (type === "IHDR" && data.length >= 8) {
+      out.width = data.readUInt32BE(0);
+      out.height = data.readUInt32BE(4);
+    } else if (type === "tEXt" || type === "zTXt" || type === "iTXt") {
+      const k = data.indexOf(0);
+      if (k <= 0) continue;
+      const key = data.slice(0, k).toString("latin1");
+      let value = "";
+      try {
+        if (type === "tEXt") value = data.slice(k + 1).toString("latin1");
+        else if (type === "zTXt") value = zlib.inflateSync(data.slice(k + 2)).toString("latin1");
+        else {
+          // keyword\0 flag method lang\0 translated\0 text
+          const compressed = data[k + 1] === 1;
+          let p = data.indexOf(0, k + 3);
+          p = data.indexOf(0, p + 1);
+          const raw = data.slice(p + 1);
+          value = (compressed ? zlib.inflateSync(raw) : raw).toString("utf8");
+        }
+      } catch {
+        continue;
+      }
+      if (key === "XML:com.adobe.xmp") out.xmp = parseXmp(value);
+      else out.text[key] = value.slice(0, 500);
+    } else if (type === "eXIf") {
+      out.exif = parseTiff(data);
+    } else if (type === "pHYs" && data.length >= 9 && data[8] === 1) {
+      out.dpi = Math.round(data.readUInt32BE(0) * 0.0254);
+    } else if (type === "IEND") break;
+  }
+  return out;
+}
+
+// WebP (RIFF) -> { width, height, exif, xmp }
+function parseWebp(buf) {
+  const out = { width: null, height: null, exif: null, xmp: null };
+  let o = 12;
+  let chunks = 0;
+  while (o + 8 <= buf.length && chunks++ < 1000) {
+    const type = buf.slice(o, o + 4).toString("latin1");
+    const len = buf.readUInt32LE(o + 4);
+    const data = buf.slice(o + 8, Math.min(buf.length, o + 8 + len));
+    o += 8 + len + (len % 2);
+
+    if (type === "VP8X" && data.length >= 10) {
+      out.width = 1 + data.readUIntLE(4, 3);
+      out.height = 1 + data.readUIntLE(7, 3);
+    } else if (type === "VP8 " && data.length >= 10 && !out.width) {
+      out.width = data.readUInt16LE(6) & 0x3fff;
+      out.height = data.readUInt16LE(8) & 0x3fff;
+    } else if (type === "VP8L" && data.length >= 5 && !out.width) {
+      const b = data.readUInt32LE(1);
+      out.width = 1 + (b & 0x3fff);
+      out.height = 1 + ((b >> 14) & 0x3fff);
+    } else if (type === "EXIF") {
+      out.exif = parseTiff(data.slice(0, 6).toString("latin1") === "Exif\0\0" ? data.slice(6) : data);
+    } else if (type === "XMP ") {
+      out.xmp = parseXmp(data.toString("utf8"));
+    }
+  }
+  return out;
+}
+
+module.exports = { parseTiff, parseXmp, parsePng, parseWebp, metadataFromJpegSegments };
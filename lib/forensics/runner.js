@@ -0,0 +1,79 @@
+// =====================
+// FORENSICS RUNNER — analyzeImage off the event loop (worker_threads)
+// Decoding + ELA + ghost recompressions take seconds on big images: each image
+// gets its own thread, at most FORENSICS_CONCURRENCY at once (others wait), and
+// a thread still running after FORENSICS_TIMEOUT_MS is terminated.
+// =====================
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const WORKER_FILE = path.join(__dirname, "worker.js");
+
+function intEnv(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function forensicsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createForensicsRunner({ env = process.env } = {}) {
+  const concurrency = Math.max(1, intEnv(env.FORENSICS_CONCURRENCY, 1));
+  const timeoutMs = intEnv(env.FORENSICS_TIMEOUT_MS, 15000);
+
+  let active = 0;
+  const waiting = []; // resolvers, FIFO
+
+  async function acquire() {
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next(); // the slot passes to the next image
+    else active--;
+  }
+
+  function runWorker(buffer, mime, options) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_FILE, { workerData: { buffer, mime, options } });
+      let settled = false;
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate().catch(() => {});
+        fn(value);
+      };
+      const timer = setTimeout(
+        () => settle(reject, forensicsError("FORENSICS_TIMEOUT", `image forensics timed out after ${timeoutMs} ms`)),
+        timeoutMs
+      );
+      worker.once("message", (msg) => (msg.ok ? settle(resolve, msg.result) : settle(reject, forensicsError("FORENSICS_FAILED", msg.error))));
+      worker.once("error", (e) => settle(reject, forensicsError("FORENSICS_FAILED", e.message)));
+      worker.once("exit", (code) => settle(reject, forensicsError("FORENSICS_FAILED", `forensics worker exited (${code})`)));
+    });
+  }
+
+  // Same options and result as analyzeImage; throws FORENSICS_TIMEOUT / FORENSICS_FAILED
+  async function analyze(buffer, mime, options = {}) {
+    await acquire();
+    try {
+      return await runWorker(buffer, mime, options);
+    } finally {
+      release();
+    }
+  }
+
+  return { analyze, concurrency: () => concurrency, timeoutMs: () => timeoutMs };
+}
+
+module.exports = { createForensicsRunner };
@@ -0,0 +1,139 @@
+// =====================
+// SCREENSHOT HEURISTICS — device resolutions, container/metadata hints and
+// rendered-UI pixel statistics (flat areas, status/navigation bars)
+// =====================
+
+// Physical screen sizes (portrait); landscape is matched too
+const DEVICE_RESOLUTIONS = [
+  // iPhone
+  [640, 1136], [750, 1334], [828, 1792], [1080, 1920], [1125, 2436], [1170, 2532], [1179, 2556], [1242, 2208],
+  [1242, 2688], [1284, 2778], [1290, 2796], [1206, 2622], [1320, 2868],
+  // Android
+  [720, 1280], [720, 1600], [1080, 2160], [1080, 2220], [1080, 2280], [1080, 2340], [1080, 2400], [1080, 2412],
+  [1440, 2560], [1440, 2960], [1440, 3040], [1440, 3088], [1440, 3120], [1440, 3200], [1344, 2992], [1280, 2856],
+  // Tablets
+  [1536, 2048], [1620, 2160], [1640, 2360], [1668, 2224], [1668, 2388], [2048, 2732], [1200, 1920], [1600, 2560],
+  // Desktop / laptop
+  [768, 1366], [900, 1440], [864, 1536], [900, 1600], [1050, 1680], [1080, 1920], [1200, 1920], [1440, 2560],
+  [1600, 2560], [1800, 2880], [1964, 3024], [2234, 3456], [2160, 3840], [1664, 2560], [1120, 1792],
+];
+
+const SCREENSHOT_SOFTWARE_RE = /(screenshot|screen ?shot|snipping|snip & sketch|greenshot|sharex|lightshot|flameshot|spectacle|shutter|screencapture|gnome-screenshot|capture d'écran)/i;
+
+function matchesDevice(width, height) {
+  if (!width || !height) return false;
+  const [a, b] = width < height ? [width, height] : [height, width];
+  return DEVICE_RESOLUTIONS.some(([w, h]) => w === a && h === b);
+}
+
+// Rendered UIs are full of exactly flat runs; camera photos almost never are
+function flatRatio(pix, step = 3) {
+  const { data, width, height } = pix;
+  let flat = 0;
+  let n = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x + 1 < width; x += step) {
+      const i = (y * width + x) * 4;
+      const d = Math.abs(data[i] - data[i + 4]) + Math.abs(data[i + 1] - data[i + 5]) + Math.abs(data[i + 2] - data[i + 6]);
+      if (d <= 3) flat++;
+      n++;
+    }
+  }
+  return n ? flat / n : 0;
+}
+
+// Share of a horizontal band taken by its dominant colour (quantized)
+function bandUniformity(pix, y0, y1) {
+  const { data, width } = pix;
+  const counts = new Map();
+  let n = 0;
+  for (let y = y0; y < y1; y += 2) {
+    for (let x = 0; x < width; x += 2) {
+      const i = (y * width + x) * 4;
+      const k = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+      counts.set(k, (counts.get(k) || 0) + 1);
+      n++;
+    }
+  }
+  if (!n) return { share: 0, color: null };
+  let best = 0;
+  let color = null;
+  for (const [k, c] of counts) {
+    if (c > best) {
+      best = c;
+      color = k;
+    }
+  }
+  return { share: best / n, color };
+}
+
+// Status bar (top) / navigation bar (bottom): a mostly uniform band whose colour
+// differs from the content right next to it, or a plain band in a flat UI
+function detectBars(pix) {
+  const { height } = pix;
+  const band = Math.max(12, Math.round(height * 0.035));
+  if (height < band * 4) return { statusBar: false, navBar: false };
+
+  const top = bandUniformity(pix, 0, band);
+  const belowTop = bandUniformity(pix, band, band * 2);
+  const bottom = bandUniformity(pix, height - band, height);
+  const aboveBottom = bandUniformity(pix, height - band * 2, height - band);
+
+  return {
+    statusBar: top.share >= 0.8 && (top.color !== belowTop.color || belowTop.share < 0.6),
+    navBar: bottom.share >= 0.8 && (bottom.color !== aboveBottom.color || aboveBottom.share < 0.6),
+  };
+}
+
+// -> { likelihood (0..1), reasons: [code] }
+function screenshotLikelihood({ format, width, height, exif, xmp, pngText, pixels }) {
+  let score = 0.15;
+  const reasons = [];
+
+  const software = [exif?.software, xmp?.creatorTool, pngText?.Software, pngText?.Description].filter(Boolean).join(" ");
+  const comment = [exif?.userComment, xmp?.userComment].filter(Boolean).join(" ");
+  if (SCREENSHOT_SOFTWARE_RE.test(software) || /screenshot/i.test(comment)) {
+    score += 0.55;
+    reasons.push("screenshot_metadata");
+  }
+
+  if (matchesDevice(width, height)) {
+    score += 0.3;
+    reasons.push("device_resolution");
+  }
+
+  if (format === "png") {
+    score += 0.1;
+    reasons.push("lossless_png");
+  }
+
+  const camera = !!(exif?.make || exif?.model) && !!exif?.dateTimeOriginal;
+  if (camera) {
+    score -= 0.45;
+    reasons.push("camera_exif");
+  }
+
+  if (pixels) {
+    const flat = flatRatio(pixels);
+    if (flat >= 0.55) {
+      score += 0.2;
+      reasons.push("flat_rendered_ui");
+    } else if (flat < 0.15) {
+      score -= 0.15;
+      reasons.push("photographic_texture");
+    }
+    const bars = detectBars(pixels);
+    if (bars.statusBar) {
+      score += 0.1;
+      reasons.push("status_bar");
+    }
+    if (bars.navBar) {
+      score += 0.05;
+      reasons.push("navigation_bar");
+    }
+  }
+
+  return { likelihood: Number(Math.max(0, Math.min(1, score)).toFixed(2)), reasons };
+}
+
+module.exports = { screenshotLikelihood, matchesDevice, flatRatio, detectBars, DEVICE_RESOLUTIONS };
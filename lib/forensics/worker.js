@@ -0,0 +1,13 @@
+// =====================
+// FORENSICS WORKER — runs analyzeImage for lib/forensics/runner.js, one image per thread
+// =====================
+
+const { parentPort, workerData } = require("worker_threads");
+const { analyzeImage } = require(".");
+
+const { buffer, mime, options } = workerData;
+try {
+  parentPort.postMessage({ ok: true, result: analyzeImage(Buffer.from(buffer), mime, options) });
+} catch (e) {
+  parentPort.postMessage({ ok: false, error: e.message });
+}
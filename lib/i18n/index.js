@@ -0,0 +1,92 @@
+// =====================
+// I18N — message catalogs (locales/*.json, flat keys) with locale fallback:
+// "pt-BR" -> "pt-br" -> "pt" -> "en". Placeholders: "{name}".
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_LOCALE = "en";
+const LOCALES_DIR = path.join(__dirname, "locales");
+
+function loadCatalogs(dir = LOCALES_DIR) {
+  const out = {};
+  for (const f of fs.readdirSync(dir)) {
+    if (!f.endsWith(".json")) continue;
+    out[f.slice(0, -5).toLowerCase()] = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+  }
+  return out;
+}
+
+const CATALOGS = loadCatalogs();
+const LOCALES = Object.keys(CATALOGS).sort();
+
+// "pt_BR" / "pt-br" / "PT" -> ["pt-br", "pt", "en"] (only locales we have)
+function localeChain(lang) {
+  const l = String(lang || "").trim().toLowerCase().replace(/_/g, "-");
+  const chain = [];
+  if (l) {
+    const parts = l.split("-");
+    for (let i = parts.length; i > 0; i--) chain.push(parts.slice(0, i).join("-"));
+  }
+  chain.push(DEFAULT_LOCALE);
+  return [...new Set(chain)].filter((c) => CATALOGS[c]);
+}
+
+// Best supported locale for a client language ("pt-BR" -> "pt", "ja" -> "en")
+function resolveLocale(lang) {
+  return localeChain(lang)[0] || DEFAULT_LOCALE;
+}
+
+function interpolate(str, vars) {
+  if (!vars) return str;
+  return str.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined || vars[k] === null ? m : String(vars[k])));
+}
+
+// Missing everywhere -> the key itself (visible, never throws)
+function t(lang, key, vars) {
+  for (const loc of localeChain(lang)) {
+    const msg = CATALOGS[loc][key];
+    if (typeof msg === "string") return interpolate(msg, vars);
+  }
+  return key;
+}
+
+// Bound translator: const tr = translator("de"); tr("label.credible")
+function translator(lang) {
+  return (key, vars) => t(lang, key, vars);
+}
+
+const placeholders = (s) => [...String(s).matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort().join(",");
+
+// Every locale must have exactly the keys of the default locale, with the same {placeholders}
+// -> { [locale]: { keys, missing: [key], extra: [key], badVars: [{ key, expected }] } }
+function catalogProblems(catalogs = CATALOGS) {
+  const base = catalogs[DEFAULT_LOCALE] || {};
+  const baseKeys = Object.keys(base);
+  const out = {};
+  for (const loc of Object.keys(catalogs).sort()) {
+    const cat = catalogs[loc];
+    out[loc] = {
+      keys: baseKeys.length,
+      missing: baseKeys.filter((k) => typeof cat[k] !== "string" || !cat[k].trim()),
+      extra: Object.keys(cat).filter((k) => !(k in base)),
+      badVars: baseKeys
+        .filter((k) => typeof cat[k] === "string" && placeholders(cat[k]) !== placeholders(base[k]))
+        .map((k) => ({ key: k, expected: placeholders(base[k]) })),
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  CATALOGS,
+  loadCatalogs,
+  localeChain,
+  resolveLocale,
+  t,
+  translator,
+  catalogProblems,
+};
@@ -0,0 +1,261 @@
+// =====================
+// JOBS — async analyses (POST /jobs, GET /jobs/:id) + signed webhook callbacks
+// One JSON file per job under state/jobs/ (atomic writes), so the queue survives
+// restarts: queued/running jobs are re-run, pending callbacks are re-scheduled.
+// =====================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJsonAtomic, stateDir } = require("./jsonStore");
+const { postSigned } = require("./webhooks");
+const { apiError, toErrorEnvelope } = require("./errors");
+
+const JOB_ID_RE = /^job_[a-f0-9]{16}$/;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 10 * 60 * 1000;
+
+function newJobId() {
+  return `job_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function intEnv(v, fallback) {
+  const n = Number.parseInt(v ?? "", 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// What GET /jobs/:id and the webhook expose (no tenant internals, no input text)
+function publicJob(job) {
+  if (!job) return null;
+  return {
+    jobId: job.id,
+    status: job.status,
+    analysisType: job.analysisType,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+    callback: job.callback
+      ? {
+          url: job.callback.url,
+          status: job.callback.status,
+          attempts: job.callback.attempts,
+          lastError: job.callback.lastError,
+          nextAttemptAt: job.callback.nextAttemptAt,
+          deliveredAt: job.callback.deliveredAt,
+        }
+      : null,
+  };
+}
+
+// run(job) -> { analysisType, result, usage } (throws on failure)
+// onFinished(job, { usage, latencyMs }) is called once per finished run (metering)
+function createJobQueue({ run, onFinished, env = process.env } = {}) {
+  const dir = env.JOBS_DIR || path.join(stateDir(env), "jobs");
+  const concurrency = Math.max(1, intEnv(env.JOBS_CONCURRENCY, 2));
+  const maxPending = intEnv(env.JOBS_MAX_PENDING, 1000);
+  const ttlMs = intEnv(env.JOBS_TTL_MS, 24 * 60 * 60 * 1000);
+  const maxAttempts = Math.max(1, intEnv(env.JOBS_CALLBACK_MAX_ATTEMPTS, 6));
+  const backoffMs = intEnv(env.JOBS_CALLBACK_BACKOFF_MS, 5000);
+  const secret = env.WEBHOOK_SECRET || "";
+  const timeoutMs = intEnv(env.WEBHOOK_TIMEOUT_MS, intEnv(env.HTTP_TIMEOUT_MS, 8000));
+  const allowPrivate = String(env.WEBHOOK_ALLOW_PRIVATE_HOSTS || "false").toLowerCase() === "true";
+
+  const jobs = new Map(); // id -> job
+  const pending = []; // ids, FIFO
+  let active = 0;
+
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+  const save = (job) => {
+    try {
+      writeJsonAtomic(fileOf(job.id), job);
+    } catch (e) {
+      console.log(`⚠️ JOBS: could not persist ${job.id}:`, e.message);
+    }
+  };
+
+  function pump() {
+    while (active < concurrency && pending.length) {
+      const job = jobs.get(pending.shift());
+      if (!job || job.status !== "queued") continue;
+      active++;
+      execute(job)
+        .catch((e) => console.log(`⚠️ JOBS: ${job.id} crashed:`, e.message))
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  async function execute(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    save(job);
+
+    const t0 = Date.now();
+    let usage = null;
+    try {
+      const out = await run(job);
+      job.status = "succeeded";
+      job.analysisType = out.analysisType;
+      job.result = out.result;
+      usage = out.usage || null;
+    } catch (e) {
+      const { httpStatus, body } = toErrorEnvelope(e);
+      job.status = "failed";
+      job.error = { code: body.code, message: body.error, httpStatus };
+    }
+    job.finishedAt = new Date().toISOString();
+    save(job);
+
+    const latencyMs = Date.now() - t0;
+    console.log(`🧾 JOB ${job.id} ${job.status} (${job.request.analysisType || "standard"}) ${latencyMs}ms`);
+    if (onFinished) onFinished(job, { usage, latencyMs });
+
+    if (job.callback) await deliver(job);
+  }
+
+  // =====================
+  // CALLBACKS — exponential backoff (base, 2x, 4x…, capped at 1h, ±20% jitter)
+  // =====================
+
+  function callbackPayload(job) {
+    return { event: `job.${job.status}`, ...publicJob(job), callback: undefined };
+  }
+
+  function scheduleDelivery(job) {
+    const wait = Math.max(0, Date.parse(job.callback.nextAttemptAt || 0) - Date.now());
+    const timer = setTimeout(() => {
+      deliver(job).catch((e) => console.log(`⚠️ JOBS: callback ${job.id} crashed:`, e.message));
+    }, wait);
+    timer.unref();
+  }
+
+  async function deliver(job) {
+    const cb = job.callback;
+    if (!cb || cb.status !== "pending") return;
+
+    cb.attempts += 1;
+    cb.lastAttemptAt = new Date().toISOString();
+    const r = await postSigned(cb.url, callbackPayload(job), {
+      secret,
+      timeoutMs,
+      allowPrivate,
+      headers: { "X-IA11-Job-Id": job.id, "X-IA11-Delivery-Attempt": String(cb.attempts) },
+    });
+
+    if (r.ok) {
+      cb.status = "delivered";
+      cb.deliveredAt = new Date().toISOString();
+      cb.nextAttemptAt = null;
+      cb.lastError = null;
+    } else if (cb.attempts >= maxAttempts) {
+      cb.status = "failed";
+      cb.nextAttemptAt = null;
+      cb.lastError = r.error;
+    } else {
+      const base = Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** (cb.attempts - 1));
+      const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+      cb.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      cb.lastError = r.error;
+      scheduleDelivery(job);
+    }
+    console.log(`🔔 CALLBACK ${job.id} attempt ${cb.attempts}/${maxAttempts}: ${r.ok ? `delivered (${r.status})` : r.error}${cb.nextAttemptAt ? `, retry at ${cb.nextAttemptAt}` : ""}`);
+    save(job);
+  }
+
+  // =====================
+  // STORE — load at startup, prune finished jobs after JOBS_TTL_MS
+  // =====================
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      const done = job.status === "succeeded" || job.status === "failed";
+      const callbackBusy = job.callback?.status === "pending";
+      if (done && !callbackBusy && now - Date.parse(job.finishedAt) > ttlMs) {
+        jobs.delete(id);
+        fs.promises.unlink(fileOf(id)).catch(() => null);
+      }
+    }
+  }
+
+  function load() {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter((f) => JOB_ID_RE.test(f.replace(/\.json$/, "")));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.log("⚠️ JOBS: could not read store:", e.message);
+    }
+
+    const resumed = [];
+    for (const f of files) {
+      const job = readJson(path.join(dir, f), null);
+      if (!job?.id) continue;
+      jobs.set(job.id, job);
+      // Interrupted by a restart: run again from scratch
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "queued";
+        job.startedAt = null;
+        resumed.push(job);
+      } else if (job.callback?.status === "pending") {
+        scheduleDelivery(job);
+      }
+    }
+    resumed.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of resumed) pending.push(job.id);
+
+    prune();
+    console.log(`🧾 JOBS: loaded ${jobs.size} jobs from ${dir} (${resumed.length} resumed)`);
+  }
+
+  load();
+  setImmediate(pump);
+  setInterval(prune, PRUNE_EVERY_MS).unref();
+
+  // =====================
+  // API
+  // =====================
+
+  // tenant: { tenantId, plan, keyId }; request: { content, url, analysisType, language }
+  function submit({ tenant, request, callbackUrl }) {
+    if (pending.length >= maxPending) throw apiError("JOB_QUEUE_FULL", "Job queue is full, retry later");
+
+    const job = {
+      id: newJobId(),
+      tenant: { tenantId: tenant.tenantId, plan: tenant.plan, keyId: tenant.keyId || null },
+      request,
+      status: "queued",
+      analysisType: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      callback: callbackUrl
+        ? { url: callbackUrl, status: "pending", attempts: 0, lastAttemptAt: null, nextAttemptAt: null, deliveredAt: null, lastError: null }
+        : null,
+    };
+    jobs.set(job.id, job);
+    save(job);
+    pending.push(job.id);
+    setImmediate(pump);
+    return job;
+  }
+
+  function get(id) {
+    return JOB_ID_RE.test(String(id || "")) ? jobs.get(id) || null : null;
+  }
+
+  return {
+    submit,
+    get,
+    callbacksEnabled: () => !!secret,
+    allowPrivateCallbacks: () => allowPrivate,
+    stats: () => ({ jobs: jobs.size, pending: pending.length, active }),
+  };
+}
+
+module.exports = { createJobQueue, publicJob };
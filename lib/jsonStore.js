@@ -0,0 +1,28 @@
+// =====================
+// JSON FILE STORE — read with fallback, atomic write (tmp + rename)
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.log(`⚠️ STORE: could not read ${filePath}:`, e.message);
+    return fallback;
+  }
+}
+
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+function stateDir(env = process.env) {
+  return env.STATE_DIR || path.join(__dirname, "..", "state");
+}
+
+module.exports = { readJson, writeJsonAtomic, stateDir };
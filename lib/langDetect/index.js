@@ -0,0 +1,97 @@
+// =====================
+// LANGUAGE DETECTION — offline, character n-gram profiles (1..3-grams)
+// Profiles are built at load from samples/<lang>.txt; scoring is naive Bayes
+// (add-one smoothing) turned into a confidence with a per-gram softmax.
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+
+const SAMPLES_DIR = path.join(__dirname, "samples");
+const MAX_N = 3;
+const MAX_CHARS = 2000; // the head of a long article is enough
+const MIN_LETTERS = 10; // below that, no guess
+const SHARPNESS = 25; // per-gram log-likelihood gap -> confidence
+
+function normalizeForNgrams(text) {
+  return String(text || "")
+    .slice(0, MAX_CHARS)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|www\.\S+|[@#]\w+/g, " ")
+    .replace(/[^\p{L}']+/gu, " ")
+    .replace(/'/g, " ")
+    .trim();
+}
+
+function ngramsOf(norm) {
+  const out = [];
+  for (const w of norm.split(/\s+/)) {
+    if (!w) continue;
+    const s = ` ${w} `;
+    for (let n = 1; n <= MAX_N; n++) {
+      for (let i = 0; i + n <= s.length; i++) {
+        const g = s.slice(i, i + n);
+        if (g !== " ") out.push(g);
+      }
+    }
+  }
+  return out;
+}
+
+function buildProfiles(dir = SAMPLES_DIR) {
+  const profiles = {};
+  const vocab = new Set();
+  for (const f of fs.readdirSync(dir)) {
+    if (!f.endsWith(".txt")) continue;
+    const counts = new Map();
+    let total = 0;
+    for (const g of ngramsOf(normalizeForNgrams(fs.readFileSync(path.join(dir, f), "utf8").slice(0, 1e6)))) {
+      counts.set(g, (counts.get(g) || 0) + 1);
+      total++;
+      vocab.add(g);
+    }
+    profiles[f.slice(0, -4)] = { counts, total };
+  }
+  for (const p of Object.values(profiles)) p.denom = Math.log(p.total + vocab.size + 1);
+  return profiles;
+}
+
+const PROFILES = buildProfiles();
+const LANGUAGES = Object.keys(PROFILES).sort();
+
+// -> { lang, confidence (0..1), scores: { lang: probability } }; lang null when too short
+function detectLanguage(text) {
+  const norm = normalizeForNgrams(text);
+  const letters = norm.replace(/\s+/g, "").length;
+  const empty = { lang: null, confidence: 0, scores: {} };
+  if (letters < MIN_LETTERS) return empty;
+
+  const grams = ngramsOf(norm);
+  if (!grams.length) return empty;
+
+  const ll = {};
+  for (const lang of LANGUAGES) {
+    const p = PROFILES[lang];
+    let sum = 0;
+    for (const g of grams) sum += Math.log((p.counts.get(g) || 0) + 1) - p.denom;
+    ll[lang] = sum / grams.length;
+  }
+
+  // Short texts carry less evidence: soften the softmax below ~40 letters
+  const k = SHARPNESS * Math.min(1, letters / 40);
+  const best = Math.max(...Object.values(ll));
+  let z = 0;
+  const exp = {};
+  for (const lang of LANGUAGES) {
+    exp[lang] = Math.exp((ll[lang] - best) * k);
+    z += exp[lang];
+  }
+
+  const scores = {};
+  for (const lang of LANGUAGES) scores[lang] = Number((exp[lang] / z).toFixed(3));
+  const lang = LANGUAGES.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+  return { lang, confidence: scores[lang], scores };
+}
+
+module.exports = { detectLanguage, LANGUAGES, normalizeForNgrams };
@@ -0,0 +1,262 @@
+// =====================
+// NUMBERS — figures in a claim vs figures in search snippets (FR + EN)
+// "the Eiffel Tower is 500 m tall" vs "The Eiffel Tower is 330 metres (1,083 ft) tall":
+// both sides are normalized (m, °C, kg, km², km/h, years, %, plain counts x million...)
+// and compared with a tolerance band per kind: inside = match, far outside = conflict,
+// in between = says nothing. Dates and years must be equal.
+// =====================
+
+const { safeLower, stripSpaces } = require("./text");
+const { analyzeClaim, normalizeForStance, stem, NEGATIONS, DEBUNK_TERMS, countTerms } = require("./stance");
+
+const MAX_EVIDENCE = 5;
+const NEGATION_WINDOW = 4; // words before a figure ("not 10%", "pas 12 %")
+
+// [pattern after the number, kind, factor to the base unit | "F"]. Order matters (longest first).
+const UNITS = [
+  [/^\s?(%|percent\b|per cent\b|pour ?cent\b|percentage points?\b|points? de pourcentage\b)/, "percent", 1],
+  [/^\s?(km\/h|kph\b|kilomet(?:er|re)s? per hour\b|kilom[eè]tres? (?:à|par) l.heure\b|kilom[eè]tres?-heure\b)/, "speed", 1],
+  [/^\s?(mph\b|miles? per hour\b)/, "speed", 1.609344],
+  [/^\s?(km²|km2\b|square kilomet(?:er|re)s?\b|kilom[eè]tres? carr[eé]s\b)/, "area", 1],
+  [/^\s?(sq\.? ?mi\b|square miles?\b)/, "area", 2.589988],
+  [/^\s?(km\b|kilomet(?:er|re)s?\b|kilom[eè]tres?\b)/, "length", 1000],
+  [/^\s?(cm\b|centimet(?:er|re)s?\b|centim[eè]tres?\b)/, "length", 0.01],
+  [/^\s?(mm\b|millimet(?:er|re)s?\b|millim[eè]tres?\b)/, "length", 0.001],
+  [/^\s?(m[eè]tres?\b|met(?:er|re)s?\b|m\b)/, "length", 1],
+  [/^\s?(mi\b|miles?\b)/, "length", 1609.344],
+  [/^\s?(ft\b|feet\b|foot\b|pieds?\b)/, "length", 0.3048],
+  [/^\s?(°\s?f\b|degrees? fahrenheit\b|degr[eé]s? fahrenheit\b|fahrenheit\b)/, "temperature", "F"],
+  [/^\s?(°\s?c\b|°|degrees? celsius\b|degr[eé]s? celsius\b|celsius\b|degrees?\b|degr[eé]s?\b)/, "temperature", 1],
+  [/^\s?(?:d.\s?|de |of )?(£|gbp\b|pounds? sterling\b|livres? sterling\b)/, "money:gbp", 1],
+  [/^\s?(?:d.\s?|de |of )?(\$|usd\b|us dollars?\b|dollars?\b)/, "money:usd", 1],
+  [/^\s?(?:d.\s?|de |of )?(€|eur\b|euros?\b)/, "money:eur", 1],
+  [/^\s?(kg\b|kilo(?:gram|gramme)?s?\b)/, "mass", 1],
+  [/^\s?(tonnes?\b|tons?\b|t\b)/, "mass", 1000],
+  [/^\s?(g\b|grams?\b|grammes?\b)/, "mass", 0.001],
+  [/^\s?(lbs?\b|pounds?\b)/, "mass", 0.45359237],
+  [/^\s?(years?\b|ans?\b|ann[eé]es?\b)/, "duration", 1],
+  [/^\s?(months?\b|mois\b)/, "duration", 1 / 12],
+  [/^\s?(days?\b|jours?\b)/, "duration", 1 / 365.25],
+];
+const PREFIX_CURRENCY = { $: "money:usd", "€": "money:eur", "£": "money:gbp" };
+const SCALES = [
+  [/^\s?(trillions?\b|billions? de milliards\b)/, 1e12],
+  [/^\s?(billions?\b|milliards?\b|bn\b)/, 1e9],
+  [/^\s?(millions?\b|mn\b)/, 1e6],
+  [/^\s?(thousands?\b|milliers?\b|mille\b|k\b)/, 1e3],
+];
+const MONTHS = [
+  ["january", "janvier"], ["february", "fevrier", "février"], ["march", "mars"], ["april", "avril"], ["may", "mai"],
+  ["june", "juin"], ["july", "juillet"], ["august", "aout", "août"], ["september", "septembre"],
+  ["october", "octobre"], ["november", "novembre"], ["december", "decembre", "décembre"],
+];
+const MONTH_RE = MONTHS.flat().join("|");
+
+// Relative gap below which two values agree / above which they conflict, per kind
+const TOLERANCE = {
+  percent: (a, b) => band(Math.abs(a - b), Math.max(0.5, 0.05 * Math.max(a, b)), Math.max(2, 0.2 * Math.max(a, b))),
+  temperature: (a, b) => band(Math.abs(a - b), 1, 5),
+  year: (a, b) => (a === b ? "match" : "conflict"),
+  date: (a, b) => (a === b ? "match" : "conflict"),
+};
+const relativeTolerance = (a, b) => band(Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b), 1e-9), 0.05, 0.2);
+
+function band(gap, matchBelow, conflictAbove) {
+  if (gap <= matchBelow) return "match";
+  if (gap >= conflictAbove) return "conflict";
+  return "close";
+}
+
+// "1,083" / "1 083" / "12,5" / "12.5" -> number
+function parseNumber(s) {
+  const t = s.replace(/[\s\u00a0\u202f]/g, "");
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(t)) return Number(t.replace(/,/g, ""));
+  if (/^\d{1,3}(\.\d{3}){2,}(,\d+)?$/.test(t)) return Number(t.replace(/\./g, "").replace(",", "."));
+  return Number(t.replace(",", "."));
+}
+
+const prepare = (text) => safeLower(stripSpaces(text)).replace(/[\u00a0\u202f]/g, " ");
+
+// -> [{ kind, value (base unit), raw, start, end }] (offsets in the lowercased text)
+function extractQuantities(text) {
+  const s = prepare(text);
+  const out = [];
+  // "1.000.000" (FR/DE grouping) | "1 083" / "1,083" | "12,5" / "12.5"
+  const re = /(^|[^\w.,\-])([$€£])?\s?(\d{1,3}(?:\.\d{3}){2,}(?:,\d+)?|\d{1,3}(?:(?:[ ,])\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?)/g;
+  let m;
+  while ((m = re.exec(s))) {
+    const start = m.index + m[1].length;
+    let end = m.index + m[0].length;
+    let rest = s.slice(end);
+    const number = parseNumber(m[3]);
+    if (!Number.isFinite(number)) continue;
+
+    // Day of a date ("14 juillet 1789", "July 14, 1789"): read with the year below
+    if (new RegExp(`^(?:er)?\\s+(?:${MONTH_RE})\\s+\\d{4}`).test(rest)) continue;
+    if (new RegExp(`(?:${MONTH_RE})\\s+$`).test(s.slice(0, start)) && /^,?\s+\d{4}/.test(rest)) continue;
+
+    let scale = 1;
+    for (const [pattern, factor] of SCALES) {
+      const hit = pattern.exec(rest);
+      if (hit) {
+        scale = factor;
+        end += hit[0].length;
+        rest = s.slice(end);
+        break;
+      }
+    }
+
+    let kind = m[2] ? PREFIX_CURRENCY[m[2]] : null;
+    let value = number * scale;
+    if (!kind) {
+      for (const [pattern, k, factor] of UNITS) {
+        const hit = pattern.exec(rest);
+        if (!hit) continue;
+        kind = k;
+        value = factor === "F" ? ((value - 32) * 5) / 9 : value * factor;
+        end += hit[0].length;
+        break;
+      }
+    }
+    // Glued to a word that is not a unit ("covid19", "3d", "21st"): not a figure
+    if (!kind && /^[a-zà-ÿ]/.test(s.slice(end))) continue;
+
+    if (!kind) {
+      const year = scale === 1 && /^\d{4}$/.test(m[3]) && number >= 1000 && number <= 2100;
+      if (year) {
+        const before = s.slice(Math.max(0, start - 24), start);
+        const month = new RegExp(`(?:(\\d{1,2})(?:er)?\\s+)?(${MONTH_RE})\\s+(?:(\\d{1,2}),?\\s+)?$`).exec(before);
+        if (month) {
+          const mm = MONTHS.findIndex((names) => names.includes(month[2])) + 1;
+          const dd = month[1] || month[3];
+          out.push({
+            kind: "date",
+            value: `${number}-${String(mm).padStart(2, "0")}${dd ? `-${dd.padStart(2, "0")}` : ""}`,
+            raw: s.slice(start - month[0].length, end).trim(),
+            start: start - month[0].length,
+            end,
+          });
+          continue;
+        }
+        kind = "year";
+      } else {
+        kind = "number";
+      }
+    }
+    out.push({ kind, value, raw: s.slice(start, end).trim(), start, end });
+  }
+  return out;
+}
+
+function compareQuantities(a, b) {
+  if (a.kind === "date" || b.kind === "date") {
+    // "1889" vs "31 march 1889": compare the year only
+    if (a.kind === "year" || b.kind === "year") return String(a.value).slice(0, 4) === String(b.value).slice(0, 4) ? "match" : "conflict";
+    const len = Math.min(String(a.value).length, String(b.value).length);
+    return String(a.value).slice(0, len) === String(b.value).slice(0, len) ? "match" : "conflict";
+  }
+  return (TOLERANCE[a.kind] || relativeTolerance)(a.value, b.value);
+}
+
+const sameKind = (a, b) => a.kind === b.kind || (["date", "year"].includes(a.kind) && ["date", "year"].includes(b.kind));
+const isDate = (q) => q.kind === "date" || q.kind === "year";
+
+// Claim -> figures to check + the words a snippet sentence must share with it
+function analyzeNumericClaim(claim) {
+  const quantities = extractQuantities(claim);
+  if (!quantities.length) return null;
+
+  // Amounts first; years are the period they refer to ("12% in 2020"), checked only when alone
+  const amounts = quantities.filter((q) => !isDate(q));
+  const checked = amounts.length ? amounts : quantities;
+  const period = amounts.length ? quantities.filter(isDate) : [];
+
+  // Claim words without the figures: "unemployment", "canada"
+  let words = safeLower(stripSpaces(claim));
+  for (const q of [...quantities].reverse()) words = `${words.slice(0, q.start)} ${words.slice(q.end)}`;
+  const info = analyzeClaim(words);
+  const noDigits = (list) => list.filter((x) => !/\d/.test(x));
+
+  return { checked, period, entities: noDigits(info.entities), predicates: noDigits(info.predicates), negated: info.negated };
+}
+
+// One sentence -> { verdict: match | conflict, claimed, found } or null
+function judgeSentence(nc, sentence) {
+  if (/\?$/.test(sentence)) return null; // a question asserts no figure
+  const stems = new Set(normalizeForStance(sentence).split(" ").filter(Boolean).map(stem));
+  const share = (list) => list.filter((x) => stems.has(x)).length / list.length;
+  if (nc.entities.length ? share(nc.entities) < 0.5 : !nc.predicates.length || share(nc.predicates) < 0.5) return null;
+
+  const found = extractQuantities(sentence);
+  const lower = prepare(sentence);
+  const negated = (f) => normalizeForStance(lower.slice(0, f.start)).split(" ").slice(-NEGATION_WINDOW).some((w) => NEGATIONS.has(w));
+  // Another period than the claim's ("in 2019" vs "in 2020"): not comparable
+  const years = found.filter(isDate);
+  if (nc.period.length && years.length && !nc.period.some((p) => years.some((y) => compareQuantities(p, y) === "match"))) return null;
+
+  let match = null;
+  let conflict = null;
+  for (const q of nc.checked) {
+    const candidates = found.filter((f) => sameKind(q, f));
+    if (!candidates.length) continue;
+    const results = candidates.map((f) => ({ f, r: compareQuantities(q, f) }));
+    const hit = results.find((x) => x.r === "match");
+    // "not 10%" restates the figure to deny it
+    if (hit && negated(hit.f)) conflict = conflict || { claimed: q.raw, found: hit.f.raw, reason: "negated_figure" };
+    else if (hit) match = match || { claimed: q.raw, found: hit.f.raw };
+    else if (results.every((x) => x.r === "conflict")) conflict = conflict || { claimed: q.raw, found: results[0].f.raw };
+  }
+  // "The 10 percent claim is a myth": the same figure, reported as false
+  if (match && !conflict && countTerms(normalizeForStance(sentence), DEBUNK_TERMS)) return { verdict: "conflict", ...match, reason: "debunk_vocabulary" };
+  if (match && !conflict) return { verdict: "match", ...match };
+  if (conflict && !match) return { verdict: "conflict", ...conflict };
+  return null;
+}
+
+// -> null (no figure in the claim) or { classification, support, contradict, claimed[], evidence[], verdicts[] }
+// verdicts: one entry per item (null = no comparable figure), for PRO stances
+function checkNumbers(claim, items) {
+  const nc = analyzeNumericClaim(claim);
+  if (!nc) return null;
+  const list = Array.isArray(items) ? items : [];
+  const out = {
+    classification: "neutral",
+    support: 0,
+    contradict: 0,
+    claimed: nc.checked.map((q) => q.raw),
+    evidence: [],
+    verdicts: [],
+  };
+
+  list.forEach((it, index) => {
+    const text = `${it.title || ""}. ${it.snippet || it.description || ""}`;
+    const sentences = text.split(/(?<=[.!?;])\s+(?=\D)|\s[-–|]\s/).map(stripSpaces).filter(Boolean);
+
+    let found = null;
+    for (const sentence of sentences) {
+      found = judgeSentence(nc, sentence);
+      if (found) {
+        found.text = sentence.slice(0, 200);
+        break;
+      }
+    }
+    if (!found) {
+      out.verdicts.push(null);
+      return;
+    }
+
+    // "unemployment is not 12%": a different figure agrees with it
+    const agrees = (found.verdict === "match") !== nc.negated;
+    const verdict = { rank: index + 1, stance: agrees ? "corroborates" : "contradicts", ...found };
+    out.verdicts.push(verdict);
+    if (agrees) out.support++;
+    else out.contradict++;
+    if (out.evidence.length < MAX_EVIDENCE) out.evidence.push(verdict);
+  });
+
+  if (out.contradict > out.support) out.classification = "contradiction";
+  else if (out.support > out.contradict) out.classification = "corroboration";
+  return out;
+}
+
+module.exports = { checkNumbers, extractQuantities, compareQuantities };
@@ -0,0 +1,185 @@
+// =====================
+// OCR — offline text extraction for /analyze-image (tesseract.js, LSTM only)
+// Language data comes from the @tesseract.js-data/<lang> packages (no CDN
+// download). One lazy worker: jobs are queued by tesseract itself; a timeout
+// fails its own request only.
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+const { stripSpaces } = require("./text");
+const { stateDir } = require("./jsonStore");
+
+const MAGIC = [
+  { mime: "image/png", test: (b) => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 },
+  { mime: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/gif", test: (b) => b.slice(0, 4).toString("ascii") === "GIF8" },
+  { mime: "image/webp", test: (b) => b.slice(0, 4).toString("ascii") === "RIFF" && b.slice(8, 12).toString("ascii") === "WEBP" },
+  { mime: "image/bmp", test: (b) => b[0] === 0x42 && b[1] === 0x4d },
+  { mime: "image/tiff", test: (b) => (b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2a) || (b[0] === 0x4d && b[1] === 0x4d && b[3] === 0x2a) },
+];
+
+function imageError(code, message, httpStatus = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.httpStatus = httpStatus;
+  return err;
+}
+
+// "data:image/png;base64,...." or bare base64 -> { buffer, mime }
+function decodeImageData(imageData, { maxBytes = 8 * 1024 * 1024 } = {}) {
+  if (typeof imageData !== "string" || !imageData.trim()) {
+    throw imageError("IMAGE_INVALID", "imageData must be a base64 string or a data URL");
+  }
+
+  let b64 = imageData.trim();
+  const m = /^data:([^;,]*)(;base64)?,/i.exec(b64);
+  if (m) {
+    if (!m[2]) throw imageError("IMAGE_INVALID", "data URL must be base64-encoded");
+    b64 = b64.slice(m[0].length);
+  }
+  b64 = b64.replace(/\s+/g, "");
+
+  // base64 length -> bytes, checked before decoding anything big
+  if (Math.floor((b64.length * 3) / 4) > maxBytes) {
+    throw imageError("IMAGE_TOO_LARGE", `image larger than ${Math.round(maxBytes / 1024 / 1024)} MB`, 413);
+  }
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(b64)) {
+    throw imageError("IMAGE_INVALID", "imageData is not valid base64");
+  }
+
+  const buffer = Buffer.from(b64, "base64");
+  const kind = MAGIC.find((k) => buffer.length > 12 && k.test(buffer));
+  if (!kind) throw imageError("IMAGE_UNSUPPORTED", "unsupported image format (png, jpeg, gif, webp, bmp, tiff)", 415);
+
+  return { buffer, mime: kind.mime };
+}
+
+// OCR output is noisy: re-join hyphenated line breaks, drop lines that are mostly symbols
+function cleanOcrText(raw) {
+  const lines = String(raw || "")
+    .replace(/\r/g, "")
+    .replace(/(\p{L})-\n(\p{L})/gu, "$1$2")
+    .split("\n")
+    .map((l) => stripSpaces(l.replace(/[|_~`^]+/g, " ")))
+    .filter((l) => {
+      if (!l) return false;
+      const letters = (l.match(/[\p{L}\p{N}]/gu) || []).length;
+      return letters >= 2 && letters / l.length >= 0.5;
+    });
+
+  // Lines of a same paragraph -> one sentence flow; keep breaks after sentence ends
+  let out = "";
+  for (const l of lines) {
+    if (!out) out = l;
+    else out += /[.!?:»"”]$/.test(out) ? `\n${l}` : ` ${l}`;
+  }
+  return out;
+}
+
+// tesseract reads every language from one langPath: gather the bundled
+// @tesseract.js-data/<lang> files there (LSTM-only: best_int model when shipped)
+function prepareLangPath(langs, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const code of langs) {
+    const dest = path.join(dir, `${code}.traineddata.gz`);
+    if (fs.existsSync(dest)) continue;
+    const pkg = require(`@tesseract.js-data/${code}`);
+    const bestInt = path.join(path.dirname(pkg.langPath), "4.0.0_best_int", `${code}.traineddata.gz`);
+    const src = fs.existsSync(bestInt) ? bestInt : path.join(pkg.langPath, `${code}.traineddata.gz`);
+    fs.copyFileSync(src, `${dest}.tmp`);
+    fs.renameSync(`${dest}.tmp`, dest);
+  }
+  return dir;
+}
+
+function createOcrEngine({ env = process.env } = {}) {
+  const langs = String(env.OCR_LANGS || "eng+fra")
+    .split("+")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const timeoutMs = Number.parseInt(env.OCR_TIMEOUT_MS || "30000", 10);
+  const enabled = String(env.OCR_ENABLED || "true").toLowerCase() !== "false";
+  const langDir = env.OCR_LANG_DIR || path.join(stateDir(env), "tessdata");
+
+  // The shared worker and the number of jobs waiting on it
+  let slot = null;
+
+  function getSlot() {
+    if (!slot) {
+      const { createWorker, OEM } = require("tesseract.js");
+      const langPath = prepareLangPath(langs, langDir);
+      const s = { jobs: 0 };
+      s.workerP = createWorker(langs.join("+"), OEM.LSTM_ONLY, {
+        langPath,
+        gzip: true,
+        cacheMethod: "none",
+        // Without a handler tesseract.js rethrows worker errors as uncaught exceptions
+        errorHandler: (e) => console.log("⚠️ OCR worker error:", String(e).slice(0, 200)),
+      }).catch((e) => {
+        if (slot === s) slot = null; // retry on next call
+        throw e;
+      });
+      slot = s;
+    }
+    return slot;
+  }
+
+  // Next call spawns a fresh worker; the old one is terminated in the background
+  function retire(s) {
+    if (slot === s) slot = null;
+    s.workerP.then((w) => w.terminate()).catch(() => {});
+  }
+
+  // -> { rawText, cleanedText, confidence (0..1), langs }
+  async function recognize(buffer) {
+    if (!enabled) throw imageError("OCR_DISABLED", "OCR is disabled (OCR_ENABLED=false)", 503);
+
+    const s = getSlot();
+    const worker = await s.workerP;
+    s.jobs++;
+    const job = worker.recognize(buffer);
+    job.catch(() => {}); // may settle after a timeout, or be aborted by retire()
+
+    // Only this caller times out: other jobs queued on the worker keep running
+    let timer;
+    let timedOut = false;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(imageError("OCR_TIMEOUT", `OCR timed out after ${timeoutMs} ms`, 504));
+      }, timeoutMs);
+    });
+
+    try {
+      const { data } = await Promise.race([job, timeout]);
+      const rawText = String(data?.text || "").trim();
+      return {
+        rawText,
+        cleanedText: cleanOcrText(rawText),
+        confidence: Number((Math.max(0, Math.min(100, Number(data?.confidence) || 0)) / 100).toFixed(3)),
+        langs,
+      };
+    } finally {
+      clearTimeout(timer);
+      s.jobs--;
+      // A stuck job blocks the queue: recycle the worker once nobody else waits on it
+      if (timedOut && s.jobs === 0) retire(s);
+    }
+  }
+
+  async function close() {
+    if (!slot) return;
+    const s = slot;
+    slot = null;
+    try {
+      await (await s.workerP).terminate();
+    } catch {
+      // already gone
+    }
+  }
+
+  return { recognize, close, enabled: () => enabled, langs: () => langs.slice() };
+}
+
+module.exports = { createOcrEngine, decodeImageData, cleanOcrText };
@@ -0,0 +1,460 @@
+// =====================
+// OPENAPI — the API contract served at /openapi.json, and the request-body
+// validation derived from it (validateBody("post", "/analyze") per route).
+// Bodies stay open (extra fields are ignored) so older clients keep working.
+// =====================
+
+const { ERROR_CODES, apiError } = require("./errors");
+const { validate } = require("./schema");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const ok = (description, schema) => ({ description, content: json(schema) });
+
+// Error responses every operation can return (plus the default envelope)
+const ERRORS = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: { $ref: "#/components/responses/Unauthorized" },
+  429: { $ref: "#/components/responses/RateLimited" },
+  default: { $ref: "#/components/responses/Error" },
+};
+
+function body(schemaName) {
+  return { required: true, content: json(ref(schemaName)) };
+}
+
+function buildOpenApi({ version = "1.0.0", batchMaxItems = 200, maxImageBytes = 8 * 1024 * 1024, scoringProfiles = [] } = {}) {
+  const analyzeOp = (summary, requestSchema, extra = {}) => ({
+    summary,
+    security: [{ ApiKey: [] }, { Bearer: [] }],
+    requestBody: body(requestSchema),
+    responses: { 200: ok("Analysis result", ref("AnalyzeResponse")), ...ERRORS },
+    ...extra,
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "IA11 Ultra Pro API",
+      version,
+      description:
+        "Credibility analysis (Standard: text score + 1 web check; PRO: multi-source evidence). " +
+        "Every error uses the Error envelope; switch on `code`, display `error`.",
+    },
+    paths: {
+      "/": {
+        get: { summary: "Health + cache stats", responses: { 200: ok("Service status", { type: "object" }) } },
+      },
+      "/openapi.json": {
+        get: { summary: "This document", responses: { 200: ok("OpenAPI 3 document", { type: "object" }) } },
+      },
+      "/scoring-profiles": {
+        get: {
+          summary: "Scoring profiles (weights and caps) and the one applied to the caller by default",
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          responses: { 200: ok("Profiles", { type: "object" }), ...ERRORS },
+        },
+      },
+      "/analyze": { post: analyzeOp("Analyze a text or a URL", "AnalyzeRequest") },
+      "/v1/analyze": { post: analyzeOp("Legacy analyze ({ text, mode })", "LegacyAnalyzeRequest", { deprecated: true }) },
+      "/analyze/stream": {
+        post: {
+          summary: "Analyze with Server-Sent Events",
+          description:
+            "Events: start, stage ({ stage: article|language|writing|claims|reality|search|normalize|evidence|explanation }), " +
+            "then result (same body as /analyze) or error (Error envelope + httpStatus).",
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          requestBody: body("AnalyzeRequest"),
+          responses: {
+            200: { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } },
+            ...ERRORS,
+          },
+        },
+      },
+      "/analyze/batch": {
+        post: {
+          summary: "Analyze many items with a shared search budget",
+          description: `At most ${batchMaxItems} items (BATCH_TOO_LARGE otherwise). Per-item failures do not fail the batch.`,
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          requestBody: body("BatchRequest"),
+          responses: { 200: ok("Per-item results, in input order", ref("BatchResponse")), ...ERRORS },
+        },
+      },
+      "/jobs": {
+        post: {
+          summary: "Queue an analysis (optional signed webhook)",
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          requestBody: body("JobRequest"),
+          responses: { 202: ok("Job accepted", ref("JobAccepted")), ...ERRORS },
+        },
+      },
+      "/jobs/{id}": {
+        get: {
+          summary: "Job status and result",
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "string", pattern: "^job_[a-f0-9]{16}$" } }],
+          responses: { 200: ok("Job", ref("JobResponse")), 404: { $ref: "#/components/responses/Error" }, ...ERRORS },
+        },
+      },
+      "/translate-analysis": {
+        post: {
+          summary: "Re-render an analysis in another language (no new search)",
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          requestBody: body("TranslateRequest"),
+          responses: { 200: ok("Translated analysis", ref("AnalyzeResponse")), ...ERRORS },
+        },
+      },
+      "/analyze-image": {
+        post: {
+          summary: "OCR + image forensics, then text analysis",
+          description: `imageData up to ${Math.round(maxImageBytes / 1024 / 1024)} MB (png, jpeg, gif, webp, bmp, tiff).`,
+          security: [{ ApiKey: [] }, { Bearer: [] }],
+          requestBody: body("ImageRequest"),
+          responses: { 200: ok("Image analysis", ref("ImageResponse")), ...ERRORS },
+        },
+      },
+      "/usage": {
+        get: {
+          summary: "Usage totals by day and mode (admin: every tenant)",
+          security: [{ ApiKey: [] }, { Bearer: [] }, { AdminKey: [] }],
+          parameters: [
+            { name: "from", in: "query", schema: { type: "string", format: "date" } },
+            { name: "to", in: "query", schema: { type: "string", format: "date" } },
+            { name: "tenantId", in: "query", description: "Admin only", schema: { type: "string" } },
+          ],
+          responses: { 200: ok("Usage", { type: "object" }), ...ERRORS },
+        },
+      },
+      "/admin/keys": {
+        get: {
+          summary: "List API keys",
+          security: [{ AdminKey: [] }],
+          parameters: [{ name: "tenantId", in: "query", schema: { type: "string" } }],
+          responses: { 200: ok("Keys", { type: "object" }), ...ERRORS },
+        },
+        post: {
+          summary: "Create an API key (the secret is only shown once)",
+          security: [{ AdminKey: [] }],
+          requestBody: body("CreateKeyRequest"),
+          responses: { 201: ok("Key created", { type: "object" }), ...ERRORS },
+        },
+      },
+      "/admin/keys/{keyId}/rotate": {
+        post: {
+          summary: "Rotate a key secret",
+          security: [{ AdminKey: [] }],
+          parameters: [{ name: "keyId", in: "path", required: true, schema: { type: "string" } }],
+          responses: { 200: ok("New secret", { type: "object" }), 404: { $ref: "#/components/responses/Error" }, ...ERRORS },
+        },
+      },
+      "/admin/reliability": {
+        get: {
+          summary: "Source reliability registry (optionally resolve one domain)",
+          security: [{ AdminKey: [] }],
+          parameters: [
+            { name: "domain", in: "query", description: "Adds `lookup` (tier, category, matched rule)", schema: { type: "string" } },
+            { name: "tenantId", in: "query", description: "Apply this tenant's overrides to the lookup", schema: { type: "string" } },
+          ],
+          responses: { 200: ok("Registry", { type: "object" }), ...ERRORS },
+        },
+      },
+      "/admin/reliability/reload": {
+        post: {
+          summary: "Reload the registry file (REGISTRY_INVALID keeps the previous one)",
+          security: [{ AdminKey: [] }],
+          responses: { 200: ok("Reloaded registry", { type: "object" }), 422: { $ref: "#/components/responses/Error" }, ...ERRORS },
+        },
+      },
+      "/admin/keys/{keyId}/revoke": {
+        post: {
+          summary: "Revoke a key",
+          security: [{ AdminKey: [] }],
+          parameters: [{ name: "keyId", in: "path", required: true, schema: { type: "string" } }],
+          responses: { 200: ok("Revoked record", { type: "object" }), 404: { $ref: "#/components/responses/Error" }, ...ERRORS },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        ApiKey: { type: "apiKey", in: "header", name: "x-ia11-key" },
+        Bearer: { type: "http", scheme: "bearer" },
+        AdminKey: { type: "apiKey", in: "header", name: "x-ia11-admin-key" },
+      },
+      responses: {
+        Error: { description: "Error envelope", content: json(ref("Error")) },
+        BadRequest: { description: "INVALID_JSON, VALIDATION_FAILED, CONTENT_REQUIRED…", content: json(ref("Error")) },
+        Unauthorized: { description: "UNAUTHORIZED / ADMIN_UNAUTHORIZED", content: json(ref("Error")) },
+        RateLimited: {
+          description: "RATE_LIMITED (see Retry-After and RateLimit headers; details.window, details.retryAfterSec)",
+          content: json(ref("Error")),
+        },
+      },
+      schemas: {
+        ErrorCode: { type: "string", enum: Object.keys(ERROR_CODES) },
+        Error: {
+          type: "object",
+          required: ["status", "code", "error"],
+          properties: {
+            status: { type: "string", enum: ["error"] },
+            code: ref("ErrorCode"),
+            error: { type: "string", description: "Human-readable message" },
+            details: { description: "Code-specific data (validation errors, quota window…)" },
+          },
+        },
+        AnalysisType: { type: "string", enum: ["standard", "pro"] },
+        Language: {
+          type: "string",
+          maxLength: 35,
+          pattern: "^[A-Za-z]{2,3}([-_][A-Za-z0-9]{1,8})*$",
+          description: "BCP 47 hint (fr, en, pt-BR…); detection may override it",
+        },
+        HttpUrl: { type: "string", format: "uri", maxLength: 2048, "x-error-code": "URL_INVALID" },
+
+        AnalyzeRequest: {
+          type: "object",
+          properties: {
+            content: { type: "string" },
+            url: ref("HttpUrl"),
+            analysisType: ref("AnalysisType"),
+            language: ref("Language"),
+            scoringProfile: ref("ScoringProfile"),
+          },
+          allOf: [
+            {
+              anyOf: [
+                { required: ["content"], properties: { content: { minLength: 1 } } },
+                { required: ["url"] },
+              ],
+              "x-error-code": "CONTENT_REQUIRED",
+              "x-error-message": "content or url required",
+            },
+          ],
+        },
+        LegacyAnalyzeRequest: {
+          type: "object",
+          properties: {
+            text: { type: "string" },
+            mode: ref("AnalysisType"),
+            language: ref("Language"),
+            scoringProfile: ref("ScoringProfile"),
+          },
+          allOf: [
+            {
+              required: ["text"],
+              properties: { text: { minLength: 1 } },
+              "x-error-code": "CONTENT_REQUIRED",
+              "x-error-message": "text required",
+            },
+          ],
+        },
+        BatchItem: {
+          type: "object",
+          properties: {
+            id: { anyOf: [{ type: "string" }, { type: "number" }], description: "Echoed back in the result" },
+            content: { type: "string" },
+            url: ref("HttpUrl"),
+            analysisType: ref("AnalysisType"),
+            language: ref("Language"),
+          },
+        },
+        BatchRequest: {
+          type: "object",
+          properties: {
+            items: {
+              type: "array",
+              description: `1..${batchMaxItems} items; a bare string is { content }`,
+              items: { oneOf: [{ type: "string" }, ref("BatchItem")] },
+            },
+            analysisType: ref("AnalysisType"),
+            language: ref("Language"),
+            maxSearchQueries: { type: "integer", minimum: 0, description: "Lower than the server cap only" },
+            scoringProfile: ref("ScoringProfile"),
+          },
+          allOf: [
+            {
+              required: ["items"],
+              properties: { items: { minItems: 1 } },
+              "x-error-code": "CONTENT_REQUIRED",
+              "x-error-message": "items (non-empty array) required",
+            },
+          ],
+        },
+        JobRequest: {
+          allOf: [
+            ref("AnalyzeRequest"),
+            { properties: { callbackUrl: { ...ref("HttpUrl"), description: "Receives the finished job (X-IA11-Signature)" } } },
+          ],
+        },
+        TranslateRequest: {
+          type: "object",
+          properties: {
+            analysisData: { type: "object", description: "A previous /analyze body or its result" },
+            targetLanguage: ref("Language"),
+          },
+          allOf: [
+            {
+              required: ["analysisData"],
+              "x-error-code": "CONTENT_REQUIRED",
+              "x-error-message": "analysisData required",
+            },
+          ],
+        },
+        ImageRequest: {
+          type: "object",
+          properties: {
+            imageData: { type: "string", description: "base64 or data URL" },
+            contextText: { type: "string", description: "Caption, used when OCR finds no text" },
+            analysisType: ref("AnalysisType"),
+            language: ref("Language"),
+            scoringProfile: ref("ScoringProfile"),
+          },
+          allOf: [
+            {
+              anyOf: [
+                { required: ["imageData"], properties: { imageData: { minLength: 1 } } },
+                { required: ["contextText"], properties: { contextText: { pattern: "\\S" } } },
+              ],
+              "x-error-code": "CONTENT_REQUIRED",
+              "x-error-message": "imageData or contextText required",
+            },
+          ],
+        },
+        CreateKeyRequest: {
+          type: "object",
+          required: ["tenantId"],
+          properties: {
+            tenantId: { type: "string", pattern: "^[A-Za-z0-9._-]{1,64}$" },
+            plan: { type: "string", enum: ["standard", "pro"] },
+            allowedOrigins: { type: "array", items: { type: "string" } },
+            label: { type: "string", maxLength: 200 },
+          },
+        },
+
+        ScoringProfile: {
+          type: "string",
+          enum: scoringProfiles,
+          description: '"name@version" or "name" (latest version). Default: the tenant\'s profile (GET /scoring-profiles).',
+        },
+        AnalysisResult: {
+          type: "object",
+          description: "Standard results carry `standard`, PRO results carry `pro`, `corroboration` and sources.",
+          properties: {
+            analysisType: ref("AnalysisType"),
+            scoringVersion: { type: "string", description: "Scoring profile that produced the score (name@version)" },
+            score: { type: "integer", minimum: 0, maximum: 100 },
+            label: { type: "string" },
+            summary: { type: "string" },
+            language: { type: "string" },
+            languageDetection: { type: "object" },
+            confidence: { type: "number" },
+            articleSummary: { type: "string", nullable: true },
+            article: { type: "object", nullable: true },
+            breakdown: { type: "object" },
+            sources: { type: "array", items: ref("Source") },
+            claims: { type: "array", items: { type: "object" } },
+            standard: { type: "object" },
+            pro: { type: "object" },
+            corroboration: { type: "object" },
+          },
+        },
+        Source: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            url: { type: "string" },
+            domain: { type: "string" },
+            reliability: { type: "string", enum: ["high", "medium", "low", "unknown"] },
+            reliabilityCategory: { type: "string", description: "Registry category (government, academic, wire_service, tabloid, misinformation…)" },
+            stance: { type: "string", enum: ["corroborates", "contradicts", "neutral"] },
+            stanceConfidence: { type: "number" },
+            snippet: { type: "string" },
+            publishedAt: { type: "string", nullable: true, description: "Publication day (YYYY-MM-DD) when the search provider gives one" },
+          },
+        },
+        AnalyzeResponse: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok"] },
+            engine: { type: "string" },
+            analysisType: ref("AnalysisType"),
+            result: ref("AnalysisResult"),
+          },
+        },
+        BatchResponse: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok"] },
+            count: { type: "integer" },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" },
+            budget: { type: "object", properties: { max: { type: "integer" }, used: { type: "integer" }, refused: { type: "integer" }, exhausted: { type: "boolean" } } },
+            results: {
+              type: "array",
+              items: {
+                type: "object",
+                description: "{ index, id, status: ok, analysisType, result } or { index, id, status: error, code, error, httpStatus }",
+              },
+            },
+          },
+        },
+        JobAccepted: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok"] },
+            jobId: { type: "string" },
+            jobStatus: { type: "string", enum: ["queued"] },
+            statusUrl: { type: "string" },
+          },
+        },
+        JobResponse: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok"] },
+            job: {
+              type: "object",
+              properties: {
+                jobId: { type: "string" },
+                status: { type: "string", enum: ["queued", "running", "succeeded", "failed"] },
+                result: { ...ref("AnalysisResult"), nullable: true },
+                error: { type: "object", nullable: true },
+                callback: { type: "object", nullable: true },
+              },
+            },
+          },
+        },
+        ImageResponse: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok"] },
+            ocr: { type: "object" },
+            image_signals: { type: "object" },
+            analysis: { type: "object", nullable: true },
+            analyzedText: { type: "string", nullable: true, enum: ["ocr", "contextText", null] },
+            warning: { type: "string", nullable: true },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Middleware: validates req.body against the operation's JSON request body schema.
+// Coded failures (x-error-code) win over the generic VALIDATION_FAILED.
+function bodyValidator(doc) {
+  return (method, route) => {
+    const schema = doc.paths?.[route]?.[method]?.requestBody?.content?.["application/json"]?.schema;
+    if (!schema) throw new Error(`no request body schema for ${method.toUpperCase()} ${route}`);
+
+    return (req, res, next) => {
+      const errors = validate(schema, req.body === undefined ? {} : req.body, doc);
+      if (!errors.length) return next();
+
+      const details = errors.map(({ path, message }) => ({ path, message }));
+      const first = errors.find((e) => e.code) || errors[0];
+      const message = first.custom ? first.message : `${first.path} ${first.message}`;
+      return next(apiError(first.code || "VALIDATION_FAILED", message, details));
+    };
+  };
+}
+
+module.exports = { buildOpenApi, bodyValidator };
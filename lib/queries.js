@@ -0,0 +1,148 @@
+// =====================
+// QUERY PLANNER — PRO search queries, per language (data/query-plan.json, QUERY_PLAN_FILE)
+// Key terms = the claim's entities, figures (with their units) and predicate words as written;
+// templates in the claim's language ("vérification des faits", site-restricted fact-checkers /
+// statistics bodies). A query too close to one already planned (similarityScore) is dropped, so
+// the MAX_SERPER_QUERIES budget goes to searches that can return different results.
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+const { safeLower, stripSpaces, similarityScore } = require("./text");
+const { isContentToken, normalizeForStance } = require("./stance");
+const { extractQuantities } = require("./numbers");
+
+const MAX_TERMS = 8;
+const DEFAULT_LANGUAGE = "en";
+
+// Raw JSON -> { threshold, maxSites, languages: Map(lang -> { templates, sites }) }; throws with .problems
+function compile(raw) {
+  const problems = [];
+  const threshold = raw?.similarityThreshold ?? 0.78;
+  if (!(Number.isFinite(threshold) && threshold > 0 && threshold <= 1)) problems.push("similarityThreshold must be a number in ]0, 1]");
+  const maxSites = raw?.maxSites ?? 4;
+  if (!(Number.isInteger(maxSites) && maxSites >= 1)) problems.push("maxSites must be an integer >= 1");
+
+  const languages = new Map();
+  for (const [lang, conf] of Object.entries(raw?.languages || {})) {
+    const sites = conf?.sites || {};
+    const templates = (Array.isArray(conf?.templates) ? conf.templates : []).filter((tpl, i) => {
+      const where = `languages.${lang}.templates[${i}]`;
+      const before = problems.length;
+      if (!tpl?.kind) problems.push(`${where}.kind is required`);
+      if (typeof tpl?.query !== "string" || !/\{(claim|terms)\}/.test(tpl.query)) problems.push(`${where}.query must use {claim} or {terms}`);
+      if (/\{sites\}/.test(tpl?.query || "") && !Array.isArray(sites[tpl?.sites])) problems.push(`${where}.sites must name a list in languages.${lang}.sites`);
+      return problems.length === before;
+    });
+    if (!templates.length) problems.push(`languages.${lang}.templates must not be empty`);
+    languages.set(lang.toLowerCase(), { templates, sites });
+  }
+  if (!languages.has(DEFAULT_LANGUAGE)) problems.push(`languages.${DEFAULT_LANGUAGE} is required (fallback language)`);
+
+  if (problems.length) throw Object.assign(new Error(`invalid query plan (${problems.length} problem(s))`), { problems });
+  return { threshold, maxSites, languages };
+}
+
+// Used when the file cannot be loaded: the claim, then an English fact check
+const FALLBACK = {
+  languages: {
+    en: {
+      templates: [
+        { kind: "claim", query: "{claim}" },
+        { kind: "fact_check", query: "{terms} fact check" },
+      ],
+      sites: {},
+    },
+  },
+};
+
+// Words as written (search engines stem on their side): "l'Australie" -> "Australie";
+// a figure stays one term with its unit ("12 %", "6400 km", "$5 bn")
+function keyTerms(text, quantities) {
+  const split = (s) =>
+    s
+      .split(" ")
+      .map((w) => w.replace(/^(?:[ldjmnst]|qu)['’]/i, "").replace(/^[^\p{L}\p{N}$€£]+|[^\p{L}\p{N}%]+$/gu, ""))
+      .filter(Boolean);
+  const words = [];
+  let at = 0;
+  for (const q of quantities) {
+    words.push(...split(text.slice(at, q.start)), q.raw);
+    at = q.end;
+  }
+  words.push(...split(text.slice(at)));
+
+  const seen = new Set();
+  const terms = [];
+  for (const w of words) {
+    const low = safeLower(w);
+    const norm = normalizeForStance(low);
+    if (seen.has(low) || !(/\d/.test(w) || isContentToken(norm))) continue;
+    seen.add(low);
+    terms.push({ word: w, entity: /^\p{Lu}/u.test(w) || /\d/.test(w) });
+  }
+
+  // Too many words: entities and figures first, original order kept
+  if (terms.length > MAX_TERMS) {
+    const keep = new Set([...terms.filter((t) => t.entity), ...terms.filter((t) => !t.entity)].slice(0, MAX_TERMS));
+    return terms.filter((t) => keep.has(t));
+  }
+  return terms;
+}
+
+function createQueryPlanner({ env = process.env } = {}) {
+  const file = env.QUERY_PLAN_FILE || path.join(__dirname, "..", "data", "query-plan.json");
+  let conf;
+  try {
+    conf = compile(JSON.parse(fs.readFileSync(file, "utf8")));
+    console.log(`🧭 QUERIES: ${conf.languages.size} language(s) from ${file}`);
+  } catch (e) {
+    conf = compile(FALLBACK);
+    console.log(`⚠️ QUERIES: could not load ${file}, claim + English fact check only:`, e.message, ...(e.problems || []).slice(0, 5));
+  }
+
+  // -> { language, terms, entities, numeric, queries: [{ kind, query }], dropped: [{ kind, query, similarTo }] }
+  function plan(claim, { language, max = 4 } = {}) {
+    const text = stripSpaces(claim);
+    const base = String(language || DEFAULT_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+    const lang = conf.languages.has(base) ? base : DEFAULT_LANGUAGE;
+    const { templates, sites } = conf.languages.get(lang);
+
+    const quantities = extractQuantities(text);
+    const terms = keyTerms(text, quantities);
+    const termText = terms.map((t) => t.word).join(" ") || text;
+    const numeric = quantities.some((q) => q.kind !== "year" && q.kind !== "date");
+    const siteFilter = (name) =>
+      `(${(sites[name] || []).slice(0, conf.maxSites).map((s) => `site:${s}`).join(" OR ")})`;
+
+    const queries = [];
+    const dropped = [];
+    for (const tpl of templates) {
+      if (queries.length >= max) break;
+      if (tpl.numeric && !numeric) continue;
+      // Function replacers: "$&" or "$'" in a claim are text, not replacement patterns
+      const query = stripSpaces(
+        tpl.query
+          .replace("{claim}", () => text)
+          .replace("{terms}", () => termText)
+          .replace("{sites}", () => (tpl.sites ? siteFilter(tpl.sites) : ""))
+      );
+      const close = queries.find((q) => similarityScore(q.query, query) >= conf.threshold);
+      if (close) dropped.push({ kind: tpl.kind, query, similarTo: close.kind });
+      else queries.push({ kind: tpl.kind, query });
+    }
+
+    return {
+      language: lang,
+      terms: terms.map((t) => t.word),
+      entities: terms.filter((t) => t.entity).map((t) => t.word),
+      numeric,
+      queries,
+      dropped,
+    };
+  }
+
+  return { plan };
+}
+
+module.exports = { createQueryPlanner };
@@ -0,0 +1,318 @@
+// =====================
+// QUOTAS — per API key (IP fallback), per plan: a token bucket per minute (bursts
+// smooth out) and a fixed counter per UTC day (never more than the daily quota in a day).
+// Plugged into express-rate-limit as custom stores (memory or Redis, shared
+// across instances), which gives us the standard RateLimit-* / Retry-After headers.
+// =====================
+
+const rateLimit = require("express-rate-limit");
+const { createRedisClient } = require("./redis");
+const { apiError } = require("./errors");
+
+const WINDOWS = {
+  minute: 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Continuous refill (bucket) or a count reset at each window start (counter)
+const WINDOW_KIND = { minute: "bucket", day: "counter" };
+
+const CLEANUP_EVERY_MS = 60 * 1000;
+
+// Keys are "<plan>|<client>": the store needs the plan to know the bucket size
+function planOfKey(key) {
+  return String(key).split("|")[0];
+}
+
+// express-rate-limit counts "hits"; a bucket reports hits = capacity - tokens left
+function bucketResult(capacity, tokens, allowed, ratePerMs, cost = 1) {
+  const totalHits = allowed ? Math.max(1, capacity - Math.floor(tokens)) : capacity + 1;
+  // Blocked: when enough tokens have arrived. Otherwise: when the bucket is full again.
+  const msUntil = allowed ? (capacity - tokens) / ratePerMs : (cost - tokens) / ratePerMs;
+  return { allowed, tokens, totalHits, resetTime: new Date(Date.now() + Math.max(1000, Math.ceil(msUntil))) };
+}
+
+function createMemoryBucketStore({ prefix, windowMs, capacityFor }) {
+  const buckets = new Map(); // key -> { tokens, ts }
+
+  const refill = (b, capacity, now) => Math.min(capacity, b.tokens + (now - b.ts) * (capacity / windowMs));
+
+  // Full buckets carry no information: drop them
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, b] of buckets) {
+      if (refill(b, capacityFor(key), now) >= capacityFor(key)) buckets.delete(key);
+    }
+  }, CLEANUP_EVERY_MS);
+  timer.unref();
+
+  // All or nothing: `cost` tokens or none
+  async function take(key, cost) {
+    const capacity = capacityFor(key);
+    const now = Date.now();
+    const cur = buckets.get(key);
+    let tokens = cur ? refill(cur, capacity, now) : capacity;
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+    buckets.set(key, { tokens, ts: now });
+    return bucketResult(capacity, tokens, allowed, capacity / windowMs, cost);
+  }
+
+  return {
+    prefix,
+    localKeys: true,
+    take,
+    increment: (key) => take(key, 1),
+
+    async decrement(key, n = 1) {
+      const cur = buckets.get(key);
+      if (cur) cur.tokens = Math.min(capacityFor(key), cur.tokens + n);
+    },
+
+    async resetKey(key) {
+      buckets.delete(key);
+    },
+
+    size: () => buckets.size,
+  };
+}
+
+// Fixed window: `used` resets when the UTC day (window) changes
+const windowEnd = (windowMs, now) => (Math.floor(now / windowMs) + 1) * windowMs;
+
+function counterResult(capacity, used, allowed, resetAt) {
+  return { allowed, tokens: capacity - used, totalHits: allowed ? Math.max(1, used) : capacity + 1, resetTime: new Date(resetAt) };
+}
+
+function createMemoryCounterStore({ prefix, windowMs, capacityFor }) {
+  const counters = new Map(); // key -> { used, resetAt }
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, c] of counters) if (now >= c.resetAt) counters.delete(key);
+  }, CLEANUP_EVERY_MS);
+  timer.unref();
+
+  const current = (key, now) => {
+    const c = counters.get(key);
+    return c && now < c.resetAt ? c : null;
+  };
+
+  // All or nothing: `cost` calls or none
+  async function take(key, cost) {
+    const capacity = capacityFor(key);
+    const now = Date.now();
+    const c = current(key, now) || { used: 0, resetAt: windowEnd(windowMs, now) };
+    const allowed = c.used + cost <= capacity;
+    if (allowed) c.used += cost;
+    counters.set(key, c);
+    return counterResult(capacity, c.used, allowed, c.resetAt);
+  }
+
+  return {
+    prefix,
+    localKeys: true,
+    take,
+    increment: (key) => take(key, 1),
+
+    async decrement(key, n = 1) {
+      const c = current(key, Date.now());
+      if (c) c.used = Math.max(0, c.used - n);
+    },
+
+    async resetKey(key) {
+      counters.delete(key);
+    },
+
+    size: () => counters.size,
+  };
+}
+
+// Atomic refill + take; the hash expires once the bucket would be full again
+const TAKE_SCRIPT = `
+local cap = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local b = redis.call('HMGET', KEYS[1], 't', 'ts')
+local tokens = tonumber(b[1])
+local ts = tonumber(b[2])
+if tokens == nil then tokens = cap; ts = now end
+tokens = math.min(cap, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then tokens = tokens - cost; allowed = 1 end
+redis.call('HSET', KEYS[1], 't', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((cap - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// One key per client and window start, expiring with the window
+const COUNT_SCRIPT = `
+local cap = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local ttl = tonumber(ARGV[3])
+local used = tonumber(redis.call('GET', KEYS[1]) or '0')
+if used + cost > cap then return { 0, used } end
+used = redis.call('INCRBY', KEYS[1], cost)
+redis.call('PEXPIRE', KEYS[1], ttl)
+return { 1, used }
+`;
+
+const UNCOUNT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 and tonumber(redis.call('GET', KEYS[1])) >= tonumber(ARGV[1]) then
+  return redis.call('DECRBY', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+function createRedisCounterStore({ prefix, windowMs, capacityFor, client }) {
+  const redisKey = (key, now) => `ia11:quota:${prefix}${key}:${windowEnd(windowMs, now)}`;
+
+  async function take(key, cost) {
+    const capacity = capacityFor(key);
+    const now = Date.now();
+    const resetAt = windowEnd(windowMs, now);
+    const [allowed, used] = await client.command("EVAL", COUNT_SCRIPT, 1, redisKey(key, now), capacity, cost, resetAt - now + 1000);
+    return counterResult(capacity, Number(used), allowed === 1, resetAt);
+  }
+
+  return {
+    prefix,
+    localKeys: false,
+    take,
+    increment: (key) => take(key, 1),
+
+    async decrement(key, n = 1) {
+      await client.command("EVAL", UNCOUNT_SCRIPT, 1, redisKey(key, Date.now()), n);
+    },
+
+    async resetKey(key) {
+      await client.command("DEL", redisKey(key, Date.now()));
+    },
+  };
+}
+
+function createRedisBucketStore({ prefix, windowMs, capacityFor, client }) {
+  const redisKey = (key) => `ia11:quota:${prefix}${key}`;
+
+  async function take(key, cost) {
+    const capacity = capacityFor(key);
+    const rate = capacity / windowMs;
+    const [allowed, tokens] = await client.command("EVAL", TAKE_SCRIPT, 1, redisKey(key), capacity, rate, Date.now(), cost);
+    return bucketResult(capacity, Number(tokens), allowed === 1, rate, cost);
+  }
+
+  return {
+    prefix,
+    localKeys: false,
+    take,
+    increment: (key) => take(key, 1),
+
+    async decrement(key, n = 1) {
+      await client.command("HINCRBYFLOAT", redisKey(key), "t", n);
+    },
+
+    async resetKey(key) {
+      await client.command("DEL", redisKey(key));
+    },
+  };
+}
+
+// quotas: { standard: { minute, day }, pro: { minute, day } } — 0 disables a window
+function createQuotaLimiters({ quotas, env = process.env }) {
+  const useRedis = String(env.RATE_LIMIT_STORE || "memory").toLowerCase() === "redis";
+  const client = useRedis ? createRedisClient(env.REDIS_URL) : null;
+
+  const capacity = (plan, window) => {
+    const n = quotas[plan]?.[window] ?? quotas.standard[window];
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  };
+
+  const clientKey = (req) => {
+    const plan = req.tenant?.plan === "pro" ? "pro" : "standard";
+    const t = req.tenant;
+    // The shared legacy key and anonymous callers are told apart by IP (trust proxy: 1 hop only)
+    const id = t?.keyId && t.keyId !== "legacy" ? `key:${t.keyId}` : `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+    return `${plan}|${id}`;
+  };
+
+  const quotaError = (req, window, limit, resetTime, extra = {}) => {
+    const retryAfterSec = Math.max(1, Math.ceil(((resetTime?.getTime() || Date.now()) - Date.now()) / 1000));
+    return apiError("RATE_LIMITED", "Rate limit exceeded", {
+      analysisType: String(req.body?.analysisType || "").toLowerCase() === "pro" ? "pro" : "standard",
+      plan: req.tenant?.plan || "standard",
+      window,
+      limit,
+      ...(window === "minute" ? { limitPerMin: limit } : { limitPerDay: limit }),
+      retryAfterSec,
+      ...extra,
+    });
+  };
+
+  const windows = Object.entries(WINDOWS).map(([window, windowMs]) => {
+    const capacityFor = (key) => capacity(planOfKey(key), window) || 1;
+    const prefix = `${window}:`;
+    const factory = {
+      bucket: useRedis ? createRedisBucketStore : createMemoryBucketStore,
+      counter: useRedis ? createRedisCounterStore : createMemoryCounterStore,
+    }[WINDOW_KIND[window]];
+    const store = factory({ prefix, windowMs, capacityFor, client });
+
+    const limiter = rateLimit({
+      windowMs,
+      store,
+      keyGenerator: clientKey,
+      limit: (req) => capacity(planOfKey(clientKey(req)), window),
+      skip: (req) => capacity(planOfKey(clientKey(req)), window) === 0,
+      standardHeaders: "draft-8",
+      identifier: window,
+      legacyHeaders: false,
+      passOnStoreError: true, // a Redis outage must not take the API down
+      requestPropertyName: `quota_${window}`,
+      // Retry-After / RateLimit headers are already set; the body is the shared error envelope
+      handler: (req, res, next) => {
+        const info = req[`quota_${window}`] || {};
+        next(quotaError(req, window, info.limit || 0, info.resetTime));
+      },
+    });
+    return { window, store, limiter };
+  });
+
+  const limiters = windows.map((w) => w.limiter);
+
+  // Requests worth several calls (a batch: one per item). Runs after the limiters, which
+  // took 1 token: takes the rest from every window, all or nothing, so a batch larger
+  // than what is left is refused and costs only that one token.
+  limiters.charge = (costOf) => async (req, res, next) => {
+    const extra = Math.max(0, Math.floor(costOf(req)) - 1);
+    if (!extra) return next();
+    const key = clientKey(req);
+    const taken = [];
+    try {
+      for (const { window, store } of windows) {
+        const limit = capacity(planOfKey(key), window);
+        if (!limit) continue;
+        const r = await store.take(key, extra);
+        if (!r.allowed) {
+          for (const t of taken) await t.decrement(key, extra);
+          res.set("Retry-After", String(Math.max(1, Math.ceil((r.resetTime.getTime() - Date.now()) / 1000))));
+          return next(quotaError(req, window, limit, r.resetTime, { cost: extra + 1, remaining: Math.floor(r.tokens) + 1 }));
+        }
+        taken.push(store);
+      }
+    } catch (e) {
+      console.log("⚠️ QUOTA: store error, batch not charged:", e.message); // same policy as passOnStoreError
+    }
+    return next();
+  };
+
+  return limiters;
+}
+
+module.exports = {
+  createQuotaLimiters,
+  createMemoryBucketStore,
+  createMemoryCounterStore,
+  createRedisBucketStore,
+  createRedisCounterStore,
+};
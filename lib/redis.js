@@ -0,0 +1,158 @@
+// =====================
+// REDIS (RESP2) — minimal client, no dependency
+// Enough for GET/SET/ZADD/EVAL...: one socket, FIFO replies, lazy reconnect.
+// =====================
+
+const net = require("net");
+const tls = require("tls");
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = Buffer.isBuffer(a) ? a : Buffer.from(String(a), "utf8");
+    out += `$${s.length}\r\n${s.toString("utf8")}\r\n`;
+  }
+  return out;
+}
+
+// Returns [value, nextOffset] or null if the buffer is incomplete
+function parseReply(buf, offset) {
+  if (offset >= buf.length) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === "+") return [line, next];
+  if (type === "-") {
+    const err = new Error(line);
+    err.isRedisError = true;
+    return [err, next];
+  }
+  if (type === ":") return [Number(line), next];
+  if (type === "$") {
+    const len = Number(line);
+    if (len === -1) return [null, next];
+    if (buf.length < next + len + 2) return null;
+    return [buf.toString("utf8", next, next + len), next + len + 2];
+  }
+  if (type === "*") {
+    const count = Number(line);
+    if (count === -1) return [null, next];
+    const arr = [];
+    let pos = next;
+    for (let i = 0; i < count; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      arr.push(r[0]);
+      pos = r[1];
+    }
+    return [arr, pos];
+  }
+  throw new Error(`RESP: unexpected reply type ${type}`);
+}
+
+function createRedisClient(redisUrl, { timeoutMs = 2000 } = {}) {
+  const u = new URL(redisUrl || "redis://127.0.0.1:6379");
+  const useTls = u.protocol === "rediss:";
+  const host = u.hostname || "127.0.0.1";
+  const port = Number(u.port || 6379);
+  const password = u.password ? decodeURIComponent(u.password) : null;
+  const username = u.username ? decodeURIComponent(u.username) : null;
+  const db = Number((u.pathname || "/0").slice(1) || 0);
+
+  let socket = null;
+  let ready = null; // Promise while connecting / connected
+  let buffer = Buffer.alloc(0);
+  const pending = []; // FIFO of { resolve, reject, timer }
+
+  function failAll(err) {
+    while (pending.length) {
+      const p = pending.shift();
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      let r;
+      try {
+        r = parseReply(buffer, offset);
+      } catch (e) {
+        socket.destroy(e);
+        return;
+      }
+      if (!r) break;
+      offset = r[1];
+      const p = pending.shift();
+      if (!p) continue;
+      clearTimeout(p.timer);
+      if (r[0] instanceof Error) p.reject(r[0]);
+      else p.resolve(r[0]);
+    }
+    buffer = offset >= buffer.length ? Buffer.alloc(0) : buffer.subarray(offset);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // A lost reply desyncs the FIFO: drop the connection
+        if (socket) socket.destroy(new Error(`redis timeout after ${timeoutMs}ms`));
+      }, timeoutMs);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const opts = { host, port };
+      const s = useTls ? tls.connect({ ...opts, servername: host }) : net.connect(opts);
+      socket = s;
+      buffer = Buffer.alloc(0);
+
+      const connectTimer = setTimeout(() => s.destroy(new Error(`redis connect timeout after ${timeoutMs}ms`)), timeoutMs);
+
+      s.on(useTls ? "secureConnect" : "connect", async () => {
+        clearTimeout(connectTimer);
+        try {
+          if (password) await send(username ? ["AUTH", username, password] : ["AUTH", password]);
+          if (db) await send(["SELECT", db]);
+          resolve();
+        } catch (e) {
+          s.destroy(e);
+        }
+      });
+      s.on("data", onData);
+      s.on("error", () => {}); // surfaced through "close"
+      s.on("close", (hadError) => {
+        clearTimeout(connectTimer);
+        const err = new Error(hadError ? "redis connection error" : "redis connection closed");
+        failAll(err);
+        if (socket === s) {
+          socket = null;
+          ready = null;
+        }
+        reject(err);
+      });
+    });
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+    close() {
+      if (socket) socket.end();
+    },
+  };
+}
+
+module.exports = { createRedisClient, encodeCommand, parseReply };
@@ -0,0 +1,263 @@
+// =====================
+// RELATIONS — subject / predicate / object check against search snippets (FR + EN)
+// Predicates and typed values come from data/relations.json (RELATIONS_FILE):
+// "Canada is a nordic country" -> canada | is_a | nordic country
+//   facets { place_type: country, region: nordic }.
+// A snippet sentence about the subject affirms the relation (same value, or the object
+// words restated), denies it (negated value, another value of an exclusive category,
+// debunk vocabulary) or says nothing. A negated claim flips the result.
+// Patterns tagged with a language ({ "text": "a", "lang": "fr" }: the French "has" is the
+// English article) are only used for claims in that language.
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+const { safeLower, stripSpaces } = require("./text");
+const { NEGATIONS, DEBUNK_TERMS, foldAccents, normalizeForStance, stem, isContentToken, countTerms } = require("./stance");
+
+const ARTICLES = new Set(["the", "a", "an", "le", "la", "les", "un", "une", "des", "du", "de", "d", "l"]);
+// "n'est pas" -> "n est pas": the elided "ne" is dropped with the negations
+const ELIDED_NEGATION = new Set(["n", "ne"]);
+const NEGATION_WINDOW = 4; // tokens before a matched value
+const MAX_EVIDENCE = 5;
+
+// "isn't" -> "is not" (the verb stays for the predicate), "don't" -> "dont" (a negation),
+// other apostrophes split words ("l'Australie" -> "l australie")
+function relTokens(s) {
+  const raw = safeLower(stripSpaces(s))
+    .replace(/\b(is|are|was|were|has|have)n[’']t\b/g, "$1 not")
+    .replace(/n[’']t\b/g, "nt")
+    .replace(/[’']/g, " ");
+  return normalizeForStance(raw).split(" ").filter(Boolean);
+}
+
+const phrase = (s) => relTokens(s).map(foldAccents);
+
+// Position of `words` in `tokens` (stems compared: "planets" matches "planet"), -1 if absent
+function findPhrase(tokens, words, from = 0) {
+  for (let i = from; i + words.length <= tokens.length; i++) {
+    if (words.every((w, k) => stem(tokens[i + k]) === stem(w))) return i;
+  }
+  return -1;
+}
+
+// Exact token sequence (predicate patterns are not stemmed: "is" must not match "isnt")
+const hasSequence = (tokens, words) => tokens.some((_, i) => words.every((w, k) => tokens[i + k] === w));
+
+function negatedBefore(tokens, pos) {
+  for (let j = Math.max(0, pos - NEGATION_WINDOW); j < pos; j++) if (NEGATIONS.has(tokens[j])) return true;
+  return false;
+}
+
+// "fr-CA" -> "fr"
+const baseLanguage = (language) => String(language || "").toLowerCase().split(/[-_]/)[0] || null;
+
+// Raw JSON -> { predicates: [{ id, patterns: [{ words, lang }] }], categories: [{ id, exclusive, values, compatible }] }
+function compile(raw) {
+  const problems = [];
+
+  const predicates = (Array.isArray(raw?.predicates) ? raw.predicates : []).map((p, i) => {
+    if (!p?.id) problems.push(`predicates[${i}].id is required`);
+    if (!Array.isArray(p?.patterns) || !p.patterns.length) problems.push(`predicates[${i}].patterns must be a non-empty list`);
+    const patterns = (p?.patterns || []).map((pat, k) => {
+      if (typeof pat === "string") return { words: phrase(pat), lang: null };
+      if (typeof pat?.text !== "string" || typeof pat?.lang !== "string") {
+        problems.push(`predicates[${i}].patterns[${k}] must be a string or { text, lang }`);
+        return { words: [], lang: null };
+      }
+      return { words: phrase(pat.text), lang: baseLanguage(pat.lang) };
+    });
+    return { id: p?.id, patterns: patterns.filter((pat) => pat.words.length) };
+  });
+
+  const categories = (Array.isArray(raw?.categories) ? raw.categories : []).map((c, i) => {
+    if (!c?.id) problems.push(`categories[${i}].id is required`);
+    const values = Object.entries(c?.values || {}).map(([value, aliases]) => {
+      if (!Array.isArray(aliases) || !aliases.length) problems.push(`categories[${i}].values.${value} must be a non-empty list`);
+      // Longest alias first: "north america" before "america"
+      return { value, aliases: (aliases || []).map(phrase).sort((a, b) => b.length - a.length) };
+    });
+    if (!values.length) problems.push(`categories[${i}].values must not be empty`);
+    const known = new Set(values.map((v) => v.value));
+    const compatible = (c?.compatible || []).filter((pair, k) => {
+      const ok = Array.isArray(pair) && pair.length === 2 && pair.every((v) => known.has(v));
+      if (!ok) problems.push(`categories[${i}].compatible[${k}] must be a pair of values of this category`);
+      return ok;
+    });
+    return { id: c?.id, exclusive: c?.exclusive !== false, values, compatible };
+  });
+
+  if (problems.length) throw Object.assign(new Error(`invalid relation table (${problems.length} problem(s))`), { problems });
+  return { predicates, categories };
+}
+
+function createRelationChecker({ env = process.env } = {}) {
+  const file = env.RELATIONS_FILE || path.join(__dirname, "..", "data", "relations.json");
+  let table;
+  try {
+    table = compile(JSON.parse(fs.readFileSync(file, "utf8")));
+    console.log(`🔗 RELATIONS: ${table.predicates.length} predicates, ${table.categories.length} categories from ${file}`);
+  } catch (e) {
+    table = compile({});
+    console.log(`⚠️ RELATIONS: could not load ${file} (no relation checks):`, e.message, ...(e.problems || []).slice(0, 5));
+  }
+
+  // Values of each category mentioned in `tokens` -> [{ category, value, pos }]
+  function valuesIn(tokens) {
+    const out = [];
+    for (const cat of table.categories) {
+      for (const { value, aliases } of cat.values) {
+        for (const words of aliases) {
+          const pos = findPhrase(tokens, words);
+          if (pos >= 0) {
+            out.push({ category: cat.id, value, pos });
+            break;
+          }
+        }
+      }
+    }
+    return out;
+  }
+
+  const compatibleValues = (cat, a, b) => cat.compatible.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+
+  // -> { subject, predicate, object, negated, facets, patterns, subjectStems, objectStems } or null (no predicate found)
+  function extract(claim, { language } = {}) {
+    const lang = baseLanguage(language);
+    const usable = (p) => p.patterns.filter((pat) => !pat.lang || pat.lang === lang).map((pat) => pat.words);
+    const all = relTokens(claim);
+    const negated = all.some((tok) => NEGATIONS.has(tok));
+    const raw = all.filter((tok) => !NEGATIONS.has(tok) && !ELIDED_NEGATION.has(tok));
+    const tokens = raw.map(foldAccents);
+
+    // Earliest predicate, longest pattern at that position; subject and object must not be empty
+    let best = null;
+    for (let i = 1; i < tokens.length - 1 && !best; i++) {
+      for (const p of table.predicates) {
+        const patterns = usable(p);
+        for (const words of patterns) {
+          const fits = i + words.length < tokens.length && words.every((w, k) => tokens[i + k] === w);
+          if (fits && (!best || words.length > best.length)) best = { id: p.id, patterns, pos: i, length: words.length };
+        }
+      }
+    }
+    if (!best) return null;
+
+    const trim = (list) => {
+      const out = [...list];
+      while (out.length && ARTICLES.has(foldAccents(out[0]))) out.shift();
+      return out;
+    };
+    const subject = trim(raw.slice(0, best.pos));
+    const object = trim(raw.slice(best.pos + best.length));
+    if (!subject.length || !object.length) return null;
+
+    const stemsOf = (list) => [...new Set(list.map(foldAccents).filter(isContentToken).map(stem))];
+    const facets = {};
+    for (const { category, value } of valuesIn(object.map(foldAccents))) facets[category] = value;
+
+    return {
+      subject: subject.join(" "),
+      predicate: best.id,
+      object: object.join(" "),
+      negated,
+      facets,
+      patterns: best.patterns,
+      subjectStems: stemsOf(subject),
+      objectStems: stemsOf(object),
+    };
+  }
+
+  // One sentence about the subject -> { verdict: affirms | denies, reason, found? } or null
+  function judgeSentence(rel, tokens, debunk) {
+    const mentioned = valuesIn(tokens);
+    const facetIds = Object.keys(rel.facets);
+    let affirmed = 0;
+
+    for (const id of facetIds) {
+      const cat = table.categories.find((c) => c.id === id);
+      const want = rel.facets[id];
+      const same = mentioned.find((m) => m.category === id && m.value === want);
+      if (same) {
+        if (negatedBefore(tokens, same.pos)) return { verdict: "denies", reason: "negated_value", facet: id, found: want };
+        affirmed++;
+        continue;
+      }
+      const other = cat.exclusive && mentioned.find((m) => m.category === id && !compatibleValues(cat, m.value, want));
+      if (other && !negatedBefore(tokens, other.pos)) return { verdict: "denies", reason: "exclusive_value", facet: id, found: other.value };
+    }
+
+    // Every typed part of the object must be confirmed ("a country" alone says nothing about "nordic")
+    if (facetIds.length && affirmed === facetIds.length) {
+      return debunk ? { verdict: "denies", reason: "debunk_vocabulary" } : { verdict: "affirms", reason: "same_value" };
+    }
+    if (facetIds.length) return null;
+
+    // Untyped object: its words restated near the subject
+    if (!rel.objectStems.length) return null;
+    const stems = tokens.map(stem);
+    const positions = rel.objectStems.map((s) => stems.indexOf(s)).filter((i) => i >= 0);
+    if (positions.length / rel.objectStems.length < 0.5) return null;
+    if (positions.some((i) => negatedBefore(tokens, i))) return { verdict: "denies", reason: "negated_object" };
+    if (debunk) return { verdict: "denies", reason: "debunk_vocabulary" };
+    return { verdict: "affirms", reason: "restates_object" };
+  }
+
+  // -> { classification, support, contradict, relation, evidence[] } (evidence: result rank, no url:
+  // Standard does not show its sources)
+  function check(claim, items, { language } = {}) {
+    const rel = extract(claim, { language });
+    const list = Array.isArray(items) ? items : [];
+    const out = { classification: "neutral", support: 0, contradict: 0, relation: null, evidence: [] };
+    if (!rel) return out;
+
+    const { patterns, subjectStems, objectStems, ...relation } = rel;
+    out.relation = relation;
+
+    list.forEach((it, index) => {
+      // "Is the Earth flat?" + ". " would no longer end with "?"
+      const title = stripSpaces(it.title);
+      const text = `${title}${/[.!?;]$/.test(title) ? " " : ". "}${it.snippet || it.description || ""}`;
+      const sentences = text.split(/(?<=[.!?;])\s+|\s[-–|]\s/).map(stripSpaces).filter(Boolean);
+
+      let found = null;
+      for (const sentence of sentences) {
+        const tokens = relTokens(sentence).map(foldAccents);
+        const debunk = countTerms(tokens.join(" "), DEBUNK_TERMS) > 0;
+        // A title like "Flat Earth" or a question asserts nothing; a debunk sentence still counts
+        const plain = tokens.filter((tok) => !NEGATIONS.has(tok) && !ELIDED_NEGATION.has(tok));
+        const asserts = !/\?$/.test(sentence) && patterns.some((words) => hasSequence(plain, words));
+        if (!asserts && !debunk) continue;
+
+        // Subject worded differently ("we" for "humans"): only a debunk restating the whole object
+        const stems = new Set(tokens.map(stem));
+        const hits = subjectStems.filter((s) => stems.has(s)).length;
+        const aboutSubject = !subjectStems.length || hits / subjectStems.length >= 0.5;
+        const restatesObject = objectStems.length >= 2 && objectStems.every((s) => stems.has(s));
+        if (!aboutSubject && !(debunk && restatesObject)) continue;
+
+        const judged = judgeSentence(rel, tokens, debunk);
+        if (!judged) continue;
+        found = { ...judged, text: sentence.slice(0, 200) };
+        break;
+      }
+      if (!found) return;
+
+      // The claim itself may be negative: a source denying the relation then agrees with it
+      const agrees = (found.verdict === "affirms") !== rel.negated;
+      if (agrees) out.support++;
+      else out.contradict++;
+      if (out.evidence.length < MAX_EVIDENCE) {
+        out.evidence.push({ rank: index + 1, stance: agrees ? "corroborates" : "contradicts", ...found });
+      }
+    });
+
+    if (out.contradict > out.support) out.classification = "contradiction";
+    else if (out.support > out.contradict) out.classification = "corroboration";
+    return out;
+  }
+
+  return { extract, check };
+}
+
+module.exports = { createRelationChecker };
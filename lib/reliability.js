@@ -0,0 +1,151 @@
+// =====================
+// RELIABILITY — source registry loaded from data/reliability.json (RELIABILITY_FILE)
+// A host resolves to its most specific match: tenant override, then domains
+// (exact host or any parent: "en.wikipedia.org" -> "wikipedia.org"), then tlds
+// ("www.cdc.gov" -> "gov"), then default. Categories carry the tier
+// (high | medium | low) and an optional evidence weight.
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+
+const TIERS = ["high", "medium", "low"];
+// Evidence weight when the category does not set one (buildEvidenceScore)
+const TIER_WEIGHTS = { high: 1, medium: 0.6, low: 0.3 };
+
+function normalizeHost(domain) {
+  return String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/:\d+$/, "")
+    .replace(/\.$/, "")
+    .replace(/^www\./, "");
+}
+
+// "a.b.example.org" -> ["a.b.example.org", "b.example.org", "example.org", "org"]
+function parentsOf(host) {
+  const labels = host.split(".");
+  return labels.map((_, i) => labels.slice(i).join("."));
+}
+
+// Raw JSON -> compiled registry; throws with the list of problems
+function compile(raw, file) {
+  const problems = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw Object.assign(new Error("registry must be a JSON object"), { problems: [] });
+
+  const categories = {};
+  for (const [name, c] of Object.entries(raw.categories || {})) {
+    if (!TIERS.includes(c?.tier)) problems.push(`categories.${name}.tier must be one of: ${TIERS.join(", ")}`);
+    if (c?.weight !== undefined && !(Number.isFinite(c.weight) && c.weight >= 0 && c.weight <= 1)) {
+      problems.push(`categories.${name}.weight must be a number between 0 and 1`);
+    }
+    categories[name] = { tier: c?.tier, weight: c?.weight ?? TIER_WEIGHTS[c?.tier] };
+  }
+
+  // Entry = "category" or { category?, tier?, weight? } (tier alone is allowed for overrides)
+  const entryOf = (where, value) => {
+    const e = typeof value === "string" ? { category: value } : value || {};
+    const cat = e.category ? categories[e.category] : null;
+    if (e.category && !cat) problems.push(`${where}: unknown category "${e.category}"`);
+    if (!e.category && !TIERS.includes(e.tier)) problems.push(`${where}: needs a category or a tier`);
+    if (e.tier !== undefined && !TIERS.includes(e.tier)) problems.push(`${where}.tier must be one of: ${TIERS.join(", ")}`);
+    const tier = e.tier || cat?.tier;
+    return {
+      tier,
+      category: e.category || "custom",
+      weight: Number.isFinite(e.weight) ? e.weight : e.tier ? TIER_WEIGHTS[tier] : cat?.weight,
+    };
+  };
+  const table = (where, obj) =>
+    new Map(Object.entries(obj || {}).map(([host, v]) => [normalizeHost(host), entryOf(`${where}.${host}`, v)]));
+
+  // Hosts nothing matches: tier (+ weight) only, reported as category "unrated"
+  const defaultEntry = { ...entryOf("default", { tier: "low", ...raw.default, category: undefined }), category: "unrated" };
+
+  const registry = {
+    file,
+    version: raw.version || null,
+    loadedAt: new Date().toISOString(),
+    categories,
+    default: defaultEntry,
+    tlds: table("tlds", raw.tlds),
+    domains: table("domains", raw.domains),
+    tenants: new Map(Object.entries(raw.tenants || {}).map(([id, o]) => [id, table(`tenants.${id}.domains`, o?.domains)])),
+  };
+
+  if (problems.length) throw Object.assign(new Error(`invalid reliability registry (${problems.length} problem(s))`), { problems });
+  return registry;
+}
+
+function createReliabilityRegistry({ env = process.env } = {}) {
+  const file = env.RELIABILITY_FILE || path.join(__dirname, "..", "data", "reliability.json");
+  let registry = null;
+  let lastError = null;
+
+  function load() {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    return compile(raw, file);
+  }
+
+  // Startup: a broken file must not take the service down (everything rates "default")
+  try {
+    registry = load();
+    console.log(`🏷️ RELIABILITY: ${registry.domains.size} domains, ${registry.tlds.size} tld rules, ${registry.tenants.size} tenant override(s) from ${file}`);
+  } catch (e) {
+    lastError = { message: e.message, problems: e.problems || [] };
+    registry = compile({}, file);
+    console.log(`⚠️ RELIABILITY: could not load ${file}:`, e.message, ...(e.problems || []).slice(0, 5));
+  }
+
+  // -> { tier, category, weight, matched, source: tenant | domain | tld | default }
+  function classify(domain, tenantId) {
+    const host = normalizeHost(domain);
+    if (!host) return { tier: "unknown", category: "unknown", weight: TIER_WEIGHTS.low, matched: null, source: "none" };
+
+    const overrides = tenantId ? registry.tenants.get(tenantId) : null;
+    for (const candidate of parentsOf(host)) {
+      const hit = overrides?.get(candidate);
+      if (hit) return { ...hit, matched: candidate, source: "tenant" };
+      const entry = registry.domains.get(candidate);
+      if (entry) return { ...entry, matched: candidate, source: "domain" };
+    }
+    for (const candidate of parentsOf(host)) {
+      const rule = registry.tlds.get(candidate);
+      if (rule) return { ...rule, matched: candidate, source: "tld" };
+    }
+    return { ...registry.default, matched: null, source: "default" };
+  }
+
+  // Keeps the current registry when the new file is invalid (throws with .problems)
+  function reload() {
+    try {
+      registry = load();
+      lastError = null;
+      console.log(`🏷️ RELIABILITY: reloaded ${registry.domains.size} domains, ${registry.tlds.size} tld rules from ${file}`);
+      return describe();
+    } catch (e) {
+      lastError = { message: e.message, problems: e.problems || [] };
+      throw e;
+    }
+  }
+
+  function describe() {
+    const fromTable = (m) => Object.fromEntries([...m].map(([k, v]) => [k, v.category === "custom" ? { tier: v.tier } : v.category]));
+    return {
+      file: registry.file,
+      version: registry.version,
+      loadedAt: registry.loadedAt,
+      lastError,
+      counts: { categories: Object.keys(registry.categories).length, domains: registry.domains.size, tlds: registry.tlds.size, tenants: registry.tenants.size },
+      default: registry.default,
+      categories: registry.categories,
+      tlds: fromTable(registry.tlds),
+      domains: fromTable(registry.domains),
+      tenants: Object.fromEntries([...registry.tenants].map(([id, m]) => [id, { domains: fromTable(m) }])),
+    };
+  }
+
+  return { classify, reload, describe };
+}
+
+module.exports = { createReliabilityRegistry, normalizeHost, TIER_WEIGHTS };
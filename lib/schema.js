@@ -0,0 +1,109 @@
+// =====================
+// SCHEMA — validator for the JSON Schema subset used in /openapi.json
+// type (+ nullable), enum, string (minLength, maxLength, pattern, format: uri),
+// number/integer (minimum, maximum), array (items, minItems, maxItems),
+// object (properties, required, additionalProperties), anyOf / oneOf / allOf, $ref.
+// Extension: "x-error-code" on a schema = error code reported when it fails.
+// =====================
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const actual = typeOf(v);
+  if (expected === "number") return actual === "number" || actual === "integer";
+  return expected === actual;
+}
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// root: the document holding components (for "#/components/schemas/X" refs)
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`unsupported $ref ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => (node ? node[key.replace(/~1/g, "/").replace(/~0/g, "~")] : undefined), root);
+}
+
+// -> [{ path, message, code?, custom? }] (empty = valid; custom = message is a whole sentence)
+function validate(schema, value, root, path = "body") {
+  if (!schema) return [];
+  if (schema.$ref) return validate(resolveRef(root, schema.$ref), value, root, path);
+
+  const errors = [];
+  const fail = (p, message) => errors.push({ path: p, message });
+
+  if (value === null && schema.nullable) return [];
+
+  if (schema.type && !typeMatches(schema.type, value)) {
+    fail(path, `must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`);
+  } else {
+    if (schema.enum && !schema.enum.includes(value)) fail(path, `must be one of: ${schema.enum.join(", ")}`);
+
+    if (typeof value === "string") {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(path, schema.minLength === 1 ? "must not be empty" : `must have at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(path, `must have at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(path, "has an invalid format");
+      if (schema.format === "uri" && !isHttpUrl(value)) fail(path, "must be an http(s) url");
+    }
+
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(path, `must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(path, `must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) fail(path, `must have at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(path, `must have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, root, `${path}[${i}]`)));
+    }
+
+    if (typeOf(value) === "object") {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) fail(`${path}.${key}`, "is required");
+      }
+      const props = schema.properties || {};
+      for (const [key, v] of Object.entries(value)) {
+        if (props[key]) errors.push(...validate(props[key], v, root, `${path}.${key}`));
+        else if (schema.additionalProperties === false) fail(`${path}.${key}`, "is not allowed");
+        else if (typeof schema.additionalProperties === "object") {
+          errors.push(...validate(schema.additionalProperties, v, root, `${path}.${key}`));
+        }
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...validate(sub, value, root, path));
+
+  if (schema.anyOf || schema.oneOf) {
+    const branches = (schema.anyOf || schema.oneOf).map((sub) => validate(sub, value, root, path));
+    const passing = branches.filter((b) => !b.length).length;
+    if (schema.anyOf && !passing) errors.push(...branches[0]);
+    if (schema.oneOf && passing !== 1) {
+      if (!passing) errors.push(...branches.reduce((a, b) => (b.length < a.length ? b : a)));
+      else fail(path, "matches more than one allowed shape");
+    }
+  }
+
+  if (errors.length && schema["x-error-code"]) {
+    const custom = schema["x-error-message"];
+    return errors.map((e) => (e.code ? e : { ...e, code: schema["x-error-code"], message: custom || e.message, custom: !!custom }));
+  }
+  return errors;
+}
+
+module.exports = { validate, resolveRef };
@@ -0,0 +1,129 @@
+// =====================
+// SCORING PROFILES — blend weights and caps, loaded from data/scoring-profiles.json
+// (SCORING_PROFILES_FILE). A profile is "<name>@<version>" and never changes once
+// published, so result.scoringVersion is enough to reproduce a score.
+// Selection: request scoringProfile ("name@version" or "name" = latest), else the
+// tenant's entry in `tenants`, else SCORING_PROFILE / the file's `default`.
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+const { apiError } = require("./errors");
+
+// Used when the file cannot be loaded (same numbers as baseline@1 in the data file)
+const BASELINE = {
+  name: "baseline",
+  version: 1,
+  description: "Historical weights (scores before profiles existed).",
+  standard: {
+    textWeight: 0.6,
+    webWeight: 0.4,
+    contradictionCap: 40,
+    strongClaimCaps: [
+      { minClaimStrength: 0.7, cap: 30 },
+      { minClaimStrength: 0.85, cap: 25 },
+    ],
+  },
+  pro: { writingWeight: 0.35, evidenceWeight: 0.65, strongRefuteCap: 18, unverifiablePenalty: 8 },
+  rollup: { minClaimWeight: 0.1, contradictionMargin: 15 },
+};
+
+// field -> [min, max]; every field is required (no inheritance between versions)
+const FIELDS = {
+  standard: { textWeight: [0, 1], webWeight: [0, 1], contradictionCap: [0, 100] },
+  pro: { writingWeight: [0, 1], evidenceWeight: [0, 1], strongRefuteCap: [0, 100], unverifiablePenalty: [0, 100] },
+  rollup: { minClaimWeight: [0, 1], contradictionMargin: [0, 100] },
+};
+
+const idOf = (p) => `${p.name}@${p.version}`;
+
+function checkProfile(p, where, problems) {
+  if (!/^[a-z0-9][a-z0-9_-]{0,40}$/.test(p?.name || "")) problems.push(`${where}.name must be a lowercase slug`);
+  if (!Number.isInteger(p?.version) || p.version < 1) problems.push(`${where}.version must be an integer >= 1`);
+  for (const [section, fields] of Object.entries(FIELDS)) {
+    for (const [key, [min, max]] of Object.entries(fields)) {
+      const v = p?.[section]?.[key];
+      if (!(Number.isFinite(v) && v >= min && v <= max)) problems.push(`${where}.${section}.${key} must be a number in [${min}, ${max}]`);
+    }
+  }
+  const caps = p?.standard?.strongClaimCaps;
+  if (!Array.isArray(caps) || caps.some((c) => !Number.isFinite(c?.minClaimStrength) || !Number.isFinite(c?.cap))) {
+    problems.push(`${where}.standard.strongClaimCaps must be a list of { minClaimStrength, cap }`);
+  }
+}
+
+// Raw JSON -> { profiles: Map(id -> profile), latest: Map(name -> id), defaultId, tenants }
+function compile(raw, defaultOverride) {
+  const problems = [];
+  const profiles = new Map();
+  const latest = new Map();
+
+  (Array.isArray(raw?.profiles) ? raw.profiles : []).forEach((p, i) => {
+    const where = `profiles[${i}]`;
+    const before = problems.length;
+    checkProfile(p, where, problems);
+    if (problems.length > before) return;
+    const id = idOf(p);
+    if (profiles.has(id)) problems.push(`${where}: duplicate profile ${id}`);
+    profiles.set(id, { id, ...p });
+    if (!latest.has(p.name) || profiles.get(latest.get(p.name)).version < p.version) latest.set(p.name, id);
+  });
+  if (!profiles.size) problems.push("profiles must contain at least one profile");
+
+  const resolveId = (ref) => (profiles.has(ref) ? ref : latest.get(ref) || null);
+  const defaultId = resolveId(defaultOverride || raw?.default || "");
+  if (!defaultId) problems.push(`default profile "${defaultOverride || raw?.default || ""}" does not exist`);
+
+  const tenants = new Map();
+  for (const [tenantId, ref] of Object.entries(raw?.tenants || {})) {
+    const id = resolveId(ref);
+    if (!id) problems.push(`tenants.${tenantId}: unknown profile "${ref}"`);
+    tenants.set(tenantId, id);
+  }
+
+  if (problems.length) throw Object.assign(new Error(`invalid scoring profiles (${problems.length} problem(s))`), { problems });
+  return { profiles, latest, defaultId, tenants, resolveId };
+}
+
+function createScoringProfiles({ env = process.env } = {}) {
+  const file = env.SCORING_PROFILES_FILE || path.join(__dirname, "..", "data", "scoring-profiles.json");
+  let state;
+  try {
+    state = compile(JSON.parse(fs.readFileSync(file, "utf8")), env.SCORING_PROFILE);
+    console.log(`⚖️ SCORING: ${state.profiles.size} profile(s) from ${file}, default ${state.defaultId}`);
+  } catch (e) {
+    state = compile({ default: idOf(BASELINE), profiles: [BASELINE] });
+    console.log(`⚠️ SCORING: could not load ${file}, using built-in ${state.defaultId}:`, e.message, ...(e.problems || []).slice(0, 5));
+  }
+
+  // -> profile { id, name, version, standard, pro, rollup }; unknown requested profile = VALIDATION_FAILED
+  function resolve(requested, tenantId) {
+    if (requested) {
+      const id = state.resolveId(String(requested));
+      if (!id) {
+        throw apiError("VALIDATION_FAILED", `unknown scoring profile "${requested}"`, [
+          { path: "body.scoringProfile", message: `must be one of: ${list().join(", ")}` },
+        ]);
+      }
+      return state.profiles.get(id);
+    }
+    return state.profiles.get(state.tenants.get(tenantId) || state.defaultId);
+  }
+
+  // Selectable values: every "name@version" plus the bare names
+  function list() {
+    return [...state.profiles.keys(), ...state.latest.keys()];
+  }
+
+  function describe(tenantId) {
+    return {
+      default: state.defaultId,
+      selected: resolve(null, tenantId).id,
+      profiles: [...state.profiles.values()],
+    };
+  }
+
+  return { resolve, list, describe };
+}
+
+module.exports = { createScoringProfiles, BASELINE };
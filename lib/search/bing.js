@@ -0,0 +1,54 @@
+// =====================
+// BING WEB SEARCH API (v7)
+// =====================
+
+const { fetchJson } = require("./http");
+const { parsePublishedDate } = require("../temporal");
+
+// Markets Bing accepts for mkt (<language>-<COUNTRY>); other pairs go through setLang + cc
+const MARKETS = new Set([
+  "es-AR", "en-AU", "de-AT", "nl-BE", "fr-BE", "pt-BR", "en-CA", "fr-CA", "es-CL", "da-DK", "fi-FI", "fr-FR",
+  "de-DE", "zh-HK", "en-IN", "en-ID", "it-IT", "ja-JP", "ko-KR", "en-MY", "es-MX", "nl-NL", "en-NZ", "no-NO",
+  "zh-CN", "pl-PL", "en-PH", "ru-RU", "en-ZA", "es-ES", "sv-SE", "fr-CH", "de-CH", "zh-TW", "tr-TR", "en-GB",
+  "en-US", "es-US",
+]);
+
+// "pt-br" + "us" -> { setLang: "pt", mkt: "pt-BR" }; "fr" + "us" -> { setLang: "fr", cc: "US" }
+function marketParams(lang, country) {
+  const [language, region] = String(lang || "en").toLowerCase().split(/[-_]/);
+  const cc = String(region || country || "us").toUpperCase();
+  const mkt = `${language}-${cc}`;
+  return MARKETS.has(mkt) ? { setLang: language, mkt } : { setLang: language, cc };
+}
+
+function createBingProvider({ apiKey, endpoint, country = "us", timeoutMs }) {
+  const base = (endpoint || "https://api.bing.microsoft.com").replace(/\/+$/, "");
+
+  return {
+    name: "bing",
+    isConfigured: () => !!apiKey,
+    async search(query, { lang, num }) {
+      const params = new URLSearchParams({
+        q: query,
+        count: String(Math.min(50, num)),
+        ...marketParams(lang, country),
+        responseFilter: "Webpages",
+      });
+
+      const j = await fetchJson(
+        `${base}/v7.0/search?${params}`,
+        { headers: { "Ocp-Apim-Subscription-Key": apiKey } },
+        timeoutMs
+      );
+
+      return (j.webPages?.value || []).map((it) => ({
+        title: it.name || "",
+        link: it.url || "",
+        snippet: it.snippet || "",
+        date: parsePublishedDate(it.datePublished),
+      }));
+    },
+  };
+}
+
+module.exports = { createBingProvider, marketParams };
@@ -0,0 +1,41 @@
+// =====================
+// BRAVE SEARCH API
+// =====================
+
+const { fetchJson, stripTags } = require("./http");
+const { parsePublishedDate } = require("../temporal");
+
+function createBraveProvider({ apiKey, country = "us", timeoutMs }) {
+  return {
+    name: "brave",
+    isConfigured: () => !!apiKey,
+    async search(query, { lang, num }) {
+      const params = new URLSearchParams({
+        q: query,
+        count: String(Math.min(20, num)),
+        country,
+        search_lang: lang || "en",
+      });
+
+      const j = await fetchJson(
+        `https://api.search.brave.com/res/v1/web/search?${params}`,
+        {
+          headers: {
+            Accept: "application/json",
+            "X-Subscription-Token": apiKey,
+          },
+        },
+        timeoutMs
+      );
+
+      return (j.web?.results || []).map((it) => ({
+        title: stripTags(it.title),
+        link: it.url || "",
+        snippet: stripTags(it.description),
+        date: parsePublishedDate(it.page_age || it.age),
+      }));
+    },
+  };
+}
+
+module.exports = { createBraveProvider };
@@ -0,0 +1,62 @@
+// =====================
+// FIXTURE PROVIDER (offline tests / evaluation)
+// JSON file: { "queries": { "<query>" | "<query>::<lang>": [ {title, link, snippet, date?} ] }, "default": [] }
+// =====================
+
+const fs = require("fs");
+const { normalizeQuery, similarityScore } = require("../text");
+const { parsePublishedDate } = require("../temporal");
+
+function loadFixtures(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const byKey = new Map();
+  for (const [k, items] of Object.entries(raw.queries || {})) {
+    const [q, lang] = k.split("::");
+    byKey.set(`${normalizeQuery(q)}::${(lang || "*").toLowerCase()}`, Array.isArray(items) ? items : []);
+  }
+  return { byKey, fallback: Array.isArray(raw.default) ? raw.default : [] };
+}
+
+function createFixtureProvider({ filePath }) {
+  let fixtures = null;
+
+  const get = () => {
+    if (!fixtures) fixtures = loadFixtures(filePath);
+    return fixtures;
+  };
+
+  return {
+    name: "fixture",
+    isConfigured: () => !!filePath && fs.existsSync(filePath),
+    async search(query, { lang, num }) {
+      const { byKey, fallback } = get();
+      const norm = normalizeQuery(query);
+      const l = (lang || "en").toLowerCase();
+
+      let items = byKey.get(`${norm}::${l}`) || byKey.get(`${norm}::*`);
+
+      // Closest recorded query (same threshold as the similar-query cache)
+      if (!items) {
+        let best = 0;
+        for (const [k, v] of byKey) {
+          const [q, kl] = k.split("::");
+          if (kl !== "*" && kl !== l) continue;
+          const sim = similarityScore(q, norm);
+          if (sim >= 0.78 && sim > best) {
+            best = sim;
+            items = v;
+          }
+        }
+      }
+
+      return (items || fallback).slice(0, num).map((it) => ({
+        title: it.title || "",
+        link: it.link || it.url || "",
+        snippet: it.snippet || it.description || "",
+        date: parsePublishedDate(it.date),
+      }));
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,30 @@
+// =====================
+// SEARCH HTTP helper (timeout + JSON)
+// =====================
+
+async function fetchJson(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const r = await fetch(url, { ...options, signal: controller.signal });
+    if (!r.ok) {
+      const err = new Error(`HTTP ${r.status}`);
+      err.status = r.status;
+      throw err;
+    }
+    return await r.json();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`timeout after ${timeoutMs}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Some providers return snippets with <strong>/<b> highlighting
+function stripTags(s) {
+  return (s || "").toString().replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim();
+}
+
+module.exports = { fetchJson, stripTags };
@@ -0,0 +1,69 @@
+// =====================
+// SEARCH PROVIDERS — one interface, config-driven order + fallback
+// Every adapter returns the same item shape: { title, link, snippet, date }
+// (date = publication day "YYYY-MM-DD" when the provider gives one, else null)
+// =====================
+
+const { createSerperProvider } = require("./serper");
+const { createBraveProvider } = require("./brave");
+const { createBingProvider } = require("./bing");
+const { createSearxngProvider } = require("./searxng");
+const { createFixtureProvider } = require("./fixture");
+
+const FACTORIES = {
+  serper: (env, timeoutMs) =>
+    createSerperProvider({ apiKey: env.SERPER_API_KEY, country: env.SEARCH_COUNTRY, timeoutMs }),
+  brave: (env, timeoutMs) =>
+    createBraveProvider({ apiKey: env.BRAVE_API_KEY, country: env.SEARCH_COUNTRY, timeoutMs }),
+  bing: (env, timeoutMs) =>
+    createBingProvider({ apiKey: env.BING_API_KEY, endpoint: env.BING_ENDPOINT, country: env.SEARCH_COUNTRY, timeoutMs }),
+  searxng: (env, timeoutMs) => createSearxngProvider({ baseUrl: env.SEARXNG_URL, timeoutMs }),
+  fixture: (env) => createFixtureProvider({ filePath: env.SEARCH_FIXTURES_PATH }),
+};
+
+// SEARCH_PROVIDERS="serper,brave,searxng" → tried in that order, next one on failure
+function createSearchClient({ env = process.env, timeoutMs = 8000 } = {}) {
+  const order = String(env.SEARCH_PROVIDERS || "serper")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of order) {
+    if (!FACTORIES[name]) {
+      console.log("⚠️ SEARCH: unknown provider ignored:", name);
+      continue;
+    }
+    providers.push(FACTORIES[name](env, timeoutMs));
+  }
+
+  const configured = () => providers.filter((p) => p.isConfigured());
+
+  async function search(query, lang, num = 5) {
+    const list = configured();
+    if (!list.length) return { ok: false, error: "no search provider configured" };
+
+    const errors = [];
+    for (const p of list) {
+      console.log(`🔎 SEARCH QUERY [${p.name}]:`, query);
+      try {
+        const items = await p.search(query, { lang: lang || "en", num });
+        console.log(`📥 SEARCH RESULTS [${p.name}]:`, items.length);
+        return { ok: true, provider: p.name, items: items.slice(0, Math.max(1, num)) };
+      } catch (e) {
+        const msg = e?.message || "unknown error";
+        console.log(`❌ SEARCH ERROR [${p.name}]:`, msg);
+        errors.push(`${p.name}: ${msg}`);
+      }
+    }
+    return { ok: false, error: errors.join("; ") };
+  }
+
+  return {
+    search,
+    isAvailable: () => configured().length > 0,
+    providers: () => configured().map((p) => p.name),
+  };
+}
+
+module.exports = { createSearchClient };
@@ -0,0 +1,34 @@
+// =====================
+// SEARXNG (self-hosted, JSON format must be enabled in settings.yml)
+// =====================
+
+const { fetchJson, stripTags } = require("./http");
+const { parsePublishedDate } = require("../temporal");
+
+function createSearxngProvider({ baseUrl, timeoutMs }) {
+  const base = (baseUrl || "").replace(/\/+$/, "");
+
+  return {
+    name: "searxng",
+    isConfigured: () => !!base,
+    async search(query, { lang, num }) {
+      const params = new URLSearchParams({
+        q: query,
+        format: "json",
+        language: lang || "en",
+        safesearch: "0",
+      });
+
+      const j = await fetchJson(`${base}/search?${params}`, { headers: { Accept: "application/json" } }, timeoutMs);
+
+      return (j.results || []).slice(0, num).map((it) => ({
+        title: stripTags(it.title),
+        link: it.url || "",
+        snippet: stripTags(it.content),
+        date: parsePublishedDate(it.publishedDate),
+      }));
+    },
+  };
+}
+
+module.exports = { createSearxngProvider };
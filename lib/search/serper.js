@@ -0,0 +1,36 @@
+// =====================
+// SERPER (google.serper.dev)
+// =====================
+
+const { fetchJson } = require("./http");
+const { parsePublishedDate } = require("../temporal");
+
+function createSerperProvider({ apiKey, country = "us", timeoutMs }) {
+  return {
+    name: "serper",
+    isConfigured: () => !!apiKey,
+    async search(query, { lang, num }) {
+      const j = await fetchJson(
+        "https://google.serper.dev/search",
+        {
+          method: "POST",
+          headers: {
+            "X-API-KEY": apiKey,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ q: query, gl: country, hl: lang || "en", num }),
+        },
+        timeoutMs
+      );
+
+      return (j.organic || []).map((it) => ({
+        title: it.title || "",
+        link: it.link || "",
+        snippet: it.snippet || "",
+        date: parsePublishedDate(it.date),
+      }));
+    },
+  };
+}
+
+module.exports = { createSerperProvider };
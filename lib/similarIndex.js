@@ -0,0 +1,133 @@
+// =====================
+// SIMILAR-QUERY INDEX — MinHash + LSH on character 3-gram shingles
+// Returns a short list of candidate keys in sub-linear time; the caller still
+// runs the exact similarityScore() check on them.
+// =====================
+
+const SHINGLE = 3;
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer: cheap, well-mixed 32-bit hash
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function shingleHashes(norm) {
+  const s = ` ${norm} `;
+  const out = new Set();
+  if (s.length <= SHINGLE) {
+    out.add(fnv1a(s));
+    return out;
+  }
+  for (let i = 0; i <= s.length - SHINGLE; i++) out.add(fnv1a(s.slice(i, i + SHINGLE)));
+  return out;
+}
+
+function createSimilarIndex({ bands = 16, rows = 4, maxCandidates = 64 } = {}) {
+  const numHashes = bands * rows;
+  const seeds = new Uint32Array(numHashes);
+  for (let i = 0; i < numHashes; i++) seeds[i] = fmix32(0x9e3779b9 + i * 0x7f4a7c15);
+
+  const buckets = Array.from({ length: bands }, () => new Map()); // bandHash -> id[]
+  const keyToId = new Map();
+  const idToKey = [];
+  const idToBands = [];
+  const freeIds = [];
+
+  function bandHashes(norm) {
+    const sig = new Uint32Array(numHashes).fill(0xffffffff);
+    for (const x of shingleHashes(norm)) {
+      for (let i = 0; i < numHashes; i++) {
+        const v = fmix32(x ^ seeds[i]);
+        if (v < sig[i]) sig[i] = v;
+      }
+    }
+
+    const out = new Uint32Array(bands);
+    for (let b = 0; b < bands; b++) {
+      let h = 0x811c9dc5 ^ b;
+      for (let r = 0; r < rows; r++) h = fmix32(h ^ sig[b * rows + r]);
+      out[b] = h;
+    }
+    return out;
+  }
+
+  function remove(key) {
+    const id = keyToId.get(key);
+    if (id === undefined) return;
+    const bh = idToBands[id];
+    for (let b = 0; b < bands; b++) {
+      const list = buckets[b].get(bh[b]);
+      if (!list) continue;
+      const i = list.indexOf(id);
+      if (i !== -1) list.splice(i, 1);
+      if (!list.length) buckets[b].delete(bh[b]);
+    }
+    keyToId.delete(key);
+    idToKey[id] = undefined;
+    idToBands[id] = undefined;
+    freeIds.push(id);
+  }
+
+  // key: the cache key; norm: the normalized query text to compare on
+  function add(key, norm) {
+    if (keyToId.has(key)) return;
+    const id = freeIds.length ? freeIds.pop() : idToKey.length;
+    const bh = bandHashes(norm);
+    keyToId.set(key, id);
+    idToKey[id] = key;
+    idToBands[id] = bh;
+    for (let b = 0; b < bands; b++) {
+      const list = buckets[b].get(bh[b]);
+      if (list) list.push(id);
+      else buckets[b].set(bh[b], [id]);
+    }
+  }
+
+  // Candidate keys, most band collisions first (bounded by maxCandidates)
+  function query(norm) {
+    const bh = bandHashes(norm);
+    const hits = new Map(); // id -> collisions
+    for (let b = 0; b < bands; b++) {
+      const list = buckets[b].get(bh[b]);
+      if (!list) continue;
+      for (const id of list) hits.set(id, (hits.get(id) || 0) + 1);
+    }
+    return [...hits.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxCandidates)
+      .map(([id]) => idToKey[id]);
+  }
+
+  function clear() {
+    for (const m of buckets) m.clear();
+    keyToId.clear();
+    idToKey.length = 0;
+    idToBands.length = 0;
+    freeIds.length = 0;
+  }
+
+  return {
+    add,
+    remove,
+    query,
+    clear,
+    has: (key) => keyToId.has(key),
+    size: () => keyToId.size,
+  };
+}
+
+module.exports = { createSimilarIndex };
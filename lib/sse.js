@@ -0,0 +1,46 @@
+// =====================
+// SSE — minimal Server-Sent Events writer (no dependency)
+// "event: <name>\nid: <n>\ndata: <json>\n\n", comment heartbeats so proxies
+// keep the connection open, and no writes once the client has gone.
+// =====================
+
+function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // nginx: do not buffer the stream
+  res.flushHeaders();
+  res.write("retry: 10000\n\n");
+
+  let seq = 0;
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on("close", stop);
+
+  return {
+    send(event, data) {
+      if (closed) return false;
+      seq += 1;
+      res.write(`event: ${event}\nid: ${seq}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    end() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+    closed: () => closed,
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,232 @@
+// =====================
+// STANCE (offline) — does a search result corroborate or contradict the claim?
+// FR + EN, no external NLP: vocabulary + negation + entity/predicate overlap.
+// =====================
+
+const { safeLower, stripSpaces, clamp } = require("./text");
+
+const STOPWORDS = new Set([
+  // EN
+  "the", "a", "an", "and", "or", "of", "to", "in", "on", "at", "for", "by", "with", "from", "as", "that", "this",
+  "these", "those", "it", "its", "be", "been", "being", "is", "are", "was", "were", "has", "have", "had", "do",
+  "does", "did", "will", "would", "can", "could", "should", "than", "then", "there", "their", "they", "he", "she",
+  "his", "her", "we", "you", "i", "about", "into", "over", "after", "before", "more", "most", "very", "also",
+  "just", "only", "which", "who", "what", "when", "where", "why", "how", "all", "some", "any", "such",
+  // FR
+  "le", "la", "les", "un", "une", "des", "du", "de", "d", "l", "et", "ou", "en", "au", "aux", "a", "à", "par",
+  "pour", "avec", "sur", "sous", "dans", "ce", "cet", "cette", "ces", "se", "sa", "son", "ses", "leur", "leurs",
+  "il", "elle", "ils", "elles", "on", "nous", "vous", "je", "tu", "est", "sont", "été", "etre", "être", "était",
+  "etait", "ont", "avait", "qui", "que", "quoi", "dont", "où", "plus", "très", "tres", "aussi", "comme", "mais",
+  "tout", "tous", "toute", "toutes", "fait", "faire", "selon",
+]);
+
+// Negation tokens (after normalization: apostrophes removed, so "isn't" -> "isnt")
+const NEGATIONS = new Set([
+  "not", "no", "never", "isnt", "arent", "wasnt", "werent", "doesnt", "dont", "didnt", "cannot", "cant", "wont",
+  "hasnt", "havent", "neither", "nor", "none", "nothing",
+  "pas", "jamais", "aucun", "aucune", "rien", "ni", "non", "nullement",
+]);
+
+// Debunk / fact-check vocabulary (the source says something is false)
+const DEBUNK_TERMS = [
+  "false", "falsely", "fake", "hoax", "myth", "myths", "debunk", "debunked", "debunks", "debunking", "misleading",
+  "misinformation", "disinformation", "fabricated", "baseless", "unfounded", "untrue", "not true", "incorrect",
+  "no evidence", "conspiracy theory", "pants on fire", "rumor", "rumour", "fact check false", "mostly false",
+  "faux", "fausse", "fausses", "infox", "intox", "canular", "mythe", "mythes", "démenti", "démentie", "dementi",
+  "trompeur", "trompeuse", "désinformation", "desinformation", "infondé", "infondée", "infonde", "aucune preuve",
+  "pas vrai", "rumeur", "théorie du complot", "theorie du complot", "fake news", "erroné", "erronée", "errone",
+];
+
+// Confirmation vocabulary (the source affirms something)
+const SUPPORT_TERMS = [
+  "confirmed", "confirms", "confirm", "true", "officially", "official", "proven", "study finds", "studies show",
+  "research shows", "evidence shows", "according to", "verified", "accurate", "indeed",
+  "confirme", "confirmé", "confirmée", "confirment", "vrai", "vraie", "officiellement", "officiel", "prouvé",
+  "prouvée", "démontre", "demontre", "étude montre", "etude montre", "d après", "vérifié", "verifie", "exact",
+];
+
+const NEGATION_WINDOW = 4; // tokens around a matched claim term
+
+function foldAccents(s) {
+  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function normalizeForStance(s) {
+  return stripSpaces(safeLower(s))
+    .replace(/[’'"]/g, "")
+    .replace(/[^a-z0-9\s\u00C0-\u017F%]/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Light FR/EN stemming: enough to match "vaccines"/"vaccine"/"vaccins"
+function stem(token) {
+  let t = foldAccents(token);
+  if (t.length > 5) t = t.replace(/(ements|ement|ations|ation|ings|ing|ed|es|s|x|e)$/, "");
+  else if (t.length > 3) t = t.replace(/(s|x)$/, "");
+  return t;
+}
+
+function toTokens(s) {
+  return normalizeForStance(s).split(" ").filter(Boolean);
+}
+
+function isContentToken(t) {
+  if (!t || STOPWORDS.has(t) || NEGATIONS.has(t)) return false;
+  return /\d/.test(t) || t.length >= 3;
+}
+
+// Capitalized words + numbers from the raw claim (subject, places, figures)
+function extractEntityStems(rawClaim) {
+  const out = new Set();
+  const words = stripSpaces(rawClaim).split(" ");
+  for (const w of words) {
+    const clean = w.replace(/[^\p{L}\p{N}%]/gu, "");
+    if (!clean) continue;
+    if (/\d/.test(clean)) {
+      out.add(stem(safeLower(clean)));
+      continue;
+    }
+    if (/^\p{Lu}/u.test(clean)) {
+      const low = safeLower(clean);
+      if (!STOPWORDS.has(low)) out.add(stem(low));
+    }
+  }
+  return out;
+}
+
+function containsTerm(normText, term) {
+  const t = ` ${foldAccents(normText)} `;
+  return t.includes(` ${foldAccents(normalizeForStance(term))} `);
+}
+
+function countTerms(normText, terms) {
+  let n = 0;
+  for (const term of terms) if (containsTerm(normText, term)) n++;
+  return n;
+}
+
+function analyzeClaim(claim) {
+  const tokens = toTokens(claim);
+  const content = tokens.filter(isContentToken);
+  const entities = extractEntityStems(claim);
+  const stems = [...new Set(content.map(stem))];
+  return {
+    stems,
+    entities: stems.filter((s) => entities.has(s)),
+    predicates: stems.filter((s) => !entities.has(s)),
+    negated: tokens.some((t) => NEGATIONS.has(t)),
+  };
+}
+
+// Returns { stance, confidence (0..1), relevance (0..1), signals[] }
+function classifyStance(claim, item, claimInfo) {
+  const info = claimInfo || analyzeClaim(claim);
+  const title = (item && item.title) || "";
+  const snippet = (item && (item.snippet || item.description)) || "";
+
+  const normAll = normalizeForStance(`${title} ${snippet}`);
+  const normTitle = normalizeForStance(title);
+  const tokens = normAll.split(" ").filter(Boolean);
+  const tokenStems = tokens.map(stem);
+
+  const signals = [];
+
+  if (!info.stems.length || !tokens.length) {
+    return { stance: "neutral", confidence: 0.5, relevance: 0, signals };
+  }
+
+  // 1) Overlap: entities weigh more than predicate words
+  const stemSet = new Set(tokenStems);
+  const matchedEntities = info.entities.filter((s) => stemSet.has(s));
+  const matchedPredicates = info.predicates.filter((s) => stemSet.has(s));
+
+  const entityOverlap = info.entities.length ? matchedEntities.length / info.entities.length : null;
+  const predicateOverlap = info.predicates.length ? matchedPredicates.length / info.predicates.length : 0;
+
+  const relevance =
+    entityOverlap === null ? predicateOverlap : 0.6 * entityOverlap + 0.4 * predicateOverlap;
+
+  // A source that never mentions the claim's entities is not talking about the claim
+  if (relevance < 0.34 || (info.entities.length && matchedEntities.length === 0)) {
+    return {
+      stance: "neutral",
+      confidence: Number(clamp(1 - relevance, 0.3, 0.9).toFixed(2)),
+      relevance: Number(relevance.toFixed(2)),
+      signals: ["low_overlap"],
+    };
+  }
+
+  // 2) Negation near the matched claim terms
+  const matched = new Set([...matchedEntities, ...matchedPredicates]);
+  let negatedNear = false;
+  tokenStems.forEach((s, i) => {
+    if (negatedNear || !matched.has(s)) return;
+    const from = Math.max(0, i - NEGATION_WINDOW);
+    const to = Math.min(tokens.length, i + NEGATION_WINDOW + 1);
+    for (let j = from; j < to; j++) {
+      if (NEGATIONS.has(tokens[j])) {
+        negatedNear = true;
+        break;
+      }
+    }
+  });
+
+  // 3) Vocabulary
+  const debunkHits = countTerms(normAll, DEBUNK_TERMS);
+  const debunkInTitle = countTerms(normTitle, DEBUNK_TERMS) > 0;
+  const supportHits = countTerms(normAll, SUPPORT_TERMS);
+
+  if (negatedNear) signals.push("negation_near_claim_terms");
+  if (debunkHits) signals.push(debunkInTitle ? "debunk_vocabulary_title" : "debunk_vocabulary");
+  if (supportHits) signals.push("support_vocabulary");
+
+  // Polarity: what the source asserts about the claim's terms (+1 = affirms, -1 = denies).
+  // Debunk vocabulary wins over local negation ("it is not true that ..." is one denial, not two).
+  const sourcePolarity = debunkHits || negatedNear ? -1 : 1;
+  const claimPolarity = info.negated ? -1 : 1;
+
+  const takesPosition = negatedNear || debunkHits > 0 || supportHits > 0;
+
+  let stance = "neutral";
+  if (takesPosition && sourcePolarity !== claimPolarity) {
+    stance = "contradicts";
+    signals.push("polarity_mismatch");
+  } else if (sourcePolarity === claimPolarity && (supportHits > 0 || (negatedNear && info.negated) || relevance >= 0.75)) {
+    stance = "corroborates";
+    if (!supportHits) signals.push("restates_claim");
+  }
+
+  let confidence;
+  if (stance === "neutral") {
+    confidence = clamp(0.7 - 0.3 * relevance, 0.3, 0.8);
+  } else {
+    confidence = 0.3 + 0.4 * relevance;
+    if (debunkInTitle) confidence += 0.15;
+    else if (debunkHits) confidence += 0.08;
+    if (negatedNear) confidence += 0.05;
+    if (supportHits) confidence += Math.min(0.1, 0.05 * supportHits);
+    confidence = clamp(confidence, 0.2, 0.95);
+  }
+
+  return {
+    stance,
+    confidence: Number(confidence.toFixed(2)),
+    relevance: Number(relevance.toFixed(2)),
+    signals,
+  };
+}
+
+module.exports = {
+  analyzeClaim,
+  classifyStance,
+  // shared with lib/relations.js
+  STOPWORDS,
+  NEGATIONS,
+  DEBUNK_TERMS,
+  foldAccents,
+  normalizeForStance,
+  stem,
+  isContentToken,
+  countTerms,
+};
@@ -0,0 +1,151 @@
+// =====================
+// TEMPORAL — when a claim takes place vs when a source was published (FR + EN)
+// parsePublishedDate: provider dates ("Mar 3, 2024", "2 days ago", "il y a 3 jours", ISO)
+//   -> "YYYY-MM-DD", resolved at search time so cached items keep a fixed date.
+// analyzeTemporal: "yesterday", "in 2019", "currently"... -> the window the claim refers to.
+// recencyWeight: how much a source published on a given day can say about that window.
+// =====================
+
+const { safeLower, stripSpaces } = require("./text");
+const { extractQuantities } = require("./numbers");
+
+const DAY = 24 * 3600 * 1000;
+
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+const startOfYear = (y) => Date.UTC(y, 0, 1);
+const endOfYear = (y) => Date.UTC(y, 11, 31);
+
+// "3 days ago" / "il y a 3 jours" -> milliseconds
+const AGO_UNITS = [
+  [/^(minutes?|mins?)$/, 60 * 1000],
+  [/^(hours?|hrs?|h|heures?)$/, 3600 * 1000],
+  [/^(days?|jours?)$/, DAY],
+  [/^(weeks?|semaines?)$/, 7 * DAY],
+  [/^(months?|mois)$/, 30 * DAY],
+  [/^(years?|ans?|ann[eé]es?)$/, 365 * DAY],
+];
+
+function parsePublishedDate(raw, now = Date.now()) {
+  const s = safeLower(stripSpaces(raw));
+  if (!s) return null;
+
+  if (/^(yesterday|hier)$/.test(s)) return isoDay(now - DAY);
+  if (/^(today|aujourd.hui|just now|[àa] l.instant)$/.test(s)) return isoDay(now);
+  const ago = /^(\d+)\s*([a-zéè]+)\s+ago$/.exec(s) || /^il y a\s+(\d+)\s*([a-zéè]+)$/.exec(s);
+  if (ago) {
+    const unit = AGO_UNITS.find(([re]) => re.test(ago[2]));
+    return unit ? isoDay(now - Number(ago[1]) * unit[1]) : null;
+  }
+
+  // ISO and English dates; French ones through the date reader of lib/numbers
+  const parsed = Date.parse(s);
+  if (Number.isFinite(parsed) && /\d{4}/.test(s)) return isoDay(parsed);
+  const date = extractQuantities(s).find((q) => q.kind === "date" && /^\d{4}-\d{2}-\d{2}$/.test(q.value));
+  return date ? date.value : null;
+}
+
+// [pattern, type, window(now) -> { from, to } in ms]. recent = about the last days / the present.
+const RELATIVE = [
+  [/\b(yesterday|last night|hier)\b/, "relative", (now) => ({ from: now - DAY, to: now })],
+  [/\b(today|tonight|this morning|this afternoon|this evening|aujourd.hui|ce matin|ce soir|cet apr[eè]s-midi|cette nuit)\b/, "relative", (now) => ({ from: now - DAY, to: now })],
+  [/\b(this week|cette semaine)\b/, "relative", (now) => ({ from: now - 7 * DAY, to: now })],
+  [/\b(last week|la semaine derni[eè]re)\b/, "relative", (now) => ({ from: now - 14 * DAY, to: now - 7 * DAY })],
+  [/\b(this month|ce mois-ci|ce mois)\b/, "relative", (now) => ({ from: now - 30 * DAY, to: now })],
+  [/\b(last month|le mois dernier)\b/, "relative", (now) => ({ from: now - 60 * DAY, to: now - 30 * DAY })],
+  [/\b(this year|cette ann[eé]e)\b/, "relative", (now) => ({ from: startOfYear(new Date(now).getUTCFullYear()), to: now })],
+  [/\b(last year|l.an dernier|l.ann[eé]e derni[eè]re)\b/, "relative", (now) => {
+    const y = new Date(now).getUTCFullYear() - 1;
+    return { from: startOfYear(y), to: endOfYear(y) };
+  }],
+  [/\b(\d+) (days|weeks) ago\b|\bil y a (\d+) (jours|semaines)\b/, "relative", (now, m) => {
+    const days = Number(m[1] || m[3]) * (/^(weeks|semaines)$/.test(m[2] || m[4]) ? 7 : 1);
+    return { from: now - (days + 1) * DAY, to: now - (days - 1) * DAY };
+  }],
+  [/\b(breaking|just announced|vient d.annoncer|vient de|derni[eè]re minute)\b/, "relative", (now) => ({ from: now - 3 * DAY, to: now })],
+  [/\b(currently|right now|at the moment|at present|nowadays|as of now|actuellement|en ce moment|l.heure actuelle|aujourd.hui encore|d[ée]sormais)\b/, "current", () => null],
+];
+
+// -> { timeBound, recent, window: { from, to } | null, expressions: [{ text, type }] }
+function analyzeTemporal(claim, now = Date.now()) {
+  const s = safeLower(stripSpaces(claim));
+  const expressions = [];
+  let window = null;
+  let recent = false;
+
+  for (const [re, type, toWindow] of RELATIVE) {
+    const m = re.exec(s);
+    if (!m) continue;
+    expressions.push({ text: m[0], type });
+    recent = true;
+    const w = toWindow(now, m);
+    if (w && !window) window = w;
+  }
+
+  // "in 2019", "since 2010", "on 14 July 2019" (years and dates read by lib/numbers)
+  for (const q of extractQuantities(claim)) {
+    if (q.kind !== "year" && q.kind !== "date") continue;
+    const since = /\b(since|depuis)\s+(?:the\s+|l.|le\s+)?$/.test(s.slice(Math.max(0, q.start - 12), q.start));
+    expressions.push({ text: q.raw, type: since ? "since" : q.kind });
+    if (window) continue;
+    if (q.kind === "year") window = { from: startOfYear(q.value), to: since ? now : endOfYear(q.value) };
+    else {
+      const [y, mo, d] = String(q.value).split("-").map(Number);
+      const from = Date.UTC(y, mo - 1, d || 1);
+      window = { from, to: since ? now : d ? from : Date.UTC(y, mo, 0) };
+    }
+  }
+
+  return {
+    timeBound: expressions.length > 0,
+    recent,
+    window: window ? { from: isoDay(window.from), to: isoDay(Math.min(window.to, now)) } : null,
+    expressions,
+  };
+}
+
+// Published before the period the claim is about (a day of slack for time zones)
+function predates(publishedAt, temporal) {
+  const pub = Date.parse(publishedAt || "");
+  const from = Date.parse(temporal?.window?.from || "");
+  return Number.isFinite(pub) && Number.isFinite(from) && pub < from - DAY;
+}
+
+// Stance weight factor (0..1) for a source published on `publishedAt`
+function recencyWeight(publishedAt, temporal, now = Date.now()) {
+  const pub = Date.parse(publishedAt || "");
+  if (!Number.isFinite(pub)) return temporal?.recent ? 0.8 : 1;
+  if (predates(publishedAt, temporal)) return 0.3;
+
+  const ageDays = Math.max(0, (now - pub) / DAY);
+  // Breaking news / "currently": only recent articles know
+  if (temporal?.recent) {
+    if (ageDays <= 7) return 1;
+    if (ageDays <= 30) return 0.8;
+    if (ageDays <= 365) return 0.5;
+    return 0.3;
+  }
+  // A past period: anything published since then is fine
+  if (temporal?.window) return 1;
+  // Timeless claims: slow decay
+  if (ageDays <= 2 * 365) return 1;
+  if (ageDays <= 5 * 365) return 0.9;
+  return 0.8;
+}
+
+// Items with publishedAt -> { datedSources, newest, oldest, staleSources, predatingSources, predatesEvent }
+function summarizeRecency(items, temporal, now = Date.now()) {
+  const dated = (items || []).map((it) => it.publishedAt).filter((d) => Number.isFinite(Date.parse(d || ""))).sort();
+  const predating = dated.filter((d) => predates(d, temporal)).length;
+  const stale = temporal?.recent ? dated.filter((d) => now - Date.parse(d) > 30 * DAY).length : 0;
+  return {
+    datedSources: dated.length,
+    newest: dated[dated.length - 1] || null,
+    oldest: dated[0] || null,
+    staleSources: stale,
+    predatingSources: predating,
+    // Every dated source was written before the event: none of them can confirm or deny it
+    predatesEvent: dated.length > 0 && predating === dated.length,
+  };
+}
+
+module.exports = { parsePublishedDate, analyzeTemporal, predates, recencyWeight, summarizeRecency };
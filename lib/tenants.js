@@ -0,0 +1,198 @@
+// =====================
+// TENANTS — API key registry (tenant id, plan, allowed origins, enabled)
+// Keys look like "ia11_<keyId>_<secret>": keyId is the lookup handle, only a
+// SHA-256 of the secret is stored, and it is compared in constant time.
+// =====================
+
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { writeJsonAtomic, stateDir } = require("./jsonStore");
+
+const PLANS = ["standard", "pro"];
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s), "utf8").digest();
+}
+
+// Constant-time string comparison (hash first so lengths always match)
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function newSecret() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function newKeyId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+function parseKey(presented) {
+  const m = /^ia11_([a-f0-9]{12})_([A-Za-z0-9_-]{16,})$/.exec(String(presented || ""));
+  return m ? { keyId: m[1], secret: m[2] } : null;
+}
+
+function publicRecord(r) {
+  if (!r) return null;
+  const { secretHash, ...rest } = r;
+  return rest;
+}
+
+function normalizeOrigins(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map((o) => String(o || "").trim().replace(/\/+$/, "").toLowerCase()).filter(Boolean);
+}
+
+// "https://app.example.com", "*.example.com" or "*"
+function originAllowed(record, origin) {
+  const allowed = record?.allowedOrigins || [];
+  if (!allowed.length || !origin) return true; // server-to-server calls carry no Origin
+  const o = String(origin).replace(/\/+$/, "").toLowerCase();
+  let host = "";
+  try {
+    host = new URL(o).hostname;
+  } catch {
+    // keep empty
+  }
+  return allowed.some((a) => {
+    if (a === "*") return true;
+    if (a.startsWith("*.")) return host === a.slice(2) || host.endsWith(a.slice(1));
+    return a === o;
+  });
+}
+
+// No file = no keys yet. An unreadable or corrupt file throws: an empty registry
+// would turn auth off (authRequired) and serve every caller on the open plan.
+function loadKeys(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return { keys: [] };
+    throw new Error(`could not read ${filePath}: ${e.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${filePath} is not valid JSON: ${e.message}`);
+  }
+  if (!data || !Array.isArray(data.keys)) throw new Error(`${filePath}: "keys" must be an array`);
+  return data;
+}
+
+function createKeyRegistry({ env = process.env } = {}) {
+  const filePath = env.KEYS_FILE || path.join(stateDir(env), "keys.json");
+  const legacyKey = env.IA11_API_KEY || "";
+  const legacyPlan = PLANS.includes(String(env.IA11_API_KEY_PLAN || "").toLowerCase())
+    ? String(env.IA11_API_KEY_PLAN).toLowerCase()
+    : "pro";
+
+  // Startup: a broken keys file stops the service (fail closed)
+  let data = loadKeys(filePath);
+
+  const save = () => writeJsonAtomic(filePath, data);
+  const find = (keyId) => data.keys.find((k) => k.keyId === keyId) || null;
+
+  // Auth is required as soon as one key exists (registry or legacy IA11_API_KEY)
+  function authRequired() {
+    return !!legacyKey || data.keys.length > 0;
+  }
+
+  // -> { tenantId, plan, keyId, allowedOrigins } or null
+  function verify(presented) {
+    if (!presented) return null;
+
+    const parsed = parseKey(presented);
+    if (parsed) {
+      const rec = find(parsed.keyId);
+      // Always run the comparison, even for unknown ids, to keep timing flat
+      const ok = safeEqual(rec ? rec.secretHash : "x", sha256(parsed.secret).toString("hex"));
+      if (rec && ok && rec.enabled) {
+        return { tenantId: rec.tenantId, plan: rec.plan, keyId: rec.keyId, allowedOrigins: rec.allowedOrigins };
+      }
+      return null;
+    }
+
+    // Legacy single shared key (IA11_API_KEY)
+    if (legacyKey && safeEqual(presented, legacyKey)) {
+      return { tenantId: "legacy", plan: legacyPlan, keyId: "legacy", allowedOrigins: [] };
+    }
+    return null;
+  }
+
+  function validateInput({ tenantId, plan }) {
+    if (!tenantId || !/^[A-Za-z0-9._-]{1,64}$/.test(String(tenantId))) {
+      throw Object.assign(new Error("tenantId required (1-64 chars: letters, digits, . _ -)"), { httpStatus: 400 });
+    }
+    if (plan && !PLANS.includes(plan)) {
+      throw Object.assign(new Error(`plan must be one of: ${PLANS.join(", ")}`), { httpStatus: 400 });
+    }
+  }
+
+  function create({ tenantId, plan = "standard", allowedOrigins = [], label = "" } = {}) {
+    validateInput({ tenantId, plan });
+    const keyId = newKeyId();
+    const secret = newSecret();
+    const rec = {
+      keyId,
+      tenantId: String(tenantId),
+      plan,
+      allowedOrigins: normalizeOrigins(allowedOrigins),
+      label: String(label || "").slice(0, 120),
+      enabled: true,
+      secretHash: sha256(secret).toString("hex"),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+    };
+    data.keys.push(rec);
+    save();
+    return { key: `ia11_${keyId}_${secret}`, record: publicRecord(rec) };
+  }
+
+  // New secret, same keyId/tenant/plan: the previous secret stops working immediately
+  function rotate(keyId) {
+    const rec = find(keyId);
+    if (!rec) return null;
+    const secret = newSecret();
+    rec.secretHash = sha256(secret).toString("hex");
+    rec.rotatedAt = new Date().toISOString();
+    save();
+    return { key: `ia11_${keyId}_${secret}`, record: publicRecord(rec) };
+  }
+
+  function revoke(keyId) {
+    const rec = find(keyId);
+    if (!rec) return null;
+    rec.enabled = false;
+    rec.revokedAt = new Date().toISOString();
+    save();
+    return publicRecord(rec);
+  }
+
+  function list(tenantId) {
+    return data.keys.filter((k) => !tenantId || k.tenantId === tenantId).map(publicRecord);
+  }
+
+  return {
+    authRequired,
+    verify,
+    create,
+    rotate,
+    revoke,
+    list,
+    // A broken file throws and the last good keys stay in use
+    reload() {
+      data = loadKeys(filePath);
+    },
+  };
+}
+
+module.exports = {
+  PLANS,
+  createKeyRegistry,
+  originAllowed,
+  safeEqual,
+};
@@ -0,0 +1,116 @@
+// =====================
+// TEXT HELPERS (shared by the engine modules)
+// =====================
+
+function safeLower(v) {
+  return (v || "").toString().toLowerCase();
+}
+
+function normalizeUrl(u) {
+  try {
+    const url = new URL(u);
+    url.hash = "";
+    return url.toString();
+  } catch {
+    return u || "";
+  }
+}
+
+function domainOf(u) {
+  try {
+    const url = new URL(u);
+    return (url.hostname || "").replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function stripSpaces(s) {
+  return (s || "").toString().replace(/\s+/g, " ").trim();
+}
+
+function normalizeQuery(q) {
+  return stripSpaces(safeLower(q))
+    .replace(/[’'"]/g, "")
+    .replace(/[^a-z0-9\s\u00C0-\u017F]/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenize(s) {
+  const t = normalizeQuery(s).split(" ").filter(Boolean);
+  return t.length ? t : [];
+}
+
+function jaccard(aTokens, bTokens) {
+  const A = new Set(aTokens);
+  const B = new Set(bTokens);
+  if (A.size === 0 && B.size === 0) return 1;
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter++;
+  const union = A.size + B.size - inter;
+  return union === 0 ? 0 : inter / union;
+}
+
+function levenshtein(a, b) {
+  a = a || "";
+  b = b || "";
+  const m = a.length;
+  const n = b.length;
+  if (m === 0) return n;
+  if (n === 0) return m;
+  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + cost
+      );
+    }
+  }
+  return dp[m][n];
+}
+
+function similarityScore(q1, q2) {
+  const n1 = normalizeQuery(q1);
+  const n2 = normalizeQuery(q2);
+
+  if (!n1 || !n2) return 0;
+
+  if (n1 === n2) return 1;
+
+  const t1 = tokenize(n1);
+  const t2 = tokenize(n2);
+
+  const jac = jaccard(t1, t2);
+
+  const maxLen = Math.max(n1.length, n2.length);
+  const lev = levenshtein(n1, n2);
+  const levSim = maxLen === 0 ? 0 : 1 - lev / maxLen;
+
+  // Weighted blend
+  const sim = 0.65 * jac + 0.35 * levSim;
+
+  return clamp(sim, 0, 1);
+}
+
+module.exports = {
+  safeLower,
+  normalizeUrl,
+  domainOf,
+  clamp,
+  stripSpaces,
+  normalizeQuery,
+  tokenize,
+  jaccard,
+  levenshtein,
+  similarityScore,
+};
@@ -0,0 +1,184 @@
+// =====================
+// USAGE METERING — one JSON line per call (append-only) + in-memory rollup
+// by tenant / day / mode for GET /usage (billing, cache regressions).
+// =====================
+
+const fs = require("fs");
+const path = require("path");
+const { stateDir } = require("./jsonStore");
+
+function emptyAgg() {
+  return { requests: 0, errors: 0, searchQueries: 0, cacheHits: 0, cacheMisses: 0, latencyMsTotal: 0 };
+}
+
+function addTo(agg, e) {
+  agg.requests += 1;
+  if (e.status >= 400) agg.errors += 1;
+  agg.searchQueries += e.searchQueries || 0;
+  agg.cacheHits += e.cacheHits || 0;
+  agg.cacheMisses += e.cacheMisses || 0;
+  agg.latencyMsTotal += e.latencyMs || 0;
+}
+
+function finishAgg(agg) {
+  const { latencyMsTotal, ...rest } = agg;
+  const lookups = agg.cacheHits + agg.cacheMisses;
+  return {
+    ...rest,
+    avgLatencyMs: agg.requests ? Math.round(latencyMsTotal / agg.requests) : 0,
+    cacheHitRate: lookups ? Number((agg.cacheHits / lookups).toFixed(3)) : 0,
+  };
+}
+
+function createUsageMeter({ env = process.env } = {}) {
+  const filePath = env.USAGE_FILE || path.join(stateDir(env), "usage.jsonl");
+  const rollup = new Map(); // "tenant|day|mode" -> agg
+
+  function addToRollup(e) {
+    const key = `${e.tenantId}|${String(e.ts).slice(0, 10)}|${e.mode}`;
+    if (!rollup.has(key)) rollup.set(key, emptyAgg());
+    addTo(rollup.get(key), e);
+  }
+
+  // Rebuild the rollup from the log (survives restarts)
+  try {
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    let n = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        addToRollup(JSON.parse(line));
+        n++;
+      } catch {
+        // torn last line after a crash: skip
+      }
+    }
+    console.log(`📊 USAGE: loaded ${n} records from ${filePath}`);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.log("⚠️ USAGE: could not read log:", e.message);
+  }
+
+  // Appends are serialized so lines never interleave
+  let writing = Promise.resolve();
+  let dirReady = false;
+
+  function record(entry) {
+    const e = {
+      ts: new Date().toISOString(),
+      tenantId: "anonymous",
+      keyId: null,
+      endpoint: "",
+      mode: "standard",
+      scoringVersion: null,
+      searchQueries: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      latencyMs: 0,
+      status: 200,
+      errorCode: null,
+      ...entry,
+    };
+    addToRollup(e);
+    console.log(
+      `📊 USAGE tenant=${e.tenantId} ${e.endpoint} mode=${e.mode} queries=${e.searchQueries} cacheHits=${e.cacheHits} cacheMisses=${e.cacheMisses} ${e.latencyMs}ms status=${e.status}${e.errorCode ? ` error=${e.errorCode}` : ""}`
+    );
+
+    writing = writing
+      .then(async () => {
+        if (!dirReady) {
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          dirReady = true;
+        }
+        await fs.promises.appendFile(filePath, JSON.stringify(e) + "\n");
+      })
+      .catch((err) => console.log("⚠️ USAGE: append failed:", err.message));
+    return e;
+  }
+
+  // Resolves once the appends queued so far are on disk
+  const flush = () => writing;
+
+  // Express middleware: meters the call once the response is sent.
+  // Handlers put { mode, searchQueries, cacheHits, cacheMisses } in res.locals.usage,
+  // plus { status, errorCode } when the outcome is not the HTTP status (SSE errors sent after a 200).
+  // A client gone before the end (SSE) is metered once res.locals.settled resolves, if the handler sets it.
+  function meter(endpoint) {
+    return (req, res, next) => {
+      const t0 = Date.now();
+      let metered = false;
+      const done = () => {
+        if (metered || !req.tenant) return;
+        metered = true;
+        const u = res.locals.usage || {};
+        record({
+          tenantId: req.tenant.tenantId,
+          keyId: req.tenant.keyId || null,
+          endpoint,
+          mode: u.mode || (String(req.body?.analysisType || "").toLowerCase() === "pro" ? "pro" : "standard"),
+          scoringVersion: u.scoringVersion || null,
+          searchQueries: u.searchQueries || 0,
+          cacheHits: u.cacheHits || 0,
+          cacheMisses: u.cacheMisses || 0,
+          latencyMs: Date.now() - t0,
+          status: u.status || res.statusCode,
+          errorCode: u.errorCode || null,
+        });
+      };
+      res.on("finish", done);
+      res.on("close", () => {
+        if (!res.writableFinished) Promise.resolve(res.locals.settled).then(done);
+      });
+      next();
+    };
+  }
+
+  // { tenantId?, from?: "YYYY-MM-DD", to?: "YYYY-MM-DD" }
+  function summarize({ tenantId, from, to } = {}) {
+    const tenants = new Map();
+
+    for (const [key, agg] of rollup) {
+      const [t, day, mode] = key.split("|");
+      if (tenantId && t !== tenantId) continue;
+      if (from && day < from) continue;
+      if (to && day > to) continue;
+
+      if (!tenants.has(t)) tenants.set(t, { totals: emptyAgg(), byDay: new Map(), byMode: new Map() });
+      const tt = tenants.get(t);
+
+      const merge = (target) => {
+        target.requests += agg.requests;
+        target.errors += agg.errors;
+        target.searchQueries += agg.searchQueries;
+        target.cacheHits += agg.cacheHits;
+        target.cacheMisses += agg.cacheMisses;
+        target.latencyMsTotal += agg.latencyMsTotal;
+      };
+
+      merge(tt.totals);
+      if (!tt.byMode.has(mode)) tt.byMode.set(mode, emptyAgg());
+      merge(tt.byMode.get(mode));
+      if (!tt.byDay.has(day)) tt.byDay.set(day, { totals: emptyAgg(), byMode: new Map() });
+      const d = tt.byDay.get(day);
+      merge(d.totals);
+      if (!d.byMode.has(mode)) d.byMode.set(mode, emptyAgg());
+      merge(d.byMode.get(mode));
+    }
+
+    const modesObj = (m) => Object.fromEntries([...m.entries()].map(([k, v]) => [k, finishAgg(v)]));
+
+    return [...tenants.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([t, tt]) => ({
+        tenantId: t,
+        totals: finishAgg(tt.totals),
+        byMode: modesObj(tt.byMode),
+        byDay: [...tt.byDay.entries()]
+          .sort((a, b) => a[0].localeCompare(b[0]))
+          .map(([day, d]) => ({ day, ...finishAgg(d.totals), byMode: modesObj(d.byMode) })),
+      }));
+  }
+
+  return { record, meter, summarize, flush };
+}
+
+module.exports = { createUsageMeter };
@@ -0,0 +1,43 @@
+// =====================
+// WEBHOOKS — signed JSON POSTs
+// Header X-IA11-Signature: "t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${rawBody}`)>"
+// Receivers recompute v1 over the raw body and reject old timestamps (replays).
+// =====================
+
+const crypto = require("crypto");
+const { guardedRequest } = require("./article");
+
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`, "utf8").digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+// -> { ok, status, error } (never throws: the caller decides about retries)
+async function postSigned(url, payload, { secret, timeoutMs = 8000, allowPrivate = false, headers = {} } = {}) {
+  const body = JSON.stringify(payload);
+
+  try {
+    // Address checked on connect, per attempt; redirects are not followed (a redirect
+    // would re-send the signed body elsewhere)
+    const r = await guardedRequest(url, {
+      method: "POST",
+      timeoutMs,
+      allowPrivate,
+      readBody: () => false,
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        "User-Agent": "IA11-LeenScore/1.0 (+webhooks)",
+        "X-IA11-Signature": signPayload(secret, body),
+        ...headers,
+      },
+      body,
+    });
+    const ok = r.status >= 200 && r.status < 300;
+    return ok ? { ok: true, status: r.status, error: null } : { ok: false, status: r.status, error: `HTTP ${r.status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e?.message || "delivery failed" };
+  }
+}
+
+module.exports = { signPayload, postSigned };
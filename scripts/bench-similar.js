@@ -0,0 +1,109 @@
+// =====================
+// BENCH — similar-query lookup: linear scan vs MinHash/LSH index
+// Usage: node scripts/bench-similar.js [maxSize=100000]
+// =====================
+
+const { normalizeQuery, similarityScore } = require("../lib/text");
+const { createSimilarIndex } = require("../lib/similarIndex");
+
+const THRESHOLD = 0.78; // default (non-strict) threshold used by the engine
+const LOOKUPS = 200;
+const MAX_SIZE = Number.parseInt(process.argv[2] || "100000", 10);
+const SIZES = [1000, 10000, 100000].filter((n) => n <= MAX_SIZE);
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+function rand() {
+  seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+  return seed / 0x100000000;
+}
+const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+
+const SUBJECTS = ["canada", "france", "the eiffel tower", "vaccines", "unemployment", "inflation", "the moon", "bitcoin",
+  "le quebec", "la tour eiffel", "the who", "5g antennas", "coffee", "climate change", "the amazon", "electric cars",
+  "nasa", "the euro", "paris", "tesla", "covid", "the population of japan", "le chomage", "sugar", "the pyramids"];
+const VERBS = ["is", "causes", "was", "reached", "est", "has", "costs", "kills", "increased", "measures", "contains"];
+const OBJECTS = ["a nordic country", "autism", "500 meters tall", "12 percent", "the largest", "dangerous", "illegal",
+  "a planet", "une ville", "cancer", "in decline", "3 billion dollars", "banned in europe", "fake", "the capital"];
+const TAILS = ["", "", "", " in 2019", " in 2023", " fact check", " source", " statistics", " today", " according to experts"];
+
+function makeQuery(i) {
+  // A numeric token keeps every generated query distinct
+  return normalizeQuery(`${pick(SUBJECTS)} ${pick(VERBS)} ${pick(OBJECTS)}${pick(TAILS)} ${i}`);
+}
+
+function typo(q) {
+  const i = 1 + Math.floor(rand() * (q.length - 2));
+  return q.slice(0, i) + q.slice(i + 1);
+}
+
+function linearLookup(entries, norm) {
+  for (const q of entries) if (similarityScore(q, norm) >= THRESHOLD) return q;
+  return null;
+}
+
+function indexedLookup(index, norm) {
+  for (const q of index.query(norm)) if (similarityScore(q, norm) >= THRESHOLD) return q;
+  return null;
+}
+
+function time(fn) {
+  const t0 = process.hrtime.bigint();
+  const out = fn();
+  return { out, ms: Number(process.hrtime.bigint() - t0) / 1e6 };
+}
+
+const all = [];
+for (let i = 0; i < MAX_SIZE; i++) all.push(makeQuery(i));
+
+const index = createSimilarIndex();
+let built = 0;
+
+console.log(`similar-query lookup benchmark (${LOOKUPS} lookups per size, threshold ${THRESHOLD})\n`);
+console.log("size     | index build | indexed avg | indexed p95 | linear avg | recall vs linear");
+
+for (const size of SIZES) {
+  const b = time(() => {
+    for (; built < size; built++) index.add(all[built], all[built]);
+  });
+
+  // Half near-duplicates (typos of cached queries), half unseen queries
+  const probes = [];
+  for (let i = 0; i < LOOKUPS; i++) {
+    probes.push(i % 2 === 0 ? typo(all[Math.floor(rand() * size)]) : makeQuery(MAX_SIZE + i));
+  }
+
+  const idxTimes = [];
+  const idxResults = probes.map((p) => {
+    const r = time(() => indexedLookup(index, p));
+    idxTimes.push(r.ms);
+    return r.out;
+  });
+  idxTimes.sort((x, y) => x - y);
+
+  // Linear scan is O(n·m): sample fewer probes at large sizes
+  const linearProbes = size >= 100000 ? 10 : size >= 10000 ? 40 : LOOKUPS;
+  const entries = all.slice(0, size);
+  let linearMs = 0;
+  let found = 0;
+  let agreed = 0;
+  for (let i = 0; i < linearProbes; i++) {
+    const r = time(() => linearLookup(entries, probes[i]));
+    linearMs += r.ms;
+    if (r.out) {
+      found++;
+      if (idxResults[i]) agreed++;
+    }
+  }
+
+  const avg = idxTimes.reduce((n, x) => n + x, 0) / idxTimes.length;
+  const p95 = idxTimes[Math.floor(idxTimes.length * 0.95)];
+  console.log(
+    `${String(size).padEnd(8)} | ${b.ms.toFixed(0).padStart(8)} ms | ${avg.toFixed(3).padStart(8)} ms | ${p95
+      .toFixed(3)
+      .padStart(8)} ms | ${(linearMs / linearProbes).toFixed(2).padStart(7)} ms | ${found ? `${agreed}/${found}` : "n/a"}`
+  );
+}
+
+const mem = process.memoryUsage();
+console.log(`\nheap used: ${(mem.heapUsed / 1024 / 1024).toFixed(0)} MB, index size: ${index.size()}`);
@@ -0,0 +1,22 @@
+// Catalog consistency check: every locale must have exactly the keys of the
+// default locale (en), with the same {placeholders}. Exit code 1 on any gap.
+// Also run by npm test (test/i18n.test.js).
+//   npm run check:i18n
+
+const { DEFAULT_LOCALE, catalogProblems } = require("../lib/i18n");
+
+let problems = 0;
+
+for (const [loc, { keys, missing, extra, badVars }] of Object.entries(catalogProblems())) {
+  for (const k of missing) console.log(`✗ ${loc}: missing "${k}"`);
+  for (const k of extra) console.log(`✗ ${loc}: unknown key "${k}" (not in ${DEFAULT_LOCALE})`);
+  for (const { key, expected } of badVars) console.log(`✗ ${loc}: placeholders differ for "${key}" (expected {${expected}})`);
+
+  problems += missing.length + extra.length + badVars.length;
+  if (!missing.length && !extra.length && !badVars.length) console.log(`✓ ${loc}: ${keys} keys`);
+}
+
+if (problems) {
+  console.log(`\n${problems} problem(s) found.`);
+  process.exit(1);
+}
@@ -0,0 +1,215 @@
+// =====================
+// EVAL — labeled claims through analyzeCore, offline (recorded search results)
+// Accuracy, confusion matrix per score band, Brier score and a calibration curve
+// for `confidence`; --compare runs a second scoring profile on the same results.
+// Usage: node scripts/eval.js [--mode standard|pro|both] [--profile baseline@1]
+//          [--compare <profile>] [--dataset data/eval/claims.json]
+//          [--fixtures data/eval/search-fixtures.json] [--json] [--verbose]
+//   npm run eval -- --compare evidence-first@1
+// =====================
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    const next = argv[i + 1];
+    if (m[2] !== undefined) out[m[1]] = m[2];
+    else if (next !== undefined && !next.startsWith("--")) out[m[1]] = argv[++i];
+    else out[m[1]] = true;
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const DATASET = path.resolve(args.dataset || path.join(__dirname, "..", "data", "eval", "claims.json"));
+const FIXTURES = path.resolve(args.fixtures || path.join(__dirname, "..", "data", "eval", "search-fixtures.json"));
+const MODES = args.mode === "standard" || args.mode === "pro" ? [args.mode] : ["standard", "pro"];
+
+// Engine config before index.js is loaded: fixture search, throwaway state, no OCR
+process.env.SEARCH_PROVIDERS = "fixture";
+process.env.SEARCH_FIXTURES_PATH = FIXTURES;
+process.env.SEARCH_CACHE_BACKEND = "memory";
+process.env.OCR_ENABLED = "false";
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-eval-"));
+
+// The engine logs every step: keep the report readable unless --verbose
+const log = console.log;
+if (!args.verbose) console.log = () => {};
+
+const { analyzeCore, bandFromScore, SCORING } = require("..");
+const { createFixtureProvider } = require("../lib/search/fixture");
+
+const BANDS = ["veryCredible", "credible", "mixed", "dubious", "veryDubious"];
+const LABELS = ["true", "mixed", "false"];
+const BAND_VERDICT = { veryCredible: "true", credible: "true", mixed: "mixed", dubious: "false", veryDubious: "false" };
+
+// Straight to the recorded results: no cache, so items cannot leak results into each other
+const provider = createFixtureProvider({ filePath: FIXTURES });
+const session = {
+  async search(query, lang) {
+    const items = await provider.search(query, { lang, num: 5 });
+    return { ok: true, items, fromCache: false, paid: 1, budgetExhausted: false, error: null };
+  },
+};
+
+async function runOne(item, mode, scoringProfile) {
+  const req = { tenant: { tenantId: "eval", plan: "pro", keyId: null } };
+  try {
+    const out = await analyzeCore(req, { content: item.text, analysisType: mode, language: item.lang, scoringProfile, session });
+    const { score, confidence, scoringVersion } = out.result;
+    const band = bandFromScore(score);
+    return { id: item.id, lang: item.lang, gold: item.label, mode, score, confidence, band, verdict: BAND_VERDICT[band], scoringVersion };
+  } catch (e) {
+    return { id: item.id, lang: item.lang, gold: item.label, mode, error: e.message };
+  }
+}
+
+// =====================
+// METRICS
+// =====================
+
+const round = (n, d = 3) => (Number.isFinite(n) ? Number(n.toFixed(d)) : null);
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : NaN);
+
+function metrics(rows) {
+  const ok = rows.filter((r) => !r.error);
+  const correct = (r) => (r.verdict === r.gold ? 1 : 0);
+
+  const confusion = Object.fromEntries(LABELS.map((l) => [l, Object.fromEntries(BANDS.map((b) => [b, 0]))]));
+  for (const r of ok) confusion[r.gold][r.band]++;
+
+  const byLang = {};
+  for (const lang of [...new Set(ok.map((r) => r.lang))].sort()) {
+    const sub = ok.filter((r) => r.lang === lang);
+    byLang[lang] = { n: sub.length, accuracy: round(mean(sub.map(correct))) };
+  }
+
+  // Confidence = probability that the verdict is right
+  const brier = mean(ok.map((r) => (r.confidence - correct(r)) ** 2));
+  // Score/100 = probability that the claim is true (true/false items only)
+  const binary = ok.filter((r) => r.gold !== "mixed");
+  const scoreBrier = mean(binary.map((r) => (r.score / 100 - (r.gold === "true" ? 1 : 0)) ** 2));
+
+  // Calibration curve: 10 confidence bins; ECE = weighted |accuracy - confidence|
+  const calibration = [];
+  let ece = 0;
+  for (let i = 0; i < 10; i++) {
+    const lo = i / 10;
+    const hi = (i + 1) / 10;
+    const bin = ok.filter((r) => r.confidence >= lo && (r.confidence < hi || (i === 9 && r.confidence <= 1)));
+    if (!bin.length) continue;
+    const conf = mean(bin.map((r) => r.confidence));
+    const acc = mean(bin.map(correct));
+    ece += (bin.length / ok.length) * Math.abs(acc - conf);
+    calibration.push({ bin: `${lo.toFixed(1)}-${hi.toFixed(1)}`, n: bin.length, confidence: round(conf), accuracy: round(acc) });
+  }
+
+  return {
+    n: rows.length,
+    errors: rows.length - ok.length,
+    accuracy: round(mean(ok.map(correct))),
+    byLang,
+    brier: round(brier),
+    scoreBrier: round(scoreBrier),
+    ece: round(ece),
+    confusion,
+    calibration,
+  };
+}
+
+// =====================
+// REPORT
+// =====================
+
+function printMetrics(title, m) {
+  log(`\n== ${title} ==`);
+  const langs = Object.entries(m.byLang).map(([l, v]) => `${l} ${v.accuracy} (n=${v.n})`).join(", ");
+  log(`items: ${m.n}${m.errors ? ` (${m.errors} errors)` : ""}  accuracy: ${m.accuracy}  [${langs}]`);
+  log(`brier (confidence): ${m.brier}  brier (score, true/false only): ${m.scoreBrier}  ECE: ${m.ece}`);
+
+  log(`\nconfusion (rows: label, columns: score band)`);
+  log(`${"".padEnd(7)}| ${BANDS.map((b) => b.padStart(12)).join(" ")}`);
+  for (const l of LABELS) log(`${l.padEnd(7)}| ${BANDS.map((b) => String(m.confusion[l][b]).padStart(12)).join(" ")}`);
+
+  log(`\ncalibration (confidence bin | n | mean confidence | accuracy)`);
+  for (const c of m.calibration) log(`${c.bin.padEnd(8)} | ${String(c.n).padStart(3)} | ${String(c.confidence).padStart(6)} | ${c.accuracy}`);
+}
+
+function printDiff(a, b) {
+  const key = (r) => `${r.mode}:${r.id}`;
+  const other = new Map(b.map((r) => [key(r), r]));
+  const changed = a.filter((r) => !r.error && other.get(key(r)) && other.get(key(r)).band !== r.band);
+
+  log(`\n== band changes (${changed.length}) ==`);
+  for (const r of changed) {
+    const s = other.get(key(r));
+    const mark = (x) => (x.verdict === x.gold ? "✓" : "✗");
+    log(`${r.mode.padEnd(8)} ${r.id.padEnd(12)} label=${r.gold.padEnd(5)} ${r.band}(${r.score}) ${mark(r)} -> ${s.band}(${s.score}) ${mark(s)}`);
+  }
+}
+
+async function runProfile(items, scoringProfile) {
+  const rows = [];
+  for (const mode of MODES) {
+    for (const item of items) rows.push(await runOne(item, mode, scoringProfile));
+  }
+  return rows;
+}
+
+async function main() {
+  const { items } = JSON.parse(fs.readFileSync(DATASET, "utf8"));
+  // --compare alone: against the default profile
+  const base = typeof args.profile === "string" ? args.profile : SCORING.resolve(null, "eval").id;
+  const profiles = typeof args.compare === "string" ? [base, args.compare] : [base];
+  for (const p of profiles) SCORING.resolve(p); // unknown profile: fail before running anything
+
+  const runs = [];
+  for (const profile of profiles) {
+    const rows = await runProfile(items, profile);
+    const version = rows.find((r) => r.scoringVersion)?.scoringVersion || profile;
+    runs.push({
+      scoringVersion: version,
+      byMode: Object.fromEntries(MODES.map((mode) => [mode, metrics(rows.filter((r) => r.mode === mode))])),
+      rows,
+    });
+  }
+
+  if (args.json) {
+    log(JSON.stringify({ dataset: DATASET, fixtures: FIXTURES, runs }, null, 2));
+    return;
+  }
+
+  log(`eval: ${items.length} claims from ${path.relative(process.cwd(), DATASET)}, modes: ${MODES.join(", ")}`);
+  for (const run of runs) {
+    for (const mode of MODES) printMetrics(`${run.scoringVersion} / ${mode}`, run.byMode[mode]);
+    const failed = run.rows.filter((r) => r.error);
+    for (const r of failed) log(`✗ ${r.mode} ${r.id}: ${r.error}`);
+  }
+
+  if (runs.length === 2) {
+    const [a, b] = runs;
+    log(`\n== ${a.scoringVersion} vs ${b.scoringVersion} ==`);
+    for (const mode of MODES) {
+      const ma = a.byMode[mode];
+      const mb = b.byMode[mode];
+      log(`${mode.padEnd(8)} accuracy ${ma.accuracy} -> ${mb.accuracy}  brier ${ma.brier} -> ${mb.brier}  scoreBrier ${ma.scoreBrier} -> ${mb.scoreBrier}  ECE ${ma.ece} -> ${mb.ece}`);
+    }
+    printDiff(a.rows, b.rows);
+  }
+}
+
+main()
+  .then(() => 0)
+  .catch((e) => {
+    log("eval failed:", e.message);
+    return 1;
+  })
+  .then((code) => {
+    fs.rmSync(process.env.STATE_DIR, { recursive: true, force: true });
+    process.exit(code);
+  });
@@ -0,0 +1,273 @@
+// HTTP API end to end (index.js) on fixture search results, a crashing OCR worker, temporary state
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-api-"));
+Object.assign(process.env, {
+  STATE_DIR,
+  SEARCH_PROVIDERS: "fixture",
+  SEARCH_FIXTURES_PATH: path.join(__dirname, "..", "data", "eval", "search-fixtures.json"),
+  SEARCH_CACHE_BACKEND: "memory",
+  OCR_LANG_DIR: path.join(STATE_DIR, "tessdata"),
+  IA11_ADMIN_KEY: "admin-secret",
+  WEBHOOK_SECRET: "hook-secret",
+});
+// tesseract.js double: the worker starts, every recognition crashes
+require.cache[require.resolve("tesseract.js")] = {
+  exports: {
+    OEM: { LSTM_ONLY: 1 },
+    createWorker: async () => ({ recognize: () => Promise.reject(new Error("worker crashed")), terminate: async () => {} }),
+  },
+};
+fs.mkdirSync(process.env.OCR_LANG_DIR);
+for (const code of ["eng", "fra"]) fs.writeFileSync(path.join(process.env.OCR_LANG_DIR, `${code}.traineddata.gz`), "");
+const { app, analyzeCore } = require("..");
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(STATE_DIR, { recursive: true, force: true });
+});
+
+async function call(route, { key, body, method = body ? "POST" : "GET", headers = {} } = {}) {
+  const res = await fetch(`${base}${route}`, {
+    method,
+    headers: { "content-type": "application/json", ...(key ? { "x-ia11-key": key } : {}), ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // SSE or empty body
+  }
+  return { status: res.status, json, text };
+}
+
+async function createKey(tenantId, plan) {
+  const { json } = await call("/admin/keys", { body: { tenantId, plan }, headers: { "x-ia11-admin-key": "admin-secret" } });
+  return json.key;
+}
+
+const CLAIM = "Paris is the capital of France";
+
+test("keys and plans: PRO analysis needs a pro key", async () => {
+  const standard = await createKey("std-tenant", "standard");
+  const pro = await createKey("pro-tenant", "pro");
+
+  assert.strictEqual((await call("/analyze", { body: { content: CLAIM } })).status, 401);
+  assert.strictEqual((await call("/analyze", { key: `${standard}x`, body: { content: CLAIM } })).status, 401);
+
+  const denied = await call("/analyze", { key: standard, body: { content: CLAIM, analysisType: "pro" } });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.json.code, "PLAN_NOT_ALLOWED");
+
+  assert.strictEqual((await call("/analyze", { key: standard, body: { content: CLAIM } })).json.result.analysisType, "standard");
+  assert.strictEqual((await call("/analyze", { key: pro, body: { content: CLAIM, analysisType: "pro" } })).json.result.analysisType, "pro");
+});
+
+test("a batch costs one quota token per item", async () => {
+  const key = await createKey("batch-tenant", "standard"); // 10 per minute
+  const batch = (n) => call("/analyze/batch", { key, body: { items: Array.from({ length: n }, (_, i) => `${CLAIM} (${i})`) } });
+
+  const tooLarge = await batch(201);
+  assert.strictEqual(tooLarge.json.code, "BATCH_TOO_LARGE");
+
+  const first = await batch(6);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.json.results.length, 6);
+
+  const refused = await batch(6);
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.json.code, "RATE_LIMITED");
+  assert.deepStrictEqual([refused.json.details.window, refused.json.details.cost, refused.json.details.remaining], ["minute", 6, 4]);
+
+  // The refused batch cost its base token only: 3 left
+  assert.strictEqual((await batch(3)).status, 200);
+  assert.strictEqual((await call("/analyze", { key, body: { content: CLAIM } })).status, 429);
+});
+
+test("claims of one analysis share its paid-query budget", async () => {
+  const req = { tenant: { tenantId: "budget-tenant", plan: "pro" } };
+  const text = "The Eiffel Tower is 330 metres tall. Canada has 40 million inhabitants. The Amazon river is 6400 km long.";
+
+  const standard = await analyzeCore(req, { content: text, analysisType: "standard" });
+  assert.strictEqual(standard.result.claims.length, 3);
+  assert.strictEqual(standard.usage.searchQueries, 1, "MAX_STANDARD_QUERIES for the whole call");
+  assert.ok(standard.result.claims.every((c) => !("sources" in c)), "Standard shows no sources");
+
+  const pro = await analyzeCore(req, { content: text, analysisType: "pro" });
+  assert.strictEqual(pro.result.claims.length, 3);
+  assert.ok(pro.usage.searchQueries <= 4, `MAX_SERPER_QUERIES for the whole call, got ${pro.usage.searchQueries}`);
+  assert.ok(pro.result.claims.every((c) => c.queryPlan.queries.length >= 1), "every claim plans a query");
+});
+
+// SSE body -> [{ event, data }]
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .map((block) => Object.fromEntries(block.split("\n").filter((l) => /^(event|data): /.test(l)).map((l) => [l.slice(0, l.indexOf(":")), l.slice(l.indexOf(":") + 2)])))
+    .filter((e) => e.event)
+    .map((e) => ({ event: e.event, data: JSON.parse(e.data) }));
+}
+
+test("/analyze/stream sends start, stages and the result, errors as an event", async () => {
+  const pro = await createKey("stream-tenant", "pro");
+  const ok = await call("/analyze/stream", { key: pro, body: { content: CLAIM, analysisType: "pro" } });
+  assert.strictEqual(ok.status, 200);
+  const events = parseEvents(ok.text);
+  assert.deepStrictEqual(events[0], { event: "start", data: { analysisType: "pro" } });
+  const stages = events.filter((e) => e.event === "stage").map((e) => e.data.stage);
+  for (const name of ["language", "writing", "claims", "search", "evidence", "explanation"]) assert.ok(stages.includes(name), name);
+  const last = events[events.length - 1];
+  assert.strictEqual(last.event, "result");
+  assert.strictEqual(last.data.result.analysisType, "pro");
+
+  const standard = await createKey("stream-std-tenant", "standard");
+  const denied = parseEvents((await call("/analyze/stream", { key: standard, body: { content: CLAIM, analysisType: "pro" } })).text);
+  assert.deepStrictEqual(denied.map((e) => e.event), ["start", "error"]);
+  assert.deepStrictEqual([denied[1].data.code, denied[1].data.httpStatus], ["PLAN_NOT_ALLOWED", 403]);
+});
+
+test("a caller that goes away stops the analysis, with the queries spent so far", async () => {
+  const req = { tenant: { tenantId: "gone-tenant", plan: "pro" } };
+  const text = "Mount Everest is 8849 metres high. The Nile is 6650 km long. Tokyo has 14 million inhabitants.";
+  const abort = new AbortController();
+  const searched = [];
+  const onStage = (name, data) => {
+    if (name === "search") searched.push(data);
+    if (name === "search" && !data.fromCache) abort.abort(); // after the first paid lookup
+  };
+  await assert.rejects(analyzeCore(req, { content: text, analysisType: "pro", signal: abort.signal, onStage }), (e) => {
+    assert.strictEqual(e.code, "CLIENT_CLOSED");
+    assert.deepStrictEqual(e.usage, { mode: "pro", searchQueries: 1 });
+    return true;
+  });
+  assert.strictEqual(searched.length, 1, "no lookup after the abort");
+});
+
+test("jobs: 202 at once, readable by their tenant only, callbacks to private addresses refused", async () => {
+  const key = await createKey("jobs-tenant", "standard");
+  for (const callbackUrl of ["http://127.0.0.1:9/hook", "http://[::ffff:7f00:1]/hook", "http://[64:ff9b::a00:1]/hook"]) {
+    const refused = await call("/jobs", { key, body: { content: CLAIM, callbackUrl } });
+    assert.deepStrictEqual([refused.status, refused.json.code], [400, "URL_FORBIDDEN"], callbackUrl);
+  }
+
+  const accepted = await call("/jobs", { key, body: { content: CLAIM } });
+  assert.strictEqual(accepted.status, 202);
+  const { jobId, statusUrl } = accepted.json;
+  assert.strictEqual((await call(statusUrl, { key: await createKey("other-tenant", "standard") })).status, 404);
+
+  let job;
+  for (let i = 0; i < 200 && job?.status !== "succeeded"; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    job = (await call(statusUrl, { key })).json.job;
+  }
+  assert.deepStrictEqual([job.jobId, job.status, job.result.analysisType], [jobId, "succeeded", "standard"]);
+});
+
+test("PRO: sources that debunk the claim fill the contradicts bucket and cap the score", async () => {
+  const out = await analyzeCore({ tenant: { tenantId: "stance-tenant", plan: "pro" } }, { content: "Vaccines cause autism.", analysisType: "pro" });
+  const { pro, score } = out.result;
+  assert.deepStrictEqual(pro.stanceCounts, { corroborates: 0, contradicts: 3, neutral: 0 });
+  assert.deepStrictEqual(pro.buckets.contradicts.map((s) => s.domain).sort(), ["cdc.gov", "factcheck.org", "who.int"]);
+  assert.strictEqual(pro.strongRefute, true);
+  assert.ok(score <= 25, `strong contradiction cap, got ${score}`);
+  assert.match(out.result.summary, /strong contradiction/);
+});
+
+test("GET /usage: a tenant sees its own calls, the admin any tenant", async () => {
+  const key = await createKey("usage-tenant", "standard");
+  await call("/analyze", { key, body: { content: CLAIM } });
+  await call("/analyze", { key, body: { content: CLAIM, analysisType: "pro" } }); // 403, metered as an error
+
+  const own = await call("/usage", { key });
+  assert.strictEqual(own.status, 200);
+  assert.deepStrictEqual(own.json.tenants.map((x) => x.tenantId), ["usage-tenant"]);
+  const { totals, byMode } = own.json.tenants[0];
+  assert.deepStrictEqual([totals.requests, totals.errors], [2, 1]);
+  assert.deepStrictEqual([byMode.standard.requests, byMode.pro.errors], [1, 1]);
+
+  const admin = await call("/usage?tenantId=usage-tenant", { headers: { "x-ia11-admin-key": "admin-secret" } });
+  assert.strictEqual(admin.json.tenants[0].totals.requests, 2);
+  assert.strictEqual((await call("/usage?from=yesterday", { key })).json.code, "VALIDATION_FAILED");
+  assert.strictEqual((await call("/usage")).status, 401);
+});
+
+test("language: detected without a hint, a clearly wrong hint overridden, else the hint", async () => {
+  const req = { tenant: { tenantId: "lang-tenant", plan: "standard" } };
+  const fr = "Le gouvernement a annoncé hier une nouvelle réforme des retraites qui sera présentée au parlement.";
+  const detection = async (content, language) => (await analyzeCore(req, { content, language })).result.languageDetection;
+
+  assert.deepStrictEqual(await detection(fr), { detected: "fr", confidence: 1, hint: null, used: "fr", source: "detected" });
+  const overridden = await detection(fr, "en");
+  assert.deepStrictEqual([overridden.used, overridden.source], ["fr", "override"]);
+  const hint = await detection(fr, "fr-CA");
+  assert.deepStrictEqual([hint.used, hint.source], ["fr-ca", "hint"]);
+  const short = await detection("ok lol");
+  assert.deepStrictEqual([short.detected, short.used, short.source], [null, "en", "default"]);
+  // Response strings follow the detected language
+  const [detected, hinted] = await Promise.all([analyzeCore(req, { content: fr }), analyzeCore(req, { content: fr, language: "fr" })]);
+  assert.strictEqual(detected.result.summary, hinted.result.summary);
+});
+
+test("scoring profile: the one that scored is reported, with its weights in the summary", async () => {
+  const key = await createKey("scoring-tenant", "standard");
+  const analyze = async (scoringProfile) => (await call("/analyze", { key, body: { content: CLAIM, scoringProfile } })).json;
+
+  const baseline = (await analyze()).result;
+  assert.strictEqual(baseline.scoringVersion, "baseline@1");
+  assert.match(baseline.summary, /text score \(60%\) \+ minimal web check \(40%/);
+  const evidence = (await analyze("evidence-first")).result;
+  assert.strictEqual(evidence.scoringVersion, "evidence-first@1");
+  assert.match(evidence.summary, /text score \(45%\) \+ minimal web check \(55%/);
+
+  const unknown = await analyze("evidence-first@9");
+  assert.strictEqual(unknown.code, "VALIDATION_FAILED");
+  const listed = (await call("/scoring-profiles", { key })).json;
+  assert.deepStrictEqual([listed.default, listed.selected], ["baseline@1", "baseline@1"]);
+});
+
+test("Standard trace: each rule that fired, its span in the text and the points it moved", async () => {
+  const req = { tenant: { tenantId: "trace-tenant", plan: "standard" } };
+  const content = "Breaking!!! Vaccines always cause autism in 2021, it is a scam.";
+  const { details } = (await analyzeCore(req, { content, language: "en" })).result.standard;
+
+  const fired = Object.fromEntries(details.trace.map((r) => [r.rule, r]));
+  assert.deepStrictEqual(fired["nuance.absolute"], { rule: "nuance.absolute", subscore: "nuance", delta: -18, span: { start: 21, end: 27, text: "always" } });
+  assert.deepStrictEqual(fired["tone.sensational"].span, { start: 8, end: 11, text: "!!!" });
+  assert.ok(!fired["nuance.hedge"], "rules that did not fire are not listed");
+  for (const { span } of details.trace) if (span) assert.strictEqual(content.slice(span.start, span.end), span.text);
+
+  // Subscores = base + the deltas of their rules (none of them clamped here)
+  const BASE = { clarity: 55, nuance: 55, specificity: 50, tone: 60, coherence: 60, plausibility: 60 };
+  for (const [name, base] of Object.entries(BASE)) {
+    const sum = details.trace.filter((r) => r.subscore === name).reduce((a, r) => a + r.delta, base);
+    assert.strictEqual(details.subscores[name], sum, name);
+  }
+  assert.ok(Math.abs(details.claimStrength - 0.9) < 1e-9, String(details.claimStrength));
+});
+
+test("an OCR failure falls back on contextText and is reported", async () => {
+  const key = await createKey("image-tenant", "standard");
+  const png = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+  const { status, json } = await call("/analyze-image", { key, body: { imageData: png, contextText: CLAIM, language: "en" } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(json.ocr.error, "OCR_FAILED");
+  assert.strictEqual(json.analyzedText, "contextText");
+  assert.strictEqual(json.analysis.result.analysisType, "standard");
+  assert.match(json.warning, /Text extraction \(OCR\) failed/);
+});
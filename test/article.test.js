@@ -0,0 +1,170 @@
+// URL mode fetch + SSRF guard (lib/article.js) against a local HTTP server
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const dns = require("dns");
+const crypto = require("crypto");
+const { fetchArticle, assertFetchableUrl, guardedRequest, isPrivateAddress } = require("../lib/article");
+const { postSigned } = require("../lib/webhooks");
+
+const PAGE = `<html lang="en"><head><title>Tower facts</title></head>
+<body><article><p>The Eiffel Tower is 330 metres tall and was completed in 1889 for the World Fair in Paris.</p></article></body></html>`;
+
+let server;
+let base; // http://127.0.0.1:<port>
+let port;
+const hooks = [];
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/page") {
+      res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+      return res.end(PAGE);
+    }
+    if (req.url === "/to-localhost") {
+      res.writeHead(302, { location: `http://localhost:${port}/page` });
+      return res.end();
+    }
+    if (req.url === "/to-page") {
+      res.writeHead(301, { location: "/page" });
+      return res.end();
+    }
+    if (req.url === "/huge") {
+      res.writeHead(200, { "content-type": "text/html" });
+      return res.end(`<html><body><p>${"Lorem ipsum dolor sit amet. ".repeat(120000)}</p></body></html>`);
+    }
+    if (req.url === "/image") {
+      res.writeHead(200, { "content-type": "image/png" });
+      return res.end(Buffer.alloc(64));
+    }
+    if (req.url === "/hang") return; // never answers
+    if (req.url === "/hook") {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        hooks.push({ body, signature: req.headers["x-ia11-signature"] });
+        res.writeHead(204);
+        res.end();
+      });
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+  base = `http://127.0.0.1:${port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Runs fn with env overrides, restored afterwards
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+const rejectsWith = (p, code) => assert.rejects(p, (e) => e.code === code);
+
+test("private IP literals are refused", async () => {
+  await rejectsWith(fetchArticle(`${base}/page`), "URL_FORBIDDEN");
+  await rejectsWith(fetchArticle("http://[::1]/"), "URL_FORBIDDEN");
+  await rejectsWith(assertFetchableUrl("http://10.1.2.3/"), "URL_FORBIDDEN");
+  await rejectsWith(assertFetchableUrl("http://169.254.169.254/latest/meta-data"), "URL_FORBIDDEN");
+});
+
+test("IPv4 carried in IPv6 literals is checked as IPv4", async () => {
+  // URL() rewrites [::ffff:127.0.0.1] to [::ffff:7f00:1]
+  await rejectsWith(fetchArticle(`http://[::ffff:127.0.0.1]:${port}/page`), "URL_FORBIDDEN");
+  await rejectsWith(assertFetchableUrl("http://[::ffff:a9fe:a9fe]/latest/meta-data"), "URL_FORBIDDEN");
+  await rejectsWith(assertFetchableUrl("http://[::ffff:0:7f00:1]/"), "URL_FORBIDDEN"); // SIIT
+  await rejectsWith(assertFetchableUrl("http://[64:ff9b::a00:1]/"), "URL_FORBIDDEN"); // NAT64 10.0.0.1
+  await rejectsWith(assertFetchableUrl("http://[2002:c0a8:101::1]/"), "URL_FORBIDDEN"); // 6to4 192.168.1.1
+  assert.strictEqual(isPrivateAddress("::ffff:808:808"), false);
+  assert.strictEqual(isPrivateAddress("64:ff9b::808:808"), false);
+});
+
+test("multicast, unspecified and reserved ranges are refused", async () => {
+  for (const host of ["0.0.0.0", "224.0.0.1", "255.255.255.255", "[::]", "[ff02::1]", "[fe80::1]", "[fd00::1]"]) {
+    await rejectsWith(assertFetchableUrl(`http://${host}/`), "URL_FORBIDDEN");
+  }
+  assert.strictEqual(isPrivateAddress("fe80::1%eth0"), true);
+  assert.strictEqual(isPrivateAddress("not-an-ip"), true);
+  assert.strictEqual(isPrivateAddress("2606:4700::1111"), false);
+  assert.strictEqual(isPrivateAddress("1.1.1.1"), false);
+});
+
+test("hostnames resolving to a private address are refused", async () => {
+  await rejectsWith(fetchArticle(`http://localhost:${port}/page`), "URL_FORBIDDEN");
+});
+
+test("only http(s) urls are fetched", async () => {
+  await rejectsWith(fetchArticle("file:///etc/passwd"), "URL_INVALID");
+  await rejectsWith(fetchArticle("not a url"), "URL_INVALID");
+});
+
+test("an allowed host is fetched and parsed", async () => {
+  const a = await withEnv({ ARTICLE_ALLOWED_HOSTS: "127.0.0.1" }, () => fetchArticle(`${base}/to-page`));
+  assert.strictEqual(a.title, "Tower facts");
+  assert.strictEqual(a.finalUrl, `${base}/page`);
+  assert.match(a.text, /330 metres tall/);
+});
+
+test("a redirect to a private address is refused", async () => {
+  await withEnv({ ARTICLE_ALLOWED_HOSTS: "127.0.0.1" }, () => rejectsWith(fetchArticle(`${base}/to-localhost`), "URL_FORBIDDEN"));
+});
+
+test("the address is checked on connect (DNS rebinding)", async () => {
+  const { lookup } = dns;
+  const promisesLookup = dns.promises.lookup;
+  // The pre-check sees a public address, the connection would go to loopback
+  dns.promises.lookup = async () => [{ address: "93.184.216.34", family: 4 }];
+  dns.lookup = (host, opts, cb) => cb(null, [{ address: "127.0.0.1", family: 4 }]);
+  try {
+    await assertFetchableUrl(`http://rebind.test:${port}/page`);
+    await rejectsWith(fetchArticle(`http://rebind.test:${port}/page`), "URL_FORBIDDEN");
+  } finally {
+    dns.lookup = lookup;
+    dns.promises.lookup = promisesLookup;
+  }
+});
+
+test("page size is capped", async () => {
+  const r = await guardedRequest(`${base}/huge`, { allowPrivate: true, maxBytes: 4096 });
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(Buffer.byteLength(r.body), 4096);
+
+  const a = await withEnv({ ARTICLE_ALLOWED_HOSTS: "127.0.0.1" }, () => fetchArticle(`${base}/huge`));
+  assert.ok(a.text.length <= 2 * 1024 * 1024);
+});
+
+test("non-HTML content and timeouts fail cleanly", async () => {
+  await withEnv({ ARTICLE_ALLOWED_HOSTS: "127.0.0.1" }, async () => {
+    await rejectsWith(fetchArticle(`${base}/image`), "URL_UNSUPPORTED");
+    await rejectsWith(fetchArticle(`${base}/missing`), "URL_FETCH_FAILED");
+    await rejectsWith(fetchArticle(`${base}/hang`, { timeoutMs: 200 }), "URL_FETCH_FAILED");
+  });
+});
+
+test("webhooks: private callbacks refused unless allowed, body signed", async () => {
+  const refused = await postSigned(`http://localhost:${port}/hook`, { id: 1 }, { secret: "s3cret" });
+  assert.strictEqual(refused.ok, false);
+  assert.strictEqual(hooks.length, 0);
+
+  const sent = await postSigned(`${base}/hook`, { id: 2 }, { secret: "s3cret", allowPrivate: true });
+  assert.deepStrictEqual(sent, { ok: true, status: 204, error: null });
+  const [{ body, signature }] = hooks;
+  const [, t, v1] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(signature);
+  assert.strictEqual(v1, crypto.createHmac("sha256", "s3cret").update(`${t}.${body}`).digest("hex"));
+});
@@ -0,0 +1,82 @@
+// Search cache backends (lib/cache): LRU + TTL, file snapshot across restarts, counters
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSearchCache } = require("../lib/cache");
+const { createMemoryStore } = require("../lib/cache/memory");
+
+const HOUR = 60 * 60 * 1000;
+
+function clock(t, start = Date.UTC(2024, 5, 15)) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return { advance: (ms) => (now += ms) };
+}
+
+test("memory: least recently used entry goes first, expired entries are misses", async (t) => {
+  const time = clock(t);
+  const store = createMemoryStore({ maxEntries: 2, ttlMs: HOUR });
+  await store.set("a", 1);
+  await store.set("b", 2);
+  assert.strictEqual(await store.get("a"), 1); // "b" is now the oldest
+  await store.set("c", 3);
+  assert.deepStrictEqual(await store.keys(), ["a", "c"]);
+  assert.strictEqual(store.info().evictions, 1);
+
+  time.advance(HOUR / 2);
+  await store.set("c", 4); // rewritten: fresh TTL
+  time.advance(HOUR / 2 + 1);
+  assert.strictEqual(await store.get("a"), null, "TTL counts from the write, not the last read");
+  assert.strictEqual(await store.get("c"), 4);
+  assert.deepStrictEqual(store.info(), { entries: 1, maxEntries: 2, evictions: 2 });
+});
+
+test("file: entries survive a restart, expired ones are not restored", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const time = clock(t);
+  const env = { SEARCH_CACHE_BACKEND: "file", SEARCH_CACHE_FILE: path.join(dir, "cache.json"), SEARCH_CACHE_TTL_MS: String(HOUR) };
+
+  const first = createSearchCache({ env });
+  await first.set("old", { items: [1] });
+  time.advance(HOUR / 2);
+  await first.set("new", { items: [2] });
+  await first.close(); // shutdown: the debounced save happens now
+
+  time.advance(HOUR / 2 + 1);
+  const second = createSearchCache({ env });
+  assert.strictEqual(second.backend, "file");
+  assert.deepStrictEqual(await second.keys(), ["new"]);
+  assert.deepStrictEqual(await second.get("new"), { items: [2] });
+});
+
+test("hit/miss counters; a failing backend counts errors instead of throwing", async (t) => {
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+  const cache = createSearchCache({ env: { SEARCH_CACHE_BACKEND: "memory", SEARCH_CACHE_MAX_ENTRIES: "10" } });
+  cache.recordHit(false);
+  cache.recordHit(true);
+  cache.recordMiss();
+  await cache.set("q", { items: [] });
+  assert.deepStrictEqual(cache.stats(), {
+    backend: "memory",
+    hits: 1,
+    similarHits: 1,
+    misses: 1,
+    writes: 1,
+    errors: 0,
+    hitRate: 0.667,
+    entries: 1,
+    maxEntries: 10,
+    evictions: 0,
+  });
+
+  const redis = createSearchCache({ env: { SEARCH_CACHE_BACKEND: "redis", REDIS_URL: "redis://127.0.0.1:1" } });
+  assert.strictEqual(await redis.get("q"), null);
+  assert.strictEqual(redis.stats().errors, 1);
+  await redis.close();
+  assert.ok(logged.some((l) => l.startsWith("⚠️ CACHE (redis) error:")));
+});
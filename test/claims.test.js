@@ -0,0 +1,57 @@
+// Sentence splitting and claim extraction (lib/claims.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const { segmentSentences, checkWorthiness, extractClaims } = require("../lib/claims");
+
+test("abbreviations and initials do not end a sentence", () => {
+  assert.deepStrictEqual(segmentSentences("Dr. Smith met M. Macron in Paris. They talked."), ["Dr. Smith met M. Macron in Paris.", "They talked."]);
+  assert.deepStrictEqual(segmentSentences("J. Doe paid 3.5 million. Done."), ["J. Doe paid 3.5 million.", "Done."]);
+  assert.deepStrictEqual(segmentSentences("Bill No. 5 passed. See p. 12 for details."), ["Bill No. 5 passed.", "See p. 12 for details."]);
+});
+
+test("units and ordinary words ending a sentence are not abbreviations", () => {
+  assert.deepStrictEqual(segmentSentences("The tower is 500 m. Dr. Smith said it grew."), ["The tower is 500 m.", "Dr. Smith said it grew."]);
+  assert.deepStrictEqual(segmentSentences("The answer is no. It never happened."), ["The answer is no.", "It never happened."]);
+  assert.deepStrictEqual(segmentSentences("Turn to the next p. Then stop."), ["Turn to the next p.", "Then stop."]);
+});
+
+test("list markers and line breaks", () => {
+  assert.deepStrictEqual(segmentSentences("- First point here\n2) Second point here"), ["First point here", "Second point here"]);
+});
+
+test("check-worthiness favours figures and facts over opinions and questions", () => {
+  const fact = checkWorthiness("The unemployment rate reached 7.4% in France in 2023, according to INSEE.");
+  assert.ok(fact > checkWorthiness("I think this is a nice day for everyone."));
+  assert.ok(fact > checkWorthiness("Is the unemployment rate really that high in France?"));
+});
+
+test("claims are ranked, clipped and deduplicated", () => {
+  const text = [
+    "Breaking: the Eiffel Tower is 500 m tall.",
+    "Breaking: the Eiffel Tower is 500 m tall!",
+    "I love Paris.",
+    "Canada joined the Nordic Council in 1990, officials said.",
+  ].join(" ");
+  const claims = extractClaims(text, { max: 5 });
+  assert.deepStrictEqual(
+    claims.map((c) => c.text),
+    ["Breaking: the Eiffel Tower is 500 m tall", "Canada joined the Nordic Council in 1990, officials said"]
+  );
+  assert.deepStrictEqual(claims.map((c) => c.id), ["c1", "c2"]);
+  assert.ok(claims.every((c) => !("tokens" in c)));
+
+  const long = extractClaims(`The report ${"says that the figure ".repeat(20)}is 12 percent.`)[0];
+  assert.ok(long.text.length <= 180);
+});
+
+test("near-duplicate removal stays fast on long texts", () => {
+  const words = "alpha bravo charlie delta echo foxtrot golf hotel india juliet kilo lima mike november oscar papa".split(" ");
+  let seed = 1;
+  const rnd = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  let text = "";
+  while (text.length < 110000) text += `${words.slice().sort(() => rnd() - 0.5).join(" ")} ${Math.floor(rnd() * 1000)}. `;
+  const t0 = Date.now();
+  const claims = extractClaims(text, { max: 3 });
+  assert.strictEqual(claims.length, 3);
+  assert.ok(Date.now() - t0 < 3000, `took ${Date.now() - t0} ms`);
+});
@@ -0,0 +1,53 @@
+// Eval harness (scripts/eval.js) on a small dataset and the recorded search results
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "eval.js");
+const CLAIMS = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "data", "eval", "claims.json"), "utf8")).items;
+const PICK = ["en-true-01", "en-false-01", "en-mixed-01", "fr-true-01", "fr-false-01"];
+
+function runEval(t, ...args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-evaltest-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataset = path.join(dir, "claims.json");
+  fs.writeFileSync(dataset, JSON.stringify({ items: CLAIMS.filter((c) => PICK.includes(c.id)) }));
+  const out = spawnSync(process.execPath, [SCRIPT, "--dataset", dataset, "--mode", "standard", ...args], { encoding: "utf8", timeout: 120000 });
+  return { status: out.status, stdout: out.stdout };
+}
+
+test("--json: per-mode accuracy, confusion, Brier and calibration that agree with the rows", (t) => {
+  const { status, stdout } = runEval(t, "--json", "--compare", "evidence-first@1");
+  assert.strictEqual(status, 0);
+  const { runs } = JSON.parse(stdout);
+  assert.deepStrictEqual(runs.map((r) => r.scoringVersion), ["baseline@1", "evidence-first@1"]);
+
+  for (const { byMode, rows } of runs) {
+    const m = byMode.standard;
+    assert.deepStrictEqual(Object.keys(byMode), ["standard"]);
+    assert.deepStrictEqual([m.n, m.errors, rows.length], [5, 0, 5]);
+    const correct = rows.map((r) => (r.verdict === r.gold ? 1 : 0));
+    assert.strictEqual(m.accuracy, Number((correct.reduce((a, b) => a + b, 0) / 5).toFixed(3)));
+    const brier = rows.reduce((a, r, i) => a + (r.confidence - correct[i]) ** 2, 0) / 5;
+    assert.strictEqual(m.brier, Number(brier.toFixed(3)));
+    assert.deepStrictEqual(Object.keys(m.byLang), ["en", "fr"]);
+
+    // Each row lands in the confusion cell of its label and band, and in one calibration bin
+    for (const label of ["true", "mixed", "false"]) {
+      const cells = Object.values(m.confusion[label]).reduce((a, b) => a + b, 0);
+      assert.strictEqual(cells, rows.filter((r) => r.gold === label).length, label);
+    }
+    for (const r of rows) assert.ok(m.confusion[r.gold][r.band] >= 1);
+    assert.strictEqual(m.calibration.reduce((a, c) => a + c.n, 0), 5);
+    assert.ok(m.ece >= 0 && m.ece <= 1);
+  }
+});
+
+test("an unknown profile fails before running anything", (t) => {
+  const { status, stdout } = runEval(t, "--profile", "nope@1");
+  assert.strictEqual(status, 1);
+  assert.match(stdout, /^eval failed: unknown scoring profile "nope@1"/);
+});
@@ -0,0 +1,88 @@
+// Image forensics (lib/forensics) on generated images: metadata, JPEG tables, ghosts, screenshots
+const test = require("node:test");
+const assert = require("node:assert");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const { analyzeImage } = require("../lib/forensics");
+
+// Camera-like texture, deterministic
+function photo(width, height) {
+  let seed = 7;
+  const rand = () => (seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0) / 2 ** 32;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const base = 100 + 60 * Math.sin(x / 9) * Math.cos(y / 13);
+      data[i] = base + rand() * 30;
+      data[i + 1] = base * 0.8 + rand() * 30;
+      data[i + 2] = base * 0.6 + rand() * 30;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// XMP APP1 segment right after SOI
+function withXmp(jpegBuffer, xml) {
+  const payload = Buffer.concat([Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1"), Buffer.from(xml)]);
+  const header = Buffer.from([0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+  return Buffer.concat([jpegBuffer.subarray(0, 2), header, payload, jpegBuffer.subarray(2)]);
+}
+
+const ids = (r) => r.manipulation.rationale.map((x) => x.id);
+
+test("JPEG: quality from the quantization tables, stripped metadata", () => {
+  const r = analyzeImage(jpeg.encode(photo(96, 96), 75).data, "image/jpeg");
+  assert.deepStrictEqual([r.width, r.height], [96, 96]);
+  assert.deepStrictEqual([r.jpeg.quality, r.jpeg.standardTables, r.jpeg.doubleCompression.suspected], [75, true, false]);
+  assert.strictEqual(r.compressionArtifacts, "medium");
+  assert.deepStrictEqual(r.metadataFlags, ["metadata_stripped"]);
+  assert.strictEqual(r.manipulation.level, "low");
+  assert.ok(r.screenshot.likelihood < 0.3);
+});
+
+test("editing software in XMP raises the manipulation probability", () => {
+  const plain = jpeg.encode(photo(96, 96), 75).data;
+  const xml =
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:CreatorTool="Adobe Photoshop 25.0 (Windows)"/></rdf:RDF></x:xmpmeta>';
+  const edited = analyzeImage(withXmp(plain, xml), "image/jpeg");
+  assert.strictEqual(edited.xmp.creatorTool, "Adobe Photoshop 25.0 (Windows)");
+  assert.deepStrictEqual(edited.metadataFlags, ["xmp", "software:Adobe Photoshop 25.0 (Windows)", "editing_software"]);
+  assert.deepStrictEqual(edited.manipulation.rationale[0], { id: "editingSoftware", effect: 1.6, vars: { software: "Adobe Photoshop 25.0 (Windows)" } });
+  assert.ok(edited.manipulation.probability > analyzeImage(plain, "image/jpeg").manipulation.probability);
+});
+
+test("a JPEG saved twice shows a compression ghost", () => {
+  const first = jpeg.encode(photo(96, 96), 50).data;
+  const again = jpeg.encode(jpeg.decode(first, { formatAsRGBA: true, useTArray: true }), 90).data;
+  const r = analyzeImage(again, "image/jpeg");
+  assert.strictEqual(r.jpeg.quality, 90);
+  assert.strictEqual(r.jpeg.doubleCompression.suspected, true);
+  assert.ok(r.metadataFlags.includes("double_compression"));
+  assert.ok(ids(r).includes("doubleCompression"));
+});
+
+test("a phone-sized flat PNG with status bars reads as a screenshot", () => {
+  const [width, height] = [720, 1280];
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bar = y < 60 || y > height - 100;
+      const ink = !bar && y % 40 < 14 && x > 40 && x < 600 && x % 9 < 6; // lines of "text"
+      png.data.fill(bar ? 20 : ink ? 30 : 245, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      png.data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  const r = analyzeImage(PNG.sync.write(png), "image/png");
+  assert.strictEqual(r.compressionArtifacts, "none");
+  assert.ok(r.screenshot.likelihood >= 0.8, String(r.screenshot.likelihood));
+  assert.deepStrictEqual(r.screenshot.reasons, ["device_resolution", "lossless_png", "flat_rendered_ui", "status_bar"]);
+  assert.ok(ids(r).includes("screenshotLimits"));
+});
+
+test("undecodable data: header-only analysis, never a throw", () => {
+  const r = analyzeImage(Buffer.from("not really a jpeg"), "image/jpeg");
+  assert.strictEqual(r.ela, null);
+  assert.ok(ids(r).includes("noPixelAnalysis"));
+});
@@ -0,0 +1,57 @@
+// Message catalogs (lib/i18n): same keys and placeholders everywhere, keys used in code exist
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { CATALOGS, LOCALES, DEFAULT_LOCALE, catalogProblems, t, resolveLocale } = require("../lib/i18n");
+
+const ROOT = path.join(__dirname, "..");
+
+test("every locale has every key of the default locale, same placeholders", () => {
+  assert.ok(LOCALES.length >= 6);
+  for (const [loc, p] of Object.entries(catalogProblems())) {
+    assert.deepStrictEqual({ loc, missing: p.missing, extra: p.extra, badVars: p.badVars }, { loc, missing: [], extra: [], badVars: [] });
+  }
+});
+
+test("the check reports missing keys, unknown keys and placeholder changes", () => {
+  const problems = catalogProblems({
+    [DEFAULT_LOCALE]: { "a.one": "One {n}", "a.two": "Two" },
+    xx: { "a.one": "Un {count}", "a.three": "Trois" },
+  });
+  assert.deepStrictEqual(problems.xx.missing, ["a.two"]);
+  assert.deepStrictEqual(problems.xx.extra, ["a.three"]);
+  assert.deepStrictEqual(problems.xx.badVars, [{ key: "a.one", expected: "n" }]);
+});
+
+test("catalog keys written in the code exist", () => {
+  const en = CATALOGS[DEFAULT_LOCALE];
+  const prefixes = [...new Set(Object.keys(en).map((k) => k.split(".")[0]))];
+  const re = new RegExp(`["'\`]((?:${prefixes.join("|")})\\.[A-Za-z0-9_.]+)["'\`]`, "g");
+
+  const files = ["index.js"];
+  const walk = (dir) => {
+    for (const e of fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })) {
+      const rel = path.join(dir, e.name);
+      if (e.isDirectory()) walk(rel);
+      else if (e.name.endsWith(".js")) files.push(rel);
+    }
+  };
+  walk("lib");
+
+  const unknown = [];
+  for (const f of files) {
+    for (const m of fs.readFileSync(path.join(ROOT, f), "utf8").matchAll(re)) {
+      if (!/\.(json|js)$/.test(m[1]) && !(m[1] in en)) unknown.push(`${f}: ${m[1]}`);
+    }
+  }
+  assert.deepStrictEqual(unknown, []);
+});
+
+test("locale fallback and placeholders", () => {
+  assert.strictEqual(resolveLocale("pt-BR"), "pt");
+  assert.strictEqual(resolveLocale("ja"), "en");
+  assert.strictEqual(t("fr-CA", "label.credible"), CATALOGS.fr["label.credible"]);
+  assert.strictEqual(t("en", "no.such.key"), "no.such.key");
+  assert.strictEqual(t("en", "evidence.staleSources", { n: 3 }).includes("3"), true);
+});
@@ -0,0 +1,162 @@
+// Async jobs (lib/jobs.js) and signed webhooks (lib/webhooks.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createJobQueue, publicJob } = require("../lib/jobs");
+const { signPayload, postSigned } = require("../lib/webhooks");
+
+const TENANT = { tenantId: "acme", plan: "pro", keyId: "k1" };
+const REQUEST = { content: "Paris is the capital of France", analysisType: "standard" };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function until(check, what, timeoutMs = 3000) {
+  const end = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > end) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// Webhook receiver: answers with the next status of `statuses` (then 200), keeps what it got
+async function receiver(t, statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => (body += d));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => server.close());
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+test("signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of `t.body`>", () => {
+  const body = JSON.stringify({ event: "job.succeeded" });
+  const expected = crypto.createHmac("sha256", "s3cret").update(`1700000000.${body}`).digest("hex");
+  assert.strictEqual(signPayload("s3cret", body, 1700000000), `t=1700000000,v1=${expected}`);
+  assert.match(signPayload("s3cret", body), /^t=\d{10},v1=[a-f0-9]{64}$/);
+  assert.notStrictEqual(signPayload("other", body, 1700000000), signPayload("s3cret", body, 1700000000));
+});
+
+test("postSigned refuses private addresses unless allowed, never throws", async (t) => {
+  const hook = await receiver(t);
+  const refused = await postSigned(hook.url, { a: 1 }, { secret: "s" });
+  assert.strictEqual(refused.ok, false);
+  assert.match(refused.error, /private address/);
+  assert.strictEqual(hook.received.length, 0);
+
+  assert.deepStrictEqual(await postSigned(hook.url, { a: 1 }, { secret: "s", allowPrivate: true }), { ok: true, status: 200, error: null });
+  assert.strictEqual(hook.received[0].body, '{"a":1}');
+});
+
+test("job states: queued, running, then succeeded or failed", async (t) => {
+  const finished = [];
+  let release;
+  const queue = createJobQueue({
+    env: { JOBS_DIR: tempDir(t), JOBS_CONCURRENCY: "1" },
+    run: async (job) => {
+      if (job.request.content === "fail") throw Object.assign(new Error("bad input"), { code: "VALIDATION_FAILED" });
+      await new Promise((resolve) => (release = resolve));
+      return { analysisType: "standard", result: { score: 71 }, usage: { searchQueries: 1 } };
+    },
+    onFinished: (job, { usage }) => finished.push([job.id, job.status, usage]),
+  });
+
+  const ok = queue.submit({ tenant: TENANT, request: REQUEST });
+  const bad = queue.submit({ tenant: TENANT, request: { ...REQUEST, content: "fail" } });
+  assert.deepStrictEqual([ok.status, bad.status], ["queued", "queued"]);
+
+  await until(() => release, "the first run");
+  assert.strictEqual(queue.get(ok.id).status, "running");
+  assert.ok(queue.get(ok.id).startedAt);
+  assert.strictEqual(queue.get(bad.id).status, "queued", "one at a time");
+
+  release();
+  await until(() => finished.length === 2, "both jobs");
+  assert.deepStrictEqual(finished, [
+    [ok.id, "succeeded", { searchQueries: 1 }],
+    [bad.id, "failed", null],
+  ]);
+  const pub = publicJob(queue.get(ok.id));
+  assert.deepStrictEqual([pub.jobId, pub.status, pub.result, pub.error, pub.callback], [ok.id, "succeeded", { score: 71 }, null, null]);
+  assert.strictEqual(pub.request, undefined, "no input text");
+  assert.deepStrictEqual(queue.get(bad.id).error, { code: "VALIDATION_FAILED", message: "bad input", httpStatus: 400 });
+
+  assert.strictEqual(queue.get("job_0000000000000000"), null);
+  assert.strictEqual(queue.get("../keys"), null);
+});
+
+test("jobs survive a restart: interrupted runs start over, finished ones are kept", async (t) => {
+  const JOBS_DIR = tempDir(t);
+  const first = createJobQueue({ env: { JOBS_DIR, JOBS_CONCURRENCY: "1" }, run: () => new Promise(() => {}) }); // stuck: "crash" mid-run
+  const running = first.submit({ tenant: TENANT, request: REQUEST });
+  const queued = first.submit({ tenant: TENANT, request: { ...REQUEST, content: "second" } });
+  await until(() => first.get(running.id).status === "running", "the first run");
+
+  const ran = [];
+  const second = createJobQueue({
+    env: { JOBS_DIR, JOBS_CONCURRENCY: "1" },
+    run: async (job) => {
+      ran.push(job.id);
+      return { analysisType: "standard", result: { content: job.request.content } };
+    },
+  });
+  await until(() => ran.length === 2, "the resumed jobs");
+  assert.deepStrictEqual(ran.sort(), [running.id, queued.id].sort());
+  await until(() => second.get(queued.id).status === "succeeded", "the second job");
+
+  const third = createJobQueue({ env: { JOBS_DIR }, run: () => assert.fail("finished jobs are not re-run") });
+  assert.deepStrictEqual(third.get(queued.id).result, { content: "second" });
+  assert.strictEqual(third.stats().pending, 0);
+});
+
+test("callbacks are signed and retried with backoff until delivered", async (t) => {
+  const hook = await receiver(t, [500, 503]);
+  const queue = createJobQueue({
+    env: { JOBS_DIR: tempDir(t), WEBHOOK_SECRET: "s3cret", WEBHOOK_ALLOW_PRIVATE_HOSTS: "true", JOBS_CALLBACK_BACKOFF_MS: "10" },
+    run: async () => ({ analysisType: "standard", result: { score: 71 } }),
+  });
+  t.mock.method(console, "log", () => {});
+  const job = queue.submit({ tenant: TENANT, request: REQUEST, callbackUrl: hook.url });
+
+  await until(() => queue.get(job.id).callback.status !== "pending", "the delivery");
+  const cb = queue.get(job.id).callback;
+  assert.deepStrictEqual([cb.status, cb.attempts, cb.lastError], ["delivered", 3, null]);
+  assert.deepStrictEqual(hook.received.map((r) => r.headers["x-ia11-delivery-attempt"]), ["1", "2", "3"]);
+
+  const { headers, body } = hook.received[2];
+  assert.strictEqual(headers["x-ia11-job-id"], job.id);
+  const [, ts, v1] = /^t=(\d+),v1=([a-f0-9]{64})$/.exec(headers["x-ia11-signature"]);
+  assert.strictEqual(v1, crypto.createHmac("sha256", "s3cret").update(`${ts}.${body}`).digest("hex"));
+  const payload = JSON.parse(body);
+  assert.deepStrictEqual([payload.event, payload.jobId, payload.result, payload.callback], ["job.succeeded", job.id, { score: 71 }, undefined]);
+});
+
+test("a callback that keeps failing stops after JOBS_CALLBACK_MAX_ATTEMPTS", async (t) => {
+  const hook = await receiver(t, [500, 500, 500]);
+  const queue = createJobQueue({
+    env: { JOBS_DIR: tempDir(t), WEBHOOK_SECRET: "s", WEBHOOK_ALLOW_PRIVATE_HOSTS: "true", JOBS_CALLBACK_BACKOFF_MS: "10", JOBS_CALLBACK_MAX_ATTEMPTS: "2" },
+    run: async () => ({ analysisType: "standard", result: {} }),
+  });
+  t.mock.method(console, "log", () => {});
+  const job = queue.submit({ tenant: TENANT, request: REQUEST, callbackUrl: hook.url });
+
+  await until(() => queue.get(job.id).callback.status !== "pending", "the last attempt");
+  const cb = queue.get(job.id).callback;
+  assert.deepStrictEqual([cb.status, cb.attempts, cb.lastError, cb.nextAttemptAt], ["failed", 2, "HTTP 500", null]);
+  assert.strictEqual(hook.received.length, 2);
+});
@@ -0,0 +1,34 @@
+// Offline language identification (lib/langDetect): character n-gram profiles
+const test = require("node:test");
+const assert = require("node:assert");
+const { detectLanguage, LANGUAGES } = require("../lib/langDetect");
+
+const SAMPLES = {
+  en: "The government announced yesterday a new pension reform that will be presented to parliament.",
+  fr: "Le gouvernement a annoncé hier une nouvelle réforme des retraites qui sera présentée au parlement.",
+  es: "El gobierno anunció ayer una nueva reforma de las pensiones que será presentada al parlamento.",
+  de: "Die Regierung hat gestern eine neue Rentenreform angekündigt, die dem Parlament vorgelegt wird.",
+  pt: "O governo anunciou ontem uma nova reforma da previdência que será apresentada ao parlamento.",
+  it: "Il governo ha annunciato ieri una nuova riforma delle pensioni che sarà presentata al parlamento.",
+};
+
+test("one sentence is enough for each supported language", () => {
+  assert.deepStrictEqual(LANGUAGES, ["de", "en", "es", "fr", "it", "pt"]);
+  for (const [lang, text] of Object.entries(SAMPLES)) {
+    const d = detectLanguage(text);
+    assert.strictEqual(d.lang, lang, text);
+    assert.ok(d.confidence >= 0.9, `${lang}: ${d.confidence}`);
+    assert.ok(Math.abs(Object.values(d.scores).reduce((a, b) => a + b, 0) - 1) < 0.01);
+  }
+});
+
+test("too little text, links, handles and hashtags give no guess", () => {
+  assert.deepStrictEqual(detectLanguage("ok lol"), { lang: null, confidence: 0, scores: {} });
+  assert.strictEqual(detectLanguage("https://www.example.com/le-gouvernement-a-annonce @utilisateur #reforme").lang, null);
+  assert.strictEqual(detectLanguage(null).lang, null);
+});
+
+test("short texts get a softer confidence than long ones", () => {
+  const short = detectLanguage("La tour Eiffel");
+  assert.ok(short.confidence < detectLanguage(SAMPLES.fr).confidence);
+});
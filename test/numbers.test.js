@@ -0,0 +1,46 @@
+// Figure extraction and snippet comparison (lib/numbers.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkNumbers, extractQuantities } = require("../lib/numbers");
+
+const quantities = (text) => extractQuantities(text).map((q) => [q.kind, q.value]);
+const check = (claim, snippet) => {
+  const r = checkNumbers(claim, [{ title: "Source", snippet }]);
+  return r && [r.classification, r.verdicts[0]?.reason || null];
+};
+
+test("thousands grouping: dotted, spaced and comma", () => {
+  assert.deepStrictEqual(quantities("La France compte 68.000.000 habitants"), [["number", 68000000]]);
+  assert.deepStrictEqual(quantities("1.234.567,5 euros"), [["money:eur", 1234567.5]]);
+  assert.deepStrictEqual(quantities("1 083 km"), [["length", 1083000]]);
+  assert.deepStrictEqual(quantities("The tower is 330 m tall"), [["length", 330]]);
+});
+
+test("years and dates", () => {
+  assert.deepStrictEqual(quantities("unemployment hit 12% in 2020"), [["percent", 12], ["year", 2020]]);
+  assert.deepStrictEqual(quantities("le 31 mars 1889"), [["date", "1889-03-31"]]);
+});
+
+test("same figure in another notation corroborates", () => {
+  assert.deepStrictEqual(check("La France compte 68 millions habitants", "La France compte 68.000.000 habitants selon l'Insee."), ["corroboration", null]);
+  assert.deepStrictEqual(check("The Eiffel tower is 330 m tall", "The Eiffel tower is 330 metres tall."), ["corroboration", null]);
+});
+
+test("different figures conflict, other periods and questions do not count", () => {
+  assert.deepStrictEqual(check("The Eiffel tower is 500 m tall", "The Eiffel tower is 330 metres tall."), ["contradiction", null]);
+  assert.deepStrictEqual(check("Unemployment in Canada is 12% in 2020", "Unemployment in Canada was 5.7% in 2020."), ["contradiction", null]);
+  assert.deepStrictEqual(check("Unemployment in Canada is 12% in 2020", "Unemployment in Canada was 12% in 2019."), ["neutral", null]);
+  assert.deepStrictEqual(check("The Eiffel tower is 330 m tall", "Is the Eiffel tower 500 m tall?"), ["neutral", null]);
+});
+
+test("negated or debunked figures contradict", () => {
+  assert.deepStrictEqual(check("Unemployment in Canada is 12% in 2020", "Unemployment in Canada was not 12% in 2020."), ["contradiction", "negated_figure"]);
+  assert.deepStrictEqual(
+    check("Unemployment in Canada is 12% in 2020", "The claim that unemployment in Canada is 12% in 2020 is a myth."),
+    ["contradiction", "debunk_vocabulary"]
+  );
+});
+
+test("claims without figures are not checked", () => {
+  assert.strictEqual(check("Paris is beautiful", "Paris is 2000 years old"), null);
+});
@@ -0,0 +1,84 @@
+// Image decoding, OCR text cleanup and the OCR worker lifecycle (lib/ocr.js) on a fake tesseract.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// tesseract.js double: each worker answers with `nextJob()`
+const workers = [];
+let nextJob = () => Promise.resolve({ data: { text: "", confidence: 0 } });
+let failCreate = false;
+require.cache[require.resolve("tesseract.js")] = {
+  exports: {
+    OEM: { LSTM_ONLY: 1 },
+    createWorker: async () => {
+      if (failCreate) throw new Error("wasm failed to load");
+      const w = { terminated: false, recognize: () => nextJob(), terminate: async () => (w.terminated = true) };
+      workers.push(w);
+      return w;
+    },
+  },
+};
+const { createOcrEngine, decodeImageData, cleanOcrText } = require("../lib/ocr");
+
+const PNG_1PX = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+function engine(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-ocr-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // Language files already in place: nothing is copied from @tesseract.js-data
+  for (const code of ["eng", "fra"]) fs.writeFileSync(path.join(dir, `${code}.traineddata.gz`), "");
+  return createOcrEngine({ env: { OCR_LANG_DIR: dir, OCR_TIMEOUT_MS: "50", ...env } });
+}
+
+test("image data: data URLs, base64, size and format checks", () => {
+  const { buffer, mime } = decodeImageData(`data:image/png;base64,${PNG_1PX}`);
+  assert.strictEqual(mime, "image/png");
+  assert.strictEqual(buffer.length, 70);
+  assert.strictEqual(decodeImageData(PNG_1PX).mime, "image/png");
+
+  assert.throws(() => decodeImageData(""), (e) => e.code === "IMAGE_INVALID");
+  assert.throws(() => decodeImageData("data:image/png,abc"), (e) => e.code === "IMAGE_INVALID");
+  assert.throws(() => decodeImageData("not base64!"), (e) => e.code === "IMAGE_INVALID");
+  assert.throws(() => decodeImageData(PNG_1PX, { maxBytes: 10 }), (e) => e.code === "IMAGE_TOO_LARGE" && e.httpStatus === 413);
+  assert.throws(() => decodeImageData(Buffer.from("hello world, plain text").toString("base64")), (e) => e.code === "IMAGE_UNSUPPORTED");
+});
+
+test("OCR text cleanup", () => {
+  assert.strictEqual(cleanOcrText("The Eiffel Tower is 330 me-\ntres tall\nin Paris.\n|||~~\nIt opened in 1889."), "The Eiffel Tower is 330 metres tall in Paris.\nIt opened in 1889.");
+  assert.strictEqual(cleanOcrText("  \n_|_\n"), "");
+});
+
+test("recognize returns cleaned text and a 0..1 confidence", async (t) => {
+  nextJob = () => Promise.resolve({ data: { text: "Canada has 40 million\ninhabitants.\n", confidence: 87 } });
+  const r = await engine(t).recognize(Buffer.from("img"));
+  assert.deepStrictEqual(r, { rawText: "Canada has 40 million\ninhabitants.", cleanedText: "Canada has 40 million inhabitants.", confidence: 0.87, langs: ["eng", "fra"] });
+});
+
+test("a timeout fails its own call and recycles the worker", async (t) => {
+  const ocr = engine(t);
+  nextJob = () => new Promise(() => {}); // stuck
+  await assert.rejects(ocr.recognize(Buffer.from("img")), (e) => e.code === "OCR_TIMEOUT" && e.httpStatus === 504);
+  const stuck = workers[workers.length - 1];
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(stuck.terminated, true);
+
+  nextJob = () => Promise.resolve({ data: { text: "Paris is the capital of France.", confidence: 90 } });
+  assert.strictEqual((await ocr.recognize(Buffer.from("img"))).cleanedText, "Paris is the capital of France.");
+  assert.notStrictEqual(workers[workers.length - 1], stuck, "a fresh worker");
+});
+
+test("a worker that cannot start is retried on the next call; disabled OCR refuses", async (t) => {
+  const ocr = engine(t);
+  failCreate = true;
+  await assert.rejects(ocr.recognize(Buffer.from("img")), /wasm failed to load/);
+  failCreate = false;
+  nextJob = () => Promise.resolve({ data: { text: "ok text here", confidence: 50 } });
+  assert.strictEqual((await ocr.recognize(Buffer.from("img"))).confidence, 0.5);
+  await ocr.close();
+
+  const off = engine(t, { OCR_ENABLED: "false" });
+  assert.strictEqual(off.enabled(), false);
+  await assert.rejects(off.recognize(Buffer.from("img")), (e) => e.code === "OCR_DISABLED");
+});
@@ -0,0 +1,87 @@
+// PRO query planner (lib/queries.js, data/query-plan.json)
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createQueryPlanner } = require("../lib/queries");
+
+const planner = createQueryPlanner();
+const kinds = (p) => p.queries.map((q) => q.kind);
+
+test("templates in the claim's language, key terms as written", () => {
+  const fr = planner.plan("Sydney est la capitale de l’Australie", { language: "fr-CA" });
+  assert.strictEqual(fr.language, "fr");
+  assert.deepStrictEqual(fr.terms, ["Sydney", "capitale", "Australie"]);
+  assert.deepStrictEqual(fr.entities, ["Sydney", "Australie"]);
+  assert.deepStrictEqual(kinds(fr), ["claim", "fact_check", "fact_check_site", "official"]);
+  assert.strictEqual(fr.queries[1].query, "Sydney capitale Australie vérification des faits");
+  assert.match(fr.queries[2].query, /^Sydney capitale Australie \(site:factuel\.afp\.com OR site:[^ ]+ OR site:[^ ]+ OR site:[^ ]+\)$/);
+
+  assert.strictEqual(planner.plan("Sydney is the capital of Australia", { language: "nl" }).language, "en", "unknown language: English");
+});
+
+test("figures keep their units; numeric templates only for claims with figures", () => {
+  const pct = planner.plan("Unemployment rose to 12 % in 2023", { language: "en" });
+  assert.deepStrictEqual(pct.terms, ["Unemployment", "rose", "12 %", "2023"]);
+  assert.strictEqual(pct.numeric, true);
+  assert.deepStrictEqual(kinds(pct), ["claim", "statistics_site", "fact_check", "fact_check_site"]);
+  assert.strictEqual(pct.queries[2].query, "Unemployment rose 12 % 2023 fact check");
+
+  assert.deepStrictEqual(planner.plan("The Amazon river is 6400 km long", { language: "en" }).terms, ["Amazon", "river", "6400 km", "long"]);
+  assert.deepStrictEqual(planner.plan("Le chômage est de 7,5 % en France", { language: "fr" }).terms, ["chômage", "7,5 %", "France"]);
+
+  const year = planner.plan("The Berlin Wall fell in 1989", { language: "en" });
+  assert.strictEqual(year.numeric, false, "a year is not a statistic");
+  assert.ok(!kinds(year).includes("statistics_site"));
+});
+
+test("claims with $ patterns are inserted as text", () => {
+  const p = planner.plan("Lunch costs $& and $' and $` in $1 town", { language: "en" });
+  assert.strictEqual(p.queries[0].query, "Lunch costs $& and $' and $` in $1 town");
+  assert.ok(p.queries.every((q) => !q.query.includes("{claim}") && !q.query.includes("{terms}")));
+});
+
+test("max and near-duplicate queries", (t) => {
+  assert.deepStrictEqual(kinds(planner.plan("Sydney is the capital of Australia", { language: "en", max: 2 })), ["claim", "fact_check"]);
+
+  // "{claim} facts" searches the claim again
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-plan-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const QUERY_PLAN_FILE = path.join(dir, "plan.json");
+  fs.writeFileSync(
+    QUERY_PLAN_FILE,
+    JSON.stringify({
+      languages: {
+        en: {
+          templates: [
+            { kind: "claim", query: "{claim}" },
+            { kind: "facts", query: "{claim} facts" },
+            { kind: "fact_check", query: "{terms} fact check hoax debunked" },
+          ],
+        },
+      },
+    })
+  );
+  t.mock.method(console, "log", () => {});
+  const p = createQueryPlanner({ env: { QUERY_PLAN_FILE } }).plan("Sydney is the capital of Australia", { language: "en" });
+  assert.deepStrictEqual(kinds(p), ["claim", "fact_check"]);
+  assert.deepStrictEqual(p.dropped, [{ kind: "facts", query: "Sydney is the capital of Australia facts", similarTo: "claim" }]);
+});
+
+test("an invalid plan file falls back on the claim and an English fact check", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-plan-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const QUERY_PLAN_FILE = path.join(dir, "plan.json");
+  fs.writeFileSync(QUERY_PLAN_FILE, JSON.stringify({ languages: { fr: { templates: [{ kind: "x", query: "no placeholder" }] } } }));
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+
+  const p = createQueryPlanner({ env: { QUERY_PLAN_FILE } }).plan("Sydney est la capitale de l’Australie", { language: "fr" });
+  assert.deepStrictEqual(p.queries, [
+    { kind: "claim", query: "Sydney est la capitale de l’Australie" },
+    { kind: "fact_check", query: "Sydney capitale Australie fact check" },
+  ]);
+  assert.match(logged.join("\n"), /languages\.fr\.templates\[0\]\.query must use \{claim\} or \{terms\}/);
+  assert.match(logged.join("\n"), /languages\.en is required/);
+});
@@ -0,0 +1,105 @@
+// Quota stores (lib/rateLimit.js): per-minute token bucket, per-day fixed counter
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRedisClient } = require("../lib/redis");
+const {
+  createMemoryBucketStore,
+  createMemoryCounterStore,
+  createRedisBucketStore,
+  createRedisCounterStore,
+} = require("../lib/rateLimit");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const KEY = "standard|key:abc";
+
+// Date.now() under the test's control
+function clock(t, start = Date.UTC(2024, 5, 15, 8)) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return { advance: (ms) => (now += ms) };
+}
+
+test("memory bucket: takes, refills continuously, all or nothing", async (t) => {
+  const time = clock(t);
+  const store = createMemoryBucketStore({ prefix: "minute:", windowMs: MINUTE, capacityFor: () => 3 });
+
+  for (let i = 0; i < 3; i++) assert.strictEqual((await store.increment(KEY)).allowed, true);
+  const blocked = await store.increment(KEY);
+  assert.deepStrictEqual([blocked.allowed, blocked.totalHits], [false, 4]);
+  assert.strictEqual(blocked.resetTime.getTime() - Date.now(), 20 * 1000, "next token in 60s / 3");
+
+  time.advance(40 * 1000); // 2 tokens back
+  assert.strictEqual((await store.take(KEY, 3)).allowed, false, "not enough for 3: nothing taken");
+  assert.strictEqual((await store.take(KEY, 2)).allowed, true);
+  await store.decrement(KEY, 2);
+  assert.strictEqual((await store.take(KEY, 2)).allowed, true, "refunded");
+});
+
+test("memory counter: the daily quota holds over any day, resets at UTC midnight", async (t) => {
+  const time = clock(t); // 08:00 UTC
+  const store = createMemoryCounterStore({ prefix: "day:", windowMs: DAY, capacityFor: () => 3 });
+
+  assert.strictEqual((await store.take(KEY, 2)).allowed, true);
+  assert.strictEqual((await store.take(KEY, 2)).allowed, false, "all or nothing");
+  const last = await store.increment(KEY);
+  assert.deepStrictEqual([last.allowed, last.totalHits, last.tokens], [true, 3, 0]);
+  assert.strictEqual(last.resetTime.toISOString(), "2024-06-16T00:00:00.000Z");
+
+  time.advance(15 * 60 * MINUTE); // 23:00: a refilling bucket would have 2+ tokens back
+  assert.strictEqual((await store.increment(KEY)).allowed, false);
+  await store.decrement(KEY);
+  assert.strictEqual((await store.increment(KEY)).allowed, true, "refunded");
+
+  time.advance(61 * MINUTE); // next UTC day
+  const fresh = await store.increment(KEY);
+  assert.deepStrictEqual([fresh.allowed, fresh.tokens], [true, 2]);
+});
+
+// Records the commands; replies come from `reply(args)`
+function fakeRedis(reply) {
+  const sent = [];
+  return {
+    sent,
+    command: async (...args) => {
+      sent.push(args);
+      return reply(args);
+    },
+  };
+}
+
+test("redis stores: keys, arguments and replies", async (t) => {
+  clock(t);
+  const bucketClient = fakeRedis(() => [1, "2.5"]);
+  const bucket = createRedisBucketStore({ prefix: "minute:", windowMs: MINUTE, capacityFor: () => 10, client: bucketClient });
+  const r = await bucket.take(KEY, 3);
+  assert.deepStrictEqual([r.allowed, r.tokens, r.totalHits], [true, 2.5, 8]);
+  const [cmd, , numKeys, key, capacity, rate, now, cost] = bucketClient.sent[0];
+  assert.deepStrictEqual([cmd, numKeys, key, capacity, rate, now, cost], ["EVAL", 1, `ia11:quota:minute:${KEY}`, 10, 10 / MINUTE, Date.now(), 3]);
+
+  const counterClient = fakeRedis(() => [0, 500]);
+  const counter = createRedisCounterStore({ prefix: "day:", windowMs: DAY, capacityFor: () => 500, client: counterClient });
+  const c = await counter.increment(KEY);
+  assert.deepStrictEqual([c.allowed, c.totalHits, c.resetTime.toISOString()], [false, 501, "2024-06-16T00:00:00.000Z"]);
+  const resetAt = Date.UTC(2024, 5, 16);
+  assert.deepStrictEqual(counterClient.sent[0].slice(2), [1, `ia11:quota:day:${KEY}:${resetAt}`, 500, 1, resetAt - Date.now() + 1000]);
+});
+
+// Against a real server: REDIS_TEST_URL=redis://127.0.0.1:6379 npm test
+test("redis stores against a server", { skip: !process.env.REDIS_TEST_URL && "REDIS_TEST_URL not set" }, async (t) => {
+  const client = createRedisClient(process.env.REDIS_TEST_URL);
+  t.after(() => client.close());
+  const key = `test|${Date.now()}`;
+
+  const bucket = createRedisBucketStore({ prefix: "minute:", windowMs: MINUTE, capacityFor: () => 3, client });
+  assert.strictEqual((await bucket.take(key, 3)).allowed, true);
+  assert.strictEqual((await bucket.take(key, 1)).allowed, false);
+  await bucket.resetKey(key);
+
+  const counter = createRedisCounterStore({ prefix: "day:", windowMs: DAY, capacityFor: () => 3, client });
+  assert.strictEqual((await counter.take(key, 2)).allowed, true);
+  assert.strictEqual((await counter.take(key, 2)).allowed, false);
+  await counter.decrement(key, 2);
+  assert.strictEqual((await counter.take(key, 3)).allowed, true);
+  await counter.resetKey(key);
+});
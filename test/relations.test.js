@@ -0,0 +1,74 @@
+// Subject / predicate / object extraction and snippet check (lib/relations.js, data/relations.json)
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createRelationChecker } = require("../lib/relations");
+
+const R = createRelationChecker();
+const triple = (claim, language) => {
+  const r = R.extract(claim, { language });
+  return r && [r.subject, r.predicate, r.object];
+};
+
+test("English sentences with the article 'a' are not read as French 'a' (has)", () => {
+  assert.strictEqual(triple("Scientists found a cure for cancer", "en"), null);
+  assert.strictEqual(triple("Scientists found a cure for cancer"), null);
+  assert.strictEqual(triple("She wrote a book about the war", "en"), null);
+  assert.strictEqual(triple("A man bought a house in Paris", "en"), null);
+  assert.deepStrictEqual(triple("The tower has a height of 330 m", "en"), ["tower", "has", "height of 330 m"]);
+  assert.deepStrictEqual(triple("Canada is a nordic country", "en"), ["canada", "is_a", "nordic country"]);
+});
+
+test("French 'a' is the verb for French claims", () => {
+  assert.deepStrictEqual(triple("La France a une population de 68 millions", "fr"), ["france", "has", "population de 68 millions"]);
+  assert.deepStrictEqual(triple("Le Canada a des pays voisins", "fr-CA"), ["canada", "has", "pays voisins"]);
+  assert.strictEqual(triple("La France a une population de 68 millions", "en"), null);
+});
+
+test("typed objects, negation and elision", () => {
+  const r = R.extract("Canada isn't a nordic country", { language: "en" });
+  assert.strictEqual(r.predicate, "is_a");
+  assert.strictEqual(r.negated, true);
+  assert.deepStrictEqual(r.facets, { place_type: "country", region: "nordic" });
+  assert.deepStrictEqual(triple("L'Australie est un continent", "fr"), ["australie", "is_a", "continent"]);
+});
+
+test("another value of an exclusive category contradicts, the same value corroborates", () => {
+  const denied = R.check("Canada is a nordic country", [{ title: "Canada", snippet: "Canada is a North American country." }], { language: "en" });
+  assert.strictEqual(denied.classification, "contradiction");
+  assert.strictEqual(denied.evidence[0].reason, "exclusive_value");
+
+  const affirmed = R.check("Norway is a nordic country", [{ title: "Norway", snippet: "Norway is a Nordic country in Europe." }], { language: "en" });
+  assert.strictEqual(affirmed.classification, "corroboration");
+
+  // "nordic" and "europe" are compatible values of the region category
+  const compatible = R.check("Norway is a nordic country", [{ title: "", snippet: "Norway is a European country." }], { language: "en" });
+  assert.strictEqual(compatible.contradict, 0);
+});
+
+test("questions, bare titles and a negated claim", () => {
+  const items = [{ title: "Is the Earth flat?", snippet: "Flat Earth" }];
+  assert.strictEqual(R.check("The Earth is flat", items, { language: "en" }).classification, "neutral");
+
+  const debunk = [{ title: "", snippet: "The Earth is not flat. It is an oblate spheroid." }];
+  assert.strictEqual(R.check("The Earth is flat", debunk, { language: "en" }).classification, "contradiction");
+  assert.strictEqual(R.check("The Earth is not flat", debunk, { language: "en" }).classification, "corroboration");
+});
+
+test("English claims with 'a' get no relation verdict", () => {
+  const items = [{ title: "", snippet: "Researchers have not found a cure for cancer yet." }];
+  const r = R.check("Scientists found a cure for cancer", items, { language: "en" });
+  assert.strictEqual(r.relation, null);
+  assert.strictEqual(r.classification, "neutral");
+});
+
+test("an invalid table falls back to no relation checks", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-rel-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "relations.json");
+  fs.writeFileSync(file, JSON.stringify({ predicates: [{ id: "has", patterns: [{ text: "a" }] }], categories: [] }));
+  const bad = createRelationChecker({ env: { RELATIONS_FILE: file } });
+  assert.strictEqual(bad.extract("Canada is a nordic country"), null);
+});
@@ -0,0 +1,82 @@
+// Source reliability registry (lib/reliability.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createReliabilityRegistry, normalizeHost } = require("../lib/reliability");
+
+const REGISTRY = {
+  version: "test-1",
+  categories: {
+    reference: { tier: "high", weight: 0.9 },
+    government: { tier: "high" },
+    blog: { tier: "low" },
+  },
+  default: { tier: "low", weight: 0.2 },
+  tlds: { gov: "government", "gouv.fr": "government" },
+  domains: { "wikipedia.org": "reference", "blogs.cdc.gov": "blog", "example.com": { tier: "medium" } },
+  tenants: { acme: { domains: { "wikipedia.org": { tier: "low" }, "acme.news": "reference" } } },
+};
+
+function registryFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-reliability-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "reliability.json");
+  fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+const pick = ({ tier, category, weight, matched, source }) => ({ tier, category, weight, matched, source });
+
+test("resolution: tenant override, then domain or parent domain, then tld, then default", (t) => {
+  t.mock.method(console, "log", () => {});
+  const r = createReliabilityRegistry({ env: { RELIABILITY_FILE: registryFile(t, REGISTRY) } });
+
+  assert.deepStrictEqual(pick(r.classify("fr.wikipedia.org")), { tier: "high", category: "reference", weight: 0.9, matched: "wikipedia.org", source: "domain" });
+  assert.deepStrictEqual(pick(r.classify("www.cdc.gov")), { tier: "high", category: "government", weight: 1, matched: "gov", source: "tld" });
+  assert.deepStrictEqual(pick(r.classify("blogs.cdc.gov")), { tier: "low", category: "blog", weight: 0.3, matched: "blogs.cdc.gov", source: "domain" }, "a domain beats the tld");
+  assert.deepStrictEqual(pick(r.classify("www.insee.gouv.fr")), { tier: "high", category: "government", weight: 1, matched: "gouv.fr", source: "tld" });
+  assert.deepStrictEqual(pick(r.classify("shop.example.com")), { tier: "medium", category: "custom", weight: 0.6, matched: "example.com", source: "domain" });
+  assert.deepStrictEqual(pick(r.classify("random.net")), { tier: "low", category: "unrated", weight: 0.2, matched: null, source: "default" });
+  assert.strictEqual(r.classify("").source, "none");
+
+  assert.deepStrictEqual(pick(r.classify("en.wikipedia.org", "acme")), { tier: "low", category: "custom", weight: 0.3, matched: "wikipedia.org", source: "tenant" });
+  assert.strictEqual(r.classify("acme.news", "acme").tier, "high");
+  assert.strictEqual(r.classify("acme.news", "other").source, "default", "overrides are per tenant");
+
+  assert.strictEqual(normalizeHost("WWW.Example.COM.:443"), "example.com");
+});
+
+test("reload keeps the last good registry and reports why", (t) => {
+  t.mock.method(console, "log", () => {});
+  const file = registryFile(t, REGISTRY);
+  const r = createReliabilityRegistry({ env: { RELIABILITY_FILE: file } });
+
+  fs.writeFileSync(file, JSON.stringify({ ...REGISTRY, domains: { "wikipedia.org": "encyclopedia" }, categories: { ...REGISTRY.categories, x: { tier: "top" } } }));
+  assert.throws(() => r.reload(), (e) => {
+    assert.deepStrictEqual(e.problems, ["categories.x.tier must be one of: high, medium, low", 'domains.wikipedia.org: unknown category "encyclopedia"']);
+    return true;
+  });
+  assert.strictEqual(r.classify("fr.wikipedia.org").category, "reference");
+  assert.strictEqual(r.describe().version, "test-1");
+  assert.match(r.describe().lastError.message, /2 problem/);
+
+  fs.writeFileSync(file, "{ not json");
+  assert.throws(() => r.reload(), SyntaxError);
+  assert.strictEqual(r.classify("fr.wikipedia.org").category, "reference");
+
+  fs.writeFileSync(file, JSON.stringify({ ...REGISTRY, version: "test-2", domains: {} }));
+  assert.strictEqual(r.reload().version, "test-2");
+  assert.strictEqual(r.describe().lastError, null);
+  assert.strictEqual(r.classify("fr.wikipedia.org").source, "default");
+});
+
+test("a broken file at startup rates everything default instead of failing", (t) => {
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+  const r = createReliabilityRegistry({ env: { RELIABILITY_FILE: registryFile(t, '{"domains": ') } });
+  assert.deepStrictEqual(pick(r.classify("en.wikipedia.org")), { tier: "low", category: "unrated", weight: 0.3, matched: null, source: "default" });
+  assert.ok(r.describe().lastError);
+  assert.ok(logged.some((l) => l.startsWith("⚠️ RELIABILITY: could not load")));
+});
@@ -0,0 +1,70 @@
+// JSON Schema subset validator and the request-body checks of /openapi.json (lib/schema.js, lib/openapi.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const { validate, resolveRef } = require("../lib/schema");
+const { buildOpenApi, bodyValidator } = require("../lib/openapi");
+
+const messages = (schema, value, root) => validate(schema, value, root).map((e) => `${e.path} ${e.message}`);
+
+test("types, nullable and enum", () => {
+  assert.deepStrictEqual(messages({ type: "integer" }, 1.5), ["body must be an integer"]);
+  assert.deepStrictEqual(messages({ type: "number" }, 3), []);
+  assert.deepStrictEqual(messages({ type: "string" }, null), ["body must be a string"]);
+  assert.deepStrictEqual(messages({ type: "string", nullable: true }, null), []);
+  assert.deepStrictEqual(messages({ type: "array" }, {}), ["body must be an array"]);
+  assert.deepStrictEqual(messages({ enum: ["standard", "pro"] }, "gold"), ["body must be one of: standard, pro"]);
+});
+
+test("string, number and array constraints", () => {
+  assert.deepStrictEqual(messages({ minLength: 1 }, ""), ["body must not be empty"]);
+  assert.deepStrictEqual(messages({ maxLength: 2 }, "abc"), ["body must have at most 2 characters"]);
+  assert.deepStrictEqual(messages({ pattern: "^[a-z]+$" }, "A1"), ["body has an invalid format"]);
+  assert.deepStrictEqual(messages({ format: "uri" }, "ftp://example.com"), ["body must be an http(s) url"]);
+  assert.deepStrictEqual(messages({ format: "uri" }, "https://example.com/a"), []);
+  assert.deepStrictEqual(messages({ minimum: 0, maximum: 10 }, 11), ["body must be <= 10"]);
+  assert.deepStrictEqual(messages({ minItems: 1 }, []), ["body must have at least 1 item(s)"]);
+  assert.deepStrictEqual(messages({ items: { type: "string" } }, ["a", 2]), ["body[1] must be a string"]);
+});
+
+test("objects: required, properties and additionalProperties", () => {
+  const schema = { type: "object", required: ["id"], properties: { id: { type: "string" } }, additionalProperties: false };
+  assert.deepStrictEqual(messages(schema, {}), ["body.id is required"]);
+  assert.deepStrictEqual(messages(schema, { id: 1, x: true }), ["body.id must be a string", "body.x is not allowed"]);
+  assert.deepStrictEqual(messages({ additionalProperties: { type: "number" } }, { a: 1, b: "2" }), ["body.b must be a number"]);
+});
+
+test("anyOf, oneOf, $ref and error codes", () => {
+  const root = { components: { schemas: { Id: { type: "string", "x-error-code": "ID_INVALID" } } } };
+  assert.deepStrictEqual(resolveRef(root, "#/components/schemas/Id"), root.components.schemas.Id);
+  assert.throws(() => resolveRef(root, "other.json#/Id"), /unsupported \$ref/);
+  assert.deepStrictEqual(validate({ $ref: "#/components/schemas/Id" }, 1, root), [{ path: "body", message: "must be a string", code: "ID_INVALID", custom: false }]);
+
+  assert.deepStrictEqual(messages({ anyOf: [{ type: "string" }, { type: "number" }] }, 1), []);
+  assert.deepStrictEqual(messages({ anyOf: [{ type: "string" }, { type: "number" }] }, true), ["body must be a string"]);
+  assert.deepStrictEqual(messages({ oneOf: [{ type: "number" }, { type: "integer" }] }, 1), ["body matches more than one allowed shape"]);
+
+  const custom = validate({ required: ["text"], "x-error-code": "CONTENT_REQUIRED", "x-error-message": "text required" }, {});
+  assert.deepStrictEqual(custom, [{ path: "body.text", message: "text required", code: "CONTENT_REQUIRED", custom: true }]);
+});
+
+test("request bodies of the published contract", () => {
+  const validateBody = bodyValidator(buildOpenApi());
+  const run = (route, body) => {
+    let error;
+    validateBody("post", route)({ body }, {}, (err) => (error = err));
+    return error ? [error.code, error.message] : "ok";
+  };
+
+  assert.strictEqual(run("/analyze", { content: "Paris is the capital of France", extra: 1 }), "ok");
+  assert.deepStrictEqual(run("/analyze", {}), ["CONTENT_REQUIRED", "content or url required"]);
+  assert.deepStrictEqual(run("/analyze", undefined), ["CONTENT_REQUIRED", "content or url required"]);
+  assert.deepStrictEqual(run("/analyze", { content: "" }), ["CONTENT_REQUIRED", "content or url required"]);
+  assert.deepStrictEqual(run("/analyze", { url: "ftp://example.com" }), ["URL_INVALID", "body.url must be an http(s) url"]);
+  assert.deepStrictEqual(run("/analyze", { content: "x", language: "!!" }), ["VALIDATION_FAILED", "body.language has an invalid format"]);
+
+  assert.strictEqual(run("/analyze/batch", { items: ["a", { content: "b" }] }), "ok");
+  assert.deepStrictEqual(run("/analyze/batch", { items: [] }), ["CONTENT_REQUIRED", "items (non-empty array) required"]);
+  assert.deepStrictEqual(run("/analyze/batch", { items: [5] }), ["VALIDATION_FAILED", "body.items[0] must be a string"]);
+
+  assert.throws(() => validateBody("post", "/nope"), /no request body schema/);
+});
@@ -0,0 +1,60 @@
+// Scoring profiles (lib/scoring.js): selection order, unknown profiles, a broken file
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createScoringProfiles, BASELINE } = require("../lib/scoring");
+
+const profile = (name, version, textWeight) => ({ ...BASELINE, name, version, standard: { ...BASELINE.standard, textWeight, webWeight: 1 - textWeight } });
+
+function profilesFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-scoring-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "scoring-profiles.json");
+  fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+const FILE = {
+  default: "baseline",
+  tenants: { acme: "strict@1" },
+  profiles: [profile("baseline", 1, 0.6), profile("strict", 1, 0.5), profile("strict", 2, 0.3)],
+};
+
+test("selection: requested profile, then the tenant's, then the default", (t) => {
+  t.mock.method(console, "log", () => {});
+  const scoring = createScoringProfiles({ env: { SCORING_PROFILES_FILE: profilesFile(t, FILE) } });
+
+  assert.strictEqual(scoring.resolve("strict@1", "acme").id, "strict@1");
+  assert.strictEqual(scoring.resolve("strict", "acme").id, "strict@2", "a bare name is its latest version");
+  assert.strictEqual(scoring.resolve(null, "acme").id, "strict@1");
+  assert.strictEqual(scoring.resolve(null, "other").id, "baseline@1");
+  assert.strictEqual(scoring.resolve(null, "other").standard.textWeight, 0.6);
+  assert.deepStrictEqual(scoring.list(), ["baseline@1", "strict@1", "strict@2", "baseline", "strict"]);
+  assert.deepStrictEqual([scoring.describe("acme").default, scoring.describe("acme").selected], ["baseline@1", "strict@1"]);
+
+  const env = createScoringProfiles({ env: { SCORING_PROFILES_FILE: profilesFile(t, FILE), SCORING_PROFILE: "strict@2" } });
+  assert.strictEqual(env.resolve(null, "other").id, "strict@2", "SCORING_PROFILE replaces the file's default");
+});
+
+test("an unknown requested profile is a validation error listing the choices", (t) => {
+  t.mock.method(console, "log", () => {});
+  const scoring = createScoringProfiles({ env: { SCORING_PROFILES_FILE: profilesFile(t, FILE) } });
+  assert.throws(() => scoring.resolve("strict@3", "acme"), (e) => {
+    assert.strictEqual(e.code, "VALIDATION_FAILED");
+    assert.strictEqual(e.details[0].path, "body.scoringProfile");
+    assert.match(e.details[0].message, /strict@2/);
+    return true;
+  });
+});
+
+test("an invalid file falls back on the built-in baseline@1", (t) => {
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+  const broken = { ...FILE, tenants: { acme: "missing@1" }, profiles: [{ ...profile("strict", 1, 0.5), pro: {} }] };
+  const scoring = createScoringProfiles({ env: { SCORING_PROFILES_FILE: profilesFile(t, broken) } });
+  assert.deepStrictEqual(scoring.list(), ["baseline@1", "baseline"]);
+  assert.strictEqual(scoring.resolve(null, "acme").id, "baseline@1");
+  assert.ok(logged.some((l) => l.startsWith("⚠️ SCORING: could not load") && l.includes("profiles[0].pro.writingWeight")));
+});
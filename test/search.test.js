@@ -0,0 +1,30 @@
+// Search provider request parameters (lib/search)
+const test = require("node:test");
+const assert = require("node:assert");
+const { createBingProvider, marketParams } = require("../lib/search/bing");
+
+test("bing: only supported markets are sent as mkt", () => {
+  assert.deepStrictEqual(marketParams("en", "us"), { setLang: "en", mkt: "en-US" });
+  assert.deepStrictEqual(marketParams("fr", "fr"), { setLang: "fr", mkt: "fr-FR" });
+  assert.deepStrictEqual(marketParams("pt-br", "us"), { setLang: "pt", mkt: "pt-BR" });
+  assert.deepStrictEqual(marketParams("fr", "us"), { setLang: "fr", cc: "US" });
+  assert.deepStrictEqual(marketParams("it", "us"), { setLang: "it", cc: "US" });
+});
+
+test("bing: request url carries the market parameters", async (t) => {
+  const urls = [];
+  t.mock.method(global, "fetch", async (url) => {
+    urls.push(new URL(url));
+    return { ok: true, json: async () => ({ webPages: { value: [{ name: "T", url: "https://example.org/a", snippet: "S" }] } }) };
+  });
+  const bing = createBingProvider({ apiKey: "k", country: "us", timeoutMs: 1000 });
+
+  const items = await bing.search("la terre est plate", { lang: "fr", num: 5 });
+  assert.deepStrictEqual(items, [{ title: "T", link: "https://example.org/a", snippet: "S", date: null }]);
+  assert.strictEqual(urls[0].searchParams.get("mkt"), null);
+  assert.strictEqual(urls[0].searchParams.get("cc"), "US");
+  assert.strictEqual(urls[0].searchParams.get("setLang"), "fr");
+
+  await bing.search("terra plana", { lang: "pt-br", num: 5 });
+  assert.strictEqual(urls[1].searchParams.get("mkt"), "pt-BR");
+});
@@ -0,0 +1,64 @@
+// Similar-query index (lib/similarIndex.js): MinHash/LSH candidates before similarityScore()
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeQuery, similarityScore } = require("../lib/text");
+const { createSimilarIndex } = require("../lib/similarIndex");
+
+const THRESHOLD = 0.78;
+
+test("near-duplicates are candidates, unrelated queries are not", () => {
+  const index = createSimilarIndex();
+  const queries = ["vaccines cause autism", "the eiffel tower is 330 meters tall", "canada is a nordic country", "bitcoin was banned in europe"];
+  for (const q of queries) index.add(`${q}::en`, q);
+  assert.strictEqual(index.size(), 4);
+
+  assert.strictEqual(index.query("vaccine causes autism")[0], "vaccines cause autism::en");
+  assert.strictEqual(index.query("the eiffel tower is 330 metres tall")[0], "the eiffel tower is 330 meters tall::en");
+  assert.deepStrictEqual(index.query("le chomage a baisse en france"), []);
+});
+
+test("remove, re-add and clear", () => {
+  const index = createSimilarIndex();
+  index.add("a::en", "vaccines cause autism");
+  index.add("a::en", "vaccines cause autism"); // once
+  index.add("b::en", "vaccines cause autism in children");
+  index.remove("a::en");
+  assert.strictEqual(index.has("a::en"), false);
+  assert.deepStrictEqual(index.query("vaccines cause autism"), ["b::en"]);
+
+  index.add("c::en", "vaccines cause autism"); // reuses the freed slot
+  assert.deepStrictEqual(index.query("vaccines cause autism").sort(), ["b::en", "c::en"]);
+  index.remove("missing::en");
+
+  index.clear();
+  assert.strictEqual(index.size(), 0);
+  assert.deepStrictEqual(index.query("vaccines cause autism"), []);
+});
+
+test("finds what a linear scan finds, bounded by maxCandidates", () => {
+  const subjects = ["canada", "vaccines", "the eiffel tower", "inflation", "the moon", "bitcoin", "la tour eiffel", "le chomage"];
+  const verbs = ["is", "causes", "reached", "est", "costs", "contains"];
+  const objects = ["a nordic country", "autism", "500 meters tall", "12 percent", "cancer", "banned in europe"];
+  const tails = ["", " in 2019", " fact check", " statistics", " according to experts"];
+  const stored = [];
+  for (const s of subjects) for (const v of verbs) for (const o of objects) for (const t of tails) stored.push(normalizeQuery(`${s} ${v} ${o}${t}`));
+
+  const index = createSimilarIndex({ maxCandidates: 64 });
+  for (const q of stored) index.add(q, q);
+
+  let expected = 0;
+  let found = 0;
+  for (let i = 0; i < stored.length; i += 97) {
+    const probe = `${stored[i]}s`; // a typo-sized variation
+    const candidates = index.query(probe);
+    assert.ok(candidates.length <= 64);
+    const matches = new Set(candidates.filter((k) => similarityScore(k, probe) >= THRESHOLD));
+    for (const q of stored) {
+      if (similarityScore(q, probe) < THRESHOLD) continue;
+      expected++;
+      if (matches.has(q)) found++;
+    }
+  }
+  assert.ok(expected > 0);
+  assert.ok(found / expected >= 0.9, `recall ${found}/${expected}`);
+});
@@ -0,0 +1,35 @@
+// Offline stance of a search result toward the claim (lib/stance.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const { analyzeClaim, classifyStance } = require("../lib/stance");
+
+const stanceOf = (claim, title, snippet = "") => classifyStance(claim, { title, snippet });
+
+test("negation and debunk vocabulary contradict an affirmative claim", () => {
+  const negated = stanceOf("Vaccines cause autism", "Fact check: vaccines do not cause autism", "Large studies found no link.");
+  assert.strictEqual(negated.stance, "contradicts");
+  assert.deepStrictEqual(negated.signals, ["negation_near_claim_terms", "polarity_mismatch"]);
+
+  const debunked = stanceOf("Vaccines cause autism", "Vaccines and autism: the myth debunked", "The claim is false.");
+  assert.strictEqual(debunked.stance, "contradicts");
+  assert.ok(debunked.signals.includes("debunk_vocabulary_title"));
+
+  const fr = stanceOf("Les vaccins provoquent l’autisme", "Les vaccins provoquent-ils l’autisme ? Une infox", "Cette rumeur est fausse.");
+  assert.strictEqual(fr.stance, "contradicts");
+});
+
+test("a source restating the claim corroborates it, a negated claim included", () => {
+  const same = stanceOf("The Eiffel Tower is in Paris", "Eiffel Tower - Paris", "The Eiffel Tower is a wrought-iron tower in Paris, France, confirmed as its landmark.");
+  assert.strictEqual(same.stance, "corroborates");
+  assert.ok(same.signals.includes("support_vocabulary"));
+
+  assert.strictEqual(analyzeClaim("Le vaccin ne provoque pas l’autisme").negated, true);
+  const both = stanceOf("Le vaccin ne provoque pas l’autisme", "Non, les vaccins ne provoquent pas l’autisme", "Aucune preuve de lien entre vaccin et autisme.");
+  assert.strictEqual(both.stance, "corroborates", "two denials agree");
+});
+
+test("off-topic or empty results stay neutral", () => {
+  const offTopic = stanceOf("Vaccines cause autism", "Best pizza in Naples", "Where to eat, and it is not expensive.");
+  assert.deepStrictEqual([offTopic.stance, offTopic.relevance, offTopic.signals], ["neutral", 0, ["low_overlap"]]);
+  assert.deepStrictEqual(stanceOf("Vaccines cause autism", ""), { stance: "neutral", confidence: 0.5, relevance: 0, signals: [] });
+});
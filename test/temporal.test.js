@@ -0,0 +1,68 @@
+// Publication dates, time-bound claims and recency weights (lib/temporal.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const { parsePublishedDate, analyzeTemporal, recencyWeight, summarizeRecency } = require("../lib/temporal");
+
+const NOW = Date.UTC(2024, 5, 15, 12); // 2024-06-15
+
+test("provider dates resolve to a fixed day", () => {
+  assert.strictEqual(parsePublishedDate("2 days ago", NOW), "2024-06-13");
+  assert.strictEqual(parsePublishedDate("il y a 3 jours", NOW), "2024-06-12");
+  assert.strictEqual(parsePublishedDate("hier", NOW), "2024-06-14");
+  assert.strictEqual(parsePublishedDate("Mar 3, 2024", NOW), "2024-03-03");
+  assert.strictEqual(parsePublishedDate("2024-01-05T10:00:00Z", NOW), "2024-01-05");
+  assert.strictEqual(parsePublishedDate("14 juillet 2019", NOW), "2019-07-14");
+  assert.strictEqual(parsePublishedDate("3 fortnights ago", NOW), null);
+  assert.strictEqual(parsePublishedDate("garbage", NOW), null);
+  assert.strictEqual(parsePublishedDate(null, NOW), null);
+});
+
+test("time-bound claims get the window they refer to", () => {
+  const yesterday = analyzeTemporal("The minister resigned yesterday", NOW);
+  assert.strictEqual(yesterday.recent, true);
+  assert.deepStrictEqual(yesterday.window, { from: "2024-06-14", to: "2024-06-15" });
+
+  assert.deepStrictEqual(analyzeTemporal("Unemployment was 12% in 2019", NOW).window, { from: "2019-01-01", to: "2019-12-31" });
+  const since = analyzeTemporal("Inflation has risen since 2020", NOW);
+  assert.deepStrictEqual(since.window, { from: "2020-01-01", to: "2024-06-15" });
+  assert.strictEqual(since.expressions[0].type, "since");
+  assert.deepStrictEqual(analyzeTemporal("Le 14 juillet 2019, il a plu", NOW).window, { from: "2019-07-14", to: "2019-07-14" });
+
+  const current = analyzeTemporal("The president is currently in Paris", NOW);
+  assert.deepStrictEqual([current.timeBound, current.recent, current.window], [true, true, null]);
+  assert.deepStrictEqual(analyzeTemporal("Water boils at 100 degrees", NOW), { timeBound: false, recent: false, window: null, expressions: [] });
+});
+
+test("recency weights", () => {
+  const recent = analyzeTemporal("The minister resigned yesterday", NOW);
+  assert.strictEqual(recencyWeight("2024-06-14", recent, NOW), 1);
+  assert.strictEqual(recencyWeight("2022-01-01", recent, NOW), 0.3);
+  assert.strictEqual(recencyWeight(null, recent, NOW), 0.8);
+
+  const past = analyzeTemporal("Unemployment was 12% in 2019", NOW);
+  assert.strictEqual(recencyWeight("2018-06-01", past, NOW), 0.3, "published before the period");
+  assert.strictEqual(recencyWeight("2020-06-01", past, NOW), 1);
+
+  const timeless = analyzeTemporal("Water boils at 100 degrees", NOW);
+  assert.strictEqual(recencyWeight(null, timeless, NOW), 1);
+  assert.strictEqual(recencyWeight("2023-06-01", timeless, NOW), 1);
+  assert.strictEqual(recencyWeight("2020-06-01", timeless, NOW), 0.9);
+  assert.strictEqual(recencyWeight("2010-06-01", timeless, NOW), 0.8);
+});
+
+test("recency summary", () => {
+  const past = analyzeTemporal("Unemployment was 12% in 2019", NOW);
+  assert.deepStrictEqual(summarizeRecency([{ publishedAt: "2018-01-01" }, { publishedAt: "2017-05-01" }, {}, { publishedAt: "bad" }], past, NOW), {
+    datedSources: 2,
+    newest: "2018-01-01",
+    oldest: "2017-05-01",
+    staleSources: 0,
+    predatingSources: 2,
+    predatesEvent: true,
+  });
+
+  const recent = analyzeTemporal("The minister resigned yesterday", NOW);
+  const summary = summarizeRecency([{ publishedAt: "2024-06-14" }, { publishedAt: "2024-01-01" }], recent, NOW);
+  assert.deepStrictEqual([summary.staleSources, summary.predatingSources, summary.predatesEvent], [1, 1, false]);
+  assert.strictEqual(summarizeRecency([], recent, NOW).predatesEvent, false);
+});
@@ -0,0 +1,92 @@
+// API key registry (lib/tenants.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createKeyRegistry, originAllowed } = require("../lib/tenants");
+
+function tempKeysFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-keys-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "keys.json");
+  if (content !== undefined) fs.writeFileSync(file, content);
+  return file;
+}
+
+test("create and verify; auth is required once a key exists", (t) => {
+  const KEYS_FILE = tempKeysFile(t);
+  const keys = createKeyRegistry({ env: { KEYS_FILE } });
+  assert.strictEqual(keys.authRequired(), false);
+
+  const { key, record } = keys.create({ tenantId: "acme", plan: "pro", allowedOrigins: ["https://app.acme.com/"] });
+  assert.strictEqual(keys.authRequired(), true);
+  assert.strictEqual(record.secretHash, undefined);
+  assert.deepStrictEqual(keys.verify(key), { tenantId: "acme", plan: "pro", keyId: record.keyId, allowedOrigins: ["https://app.acme.com"] });
+  assert.strictEqual(keys.verify(`${key}x`), null);
+  assert.strictEqual(keys.verify("ia11_000000000000_abcdefghijklmnopqrst"), null);
+  assert.strictEqual(keys.verify(""), null);
+
+  // Persisted: a new registry on the same file knows the key, the secret is not stored
+  assert.strictEqual(createKeyRegistry({ env: { KEYS_FILE } }).verify(key).tenantId, "acme");
+  const secret = key.slice("ia11_".length + record.keyId.length + 1); // base64url: may contain "_"
+  assert.ok(!fs.readFileSync(KEYS_FILE, "utf8").includes(secret));
+
+  assert.throws(() => keys.create({ tenantId: "bad tenant" }), /tenantId required/);
+  assert.throws(() => keys.create({ tenantId: "acme", plan: "gold" }), /plan must be one of/);
+});
+
+test("rotate and revoke", (t) => {
+  const keys = createKeyRegistry({ env: { KEYS_FILE: tempKeysFile(t) } });
+  const { key, record } = keys.create({ tenantId: "acme" });
+  assert.strictEqual(keys.verify(key).plan, "standard");
+
+  const rotated = keys.rotate(record.keyId);
+  assert.strictEqual(keys.verify(key), null, "old secret stops working");
+  assert.strictEqual(keys.verify(rotated.key).keyId, record.keyId);
+  assert.ok(rotated.record.rotatedAt);
+
+  const revoked = keys.revoke(record.keyId);
+  assert.strictEqual(revoked.enabled, false);
+  assert.strictEqual(keys.verify(rotated.key), null);
+  assert.strictEqual(keys.authRequired(), true, "a revoked key keeps auth on");
+  assert.strictEqual(keys.rotate("000000000000"), null);
+  assert.strictEqual(keys.revoke("000000000000"), null);
+});
+
+test("legacy shared key", (t) => {
+  const keys = createKeyRegistry({ env: { KEYS_FILE: tempKeysFile(t), IA11_API_KEY: "shared", IA11_API_KEY_PLAN: "standard" } });
+  assert.strictEqual(keys.authRequired(), true);
+  assert.deepStrictEqual(keys.verify("shared"), { tenantId: "legacy", plan: "standard", keyId: "legacy", allowedOrigins: [] });
+  assert.strictEqual(keys.verify("other"), null);
+});
+
+test("a corrupt or malformed keys file fails closed", (t) => {
+  assert.throws(() => createKeyRegistry({ env: { KEYS_FILE: tempKeysFile(t, '{"keys": [{"keyId":') } }), /not valid JSON/);
+  assert.throws(() => createKeyRegistry({ env: { KEYS_FILE: tempKeysFile(t, '{"keys": {}}') } }), /"keys" must be an array/);
+  assert.throws(() => createKeyRegistry({ env: { KEYS_FILE: tempKeysFile(t, "") } }), /not valid JSON/);
+});
+
+test("reload keeps the last good keys when the file breaks", (t) => {
+  const KEYS_FILE = tempKeysFile(t);
+  const keys = createKeyRegistry({ env: { KEYS_FILE } });
+  const { key } = keys.create({ tenantId: "acme" });
+
+  fs.writeFileSync(KEYS_FILE, "{ truncated");
+  assert.throws(() => keys.reload(), /not valid JSON/);
+  assert.strictEqual(keys.authRequired(), true);
+  assert.strictEqual(keys.verify(key).tenantId, "acme");
+
+  fs.writeFileSync(KEYS_FILE, JSON.stringify({ keys: [] }));
+  keys.reload();
+  assert.strictEqual(keys.verify(key), null);
+});
+
+test("allowed origins", () => {
+  const rec = { allowedOrigins: ["https://app.acme.com", "*.acme.org"] };
+  assert.strictEqual(originAllowed(rec, "https://app.acme.com/"), true);
+  assert.strictEqual(originAllowed(rec, "https://news.acme.org"), true);
+  assert.strictEqual(originAllowed(rec, "https://evil.com"), false);
+  assert.strictEqual(originAllowed(rec, undefined), true, "server-to-server calls carry no Origin");
+  assert.strictEqual(originAllowed({ allowedOrigins: [] }, "https://evil.com"), true);
+});
@@ -0,0 +1,93 @@
+// Usage metering (lib/usage.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createUsageMeter } = require("../lib/usage");
+
+function meterCall(usage, { statusCode = 200, locals = {} } = {}) {
+  const req = { tenant: { tenantId: "t1", keyId: "k1" }, body: {} };
+  const res = Object.assign(new EventEmitter(), { statusCode, locals });
+  usage.meter("/analyze/stream")(req, res, () => {});
+  res.emit("finish");
+}
+
+// A meter on a temporary log; appends are flushed before the directory goes
+function tempMeter(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ia11-usage-"));
+  const usage = createUsageMeter({ env: { USAGE_FILE: path.join(dir, "usage.jsonl") } });
+  t.after(async () => {
+    await usage.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { usage, file: path.join(dir, "usage.jsonl") };
+}
+
+test("errors sent after the headers are metered with their own status and code", (t) => {
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+  const { usage } = tempMeter(t);
+
+  meterCall(usage, { locals: { usage: { mode: "standard", searchQueries: 2 } } });
+  meterCall(usage, { locals: { usage: { status: 403, errorCode: "PLAN_NOT_ALLOWED" } } });
+  meterCall(usage, { statusCode: 500 });
+
+  const [totals] = usage.summarize({ tenantId: "t1" }).map((x) => x.totals);
+  assert.strictEqual(totals.requests, 3);
+  assert.strictEqual(totals.errors, 2);
+  assert.strictEqual(totals.searchQueries, 2);
+  assert.deepStrictEqual(
+    logged.filter((l) => l.startsWith("📊 USAGE tenant")).map((l) => /status=.*$/.exec(l)[0]),
+    ["status=200", "status=403 error=PLAN_NOT_ALLOWED", "status=500"]
+  );
+});
+
+test("a client gone before the end is metered once the handler settles", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { usage, file } = tempMeter(t);
+  const req = { tenant: { tenantId: "t1", keyId: "k1" }, body: {} };
+  const res = Object.assign(new EventEmitter(), { statusCode: 200, writableFinished: false, locals: {} });
+  let settle;
+  res.locals.settled = new Promise((resolve) => (settle = resolve));
+  usage.meter("/analyze/stream")(req, res, () => {});
+
+  res.emit("close");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(usage.summarize().length, 0, "still running");
+
+  res.locals.usage = { mode: "pro", searchQueries: 1, status: 499, errorCode: "CLIENT_CLOSED" };
+  settle();
+  await res.locals.settled;
+  await usage.flush();
+  const [line] = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepStrictEqual([line.mode, line.searchQueries, line.status, line.errorCode], ["pro", 1, 499, "CLIENT_CLOSED"]);
+});
+
+test("rollup per tenant, day and mode, rebuilt from the log after a restart", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { usage, file } = tempMeter(t);
+  const at = (ts, entry) => usage.record({ ts, ...entry });
+  at("2024-06-14T10:00:00.000Z", { tenantId: "acme", mode: "standard", searchQueries: 1, cacheMisses: 1, latencyMs: 100 });
+  at("2024-06-15T10:00:00.000Z", { tenantId: "acme", mode: "pro", searchQueries: 4, cacheHits: 2, cacheMisses: 2, latencyMs: 300 });
+  at("2024-06-15T11:00:00.000Z", { tenantId: "acme", mode: "pro", status: 429, errorCode: "RATE_LIMITED" });
+  at("2024-06-15T12:00:00.000Z", { tenantId: "other", mode: "standard" });
+
+  const check = (meter) => {
+    const [acme] = meter.summarize({ tenantId: "acme" });
+    assert.deepStrictEqual(acme.totals, { requests: 3, errors: 1, searchQueries: 5, cacheHits: 2, cacheMisses: 3, avgLatencyMs: 133, cacheHitRate: 0.4 });
+    assert.deepStrictEqual(Object.keys(acme.byMode).sort(), ["pro", "standard"]);
+    assert.strictEqual(acme.byMode.pro.searchQueries, 4);
+    assert.deepStrictEqual(acme.byDay.map((d) => [d.day, d.requests, Object.keys(d.byMode)]), [
+      ["2024-06-14", 1, ["standard"]],
+      ["2024-06-15", 2, ["pro"]],
+    ]);
+    assert.deepStrictEqual(meter.summarize({ from: "2024-06-15", to: "2024-06-15" }).map((x) => [x.tenantId, x.totals.requests]), [["acme", 2], ["other", 1]]);
+  };
+  check(usage);
+
+  await usage.flush();
+  fs.appendFileSync(file, '{"ts":"2024-06-15T13:00'); // torn last line after a crash
+  check(createUsageMeter({ env: { USAGE_FILE: file } }));
+});